@@ -0,0 +1,1363 @@
+#!/usr/bin/env node
+/**
+ * generate-api-services.js
+ *
+ * SYNOPSIS
+ *     Generate ApiManager-backed service classes from an OpenAPI 3 document
+ *
+ * DESCRIPTION
+ *     Reads a local OpenAPI 3.0/3.1 file (JSON or YAML) and writes one service per tag,
+ *     in the same shape as [EntityName]Service (frontend/service-complete.js):
+ *     - methods return { success, data, message } and take ApiManager options last ({ signal, cache, ... })
+ *     - path parameters are encoded, query parameters go through ApiManager.buildQueryString
+ *     - multipart/form-data bodies use ApiManager.upload, binary responses ApiManager.download
+ *     - header parameters are a method argument and are sent as request headers
+ *     - paths are prefixed with the path of servers[0].url; paths outside --base-path are
+ *       called with { baseUrl: '' } and their full path
+ *     - JSDoc typedefs for component schemas, plus a ServiceContract built from the same schemas
+ *
+ *     YAML is read with js-yaml when it is installed; otherwise a built-in reader handles
+ *     block-style YAML (anchors, aliases and tags are not supported - convert to JSON).
+ *
+ * USAGE
+ *     node claude_docs/automation/generate-api-services.js <openapi.json|openapi.yaml> [options]
+ *
+ * OPTIONS
+ *     --out <dir>          Output directory (default: ./generated-services)
+ *     --base-path <path>   Prefix that ApiManager.config.baseUrl already adds (default: /api)
+ *                          Operations outside it are sent with baseUrl '' and the full path
+ *     --tag <name>         Only generate this tag (repeatable)
+ *
+ * EXAMPLE
+ *     node claude_docs/automation/generate-api-services.js swagger.json --out src/services/generated
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ===== SECTION 1: ARGUMENTS =====
+
+function parseArgs(argv) {
+    const args = {
+        spec: null,
+        out: 'generated-services',
+        basePath: '/api',
+        tags: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--out': args.out = next(); break;
+            case '--base-path': args.basePath = next(); break;
+            case '--tag': args.tags.push(next()); break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                args.spec = arg;
+        }
+    }
+
+    return args;
+}
+
+// ===== SECTION 2: SPEC LOADING (JSON / YAML) =====
+
+function loadSpec(file) {
+    const text = fs.readFileSync(file, 'utf8');
+
+    if (/\.json$/i.test(file) || /^\s*\{/.test(text)) {
+        return JSON.parse(text);
+    }
+
+    // Prefer a real YAML parser when the project has one
+    try {
+        return require('js-yaml').load(text);
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    }
+
+    return YamlLite.parse(text);
+}
+
+/**
+ * ⚠️ CRITICAL: Minimal block-style YAML reader (enough for OpenAPI documents)
+ * Supports mappings, sequences ("- item", "- key: value"), plain/quoted scalars,
+ * flow collections ([a, b], {a: 1}) and block scalars (| and >)
+ */
+const YamlLite = {
+    parse: function(text) {
+        const state = { lines: text.replace(/\r\n?/g, '\n').split('\n'), index: 0 };
+
+        this.skipInsignificant(state);
+        if (state.index < state.lines.length && /^---(\s|$)/.test(state.lines[state.index])) {
+            state.index++;
+            this.skipInsignificant(state);
+        }
+        if (state.index >= state.lines.length) return null;
+
+        const value = this.parseNode(state, this.indentOf(state.lines[state.index]));
+
+        this.skipInsignificant(state);
+        if (state.index < state.lines.length && !/^(\.\.\.|---)/.test(state.lines[state.index])) {
+            throw this.error(state, 'Unexpected content');
+        }
+
+        return value;
+    },
+
+    parseNode: function(state, indent) {
+        const text = this.stripComment(state.lines[state.index].slice(indent));
+        return this.isSequenceItem(text)
+            ? this.parseSequence(state, indent)
+            : this.parseMapping(state, indent);
+    },
+
+    parseSequence: function(state, indent) {
+        const result = [];
+
+        while (true) {
+            this.skipInsignificant(state);
+            if (state.index >= state.lines.length) break;
+
+            const line = state.lines[state.index];
+            if (this.indentOf(line) !== indent) break;
+
+            const text = this.stripComment(line.slice(indent));
+            if (!this.isSequenceItem(text)) break;
+
+            const rest = text.slice(1).trimStart();
+
+            if (rest === '') {
+                state.index++;
+                result.push(this.parseNested(state, indent));
+            } else if (this.splitKey(rest)) {
+                // "- key: value" starts a mapping at the column of "key"
+                const column = indent + text.length - rest.length;
+                state.lines[state.index] = ' '.repeat(column) + rest;
+                result.push(this.parseMapping(state, column));
+            } else {
+                state.index++;
+                result.push(this.parseValue(state, indent, rest));
+            }
+        }
+
+        return result;
+    },
+
+    parseMapping: function(state, indent) {
+        const result = {};
+
+        while (true) {
+            this.skipInsignificant(state);
+            if (state.index >= state.lines.length) break;
+
+            const line = state.lines[state.index];
+            const lineIndent = this.indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) throw this.error(state, 'Unexpected indentation');
+
+            const text = this.stripComment(line.slice(indent));
+            if (this.isSequenceItem(text)) break;
+
+            const pair = this.splitKey(text);
+            if (!pair) throw this.error(state, 'Expected "key: value"');
+            if (pair.key === '<<') throw this.error(state, 'Merge keys are not supported - convert the spec to JSON');
+
+            state.index++;
+            result[pair.key] = this.parseValue(state, indent, pair.value);
+        }
+
+        return result;
+    },
+
+    // Value on the line after "key:" (deeper block, same-indent sequence or null)
+    parseNested: function(state, indent) {
+        this.skipInsignificant(state);
+        if (state.index >= state.lines.length) return null;
+
+        const line = state.lines[state.index];
+        const lineIndent = this.indentOf(line);
+
+        if (lineIndent > indent) return this.parseNode(state, lineIndent);
+        if (lineIndent === indent && this.isSequenceItem(this.stripComment(line.slice(indent)))) {
+            return this.parseSequence(state, indent);
+        }
+        return null;
+    },
+
+    parseValue: function(state, indent, text) {
+        if (text === '') return this.parseNested(state, indent);
+        if (/^[|>][-+0-9]*$/.test(text)) return this.parseBlockScalar(state, indent, text);
+        if (/^[&*!]/.test(text)) throw this.error(state, 'Anchors, aliases and tags are not supported - convert the spec to JSON', -1);
+
+        if (text[0] === '[' || text[0] === '{') {
+            // Flow collections may continue on the following lines
+            let flow = text;
+            while (!this.isBalanced(flow) && state.index < state.lines.length) {
+                flow += ' ' + this.stripComment(state.lines[state.index].trim());
+                state.index++;
+            }
+            return FlowParser.parse(flow);
+        }
+
+        return this.parseScalar(text);
+    },
+
+    parseBlockScalar: function(state, parentIndent, header) {
+        const lines = [];
+        let blockIndent = null;
+
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.trim() === '') {
+                lines.push('');
+                state.index++;
+                continue;
+            }
+
+            const lineIndent = this.indentOf(line);
+            if (lineIndent <= parentIndent) break;
+            if (blockIndent === null) blockIndent = lineIndent;
+
+            lines.push(line.slice(Math.min(blockIndent, lineIndent)));
+            state.index++;
+        }
+
+        const chomping = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+        if (chomping !== 'keep') {
+            while (lines.length && lines[lines.length - 1] === '') lines.pop();
+        }
+
+        let value;
+        if (header[0] === '|') {
+            value = lines.join('\n');
+        } else {
+            // Folded: single newlines become spaces, blank lines become newlines
+            value = lines.reduce((text, line, i) => {
+                if (i === 0) return line;
+                if (line === '') return text + '\n';
+                return text + (text.endsWith('\n') ? '' : ' ') + line;
+            }, '');
+        }
+
+        return chomping === 'strip' ? value : value + '\n';
+    },
+
+    parseScalar: function(text) {
+        if (text[0] === '"') return JSON.parse(text);
+        if (text[0] === "'") return text.slice(1, -1).replace(/''/g, "'");
+        return this.resolvePlain(text);
+    },
+
+    resolvePlain: function(text) {
+        if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+        if (/^true$/i.test(text)) return true;
+        if (/^false$/i.test(text)) return false;
+        if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+        if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+        return text;
+    },
+
+    splitKey: function(text) {
+        if (text[0] === '"' || text[0] === "'") {
+            const end = this.findClosingQuote(text, 0);
+            if (end < 0) return null;
+
+            const rest = text.slice(end + 1).trimStart();
+            if (rest[0] !== ':' || (rest.length > 1 && rest[1] !== ' ')) return null;
+
+            return { key: String(this.parseScalar(text.slice(0, end + 1))), value: rest.slice(1).trim() };
+        }
+
+        if (text[0] === '[' || text[0] === '{') return null;
+
+        const match = /:(\s|$)/.exec(text);
+        if (!match) return null;
+
+        return { key: text.slice(0, match.index).trim(), value: text.slice(match.index + 1).trim() };
+    },
+
+    findClosingQuote: function(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (quote === '"' && text[i] === '\\') {
+                i++;
+            } else if (text[i] === quote) {
+                if (quote === "'" && text[i + 1] === "'") {
+                    i++;
+                } else {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    },
+
+    // Remove "# comment" outside quotes
+    stripComment: function(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                if (i === 0 || /[\s:\[{,-]/.test(text[i - 1])) quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i).trimEnd();
+            }
+        }
+        return text.trimEnd();
+    },
+
+    isBalanced: function(text) {
+        let depth = 0;
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '[' || ch === '{') {
+                depth++;
+            } else if (ch === ']' || ch === '}') {
+                depth--;
+            }
+        }
+        return depth <= 0;
+    },
+
+    isSequenceItem: function(text) {
+        return text === '-' || text.startsWith('- ');
+    },
+
+    skipInsignificant: function(state) {
+        while (state.index < state.lines.length) {
+            const trimmed = state.lines[state.index].trim();
+            if (trimmed !== '' && !trimmed.startsWith('#')) break;
+            state.index++;
+        }
+    },
+
+    indentOf: function(line) {
+        const match = /^( *)(\t?)/.exec(line);
+        if (match[2]) throw new Error('Tabs are not allowed for YAML indentation');
+        return match[1].length;
+    },
+
+    // offset -1: the line was already consumed
+    error: function(state, message, offset = 0) {
+        return new Error(`YAML line ${state.index + 1 + offset}: ${message}`);
+    }
+};
+
+/**
+ * Flow collections: [a, "b", {c: 1}]
+ */
+const FlowParser = {
+    parse: function(text) {
+        const state = { text: text, index: 0 };
+        const value = this.parseValue(state);
+
+        this.skipSpace(state);
+        if (state.index < text.length) {
+            throw new Error(`Unexpected "${text.slice(state.index)}" in flow collection ${text}`);
+        }
+        return value;
+    },
+
+    parseValue: function(state) {
+        this.skipSpace(state);
+        const ch = state.text[state.index];
+
+        if (ch === '[') {
+            state.index++;
+            const items = [];
+            while (true) {
+                this.skipSpace(state);
+                if (state.text[state.index] === ']') { state.index++; return items; }
+                items.push(this.parseValue(state));
+                this.skipSeparator(state);
+            }
+        }
+
+        if (ch === '{') {
+            state.index++;
+            const result = {};
+            while (true) {
+                this.skipSpace(state);
+                if (state.text[state.index] === '}') { state.index++; return result; }
+                const key = String(this.parseScalar(state, true));
+                this.skipSpace(state);
+                if (state.text[state.index] !== ':') throw new Error(`Expected ":" in flow mapping ${state.text}`);
+                state.index++;
+                result[key] = this.parseValue(state);
+                this.skipSeparator(state);
+            }
+        }
+
+        return this.parseScalar(state, false);
+    },
+
+    parseScalar: function(state, isKey) {
+        this.skipSpace(state);
+        const ch = state.text[state.index];
+
+        if (ch === '"' || ch === "'") {
+            const end = YamlLite.findClosingQuote(state.text, state.index);
+            if (end < 0) throw new Error(`Unterminated string in ${state.text}`);
+            const raw = state.text.slice(state.index, end + 1);
+            state.index = end + 1;
+            return YamlLite.parseScalar(raw);
+        }
+
+        const stop = isKey ? /[,\]}:]/ : /[,\]}]/;
+        const start = state.index;
+        while (state.index < state.text.length && !stop.test(state.text[state.index])) {
+            state.index++;
+        }
+        const plain = state.text.slice(start, state.index).trim();
+        return isKey ? plain : YamlLite.resolvePlain(plain);
+    },
+
+    skipSeparator: function(state) {
+        this.skipSpace(state);
+        if (state.text[state.index] === ',') state.index++;
+    },
+
+    skipSpace: function(state) {
+        while (state.index < state.text.length && /\s/.test(state.text[state.index])) {
+            state.index++;
+        }
+    }
+};
+
+// ===== SECTION 3: SPEC MODEL =====
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+const RESERVED_WORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+    'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+    'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+    'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'await', 'options', 'query', 'body', 'form'
+]);
+
+// Binary content types are downloaded as Blob instead of parsed as JSON
+const BINARY_EXTENSIONS = {
+    'application/pdf': 'pdf',
+    'application/zip': 'zip',
+    'text/csv': 'csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.ms-excel': 'xls',
+    'image/png': 'png',
+    'image/jpeg': 'jpg'
+};
+
+function createResolver(spec) {
+    return function resolve(node) {
+        let current = node;
+        const seen = new Set();
+
+        while (current && current.$ref) {
+            if (seen.has(current.$ref)) throw new Error(`Circular $ref ${current.$ref}`);
+            seen.add(current.$ref);
+
+            if (!current.$ref.startsWith('#/')) {
+                throw new Error(`Only local $refs are supported (${current.$ref})`);
+            }
+
+            current = current.$ref.slice(2).split('/').reduce((value, segment) => {
+                const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+                if (!value || !(key in value)) throw new Error(`Unresolved $ref ${current.$ref}`);
+                return value[key];
+            }, spec);
+        }
+
+        return current;
+    };
+}
+
+function refName(ref) {
+    const match = /^#\/components\/schemas\/(.+)$/.exec(ref || '');
+    return match ? match[1].replace(/~1/g, '/').replace(/~0/g, '~') : null;
+}
+
+function pascalCase(text) {
+    return String(text)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+}
+
+function camelCase(text) {
+    const pascal = pascalCase(text);
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+function toIdentifier(text, fallback) {
+    let name = camelCase(text) || fallback;
+    if (/^[0-9]/.test(name)) name = '_' + name;
+    return RESERVED_WORDS.has(name) ? name + 'Value' : name;
+}
+
+function typeName(text) {
+    const name = pascalCase(text) || 'Model';
+    return /^[0-9]/.test(name) ? '_' + name : name;
+}
+
+/**
+ * Path relative to ApiManager.config.baseUrl, or null when the path is outside it
+ * ('/api/users' → '/users', '/auth/login' → null)
+ */
+function stripBasePath(urlPath, basePath) {
+    if (!basePath || basePath === '/') return urlPath;
+    if (urlPath.toLowerCase().startsWith(basePath.toLowerCase() + '/')) {
+        return urlPath.slice(basePath.length);
+    }
+    return null;
+}
+
+/**
+ * ⚠️ CRITICAL: Path of servers[0].url - every path in the document is relative to it
+ * ('https://example.com/api/v2' → '/api/v2'). Server variables take their default value.
+ * The host is dropped: generated services always call the app's own origin (relative URLs)
+ */
+function serverBasePath(spec) {
+    const server = (spec.servers || [])[0];
+    if (!server || !server.url) return '';
+
+    const variables = server.variables || {};
+    const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+        const variable = variables[name];
+        return variable && variable.default !== undefined ? String(variable.default) : '';
+    });
+
+    try {
+        return new URL(url, 'http://localhost').pathname.replace(/\/+$/, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+function pickMedia(content) {
+    const types = Object.keys(content || {});
+    const json = types.find(type => /json/i.test(type)) || types.find(type => type === '*/*');
+    const multipart = types.find(type => /^multipart\/form-data/i.test(type));
+    const urlencoded = types.find(type => /^application\/x-www-form-urlencoded/i.test(type));
+    const type = json || multipart || urlencoded || types[0];
+
+    return type ? { type: type, schema: content[type].schema || null } : null;
+}
+
+function isBinaryMedia(media, resolve) {
+    if (!media) return false;
+    if (/json|^text\/plain|^\*\/\*$/i.test(media.type)) return false;
+
+    const schema = media.schema ? resolve(media.schema) : null;
+    return /^(application\/octet-stream|application\/pdf|application\/zip|application\/vnd\.|image\/|audio\/|video\/|text\/csv)/i.test(media.type) ||
+        !!(schema && schema.format === 'binary');
+}
+
+/**
+ * ✅ CORRECT: Collect operations grouped by their first tag
+ * Untagged operations are grouped by the first path segment after the base path
+ */
+function collectServices(spec, options) {
+    const resolve = createResolver(spec);
+    const services = new Map();
+    const serverPath = serverBasePath(spec);
+
+    Object.keys(spec.paths || {}).forEach(specPath => {
+        const pathItem = resolve(spec.paths[specPath]);
+        const sharedParameters = pathItem.parameters || [];
+        const urlPath = serverPath + specPath;
+
+        HTTP_METHODS.forEach(method => {
+            const operation = pathItem[method];
+            if (!operation) return;
+
+            // Outside the base path: the full path, sent with baseUrl ''
+            const strippedPath = stripBasePath(urlPath, options.basePath);
+            const relativePath = strippedPath === null ? urlPath : strippedPath;
+            const tag = (operation.tags && operation.tags[0]) || relativePath.split('/').filter(Boolean)[0] || 'Default';
+            if (options.tags.length && !options.tags.includes(tag)) return;
+
+            const name = typeName(tag);
+            if (!services.has(name)) {
+                services.set(name, { name: name, tag: tag, operations: [] });
+            }
+
+            const service = services.get(name);
+            const described = describeOperation(operation, method, urlPath, relativePath, sharedParameters, service, resolve);
+            service.operations.push({ ...described, outsideBasePath: strippedPath === null });
+        });
+    });
+
+    return services;
+}
+
+function describeOperation(operation, method, urlPath, relativePath, sharedParameters, service, resolve) {
+    // Operation-level parameters override path-level ones with the same name + location
+    const parameters = new Map();
+    sharedParameters.concat(operation.parameters || []).map(resolve).forEach(parameter => {
+        parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+    });
+    const allParameters = Array.from(parameters.values());
+
+    const used = new Set(service.operations.map(op => op.methodName));
+    let methodName = operation.operationId
+        ? toIdentifier(operation.operationId.replace(new RegExp('^' + service.tag + '[_.]', 'i'), ''), method)
+        : toIdentifier(method + ' ' + relativePath.replace(/\{([^}]+)\}/g, 'by $1'), method);
+    const baseName = methodName;
+    for (let i = 2; used.has(methodName); i++) {
+        methodName = baseName + i;
+    }
+
+    const pathParams = allParameters.filter(p => p.in === 'path');
+    pathParams.sort((a, b) => relativePath.indexOf('{' + a.name + '}') - relativePath.indexOf('{' + b.name + '}'));
+
+    const requestBody = operation.requestBody ? resolve(operation.requestBody) : null;
+    const requestMedia = requestBody ? pickMedia(requestBody.content) : null;
+
+    const responses = operation.responses || {};
+    const successCode = Object.keys(responses).find(code => /^2\d\d$/.test(code)) ||
+        (responses['2XX'] ? '2XX' : (responses.default ? 'default' : null));
+    const response = successCode ? resolve(responses[successCode]) : null;
+    const responseMedia = response ? pickMedia(response.content) : null;
+
+    const summary = (operation.summary || operation.description || '').split('\n')[0].trim().replace(/\.$/, '');
+
+    return {
+        methodName: methodName,
+        httpMethod: method.toUpperCase(),
+        urlPath: urlPath,
+        relativePath: relativePath,
+        summary: summary,
+        label: summary || humanize(methodName),
+        description: operation.summary && operation.description ? operation.description : '',
+        deprecated: !!operation.deprecated,
+        pathParams: pathParams.map(p => ({ ...p, identifier: toIdentifier(p.name, 'param') })),
+        queryParams: allParameters.filter(p => p.in === 'query'),
+        // Accept / Content-Type / Authorization parameters are ignored by OpenAPI - ApiManager sets them
+        headerParams: allParameters.filter(p => p.in === 'header' && !/^(accept|content-type|authorization)$/i.test(p.name)),
+        requestBody: requestBody,
+        requestMedia: requestMedia,
+        bodyKind: !requestMedia ? null
+            : /^multipart\/form-data/i.test(requestMedia.type) ? 'multipart'
+            : /^application\/x-www-form-urlencoded/i.test(requestMedia.type) ? 'urlencoded'
+            : isBinaryMedia(requestMedia, resolve) ? 'binary'
+            : 'json',
+        responseMedia: responseMedia,
+        responseKind: !responseMedia ? 'none' : isBinaryMedia(responseMedia, resolve) ? 'binary' : 'json'
+    };
+}
+
+function humanize(identifier) {
+    const words = identifier.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// ===== SECTION 4: TYPES AND SCHEMAS =====
+
+// Keywords understood by SchemaValidator (contract-validation-complete.js)
+const CONTRACT_KEYWORDS = [
+    'type', 'nullable', 'enum', 'const', 'format', 'pattern', 'minLength', 'maxLength',
+    'minimum', 'maximum', 'minItems', 'maxItems', 'required'
+];
+
+/**
+ * JSDoc type expression for a schema
+ */
+function jsDocType(schema, resolve) {
+    if (!schema) return '*';
+
+    if (schema.$ref) {
+        const name = refName(schema.$ref);
+        return name ? typeName(name) : jsDocType(resolve(schema), resolve);
+    }
+
+    let type;
+    const variants = schema.oneOf || schema.anyOf;
+
+    if (schema.allOf && schema.allOf.length === 1) {
+        type = jsDocType(schema.allOf[0], resolve);
+    } else if (schema.allOf) {
+        type = 'Object';
+    } else if (variants) {
+        type = '(' + variants.map(variant => jsDocType(variant, resolve)).join('|') + ')';
+    } else if (schema.enum) {
+        type = '(' + schema.enum.map(value => JSON.stringify(value).replace(/"/g, "'")).join('|') + ')';
+    } else {
+        const types = [].concat(schema.type || (schema.properties ? 'object' : []));
+        const nonNull = types.filter(t => t !== 'null');
+        const mapped = nonNull.map(t => {
+            switch (t) {
+                case 'integer':
+                case 'number':
+                    return 'number';
+                case 'string':
+                    return schema.format === 'binary' ? 'Blob' : 'string';
+                case 'boolean':
+                    return 'boolean';
+                case 'array':
+                    return `Array<${jsDocType(schema.items, resolve)}>`;
+                case 'object':
+                    return schema.additionalProperties && typeof schema.additionalProperties === 'object'
+                        ? `Object<string, ${jsDocType(schema.additionalProperties, resolve)}>`
+                        : 'Object';
+                default:
+                    return '*';
+            }
+        });
+        type = mapped.length === 0 ? '*' : mapped.length === 1 ? mapped[0] : '(' + mapped.join('|') + ')';
+        if (types.includes('null')) return type === '*' ? '*' : `?${type}`;
+    }
+
+    return schema.nullable && type !== '*' ? `?${type}` : type;
+}
+
+/**
+ * Collect component schema names referenced (transitively) from a schema
+ */
+function collectRefs(schema, spec, found) {
+    if (!schema || typeof schema !== 'object') return found;
+
+    if (schema.$ref) {
+        const name = refName(schema.$ref);
+        if (name && !found.has(name)) {
+            found.add(name);
+            collectRefs(((spec.components || {}).schemas || {})[name], spec, found);
+        }
+        return found;
+    }
+
+    Object.keys(schema).forEach(key => {
+        const value = schema[key];
+        if (Array.isArray(value)) value.forEach(item => collectRefs(item, spec, found));
+        else if (value && typeof value === 'object') collectRefs(value, spec, found);
+    });
+
+    return found;
+}
+
+/**
+ * Order component schemas so dependencies are declared first
+ * Back references (cycles) are emitted as unconstrained objects
+ */
+function orderSchemas(names, spec) {
+    const schemas = (spec.components || {}).schemas || {};
+    const ordered = [];
+    const state = new Map();
+
+    const visit = name => {
+        if (state.get(name)) return;
+        state.set(name, 'visiting');
+        collectDirectRefs(schemas[name]).forEach(dep => {
+            if (names.has(dep)) visit(dep);
+        });
+        state.set(name, 'done');
+        ordered.push(name);
+    };
+
+    Array.from(names).sort().forEach(visit);
+    return ordered;
+}
+
+function collectDirectRefs(schema, found = new Set()) {
+    if (!schema || typeof schema !== 'object') return found;
+    if (schema.$ref) {
+        const name = refName(schema.$ref);
+        if (name) found.add(name);
+        return found;
+    }
+    Object.keys(schema).forEach(key => {
+        const value = schema[key];
+        if (Array.isArray(value)) value.forEach(item => collectDirectRefs(item, found));
+        else if (value && typeof value === 'object') collectDirectRefs(value, found);
+    });
+    return found;
+}
+
+/**
+ * JS source for a contract schema (JSON Schema subset)
+ * $refs become references to already-declared XxxSchema constants
+ */
+function emitSchema(schema, context, indent) {
+    if (!schema) return '{}';
+
+    if (schema.$ref) {
+        const name = refName(schema.$ref);
+        if (name && context.declared.has(name)) return schemaConstName(name);
+        if (name) return "{ type: 'object' }"; // Circular reference - not validated
+        return emitSchema(context.resolve(schema), context, indent);
+    }
+
+    // allOf: merge the parts (DTO inheritance)
+    if (schema.allOf) {
+        const merged = { type: 'object', properties: {}, required: [] };
+        schema.allOf.map(part => context.resolve(part)).forEach(part => {
+            Object.assign(merged.properties, part.properties || {});
+            merged.required = merged.required.concat(part.required || []);
+        });
+        if (schema.nullable) merged.nullable = true;
+        return emitSchema(merged, context, indent);
+    }
+
+    const pad = '    '.repeat(indent + 1);
+    const entries = [];
+
+    CONTRACT_KEYWORDS.forEach(keyword => {
+        if (schema[keyword] === undefined) return;
+        if (keyword === 'required' && (!Array.isArray(schema.required) || schema.required.length === 0)) return;
+        if (keyword === 'format' && schema.format === 'binary') return;
+        entries.push(`${keyword}: ${toLiteral(schema[keyword])}`);
+    });
+
+    if (schema.properties && Object.keys(schema.properties).length) {
+        const properties = Object.keys(schema.properties).map(key => {
+            return `${pad}    ${propertyKey(key)}: ${emitSchema(schema.properties[key], context, indent + 1)}`;
+        });
+        entries.push(`properties: {\n${properties.join(',\n')}\n${pad}}`);
+    }
+
+    if (schema.items) {
+        entries.push(`items: ${emitSchema(schema.items, context, indent)}`);
+    }
+
+    if (schema.additionalProperties === false) {
+        entries.push('additionalProperties: false');
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        entries.push(`additionalProperties: ${emitSchema(schema.additionalProperties, context, indent)}`);
+    }
+
+    if (entries.length === 0) return '{}';
+
+    const inline = `{ ${entries.join(', ')} }`;
+    if (!inline.includes('\n') && inline.length <= 100) return inline;
+
+    return `{\n${entries.map(entry => pad + entry).join(',\n')}\n${'    '.repeat(indent)}}`;
+}
+
+function schemaConstName(name) {
+    return typeName(name) + 'Schema';
+}
+
+function propertyKey(key) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : `'${key.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function toLiteral(value) {
+    if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    if (Array.isArray(value)) return `[${value.map(toLiteral).join(', ')}]`;
+    return JSON.stringify(value);
+}
+
+/**
+ * JSDoc @typedef block for a component schema
+ */
+function emitTypedef(name, schema, resolve) {
+    const lines = ['/**'];
+    const description = docText(schema.description);
+    if (description) lines.push(` * ${description}`);
+
+    const merged = schema.allOf
+        ? schema.allOf.map(resolve).reduce((all, part) => ({
+            properties: { ...all.properties, ...(part.properties || {}) },
+            required: all.required.concat(part.required || [])
+        }), { properties: {}, required: [] })
+        : schema;
+
+    const isObject = merged.properties || schema.type === 'object' || (!schema.type && !schema.enum && !schema.items);
+
+    if (isObject && !schema.enum) {
+        lines.push(` * @typedef {Object} ${typeName(name)}`);
+        const required = merged.required || [];
+        Object.keys(merged.properties || {}).forEach(key => {
+            const property = merged.properties[key];
+            const propertyName = required.includes(key) ? key : `[${key}]`;
+            const text = docText(property.description);
+            lines.push(` * @property {${jsDocType(property, resolve)}} ${propertyName}${text ? ' - ' + text : ''}`);
+        });
+    } else {
+        lines.push(` * @typedef {${jsDocType({ ...schema, description: undefined }, resolve)}} ${typeName(name)}`);
+    }
+
+    lines.push(' */');
+    return lines.join('\n');
+}
+
+// One line, safe inside a /** */ block
+function docText(text) {
+    return text ? String(text).split('\n')[0].trim().replace(/\*\//g, '*\\/') : '';
+}
+
+// ===== SECTION 5: CODE EMISSION =====
+
+function emitBaseClass() {
+    return `// ===== GENERATED: GeneratedServiceBase =====
+// Shared helpers for services generated by claude_docs/automation/generate-api-services.js
+// ⚠️ DO NOT EDIT - re-run the generator instead
+
+// ⚠️ ApiManager and ServiceContract are globals (window.*) - load api-patterns/api-manager-complete.js
+// and api-patterns/contract-validation-complete.js before these services
+
+/**
+ * @typedef {Object} ServiceResult
+ * @property {boolean} success
+ * @property {*} data
+ * @property {Object} [meta] - Paging fields (totalRecords, totalPages, page, pageSize, totalCount)
+ * @property {string} message
+ * @property {boolean} [aborted] - Cancelled via options.signal; leave the UI untouched
+ * @property {Object<string, string>} [errors] - Field errors when the request broke the contract
+ */
+
+/**
+ * ✅ CORRECT: Base class of every generated service
+ * Same result format as [EntityName]Service: { success, data, message }
+ */
+export class GeneratedServiceBase {
+    constructor(contract) {
+        this.contract = contract;
+    }
+
+    /**
+     * Append query parameters (null/undefined/'' are skipped by buildQueryString)
+     */
+    buildUrl(path, query = {}) {
+        const queryString = ApiManager.buildQueryString(query);
+        return queryString ? \`\${path}?\${queryString}\` : path;
+    }
+
+    encodePath(value) {
+        return encodeURIComponent(value);
+    }
+
+    /**
+     * Header parameters → request headers (null/undefined/'' are not sent, arrays are comma-separated)
+     */
+    toHeaders(values = {}) {
+        const headers = {};
+        Object.keys(values).forEach(name => {
+            const value = values[name];
+            if (value === undefined || value === null || value === '') return;
+            headers[name] = Array.isArray(value) ? value.join(',') : String(value);
+        });
+        return headers;
+    }
+
+    /**
+     * ⚠️ CRITICAL: Build FormData for multipart/form-data endpoints
+     * Arrays become repeated fields, plain objects are sent as JSON strings
+     */
+    toFormData(fields) {
+        if (typeof FormData !== 'undefined' && fields instanceof FormData) {
+            return fields;
+        }
+
+        const formData = new FormData();
+        Object.keys(fields || {}).forEach(key => {
+            const value = fields[key];
+            if (value === undefined || value === null) return;
+
+            if (Array.isArray(value)) {
+                value.forEach(item => formData.append(key, item));
+            } else if (value instanceof Blob) {
+                formData.append(key, value);
+            } else if (typeof value === 'object') {
+                formData.append(key, JSON.stringify(value));
+            } else {
+                formData.append(key, value);
+            }
+        });
+        return formData;
+    }
+
+    /**
+     * Normalize the envelope and check the response against the contract
+     */
+    toResult(method, response, successMessage, failureMessage) {
+        const result = this.contract.parseResponse(method, response);
+
+        return {
+            success: result.success,
+            data: result.success ? result.data : null,
+            meta: result.meta,
+            message: result.message || (result.success ? successMessage : failureMessage)
+        };
+    }
+
+    toErrorResult(error, defaultMessage) {
+        if (ApiManager.isAbortError(error)) {
+            return {
+                success: false,
+                aborted: true,
+                data: null,
+                message: 'Request was cancelled'
+            };
+        }
+
+        console.error(defaultMessage, error);
+        return {
+            success: false,
+            data: null,
+            errors: ServiceContract.isContractError(error) && error.direction === 'request'
+                ? ServiceContract.toFieldErrors(error)
+                : null,
+            message: error.message || defaultMessage
+        };
+    }
+}
+`;
+}
+
+function emitService(service, spec, options, source) {
+    const resolve = createResolver(spec);
+    const info = spec.info || {};
+    const className = service.name + 'Service';
+    const instanceName = camelCase(service.name) + 'Service';
+    const contractName = service.name + 'Contract';
+
+    // Component schemas used by this service (request and response bodies)
+    const refs = new Set();
+    service.operations.forEach(op => {
+        collectRefs(op.requestMedia && op.requestMedia.schema, spec, refs);
+        collectRefs(op.responseMedia && op.responseMedia.schema, spec, refs);
+        op.queryParams.concat(op.pathParams).forEach(p => collectRefs(p.schema, spec, refs));
+    });
+    const componentSchemas = (spec.components || {}).schemas || {};
+    const ordered = orderSchemas(refs, spec);
+
+    const out = [];
+    out.push(`// ===== GENERATED: ${className} =====`);
+    out.push(`// Source: ${source}${info.title ? ` - ${info.title}` : ''}${info.version ? ` ${info.version}` : ''}`);
+    out.push('// ⚠️ DO NOT EDIT - re-run claude_docs/automation/generate-api-services.js instead');
+    out.push('');
+    out.push('// ⚠️ ApiManager and ServiceContract are globals (window.*) - see GeneratedServiceBase');
+    out.push(`import { GeneratedServiceBase } from './GeneratedServiceBase';`);
+    out.push('');
+
+    if (ordered.length) {
+        out.push('// ===== TYPES =====');
+        out.push('');
+        ordered.forEach(name => {
+            out.push(emitTypedef(name, componentSchemas[name], resolve));
+            out.push('');
+        });
+    }
+
+    out.push('// ===== CONTRACT =====');
+    out.push('');
+    const context = { resolve: resolve, declared: new Set() };
+    ordered.forEach(name => {
+        out.push(`const ${schemaConstName(name)} = ${emitSchema(componentSchemas[name], context, 0)};`);
+        out.push('');
+        context.declared.add(name);
+    });
+
+    const contractEntries = [];
+    service.operations.forEach(op => {
+        const parts = [];
+        if (op.bodyKind === 'json' && op.requestMedia.schema) {
+            parts.push(`request: ${emitSchema(op.requestMedia.schema, context, 2)}`);
+        }
+        if (op.responseKind === 'json' && op.responseMedia.schema) {
+            parts.push(`response: ${emitSchema(op.responseMedia.schema, context, 2)}`);
+        }
+        if (parts.length) {
+            contractEntries.push(`    ${op.methodName}: {\n${parts.map(part => '        ' + part).join(',\n')}\n    }`);
+        }
+    });
+    if (contractEntries.length) {
+        out.push(`const ${contractName} = ServiceContract.define('${service.name}', {`);
+        out.push(contractEntries.join(',\n'));
+        out.push('});');
+    } else {
+        out.push(`const ${contractName} = ServiceContract.define('${service.name}', {});`);
+    }
+    out.push('');
+
+    out.push('// ===== SERVICE =====');
+    out.push('');
+    out.push('/**');
+    out.push(` * ✅ GENERATED: ${service.tag} endpoints backed by ApiManager`);
+    out.push(' * Every method returns { success, data, message } and takes ApiManager options last');
+    out.push(' * ({ signal, cache, headers, onProgress, ... })');
+    out.push(' */');
+    out.push(`class ${className} extends GeneratedServiceBase {`);
+    out.push('    constructor() {');
+    out.push(`        super(${contractName});`);
+    out.push('    }');
+
+    service.operations.forEach(op => {
+        out.push('    ');
+        out.push(emitMethod(op, resolve));
+    });
+
+    out.push('}');
+    out.push('');
+    out.push('// ✅ CORRECT: Singleton instance, same export shape as [EntityName]Service');
+    out.push(`const ${instanceName} = new ${className}();`);
+    out.push('');
+    out.push(`export default ${instanceName};`);
+    out.push(`export { ${className} };`);
+    out.push('');
+
+    return out.join('\n');
+}
+
+function emitMethod(op, resolve) {
+    const args = op.pathParams.map(p => p.identifier);
+    const doc = ['    /**', `     * ${docText(op.label)}`];
+    if (op.description) doc.push(`     * ${docText(op.description)}`);
+    doc.push(`     * ${op.httpMethod} ${op.urlPath}`);
+    if (op.deprecated) doc.push('     * @deprecated');
+
+    op.pathParams.forEach(p => {
+        const text = docText(p.description);
+        doc.push(`     * @param {${jsDocType(p.schema, resolve)}} ${p.identifier}${text ? ' - ' + text : ''}`);
+    });
+
+    if (op.bodyKind) {
+        const bodyName = op.bodyKind === 'multipart' ? 'form' : 'body';
+        const required = op.requestBody.required;
+        const type = op.bodyKind === 'binary' ? 'Blob' : jsDocType(op.requestMedia.schema, resolve);
+        const text = op.bodyKind === 'multipart' ? ' - Fields for FormData (File/Blob values are uploaded)' : '';
+        doc.push(`     * @param {${type}} ${required ? bodyName : `[${bodyName}]`}${text}`);
+        args.push(required ? bodyName : `${bodyName} = ${op.bodyKind === 'binary' ? 'null' : '{}'}`);
+    }
+
+    if (op.queryParams.length) {
+        doc.push('     * @param {Object} [query]');
+        op.queryParams.forEach(p => {
+            const text = docText(p.description);
+            // include-roles → query['include-roles'] (query.'include-roles' is not valid JSDoc)
+            const name = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(p.name) ? `query.${p.name}` : `query['${p.name.replace(/'/g, "\\'")}']`;
+            doc.push(`     * @param {${jsDocType(p.schema, resolve)}} ${p.required ? name : `[${name}]`}${text ? ' - ' + text : ''}`);
+        });
+        args.push('query = {}');
+    }
+
+    if (op.headerParams.length) {
+        doc.push('     * @param {Object} [headers] - Sent as request headers');
+        op.headerParams.forEach(p => {
+            const text = docText(p.description);
+            const name = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(p.name) ? `headers.${p.name}` : `headers['${p.name.replace(/'/g, "\\'")}']`;
+            doc.push(`     * @param {${jsDocType(p.schema, resolve)}} ${p.required ? name : `[${name}]`}${text ? ' - ' + text : ''}`);
+        });
+        args.push('headers = {}');
+    }
+
+    const extraOptions = op.bodyKind === 'multipart' ? ', onProgress' : op.responseKind === 'binary' ? ', filename' : '';
+    doc.push(`     * @param {Object} [options] - ApiManager options ({ signal${extraOptions} })`);
+
+    const dataType = op.responseKind === 'binary' ? 'Blob'
+        : op.responseKind === 'none' ? 'null'
+        : jsDocType(op.responseMedia.schema, resolve);
+    doc.push(`     * @returns {Promise<{ success: boolean, data: ${dataType}, message: string }>}`);
+    doc.push('     */');
+    args.push('options = {}');
+
+    const urlTemplate = op.relativePath.replace(/\{([^}]+)\}/g, (match, name) => {
+        const param = op.pathParams.find(p => p.name === name);
+        return '${this.encodePath(' + (param ? param.identifier : toIdentifier(name, 'param')) + ')}';
+    });
+    // GET passes query to ApiManager.get so identical requests share a dedupe key
+    const urlExpression = op.queryParams.length && (op.httpMethod !== 'GET' || op.responseKind === 'binary')
+        ? `this.buildUrl(\`${urlTemplate}\`, query)`
+        : `\`${urlTemplate}\``;
+
+    // ⚠️ CRITICAL: ApiManager prefixes config.baseUrl - a path outside --base-path already is the full path
+    const overrides = [];
+    if (op.outsideBasePath) overrides.push("baseUrl: ''");
+    if (op.headerParams.length) overrides.push('headers: { ...(options.headers || {}), ...this.toHeaders(headers) }');
+    const optionsName = overrides.length ? 'requestOptions' : 'options';
+
+    const successMessage = toLiteral(`${op.label} completed`);
+    const failureMessage = toLiteral(`${op.label} failed`);
+
+    const body = [];
+    body.push(`    async ${op.methodName}(${args.join(', ')}) {`);
+    body.push('        try {');
+    body.push(`            const url = ${urlExpression};`);
+    if (overrides.length) {
+        body.push(`            const requestOptions = { ...options, ${overrides.join(', ')} };`);
+    }
+
+    if (op.responseKind === 'binary') {
+        const mime = op.responseMedia.type;
+        const extension = BINARY_EXTENSIONS[mime] ? '.' + BINARY_EXTENSIONS[mime] : '';
+        const requestOptions = [`...${optionsName}`, `method: '${op.httpMethod}'`];
+        if (op.bodyKind === 'multipart') {
+            requestOptions.push('data: this.toFormData(form), processData: false, contentType: false');
+        } else if (op.bodyKind) {
+            requestOptions.push('data: body');
+        } else {
+            requestOptions.push(`contentType: '${mime}'`); // Blob type of the saved file
+        }
+        body.push(`            const blob = await ApiManager.download(url, options.filename || ${toLiteral(op.methodName + extension)}, { ${requestOptions.join(', ')} });`);
+        body.push('            ');
+        body.push('            return {');
+        body.push('                success: true,');
+        body.push('                data: blob,');
+        body.push(`                message: ${successMessage}`);
+        body.push('            };');
+    } else {
+        body.push(...emitCall(op, optionsName));
+        body.push('            ');
+        body.push(`            return this.toResult('${op.methodName}', response, ${successMessage}, ${failureMessage});`);
+    }
+
+    body.push('        } catch (error) {');
+    body.push(`            return this.toErrorResult(error, ${failureMessage});`);
+    body.push('        }');
+    body.push('    }');
+
+    return doc.join('\n') + '\n' + body.join('\n');
+}
+
+function emitCall(op, options) {
+    const lines = [];
+    const method = op.httpMethod;
+
+    if (op.bodyKind === 'json') {
+        lines.push(`            this.contract.validateRequest('${op.methodName}', body);`);
+        lines.push('            ');
+    }
+
+    if (op.bodyKind === 'multipart') {
+        // upload() is POST by default - options come last so PUT/PATCH still work
+        const methodOverride = method === 'POST' ? '' : `, method: '${method}'`;
+        lines.push(`            const response = await ApiManager.upload(url, this.toFormData(form), { ...${options}${methodOverride} });`);
+        return lines;
+    }
+
+    if (op.bodyKind === 'urlencoded') {
+        lines.push('            const response = await ApiManager.request({');
+        lines.push(`                ...${options},`);
+        lines.push('                url: url,');
+        lines.push(`                method: '${method}',`);
+        lines.push('                data: body,');
+        lines.push(`                headers: { ...(${options}.headers || {}), 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' }`);
+        lines.push('            });');
+        return lines;
+    }
+
+    if (op.bodyKind === 'binary') {
+        lines.push('            const response = await ApiManager.request({');
+        lines.push(`                ...${options},`);
+        lines.push('                url: url,');
+        lines.push(`                method: '${method}',`);
+        lines.push('                data: body,');
+        lines.push('                processData: false,');
+        lines.push(`                headers: { ...(${options}.headers || {}), 'Content-Type': '${op.requestMedia.type}' }`);
+        lines.push('            });');
+        return lines;
+    }
+
+    switch (method) {
+        case 'GET':
+            lines.push(`            const response = await ApiManager.get(url, ${op.queryParams.length ? 'query' : '{}'}, ${options});`);
+            break;
+        case 'DELETE':
+            lines.push(op.bodyKind
+                ? `            const response = await ApiManager.request({ ...${options}, url: url, method: 'DELETE', data: body });`
+                : `            const response = await ApiManager.delete(url, ${options});`);
+            break;
+        case 'POST':
+        case 'PUT':
+        case 'PATCH':
+            lines.push(`            const response = await ApiManager.${method.toLowerCase()}(url, ${op.bodyKind ? 'body' : '{}'}, ${options});`);
+            break;
+        default:
+            lines.push(`            const response = await ApiManager.request({ ...${options}, url: url, method: '${method}' });`);
+    }
+
+    return lines;
+}
+
+function emitIndex(services) {
+    const lines = [
+        '// ===== GENERATED: service index =====',
+        '// ⚠️ DO NOT EDIT - re-run claude_docs/automation/generate-api-services.js instead',
+        ''
+    ];
+    services.forEach(service => {
+        const className = service.name + 'Service';
+        lines.push(`export { default as ${camelCase(service.name)}Service, ${className} } from './${className}';`);
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+// ===== SECTION 6: MAIN =====
+
+function generate(args) {
+    const spec = loadSpec(args.spec);
+
+    if (!spec || !/^3\./.test(String(spec.openapi || ''))) {
+        throw new Error(`${args.spec} is not an OpenAPI 3 document (missing "openapi: 3.x")`);
+    }
+
+    const services = collectServices(spec, args);
+    if (services.size === 0) {
+        throw new Error('No operations found' + (args.tags.length ? ` for tag(s) ${args.tags.join(', ')}` : ''));
+    }
+
+    fs.mkdirSync(args.out, { recursive: true });
+
+    const source = path.basename(args.spec);
+    const written = [];
+    const write = (fileName, content) => {
+        fs.writeFileSync(path.join(args.out, fileName), content);
+        written.push(fileName);
+    };
+
+    write('GeneratedServiceBase.js', emitBaseClass());
+    services.forEach(service => {
+        write(`${service.name}Service.js`, emitService(service, spec, args, source));
+    });
+    write('index.js', emitIndex(Array.from(services.values())));
+
+    return { services: Array.from(services.values()), written: written };
+}
+
+function printUsage() {
+    console.log('Usage: node generate-api-services.js <openapi.json|openapi.yaml> [--out dir] [--base-path /api] [--tag Name]');
+}
+
+if (require.main === module) {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        if (args.help || !args.spec) {
+            printUsage();
+            process.exit(args.help ? 0 : 1);
+        }
+
+        const result = generate(args);
+        result.services.forEach(service => {
+            console.log(`✅ ${service.name}Service - ${service.operations.length} operation(s)`);
+        });
+        console.log(`Wrote ${result.written.length} file(s) to ${path.resolve(args.out)}`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { generate, loadSpec, YamlLite };
@@ -18,6 +18,7 @@ const ApiManager = {
         timeout: 30000,
         retryAttempts: 3,
         retryDelay: 1000,
+        recoverFailedRequests: false, // Default for the per-request "recover" option
         defaultHeaders: {
             'Content-Type': 'application/json',
             'X-Requested-With': 'XMLHttpRequest'
@@ -33,9 +34,18 @@ const ApiManager = {
     // Active requests tracking
     activeRequests: new Map(),
 
+    // Shared in-flight GETs (dedupe key → { promise, requestId, subscribers })
+    inFlightRequests: new Map(),
+
+    // Subscriber ID → dedupe key (lets cancelRequest find shared requests)
+    inFlightSubscribers: new Map(),
+
     // Authentication token storage
     authToken: null,
 
+    // Pending token refresh (single-flight - every 401 waits on the same promise)
+    authRefreshPromise: null,
+
     /**
      * ✅ CORRECT: Initialize ApiManager
      */
@@ -87,10 +97,8 @@ const ApiManager = {
      * ✅ CORRECT: Error response interceptor
      */
     errorInterceptor: function(response, xhr) {
-        // Handle token expiration
-        if (xhr.status === 401) {
-            this.handleTokenExpiration();
-        }
+        // ⚠️ CRITICAL: 401 is NOT handled here - ApiManager.request refreshes
+        // the token and replays the request (see handleUnauthorized)
         
         // Handle server errors
         if (xhr.status >= 500) {
@@ -127,20 +135,82 @@ const ApiManager = {
  * Base method for all API requests
  */
 ApiManager.request = function(config) {
-    const requestId = this.generateRequestId();
-    const fullConfig = this.buildRequestConfig(config);
+    // ⚠️ CRITICAL: Strip ApiManager-only options before they reach Utils.ajax
+    // (jQuery has its own boolean "cache" option that must not receive a policy object)
+    const {
+        cache, invalidates, dedupe, skipAuthRefresh, authRetried, idempotent, queueOffline, skipCircuitBreaker, signal,
+        recover = this.config.recoverFailedRequests,
+        requestId: replayedRequestId, // Set by handleUnauthorized - the replay keeps the caller's requestId
+        retry,                        // Set by replay - a retry, not new traffic for RetryBudget
+        ...requestConfig
+    } = config;
+    
+    // Cancelled before it started (e.g. a newer search already replaced it)
+    if (signal && signal.aborted) {
+        return this.rejectedAbort();
+    }
+    
+    // A token refresh is running: queue this request until the new token is set
+    if (this.authRefreshPromise && !skipAuthRefresh) {
+        return this.waitForAuthRefresh(config);
+    }
+    
+    const requestId = replayedRequestId || this.generateRequestId();
+    const fullConfig = this.buildRequestConfig(requestConfig);
+    
+    // Serve fresh cache hits without touching the network
+    const cachePolicy = this.responseCache.resolvePolicy(cache, fullConfig);
+    const cacheKey = cachePolicy ? this.responseCache.buildKey(fullConfig) : null;
+    const cachedEntry = cachePolicy ? this.responseCache.get(cacheKey, cachePolicy) : null;
+    
+    if (cachedEntry && !this.responseCache.isExpired(cachedEntry)) {
+        return Promise.resolve(cachedEntry.data);
+    }
+    
+    // Stale entry with an ETag: ask the server whether it changed
+    if (cachedEntry && cachedEntry.etag) {
+        fullConfig.headers['If-None-Match'] = cachedEntry.etag;
+    }
+    
+    // Fail fast while the endpoint's circuit breaker is open
+    const breaker = skipCircuitBreaker ? null : window.CircuitBreaker;
+    if (breaker && !breaker.acquire(fullConfig.url)) {
+        return Promise.reject(breaker.createOpenError(fullConfig.url, this.describeRequest({ ...fullConfig, idempotent })));
+    }
+    
+    // First attempts feed the shared retry budget; 401 and recovery replays do not
+    if (window.RetryBudget && !retry && !replayedRequestId) {
+        window.RetryBudget.recordRequest();
+    }
     
     // Apply request interceptors
     let processedConfig = fullConfig;
     this.interceptors.request.forEach(interceptor => {
         processedConfig = interceptor(processedConfig) || processedConfig;
     });
+    
+    // The token authInterceptor just added - a 401 for an older token needs no new refresh
+    const sentToken = this.authToken;
 
-    return new Promise((resolve, reject) => {
+    const promise = new Promise((resolve, reject) => {
+        // ✅ CORRECT: signal.abort() aborts the XHR; the error callback below rejects
+        const unbindSignal = this.bindAbortSignal(signal, () => this.abortActiveRequest(requestId));
+        
         const xhr = Utils.ajax({
             ...processedConfig,
+            // ⚠️ CRITICAL: Global ajaxError handlers skip recovery for every ApiManager request - it settles
+            // the caller's promise itself (opt-in recover, outbox, or a rejection the caller handles)
+            apiManagerRequestId: requestId,
             success: (response) => {
                 this.activeRequests.delete(requestId);
+                unbindSignal();
+                if (breaker) breaker.recordSuccess(fullConfig.url);
+                
+                // 304 Not Modified: the cached copy is still valid
+                if (xhr.status === 304 && cachedEntry) {
+                    resolve(this.responseCache.revalidated(cacheKey, cachedEntry, xhr, cachePolicy).data);
+                    return;
+                }
                 
                 // Apply response interceptors
                 let processedResponse = response;
@@ -148,23 +218,82 @@ ApiManager.request = function(config) {
                     processedResponse = interceptor(processedResponse, xhr) || processedResponse;
                 });
                 
+                if (cachePolicy) {
+                    this.responseCache.set(cacheKey, processedResponse, xhr, cachePolicy);
+                }
+                
+                // Mutations clear every cached response that carries one of these tags
+                if (invalidates) {
+                    this.invalidateCache(invalidates);
+                }
+                
                 resolve(processedResponse);
             },
             error: (xhr, status, error) => {
                 this.activeRequests.delete(requestId);
+                unbindSignal();
+                
+                // Serializable descriptor so recovery can replay this request later
+                const requestDescriptor = this.describeRequest({ ...processedConfig, idempotent });
+                
+                // ⚠️ CRITICAL: Cancellation is not a failure - no refresh, outbox, recovery or breaker count
+                if (status === 'abort') {
+                    if (breaker) breaker.release(fullConfig.url);
+                    reject(this.createAbortError(requestDescriptor));
+                    return;
+                }
+                
+                const errorObj = this.createErrorObject(xhr, status, error, requestDescriptor);
+                
+                if (breaker) breaker.recordResult(fullConfig.url, errorObj);
+                
+                // 401: refresh the token once, then replay this request
+                if (xhr.status === 401 && !skipAuthRefresh) {
+                    this.handleUnauthorized(config, authRetried, sentToken, requestId)
+                        .then(resolve)
+                        .catch(replayError => reject(this.isAbortError(replayError) ? replayError : errorObj));
+                    return;
+                }
+                
+                // Some Utils.ajax builds route 304 through the error callback
+                if (xhr.status === 304 && cachedEntry) {
+                    resolve(this.responseCache.revalidated(cacheKey, cachedEntry, xhr, cachePolicy).data);
+                    return;
+                }
                 
                 // Apply response interceptors for errors
                 this.interceptors.response.forEach(interceptor => {
                     interceptor(null, xhr);
                 });
                 
-                reject(this.createErrorObject(xhr, status, error));
+                // Opt-in offline outbox: persist the mutation and resolve with { queued: true }
+                if (queueOffline && window.MutationOutbox && window.MutationOutbox.shouldQueue(errorObj)) {
+                    window.MutationOutbox.enqueue(requestDescriptor, queueOffline)
+                        .then(resolve)
+                        .catch(() => reject(errorObj));
+                    return;
+                }
+                
+                // Opt-in recovery: ErrorRecoveryManager replays the request and
+                // the caller's promise settles with the replayed result
+                if (recover && requestDescriptor.idempotent && window.ErrorRecoveryManager && errorObj.type) {
+                    window.ErrorRecoveryManager.recover(errorObj)
+                        .then(resolve)
+                        .catch(() => reject(errorObj));
+                    return;
+                }
+                
+                reject(errorObj);
             }
         });
         
         // Track active request
         this.activeRequests.set(requestId, xhr);
     });
+    
+    // ✅ CORRECT: Expose the ID so callers can use cancelRequest(promise.requestId)
+    promise.requestId = requestId;
+    return promise;
 };
 
 /**
@@ -174,11 +303,21 @@ ApiManager.get = function(url, params = {}, options = {}) {
     const queryString = this.buildQueryString(params);
     const fullUrl = queryString ? `${url}?${queryString}` : url;
     
-    return this.request({
+    const requestConfig = {
         url: fullUrl,
         method: 'GET',
         ...options
-    });
+    };
+    
+    // 🔥 PERFORMANCE: Identical GETs already in flight share one request
+    // Pass { dedupe: false } when the caller needs its own round trip
+    // (options.signal only detaches this caller - see dedupeRequest)
+    const dedupeKey = options.dedupe === false ? null : this.buildDedupeKey('GET', url, params, options);
+    if (dedupeKey === null) {
+        return this.request(requestConfig);
+    }
+    
+    return this.dedupeRequest(dedupeKey, requestConfig);
 };
 
 /**
@@ -357,7 +496,8 @@ ApiManager.parallel = function(requests, concurrencyLimit = 3) {
  * ✅ CORRECT: Build request configuration
  */
 ApiManager.buildRequestConfig = function(config) {
-    const baseUrl = config.baseUrl || this.config.baseUrl;
+    // ⚠️ CRITICAL: baseUrl '' is valid (replayed descriptors already hold the full URL)
+    const baseUrl = config.baseUrl !== undefined ? config.baseUrl : this.config.baseUrl;
     const fullUrl = config.url.startsWith('http') ? config.url : `${baseUrl}${config.url}`;
     
     return {
@@ -389,6 +529,149 @@ ApiManager.buildQueryString = function(params) {
         .join('&');
 };
 
+/**
+ * ✅ CORRECT: Build dedupe key from method + full URL + normalized query string + request options
+ * Param names are sorted so { a: 1, b: 2 } and { b: 2, a: 1 } share a key
+ * ⚠️ CRITICAL: Array values keep their order (?ids=2&ids=1 may mean something else than ?ids=1&ids=2),
+ * and every option except the per-caller ones is part of the key - callers with different headers,
+ * dataType, cache, timeout, recover, queueOffline, invalidates ... never share a request.
+ * Returns null (do not share) when an option holds a callback (xhr, beforeSend) - it belongs to one caller
+ */
+ApiManager.dedupeIgnoredOptions = ['signal', 'dedupe', 'baseUrl'];
+
+ApiManager.buildDedupeKey = function(method, url, params = {}, options = {}) {
+    const normalizedParams = {};
+    Object.keys(params || {}).sort().forEach(key => {
+        normalizedParams[key] = params[key];
+    });
+    
+    // Same resolution as buildRequestConfig - '/users' under two baseUrls is two endpoints
+    const baseUrl = options.baseUrl !== undefined ? options.baseUrl : this.config.baseUrl;
+    const fullUrl = url.startsWith('http') ? url : `${baseUrl}${url}`;
+    
+    const queryString = this.buildQueryString(normalizedParams);
+    const key = `${method.toUpperCase()} ${fullUrl}${queryString ? '?' + queryString : ''}`;
+    
+    const shaping = {};
+    Object.keys(options).forEach(name => {
+        if (!this.dedupeIgnoredOptions.includes(name) && options[name] !== undefined) shaping[name] = options[name];
+    });
+    if (this.hasCallback(shaping)) return null;
+    if (shaping.headers) {
+        // Header names are case-insensitive
+        shaping.headers = Object.keys(shaping.headers).reduce((headers, name) => {
+            headers[name.toLowerCase()] = shaping.headers[name];
+            return headers;
+        }, {});
+    }
+    
+    return Object.keys(shaping).length > 0 ? `${key} ${this.stableStringify(shaping)}` : key;
+};
+
+/**
+ * JSON with sorted object keys (arrays keep their order) - equal options give equal strings
+ */
+ApiManager.stableStringify = function(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return String(JSON.stringify(value));
+};
+
+ApiManager.hasCallback = function(value) {
+    if (typeof value === 'function') return true;
+    if (!value || typeof value !== 'object') return false;
+    return Object.keys(value).some(key => this.hasCallback(value[key]));
+};
+
+/**
+ * ✅ CORRECT: Share one in-flight request between identical callers
+ * Every caller gets its own promise (with its own requestId) so that
+ * cancelling one subscriber does not reject the others
+ */
+ApiManager.dedupeRequest = function(key, config) {
+    // ⚠️ CRITICAL: The shared request must not carry one caller's signal
+    const { signal, ...sharedConfig } = config;
+    
+    if (signal && signal.aborted) {
+        return this.rejectedAbort();
+    }
+    
+    let entry = this.inFlightRequests.get(key);
+    
+    if (!entry) {
+        const sharedPromise = this.request(sharedConfig);
+        entry = {
+            key: key,
+            promise: sharedPromise,
+            requestId: sharedPromise.requestId,
+            subscribers: new Map()
+        };
+        this.inFlightRequests.set(key, entry);
+        
+        const cleanup = () => {
+            if (this.inFlightRequests.get(key) === entry) {
+                this.inFlightRequests.delete(key);
+            }
+        };
+        sharedPromise.then(cleanup, cleanup);
+    }
+    
+    const subscriberId = this.generateRequestId();
+    
+    const subscriberPromise = new Promise((resolve, reject) => {
+        entry.subscribers.set(subscriberId, reject);
+        
+        const unbindSignal = this.bindAbortSignal(signal, () => this.cancelSubscriber(subscriberId));
+        
+        entry.promise.then(
+            response => {
+                unbindSignal();
+                this.inFlightSubscribers.delete(subscriberId);
+                if (entry.subscribers.delete(subscriberId)) resolve(response);
+            },
+            error => {
+                unbindSignal();
+                this.inFlightSubscribers.delete(subscriberId);
+                if (entry.subscribers.delete(subscriberId)) reject(error);
+            }
+        );
+    });
+    
+    this.inFlightSubscribers.set(subscriberId, key);
+    subscriberPromise.requestId = subscriberId;
+    return subscriberPromise;
+};
+
+/**
+ * ✅ CORRECT: Detach one subscriber from a shared request
+ * The underlying XHR is only aborted when the last subscriber leaves
+ */
+ApiManager.cancelSubscriber = function(subscriberId) {
+    const key = this.inFlightSubscribers.get(subscriberId);
+    const entry = key ? this.inFlightRequests.get(key) : null;
+    this.inFlightSubscribers.delete(subscriberId);
+    
+    if (!entry) return false;
+    
+    const reject = entry.subscribers.get(subscriberId);
+    if (reject) {
+        entry.subscribers.delete(subscriberId);
+        reject(this.createAbortError());
+    }
+    
+    if (entry.subscribers.size === 0) {
+        // Nobody is waiting any more - next caller starts a fresh request
+        this.inFlightRequests.delete(key);
+        this.abortActiveRequest(entry.requestId);
+    }
+    
+    return true;
+};
+
 /**
  * ✅ CORRECT: Generate unique request ID
  */
@@ -399,14 +682,16 @@ ApiManager.generateRequestId = function() {
 /**
  * ✅ CORRECT: Create standardized error object
  */
-ApiManager.createErrorObject = function(xhr, status, error) {
+ApiManager.createErrorObject = function(xhr, status, error, requestDescriptor = null) {
     let message = 'Request failed';
     let code = 'UNKNOWN_ERROR';
     let data = null;
+    let responseJSON = null;
     
     try {
         if (xhr.responseText) {
             const response = JSON.parse(xhr.responseText);
+            responseJSON = response;
             message = response.Message || response.message || message;
             code = response.Code || response.code || code;
             data = response.Data || response.data || null;
@@ -418,17 +703,135 @@ ApiManager.createErrorObject = function(xhr, status, error) {
     return {
         message: message,
         code: code,
+        type: window.ErrorClassifier ? window.ErrorClassifier.classifyError(xhr, status, error) : null,
         status: xhr.status,
         statusText: xhr.statusText,
         data: data,
+        responseJSON: responseJSON,   // Full body - ServerValidationErrors reads field errors from it
+        retryAfter: xhr.getResponseHeader ? xhr.getResponseHeader('Retry-After') : null,
+        etag: xhr.getResponseHeader ? xhr.getResponseHeader('ETag') : null,   // Current version on 409/412
+        request: requestDescriptor,
         originalError: error
     };
 };
 
+/**
+ * ✅ CORRECT: Methods that can be replayed safely
+ * POST/PATCH are only replayed when the caller passes { idempotent: true }
+ * (e.g. XOS POST endpoints that only read data, like GetList)
+ */
+ApiManager.IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * ✅ CORRECT: Build a serializable request descriptor
+ * Accepts ApiManager configs and jQuery ajax settings (type/method)
+ */
+ApiManager.describeRequest = function(config) {
+    const method = (config.method || config.type || 'GET').toUpperCase();
+    
+    // Auth and cache validators are re-applied when the request is replayed
+    const headers = { ...(config.headers || {}) };
+    delete headers['Authorization'];
+    delete headers['If-None-Match'];
+    
+    // FormData and Blob bodies cannot be serialized for a later replay
+    const isBinaryBody = (typeof FormData !== 'undefined' && config.data instanceof FormData) ||
+        (typeof Blob !== 'undefined' && config.data instanceof Blob);
+    
+    return {
+        method: method,
+        url: config.url,
+        body: isBinaryBody || config.data === undefined ? null : config.data,
+        headers: headers,
+        idempotent: config.idempotent !== undefined
+            ? !!config.idempotent
+            : this.IDEMPOTENT_METHODS.includes(method),
+        replayable: !isBinaryBody
+    };
+};
+
+/**
+ * ✅ CORRECT: Re-execute a request from its descriptor
+ */
+ApiManager.replay = function(descriptor) {
+    return this.request({
+        url: descriptor.url,
+        method: descriptor.method,
+        data: descriptor.body === null ? undefined : descriptor.body,
+        headers: descriptor.headers,
+        baseUrl: '',          // Descriptor URLs already include the base URL
+        idempotent: descriptor.idempotent,
+        dedupe: false,
+        retry: true,          // A replay - RetryBudget does not count it as new traffic
+        recover: false        // ErrorRecoveryManager owns the retry count
+    });
+};
+
+/**
+ * ✅ CORRECT: Create error object for cancelled requests
+ * Same shape as createErrorObject so callers handle both the same way
+ */
+ApiManager.createAbortError = function(requestDescriptor = null) {
+    return {
+        message: 'Request was cancelled',
+        code: 'ABORT_ERROR',
+        type: 'ABORT_ERROR',
+        status: 0,
+        statusText: 'abort',
+        data: null,
+        request: requestDescriptor,
+        originalError: 'abort'
+    };
+};
+
+/**
+ * ✅ CORRECT: Rejected promise for a request cancelled before it was sent
+ * Carries a requestId like every other verb result so cancelRequest() is a no-op
+ */
+ApiManager.rejectedAbort = function() {
+    const promise = Promise.reject(this.createAbortError());
+    promise.requestId = null;
+    return promise;
+};
+
+/**
+ * ✅ CORRECT: Check whether an error is a cancellation
+ * Covers ApiManager abort errors, aborted jqXHRs and DOM AbortError exceptions
+ */
+ApiManager.isAbortError = function(error) {
+    if (!error) return false;
+    
+    return error.type === 'ABORT_ERROR' ||
+        error.statusText === 'abort' ||
+        error.name === 'AbortError';
+};
+
+/**
+ * ✅ CORRECT: Run onAbort when an AbortSignal fires
+ * Returns an unbind function - call it when the request settles so
+ * long-lived signals (e.g. one per component) do not collect listeners
+ */
+ApiManager.bindAbortSignal = function(signal, onAbort) {
+    if (!signal) {
+        return () => {};
+    }
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+};
+
 /**
  * ✅ CORRECT: Cancel all active requests
  */
 ApiManager.cancelAllRequests = function() {
+    // Reject every subscriber of shared requests first
+    this.inFlightRequests.forEach(entry => {
+        entry.subscribers.forEach(reject => reject(this.createAbortError()));
+        entry.subscribers.clear();
+    });
+    this.inFlightRequests.clear();
+    this.inFlightSubscribers.clear();
+    
     this.activeRequests.forEach(xhr => {
         if (xhr.readyState !== 4) {
             xhr.abort();
@@ -439,8 +842,22 @@ ApiManager.cancelAllRequests = function() {
 
 /**
  * ✅ CORRECT: Cancel specific request
+ * Accepts the requestId exposed on the promise returned by any verb
  */
 ApiManager.cancelRequest = function(requestId) {
+    // Deduplicated GET: only detach this caller
+    if (this.inFlightSubscribers.has(requestId)) {
+        this.cancelSubscriber(requestId);
+        return;
+    }
+    
+    this.abortActiveRequest(requestId);
+};
+
+/**
+ * ✅ CORRECT: Abort the XHR behind a request ID
+ */
+ApiManager.abortActiveRequest = function(requestId) {
     const xhr = this.activeRequests.get(requestId);
     if (xhr && xhr.readyState !== 4) {
         xhr.abort();
@@ -458,11 +875,126 @@ ApiManager.setupCSRFToken = function() {
     }
 };
 
+/**
+ * ✅ CORRECT: Check whether a refresh token is available
+ */
+ApiManager.canRefreshToken = function() {
+    return !!localStorage.getItem('refreshToken');
+};
+
+/**
+ * ✅ CORRECT: Refresh the auth token (single-flight)
+ * Concurrent callers share one AuthApi.refreshToken call; requests issued
+ * meanwhile are queued in ApiManager.request until it settles
+ */
+ApiManager.refreshAuthToken = function() {
+    if (this.authRefreshPromise) {
+        return this.authRefreshPromise;
+    }
+    
+    this.authRefreshPromise = AuthApi.refreshToken()
+        .then(response => {
+            if (!response || !response.Success || !response.Data || !response.Data.token) {
+                throw new Error('Token refresh was rejected');
+            }
+            
+            // AuthApi.refreshToken already called setAuthToken
+            window.dispatchEvent(new CustomEvent('auth:tokenRefreshed', {
+                detail: { timestamp: new Date() }
+            }));
+            
+            return this.authToken;
+        })
+        .catch(error => {
+            // ⚠️ CRITICAL: Only a failed refresh ends the session
+            this.handleTokenExpiration();
+            throw error;
+        })
+        .finally(() => {
+            this.authRefreshPromise = null;
+        });
+    
+    return this.authRefreshPromise;
+};
+
+/**
+ * ✅ CORRECT: Request issued while the token is being refreshed - sent once the new token is set
+ * It gets its own requestId, and its signal (or cancelRequest) rejects it right away -
+ * an aborted request is never sent after the refresh
+ */
+ApiManager.waitForAuthRefresh = function(config) {
+    const requestId = this.generateRequestId();
+    const controller = new AbortController();
+    const unbindSignal = this.bindAbortSignal(config.signal, () => controller.abort());
+    
+    // cancelRequest(requestId) while waiting, and after it was sent (the signal aborts the XHR)
+    this.activeRequests.set(requestId, { readyState: 0, abort: () => controller.abort() });
+    
+    const promise = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(this.createAbortError()), { once: true });
+        
+        this.authRefreshPromise
+            .then(() => {
+                if (controller.signal.aborted) throw this.createAbortError();
+                return this.request({ ...config, signal: controller.signal });
+            })
+            .then(resolve, reject);
+    }).finally(() => {
+        unbindSignal();
+        this.activeRequests.delete(requestId);
+    });
+    
+    promise.requestId = requestId;
+    return promise;
+};
+
+/**
+ * ✅ CORRECT: Handle 401 - refresh once, then replay the original request
+ * sentToken is the token the request carried: when a refresh replaced it meanwhile,
+ * the request is replayed with the current token instead of starting a second refresh
+ * ⚠️ CRITICAL: The replay keeps the original requestId - cancelRequest() and a shared GET's
+ * last cancelSubscriber() abort it, also while the token is still refreshing
+ */
+ApiManager.handleUnauthorized = function(originalConfig, alreadyRetried, sentToken = this.authToken, requestId = null) {
+    // Replayed request was rejected again, or nothing to refresh with
+    const tokenChanged = !!this.authToken && sentToken !== this.authToken;
+    if (!tokenChanged && (alreadyRetried || !this.canRefreshToken())) {
+        this.handleTokenExpiration();
+        return Promise.reject(new Error('Unauthorized'));
+    }
+    
+    const controller = new AbortController();
+    const unbindSignal = this.bindAbortSignal(originalConfig.signal, () => controller.abort());
+    const placeholder = { readyState: 0, abort: () => controller.abort() };
+    if (requestId) this.activeRequests.set(requestId, placeholder);
+    
+    const replayConfig = { ...originalConfig, signal: controller.signal, requestId: requestId };
+    
+    return new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(this.createAbortError()), { once: true });
+        
+        // Late 401 for a pre-refresh token - the refresh already happened
+        const replayed = tokenChanged
+            ? this.request(replayConfig)
+            // authInterceptor adds the new token when the request is rebuilt
+            : this.refreshAuthToken().then(() => this.request({ ...replayConfig, authRetried: true }));
+        
+        replayed.then(resolve, reject);
+    }).finally(() => {
+        unbindSignal();
+        if (requestId && this.activeRequests.get(requestId) === placeholder) {
+            this.activeRequests.delete(requestId);
+        }
+    });
+};
+
 /**
  * ✅ CORRECT: Handle token expiration
+ * Called only when the session cannot be recovered by a token refresh
  */
 ApiManager.handleTokenExpiration = function() {
     this.setAuthToken(null);
+    localStorage.removeItem('refreshToken');
     
     // Emit event for application to handle
     if (typeof window !== 'undefined') {
@@ -500,7 +1032,291 @@ ApiManager.handleServerError = function(xhr) {
     }
 };
 
-// ===== SECTION 5: RESOURCE-SPECIFIC API MANAGERS =====
+// Usage examples:
+/*
+// Three components mounting together → one network request
+const a = ApiManager.get('/roles', { activeOnly: true });
+const b = ApiManager.get('/roles', { activeOnly: true });
+const c = ApiManager.get('/roles', { activeOnly: true }, { dedupe: false }); // own request
+
+// Component unmounts: only its subscription is cancelled, b still resolves
+ApiManager.cancelRequest(a.requestId);
+
+// ⚠️ CRITICAL: Deduplicated callers receive the SAME response object -
+// copy it before mutating ({ ...response.Data }) so other callers are not affected
+
+// AbortSignal: every verb accepts { signal } in its options
+const controller = AjaxUtils.createAbortController();
+ApiManager.post('/Product/Search', { term: 'lap' }, { signal: controller.signal })
+    .then(renderResults)
+    .catch(error => {
+        // ✅ CORRECT: Cancelled on purpose - leave the UI alone, no toast
+        if (ApiManager.isAbortError(error)) return;
+        showError(error.message);
+    });
+
+controller.abort(); // Rejects with createAbortError() (type ABORT_ERROR)
+*/
+
+// ===== SECTION 5: RESPONSE CACHE =====
+
+/**
+ * ✅ CORRECT: In-memory cache store
+ * Fastest backend; entries are lost on page reload
+ */
+const MemoryCacheStore = {
+    entries: new Map(),
+    
+    get: function(key) {
+        return this.entries.get(key) || null;
+    },
+    
+    set: function(key, entry) {
+        this.entries.set(key, entry);
+    },
+    
+    remove: function(key) {
+        this.entries.delete(key);
+    },
+    
+    keys: function() {
+        return Array.from(this.entries.keys());
+    },
+    
+    clear: function() {
+        this.entries.clear();
+    }
+};
+
+/**
+ * ✅ CORRECT: sessionStorage cache store
+ * Survives reloads within the tab; entries must be JSON-serializable
+ */
+const SessionCacheStore = {
+    prefix: 'apiCache:',
+    
+    get: function(key) {
+        try {
+            const raw = sessionStorage.getItem(this.prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    },
+    
+    set: function(key, entry) {
+        try {
+            sessionStorage.setItem(this.prefix + key, JSON.stringify(entry));
+        } catch (e) {
+            // ⚠️ Quota exceeded: drop our own entries and try once more
+            this.clear();
+            try {
+                sessionStorage.setItem(this.prefix + key, JSON.stringify(entry));
+            } catch (retryError) {
+                console.warn('ApiManager cache: entry too large for sessionStorage', key);
+            }
+        }
+    },
+    
+    remove: function(key) {
+        sessionStorage.removeItem(this.prefix + key);
+    },
+    
+    keys: function() {
+        const keys = [];
+        for (let i = 0; i < sessionStorage.length; i++) {
+            const storageKey = sessionStorage.key(i);
+            if (storageKey && storageKey.indexOf(this.prefix) === 0) {
+                keys.push(storageKey.substring(this.prefix.length));
+            }
+        }
+        return keys;
+    },
+    
+    clear: function() {
+        this.keys().forEach(key => this.remove(key));
+    }
+};
+
+/**
+ * ✅ CORRECT: Response cache used by ApiManager.request
+ * Caching is opt-in per request via the "cache" option:
+ *   cache: true                                  → GET only, default TTL, memory store
+ *   cache: { ttl, tags, store, revalidate }      → custom policy (any method)
+ */
+ApiManager.responseCache = {
+    // Default policy values
+    defaults: {
+        ttl: 60000,          // 1 minute
+        store: 'memory',
+        revalidate: true     // keep stale entries with an ETag for If-None-Match
+    },
+    
+    // Registered backends (add your own with registerStore)
+    stores: {
+        memory: MemoryCacheStore,
+        session: SessionCacheStore
+    },
+    
+    /**
+     * Register a custom backend ({ get, set, remove, keys, clear })
+     */
+    registerStore: function(name, store) {
+        this.stores[name] = store;
+    },
+    
+    /**
+     * Normalize the per-request "cache" option into a policy (or null)
+     */
+    resolvePolicy: function(cacheOption, config) {
+        if (!cacheOption) return null;
+        
+        const method = (config.method || 'GET').toUpperCase();
+        
+        // ⚠️ CRITICAL: "cache: true" only applies to GET; XOS lookup endpoints
+        // that use POST must opt in explicitly with a policy object
+        if (cacheOption === true) {
+            return method === 'GET' ? { ...this.defaults, tags: [] } : null;
+        }
+        
+        return {
+            ...this.defaults,
+            ...cacheOption,
+            tags: cacheOption.tags || []
+        };
+    },
+    
+    /**
+     * Build cache key from method, URL and body
+     */
+    buildKey: function(config) {
+        const method = (config.method || 'GET').toUpperCase();
+        const body = config.data && typeof config.data === 'object' && !(config.data instanceof FormData)
+            ? JSON.stringify(config.data)
+            : (config.data || '');
+        return `${method} ${config.url}${body ? ' ' + body : ''}`;
+    },
+    
+    getStore: function(policy) {
+        return this.stores[policy.store] || this.stores.memory;
+    },
+    
+    /**
+     * Get entry (fresh or stale) for a key
+     */
+    get: function(key, policy) {
+        const entry = this.getStore(policy).get(key);
+        if (!entry) return null;
+        
+        // Stale entries are only useful if they can be revalidated
+        if (this.isExpired(entry) && !(policy.revalidate && entry.etag)) {
+            this.getStore(policy).remove(key);
+            return null;
+        }
+        
+        return entry;
+    },
+    
+    /**
+     * Store a successful response
+     */
+    set: function(key, data, xhr, policy) {
+        const entry = {
+            data: data,
+            etag: xhr && xhr.getResponseHeader ? xhr.getResponseHeader('ETag') : null,
+            tags: policy.tags,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + policy.ttl
+        };
+        this.getStore(policy).set(key, entry);
+        return entry;
+    },
+    
+    /**
+     * Extend a stale entry after a 304 Not Modified
+     */
+    revalidated: function(key, entry, xhr, policy) {
+        const newEtag = xhr && xhr.getResponseHeader ? xhr.getResponseHeader('ETag') : null;
+        const updated = {
+            ...entry,
+            etag: newEtag || entry.etag,
+            expiresAt: Date.now() + policy.ttl
+        };
+        this.getStore(policy).set(key, updated);
+        return updated;
+    },
+    
+    isExpired: function(entry) {
+        return Date.now() >= entry.expiresAt;
+    },
+    
+    /**
+     * Remove every entry (in every store) that carries one of the tags
+     */
+    invalidateTags: function(tags) {
+        const tagList = Array.isArray(tags) ? tags : [tags];
+        let removed = 0;
+        
+        Object.keys(this.stores).forEach(name => {
+            const store = this.stores[name];
+            store.keys().forEach(key => {
+                const entry = store.get(key);
+                if (entry && entry.tags && entry.tags.some(tag => tagList.includes(tag))) {
+                    store.remove(key);
+                    removed++;
+                }
+            });
+        });
+        
+        return removed;
+    },
+    
+    /**
+     * Clear all stores
+     */
+    clear: function() {
+        Object.keys(this.stores).forEach(name => this.stores[name].clear());
+    }
+};
+
+/**
+ * ✅ CORRECT: Invalidate cached responses by tag
+ * Call after mutations, or pass "invalidates" on the mutating request
+ */
+ApiManager.invalidateCache = function(tags) {
+    const removed = this.responseCache.invalidateTags(tags);
+    
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('api:cacheInvalidated', {
+            detail: { tags: Array.isArray(tags) ? tags : [tags], removed: removed }
+        }));
+    }
+    
+    return removed;
+};
+
+/**
+ * ✅ CORRECT: Clear the whole response cache (e.g. on logout)
+ */
+ApiManager.clearCache = function() {
+    this.responseCache.clear();
+};
+
+// Usage examples:
+/*
+// Cache a GET for 5 minutes, revalidate with If-None-Match afterwards
+ApiManager.get('/roles', {}, { cache: { ttl: 300000, tags: ['roles'] } });
+
+// XOS lookup endpoints use POST - opt in with an explicit policy
+ApiManager.post('/[EntityName]/GetStatuses', { activeOnly: true }, {
+    cache: { ttl: 300000, tags: ['[EntityName]', 'statuses'], store: 'session' }
+});
+
+// Mutation clears every cached list of the entity
+ApiManager.post('/[EntityName]/Save', entity, { invalidates: ['[EntityName]'] });
+*/
+
+// ===== SECTION 6: RESOURCE-SPECIFIC API MANAGERS =====
 
 /**
  * ✅ CORRECT: User API Manager
@@ -613,16 +1429,28 @@ const AuthApi = {
         return ApiManager.post(`${this.baseUrl}/logout`)
             .finally(() => {
                 ApiManager.setAuthToken(null);
+                localStorage.removeItem('refreshToken');
+                ApiManager.clearCache(); // Never leak cached data to the next user
+                
+                if (window.MutationOutbox) {
+                    window.MutationOutbox.clear();
+                }
             });
     },
     
     // Refresh token
+    // ⚠️ CRITICAL: skipAuthRefresh - a 401 here must not trigger another refresh
     refreshToken: function() {
         const refreshToken = localStorage.getItem('refreshToken');
-        return ApiManager.post(`${this.baseUrl}/refresh`, { refreshToken })
+        return ApiManager.post(`${this.baseUrl}/refresh`, { refreshToken }, { skipAuthRefresh: true })
             .then(response => {
                 if (response.Success && response.Data.token) {
                     ApiManager.setAuthToken(response.Data.token);
+                    
+                    // Servers that rotate refresh tokens send a new one each time
+                    if (response.Data.refreshToken) {
+                        localStorage.setItem('refreshToken', response.Data.refreshToken);
+                    }
                 }
                 return response;
             });
@@ -660,18 +1488,20 @@ const AuthApi = {
 const FileApi = {
     baseUrl: '/api/files',
     
-    // Upload single file
+    // Upload single file - queued in UploadManager (integration/upload-manager-complete.js), shown in the upload tray
+    // Files over UploadManager.resumableThreshold go in resumable chunks to the same /api/files endpoints
     upload: function(file, options = {}) {
-        const formData = new FormData();
-        formData.append('file', file);
-        
-        if (options.folder) {
-            formData.append('folder', options.folder);
-        }
-        
-        return ApiManager.upload(this.baseUrl, formData, {
-            onProgress: options.onProgress,
-            timeout: options.timeout || 120000
+        return UploadManager.upload(file, {
+            url: this.baseUrl,
+            fields: { folder: options.folder },
+            resumable: 'auto',
+            resumableOptions: { endpoint: this.baseUrl },
+            timeout: options.timeout || 120000,
+            source: options.source,
+            // Same signature as ApiManager.upload's onProgress
+            onProgress: options.onProgress
+                ? item => options.onProgress(item.percent, item.loaded, item.total)
+                : null
         });
     },
     
@@ -714,7 +1544,7 @@ const FileApi = {
     }
 };
 
-// ===== SECTION 6: COMPLETE WORKING EXAMPLES =====
+// ===== SECTION 7: COMPLETE WORKING EXAMPLES =====
 
 /**
  * ✅ COMPLETE EXAMPLE: Application API setup and usage
@@ -788,11 +1618,10 @@ class ApplicationApi {
     }
     
     handleTokenExpiration() {
-        // Try to refresh token first
-        AuthApi.refreshToken().catch(() => {
-            // Refresh failed, redirect to login
-            window.location.href = '/login';
-        });
+        // ApiManager already tried AuthApi.refreshToken - the session is over
+        if (!window.location.pathname.includes('/login')) {
+            window.location.href = '/login?expired=true';
+        }
     }
     
     handleMaintenanceMode(response) {
@@ -882,4 +1711,9 @@ window.FileApi = FileApi;
 // 7. Not implementing retry logic for failed requests
 // 8. Missing request timeout configurations
 // 9. Not logging API calls for debugging
-// 10. Hardcoding API endpoints instead of using centralized configuration
\ No newline at end of file
+// 10. Hardcoding API endpoints instead of using centralized configuration
+// 11. Caching responses without a TTL or without invalidation tags for mutations
+// 12. Mutating a response object shared by deduplicated GET callers
+// 13. Redirecting to login on the first 401 instead of refreshing the token and replaying
+// 14. Replaying non-idempotent POSTs on recovery (mark read-only POSTs with { idempotent: true })
+// 15. Letting a stale response overwrite a newer one - pass { signal } and abort the previous request
\ No newline at end of file
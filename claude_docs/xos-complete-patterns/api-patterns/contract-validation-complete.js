@@ -0,0 +1,520 @@
+// ===== CONTRACT VALIDATION COMPLETE PATTERNS =====
+// This file contains EVERY request/response contract pattern for XOS Framework
+// Follow schema definition and envelope normalization patterns EXACTLY
+
+// ⚠️ CRITICAL: Contracts catch drift between the client and the server early.
+// Outgoing payloads are validated AFTER cleanEntityData, incoming data AFTER the
+// envelope (Success/success/result: 'S') has been unwrapped.
+
+// ===== SECTION 1: SCHEMA VALIDATOR (JSON SCHEMA SUBSET) =====
+
+/**
+ * ✅ CORRECT: Minimal JSON Schema validator
+ * Supported keywords: type, nullable, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, format, minimum, maximum
+ *
+ * 💡 TIP: Unknown keywords are ignored, so schemas can carry "description" etc.
+ */
+const SchemaValidator = {
+    // Named formats for { type: 'string', format: '...' }
+    formats: {
+        'date-time': value => !isNaN(Date.parse(value)),
+        'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value),
+        'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        'uuid': value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+    },
+
+    /**
+     * Register a custom string format
+     */
+    addFormat: function(name, test) {
+        this.formats[name] = test;
+    },
+
+    /**
+     * ✅ CORRECT: Validate a value and return every violation
+     * Each error has a field path ("data[2].categoryId") usable in messages and forms
+     */
+    validate: function(schema, value, path = '') {
+        const errors = [];
+        this.validateNode(schema, value, path, errors);
+        return errors;
+    },
+
+    validateNode: function(schema, value, path, errors) {
+        if (!schema) return;
+        
+        const addError = (keyword, message) => {
+            errors.push({ path: path || '(root)', keyword: keyword, message: message });
+        };
+        
+        // null is only valid when the schema allows it
+        if (value === null || value === undefined) {
+            if (schema.nullable || this.allowsType(schema, 'null')) return;
+            addError('type', `must be ${this.describeType(schema)}, got ${value === null ? 'null' : 'nothing'}`);
+            return;
+        }
+        
+        if (schema.type && !this.matchesType(schema, value)) {
+            addError('type', `must be ${this.describeType(schema)}, got ${this.getType(value)}`);
+            return; // Further checks would only repeat the same problem
+        }
+        
+        if (schema.enum && !schema.enum.includes(value)) {
+            addError('enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+        
+        if (schema.const !== undefined && value !== schema.const) {
+            addError('const', `must be ${JSON.stringify(schema.const)}`);
+        }
+        
+        if (typeof value === 'string') {
+            this.validateString(schema, value, addError);
+        } else if (typeof value === 'number') {
+            this.validateNumber(schema, value, addError);
+        } else if (Array.isArray(value)) {
+            this.validateArray(schema, value, path, errors, addError);
+        } else if (typeof value === 'object') {
+            this.validateObject(schema, value, path, errors, addError);
+        }
+    },
+
+    validateString: function(schema, value, addError) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addError('minLength', `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            addError('maxLength', `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            addError('pattern', `must match ${schema.pattern}`);
+        }
+        if (schema.format && this.formats[schema.format] && !this.formats[schema.format](value)) {
+            addError('format', `must be a valid ${schema.format}`);
+        }
+    },
+
+    validateNumber: function(schema, value, addError) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            addError('minimum', `must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            addError('maximum', `must be <= ${schema.maximum}`);
+        }
+    },
+
+    validateArray: function(schema, value, path, errors, addError) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addError('minItems', `must contain at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addError('maxItems', `must contain at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                this.validateNode(schema.items, item, this.joinPath(path, index), errors);
+            });
+        }
+    },
+
+    validateObject: function(schema, value, path, errors, addError) {
+        const properties = schema.properties || {};
+        
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: this.joinPath(path, key), keyword: 'required', message: 'is required' });
+            }
+        });
+        
+        Object.keys(value).forEach(key => {
+            const childPath = this.joinPath(path, key);
+            
+            if (properties[key]) {
+                this.validateNode(properties[key], value[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, keyword: 'additionalProperties', message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                this.validateNode(schema.additionalProperties, value[key], childPath, errors);
+            }
+        });
+    },
+
+    /**
+     * JSON type name of a value ("integer" is reported as "number")
+     */
+    getType: function(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    },
+
+    allowsType: function(schema, type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        return types.includes(type);
+    },
+
+    matchesType: function(schema, value) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        
+        return types.some(type => {
+            switch (type) {
+                case 'integer':
+                    return Number.isInteger(value);
+                case 'number':
+                    return typeof value === 'number' && !isNaN(value);
+                case 'array':
+                    return Array.isArray(value);
+                case 'object':
+                    return typeof value === 'object' && !Array.isArray(value);
+                default:
+                    return typeof value === type;
+            }
+        });
+    },
+
+    describeType: function(schema) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type || 'a value'];
+        return types.join(' or ');
+    },
+
+    /**
+     * Build "items[2].name" style paths
+     */
+    joinPath: function(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        return path ? `${path}.${key}` : key;
+    }
+};
+
+// Usage examples:
+/*
+const errors = SchemaValidator.validate({
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', maxLength: 100 },
+        tags: { type: 'array', items: { type: 'string' } }
+    }
+}, { id: 'x', tags: ['a', 2] }, 'data');
+
+// [
+//   { path: 'data.name', keyword: 'required', message: 'is required' },
+//   { path: 'data.id', keyword: 'type', message: 'must be integer, got string' },
+//   { path: 'data.tags[1]', keyword: 'type', message: 'must be string, got number' }
+// ]
+*/
+
+// ===== SECTION 2: RESPONSE ENVELOPE NORMALIZATION =====
+
+/**
+ * ✅ CORRECT: Turn every XOS success envelope into one result shape
+ *
+ * Recognised envelopes:
+ * - 'S' / 'F' strings and true / false         → flag
+ * - { Success, Data, Message, Code, Errors }   → xos
+ * - { success, data, message, code, errors }   → camel
+ * - { result: 'S' | 'F', data, message }       → result
+ * - { data | results: [...], totalRecords }  → list (array plus paging fields only)
+ * - anything else                              → none (the payload IS the data)
+ *
+ * Result: { success, data, message, code, errors, meta, envelope, raw }
+ * meta holds paging fields (totalRecords, totalPages, page, pageSize, totalCount)
+ */
+const ResponseEnvelope = {
+    META_KEYS: ['totalRecords', 'totalPages', 'page', 'pageSize', 'totalCount'],
+    LIST_DATA_KEYS: ['data', 'Data', 'results', 'Results'],
+
+    normalize: function(response) {
+        if (response === 'S' || response === true) {
+            return this.build(true, null, response, 'flag');
+        }
+        
+        if (response === 'F' || response === false) {
+            return this.build(false, null, response, 'flag');
+        }
+        
+        if (!response || typeof response !== 'object' || Array.isArray(response)) {
+            return this.build(true, response === undefined ? null : response, response, 'none');
+        }
+        
+        if ('Success' in response) {
+            return this.build(response.Success === true, this.pick(response, 'Data'), response, 'xos', {
+                message: response.Message,
+                code: response.Code,
+                errors: response.Errors
+            });
+        }
+        
+        if ('success' in response) {
+            return this.build(response.success === true, this.pick(response, 'data'), response, 'camel');
+        }
+        
+        if (response.result === 'S' || response.result === 'F') {
+            return this.build(response.result === 'S', this.pick(response, 'data'), response, 'result');
+        }
+        
+        // ⚠️ CRITICAL: Only unwrap when nothing else is in the object - an entity
+        // that happens to have a "data" array must stay intact
+        const listKey = this.LIST_DATA_KEYS.find(key => Array.isArray(response[key]));
+        if (listKey && Object.keys(response).every(key => key === listKey || this.isMetaKey(key))) {
+            return this.build(true, response[listKey], response, 'list');
+        }
+        
+        return this.build(true, response, response, 'none');
+    },
+
+    build: function(success, data, raw, envelope, fields = {}) {
+        const source = raw && typeof raw === 'object' ? raw : {};
+        
+        return {
+            success: success,
+            data: data,
+            message: fields.message || source.message || source.Message || null,
+            code: fields.code || source.code || source.Code || null,
+            errors: fields.errors || source.errors || source.Errors || null,
+            meta: this.extractMeta(source),
+            envelope: envelope,
+            raw: raw
+        };
+    },
+
+    pick: function(response, key) {
+        return response[key] === undefined ? null : response[key];
+    },
+
+    isMetaKey: function(key) {
+        return this.META_KEYS.some(metaKey => metaKey.toLowerCase() === key.toLowerCase()) ||
+            key === 'message' || key === 'Message';
+    },
+
+    extractMeta: function(response) {
+        const meta = {};
+        this.META_KEYS.forEach(key => {
+            const value = this.readMeta(response, key);
+            if (value !== undefined) meta[key] = value;
+        });
+        return meta;
+    },
+
+    // Accept both camelCase and PascalCase (TotalRecords) from the server
+    readMeta: function(response, key) {
+        if (response[key] !== undefined) return response[key];
+        return response[key.charAt(0).toUpperCase() + key.slice(1)];
+    }
+};
+
+// ===== SECTION 3: SERVICE CONTRACTS =====
+
+/**
+ * ✅ CORRECT: Per-method contract for a service
+ * Created with ServiceContract.define - holds request and response schemas by method name
+ */
+class ContractDefinition {
+    constructor(name, methods) {
+        this.name = name;
+        this.methods = methods;
+    }
+
+    /**
+     * ⚠️ CRITICAL: Validate an outgoing payload (call after cleanEntityData)
+     * Always strict - an invalid payload is a client bug and is never sent
+     */
+    validateRequest(method, payload) {
+        const schema = this.methods[method] && this.methods[method].request;
+        if (!schema) return payload;
+        
+        const errors = SchemaValidator.validate(schema, payload);
+        if (errors.length > 0) {
+            throw ServiceContract.createContractError(this.name, method, 'request', errors);
+        }
+        
+        return payload;
+    }
+
+    /**
+     * ✅ CORRECT: Normalize the envelope and validate the unwrapped data
+     * Failure envelopes (success: false) are returned as-is - only data is under contract
+     */
+    parseResponse(method, response) {
+        const result = ResponseEnvelope.normalize(response);
+        const schema = this.methods[method] && this.methods[method].response;
+        
+        if (!schema || !result.success) return result;
+        
+        const errors = SchemaValidator.validate(schema, result.data, 'data');
+        if (errors.length === 0) return result;
+        
+        const contractError = ServiceContract.createContractError(this.name, method, 'response', errors);
+        ServiceContract.report(contractError);
+        
+        if (ServiceContract.config.responseMode === 'strict') {
+            throw contractError;
+        }
+        
+        // 'report' mode: keep working with the data, but let callers see the drift
+        result.contractErrors = errors;
+        return result;
+    }
+}
+
+/**
+ * ✅ CORRECT: Contract registry and error factory
+ */
+const ServiceContract = {
+    config: {
+        // 'strict' rejects drifted responses with CONTRACT_ERROR,
+        // 'report' only logs and emits api:contractError (safer in production)
+        responseMode: 'strict',
+        logToConsole: true
+    },
+
+    // Contract name → ContractDefinition
+    contracts: new Map(),
+
+    configure: function(options = {}) {
+        this.config = { ...this.config, ...options };
+    },
+
+    /**
+     * ✅ CORRECT: Define (or replace) the contract of a service
+     * methods: { methodName: { request: schema, response: schema } }
+     */
+    define: function(name, methods) {
+        const contract = new ContractDefinition(name, methods);
+        this.contracts.set(name, contract);
+        return contract;
+    },
+
+    get: function(name) {
+        return this.contracts.get(name) || null;
+    },
+
+    // User-safe messages; field paths stay in detail/fieldErrors for developers
+    messages: {
+        request: 'Some fields are invalid. Please check your input.',
+        response: 'The server returned data in an unexpected format. Please try again later.'
+    },
+
+    /**
+     * ✅ CORRECT: Contract error - same shape as ApiManager error objects
+     * fieldErrors: [{ path, keyword, message }], paths: ['data[2].categoryId', ...]
+     */
+    createContractError: function(name, method, direction, errors) {
+        const summary = errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ');
+        const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+        
+        return {
+            message: this.messages[direction],
+            detail: `${name}.${method} ${direction} does not match the contract: ${summary}${more}`,
+            code: 'CONTRACT_ERROR',
+            type: 'CONTRACT_ERROR',
+            status: 0,
+            statusText: 'contract',
+            data: null,
+            contract: name,
+            method: method,
+            direction: direction,
+            fieldErrors: errors,
+            paths: errors.map(e => e.path)
+        };
+    },
+
+    isContractError: function(error) {
+        return !!error && error.type === 'CONTRACT_ERROR';
+    },
+
+    /**
+     * Convert request-side field errors to { fieldName: message } for VM forms
+     */
+    toFieldErrors: function(error) {
+        const fieldErrors = {};
+        (error.fieldErrors || []).forEach(e => {
+            if (!fieldErrors[e.path]) {
+                fieldErrors[e.path] = `${e.path} ${e.message}`;
+            }
+        });
+        return fieldErrors;
+    },
+
+    /**
+     * Log and broadcast contract drift (error tracking listens for api:contractError)
+     */
+    report: function(contractError) {
+        if (this.config.logToConsole) {
+            console.error('Contract violation:', contractError.detail, contractError.fieldErrors);
+        }
+        
+        window.dispatchEvent(new CustomEvent('api:contractError', {
+            detail: { ...contractError, timestamp: new Date().toISOString() }
+        }));
+    }
+};
+
+// ===== SECTION 4: COMPLETE WORKING EXAMPLES =====
+
+/**
+ * ✅ COMPLETE EXAMPLE: Contract for a service
+ * Define once per service, next to the class, and keep it in sync with the C# DTOs
+ */
+/*
+const ProductSchema = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        price: { type: 'number', minimum: 0 },
+        categoryId: { type: 'integer', nullable: true },
+        modifiedOn: { type: 'string', format: 'date-time' }
+    }
+};
+
+const ProductContract = ServiceContract.define('Product', {
+    getById: { response: ProductSchema },
+    getList: { response: { type: 'array', items: ProductSchema } },
+    save: {
+        request: { ...ProductSchema, required: ['name'], additionalProperties: false },
+        response: { type: 'object', nullable: true, properties: { id: { type: 'integer' } } }
+    }
+});
+
+// In the service method:
+async save(entity) {
+    const cleanEntity = this.cleanEntityData(entity);
+
+    try {
+        ProductContract.validateRequest('save', cleanEntity);
+        const response = await Utils.ajax({ url: '/api/Product/Save', data: cleanEntity });
+        const result = ProductContract.parseResponse('save', response);
+        
+        return { success: result.success, data: result.data, message: result.message || 'Saved' };
+    } catch (error) {
+        if (ServiceContract.isContractError(error)) {
+            // error.paths → ['name', 'price'] - map to form fields; error.detail is for the console
+            return { success: false, errors: ServiceContract.toFieldErrors(error), message: error.message };
+        }
+        throw error;
+    }
+}
+
+// Production: keep the page working, still collect drift reports
+ServiceContract.configure({ responseMode: 'report', logToConsole: false });
+window.addEventListener('api:contractError', (event) => {
+    trackContractDrift(event.detail.contract, event.detail.method, event.detail.paths);
+});
+*/
+
+// Export for global use
+window.SchemaValidator = SchemaValidator;
+window.ResponseEnvelope = ResponseEnvelope;
+window.ServiceContract = ServiceContract;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Validating before cleanEntityData - the cleaned payload is what the server receives
+// 2. Validating the envelope instead of the unwrapped data (write schemas for Data, not Success)
+// 3. Guessing success shapes inline (response === 'S' || response.success) - use ResponseEnvelope
+// 4. Showing error.detail to end users - it contains field paths meant for developers
+// 5. Running 'strict' response mode in production without an api:contractError listener
+// 6. additionalProperties: false on RESPONSE schemas - servers add fields; reserve it for requests
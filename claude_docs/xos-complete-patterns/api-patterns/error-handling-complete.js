@@ -21,7 +21,10 @@ const ErrorTypes = {
     TIMEOUT_ERROR: 'TIMEOUT_ERROR',
     ABORT_ERROR: 'ABORT_ERROR',
     BUSINESS_LOGIC_ERROR: 'BUSINESS_LOGIC_ERROR',
-    RATE_LIMIT_ERROR: 'RATE_LIMIT_ERROR'
+    RATE_LIMIT_ERROR: 'RATE_LIMIT_ERROR',
+    CIRCUIT_OPEN: 'CIRCUIT_OPEN',
+    CONTRACT_ERROR: 'CONTRACT_ERROR',   // Payload/response does not match the service contract
+    CONFLICT_ERROR: 'CONFLICT_ERROR'    // 409/412 - the record changed since it was loaded (If-Match failed)
 };
 
 /**
@@ -41,6 +44,7 @@ const HttpStatusCodes = {
     NOT_FOUND: 404,
     METHOD_NOT_ALLOWED: 405,
     CONFLICT: 409,
+    PRECONDITION_FAILED: 412,
     UNPROCESSABLE_ENTITY: 422,
     TOO_MANY_REQUESTS: 429,
     
@@ -85,6 +89,9 @@ const ErrorClassifier = {
             case HttpStatusCodes.BAD_REQUEST:
             case HttpStatusCodes.UNPROCESSABLE_ENTITY:
                 return ErrorTypes.VALIDATION_ERROR;
+            case HttpStatusCodes.CONFLICT:
+            case HttpStatusCodes.PRECONDITION_FAILED:
+                return ErrorTypes.CONFLICT_ERROR;
             case HttpStatusCodes.TOO_MANY_REQUESTS:
                 return ErrorTypes.RATE_LIMIT_ERROR;
             case HttpStatusCodes.INTERNAL_SERVER_ERROR:
@@ -138,7 +145,10 @@ const ErrorClassifier = {
             [ErrorTypes.RATE_LIMIT_ERROR]: 'Too many requests. Please wait a moment and try again.',
             [ErrorTypes.BUSINESS_LOGIC_ERROR]: 'Operation could not be completed due to business rules.',
             [ErrorTypes.CLIENT_ERROR]: 'Request could not be processed.',
-            [ErrorTypes.ABORT_ERROR]: 'Request was cancelled.'
+            [ErrorTypes.ABORT_ERROR]: 'Request was cancelled.',
+            [ErrorTypes.CIRCUIT_OPEN]: 'This service is temporarily unavailable. Please try again in a moment.',
+            [ErrorTypes.CONTRACT_ERROR]: 'The server returned data in an unexpected format. Please try again later.',
+            [ErrorTypes.CONFLICT_ERROR]: 'This record was changed by someone else. Review their changes before saving again.'
         };
         
         // Try to get specific message from server response
@@ -196,6 +206,8 @@ const GlobalErrorHandler = {
             userMessage: userMessage,
             url: context.url || 'unknown',
             method: context.method || 'unknown',
+            request: context.request || null,   // Serializable descriptor used for replay
+            xhr: xhr,
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent,
             userId: this.getCurrentUserId(),
@@ -203,6 +215,12 @@ const GlobalErrorHandler = {
             context: context
         };
         
+        // ⚠️ CRITICAL: Cancellations are intentional (AbortSignal, superseded search,
+        // component unmount) - never count, track or show them to the user
+        if (errorType === ErrorTypes.ABORT_ERROR) {
+            return errorObj;
+        }
+        
         // Update statistics
         this.updateStats(errorObj);
         
@@ -237,6 +255,9 @@ const GlobalErrorHandler = {
             case ErrorTypes.VALIDATION_ERROR:
                 this.handleValidationError(errorObj);
                 break;
+            case ErrorTypes.CONFLICT_ERROR:
+                this.handleConflictError(errorObj);
+                break;
             case ErrorTypes.RATE_LIMIT_ERROR:
                 this.handleRateLimitError(errorObj);
                 break;
@@ -252,6 +273,12 @@ const GlobalErrorHandler = {
      * Handle authentication errors
      */
     handleAuthenticationError: function(errorObj) {
+        // ApiManager refreshes the token and replays the request itself;
+        // it emits auth:tokenExpired only if that refresh fails
+        if (window.ApiManager && ApiManager.canRefreshToken()) {
+            return;
+        }
+        
         // Clear stored authentication
         localStorage.removeItem('authToken');
         sessionStorage.removeItem('userSession');
@@ -286,25 +313,28 @@ const GlobalErrorHandler = {
      * Handle validation errors
      */
     handleValidationError: function(errorObj) {
-        // Try to extract field-specific errors
-        let fieldErrors = {};
+        // XOS Errors[], ProblemDetails errors{} and ModelState are all understood
+        const validation = ServerValidationErrors.parse(errorObj.xhr);
         
-        try {
-            const response = JSON.parse(errorObj.xhr?.responseText);
-            if (response.Errors && Array.isArray(response.Errors)) {
-                response.Errors.forEach(err => {
-                    if (err.Field) {
-                        fieldErrors[err.Field] = err.Message;
-                    }
-                });
-            }
-        } catch (e) {
-            // No field-specific errors
-        }
+        // Server path → first message (map onto form fields with ServerValidationErrors.map)
+        const fieldErrors = {};
+        validation.fields.forEach(field => {
+            fieldErrors[field.path] = field.messages[0];
+        });
         
         // Emit validation error event with field details
         window.dispatchEvent(new CustomEvent('validation:error', {
-            detail: { ...errorObj, fieldErrors }
+            detail: { ...errorObj, fieldErrors, validation }
+        }));
+    },
+    
+    /**
+     * Handle concurrency conflicts (409/412)
+     * The toast only informs - the form that saved resolves it with ConflictResolver
+     */
+    handleConflictError: function(errorObj) {
+        window.dispatchEvent(new CustomEvent('conflict:error', {
+            detail: { ...errorObj, version: ConflictResolver.getVersion(null, errorObj.xhr) }
         }));
     },
     
@@ -312,9 +342,9 @@ const GlobalErrorHandler = {
      * Handle rate limit errors
      */
     handleRateLimitError: function(errorObj) {
-        // Extract retry-after header if available
-        const retryAfter = errorObj.xhr?.getResponseHeader('Retry-After');
-        const retryDelay = retryAfter ? parseInt(retryAfter) * 1000 : 60000; // Default 1 minute
+        // Extract retry-after header if available (seconds or HTTP-date)
+        const retryAfter = RetryHandler.getRetryAfter(errorObj);
+        const retryDelay = retryAfter !== null ? retryAfter : 60000; // Default 1 minute
         
         // Emit rate limit event
         window.dispatchEvent(new CustomEvent('api:rateLimit', {
@@ -344,8 +374,9 @@ const GlobalErrorHandler = {
      * Handle offline errors
      */
     handleOfflineError: function(errorObj) {
-        // Store failed request for retry when online
-        this.storeFailedRequest(errorObj);
+        // The NETWORK_ERROR recovery strategy queues the request in
+        // ErrorRecoveryManager and replays it on the online event;
+        // mutations sent with { queueOffline } are persisted by MutationOutbox
         
         // Emit offline event
         window.dispatchEvent(new CustomEvent('network:offline', {
@@ -367,6 +398,345 @@ const GlobalErrorHandler = {
     }
 };
 
+/**
+ * ✅ CORRECT: Server validation errors (400/422) → form field errors
+ * Understands every payload shape XOS backends return:
+ * - XOS:            { Success: false, Message, Errors: [{ Field, Message }] }
+ * - ProblemDetails: { title, status: 400, errors: { "Address.City": ["..."] } }
+ * - ModelState:     { Message, ModelState: { "model.Name": ["..."], "": ["..."] } } or the bare dictionary
+ *
+ * ⚠️ CRITICAL: Server paths rarely match form field names exactly ("Name" vs "name",
+ * "dto.Address.City" vs "addressCity") - always go through map(), never index by err.Field
+ */
+const ServerValidationErrors = {
+    // Leading path segments ASP.NET adds (action parameter names, System.Text.Json "$")
+    ignoredPrefixes: ['$', 'model', 'dto', 'request', 'input', 'command', 'entity'],
+    
+    /**
+     * Is this a server-side validation failure?
+     */
+    isValidationError: function(error) {
+        if (!error) return false;
+        return error.type === ErrorTypes.VALIDATION_ERROR ||
+            error.status === HttpStatusCodes.BAD_REQUEST ||
+            error.status === HttpStatusCodes.UNPROCESSABLE_ENTITY;
+    },
+    
+    /**
+     * ✅ CORRECT: Parse any error/xhr/payload into { fields, summary, message }
+     * fields: [{ path: 'Address.City', messages: ['...'] }] - paths exactly as the server sent them
+     * summary: messages without a field (ModelState "" key, Errors without Field)
+     */
+    parse: function(source) {
+        const payload = this.getPayload(source);
+        const result = { fields: [], summary: [], message: '' };
+        
+        if (!payload || typeof payload !== 'object') return result;
+        
+        // Already parsed (e.g. returned by a service as result.validation)
+        if (Array.isArray(payload.fields) && Array.isArray(payload.summary)) return payload;
+        
+        result.message = payload.Message || payload.message || payload.title || '';
+        
+        const addMessages = (path, messages) => {
+            messages = messages.filter(Boolean);
+            if (messages.length === 0) return;
+            
+            const trimmed = String(path || '').trim();
+            if (trimmed === '' || trimmed === '$') {
+                result.summary.push(...messages);
+                return;
+            }
+            
+            const existing = result.fields.find(field => field.path === trimmed);
+            if (existing) {
+                existing.messages.push(...messages);
+            } else {
+                result.fields.push({ path: trimmed, messages: messages });
+            }
+        };
+        
+        const errorList = Array.isArray(payload.Errors) ? payload.Errors : Array.isArray(payload.errors) ? payload.errors : null;
+        
+        if (errorList) {
+            // XOS: Errors: [{ Field, Message }] (FluentValidation: PropertyName/ErrorMessage)
+            errorList.forEach(err => {
+                if (typeof err === 'string') {
+                    addMessages('', [err]);
+                } else if (err) {
+                    addMessages(err.Field || err.field || err.PropertyName || err.propertyName || '',
+                        [err.Message || err.message || err.ErrorMessage || err.errorMessage]);
+                }
+            });
+        } else {
+            const dictionary = payload.ModelState || payload.modelState ||
+                (payload.errors && typeof payload.errors === 'object' ? payload.errors : null) ||
+                (this.isDictionary(payload) ? payload : null);
+            
+            Object.keys(dictionary || {}).forEach(path => {
+                const messages = [].concat(dictionary[path]).map(entry =>
+                    typeof entry === 'string' ? entry : entry && (entry.ErrorMessage || entry.errorMessage || entry.message));
+                addMessages(path, messages);
+            });
+        }
+        
+        return result;
+    },
+    
+    /**
+     * ✅ CORRECT: Map server errors onto known field names
+     * Returns { errors: { fieldName: 'first message' }, summary: [...], message }
+     * Unmatched field errors go to the summary so nothing is silently dropped
+     *
+     * Options:
+     * - aliases: { 'CategoryId': 'selectedCategory' } for server names that differ from the form
+     * - matchLeaf: also try the last path segment ("Items[0].Qty" → "qty"), default false
+     */
+    map: function(source, fieldNames, options = {}) {
+        const parsed = this.parse(source);
+        const index = new Map();
+        
+        fieldNames.forEach(fieldName => {
+            this.fieldKeys(fieldName).forEach(key => {
+                if (!index.has(key)) index.set(key, fieldName);
+            });
+        });
+        
+        Object.keys(options.aliases || {}).forEach(serverPath => {
+            this.fieldKeys(serverPath).forEach(key => index.set(key, options.aliases[serverPath]));
+        });
+        
+        const errors = {};
+        const summary = [...parsed.summary];
+        
+        parsed.fields.forEach(field => {
+            const match = this.candidateKeys(field.path, options.matchLeaf)
+                .map(key => index.get(key))
+                .find(Boolean);
+            
+            if (match) {
+                errors[match] = errors[match] || field.messages[0];
+            } else {
+                summary.push(...field.messages);
+            }
+        });
+        
+        return {
+            errors: errors,
+            summary: summary.filter((message, i) => summary.indexOf(message) === i),
+            message: parsed.message
+        };
+    },
+    
+    /**
+     * Response body from an ApiManager error, jqXHR, { xhr } wrapper or a plain payload
+     */
+    getPayload: function(source) {
+        if (!source || typeof source !== 'object') return null;
+        
+        const xhr = source.xhr || source;
+        if (source.responseJSON) return source.responseJSON;
+        if (xhr.responseJSON) return xhr.responseJSON;
+        
+        if (typeof xhr.responseText === 'string') {
+            try {
+                return JSON.parse(xhr.responseText);
+            } catch (e) {
+                return null;
+            }
+        }
+        
+        return source;
+    },
+    
+    /**
+     * Bare ModelState dictionary: every value is a message or a list of messages
+     */
+    isDictionary: function(payload) {
+        const keys = Object.keys(payload);
+        return keys.length > 0 && keys.every(key => {
+            const value = payload[key];
+            return typeof value === 'string' ||
+                (Array.isArray(value) && value.every(entry => typeof entry === 'string'));
+        });
+    },
+    
+    /**
+     * "dto.Items[0].Qty" → ['items', '0', 'qty'] (case-insensitive, parameter prefix removed)
+     */
+    segments: function(path) {
+        const segments = String(path)
+            .replace(/\[(\w*)\]/g, '.$1')
+            .split('.')
+            .map(segment => segment.trim().toLowerCase())
+            .filter(Boolean);
+        
+        while (segments.length > 1 && this.ignoredPrefixes.includes(segments[0])) {
+            segments.shift();
+        }
+        return segments;
+    },
+    
+    // Keys a form field is known by: "address.city" and "addresscity" (matches addressCity)
+    fieldKeys: function(fieldName) {
+        const segments = this.segments(fieldName);
+        return [segments.join('.'), segments.join('').replace(/[^a-z0-9]/g, '')];
+    },
+    
+    // Most specific first: full path, flattened path, then (optionally) the leaf
+    candidateKeys: function(path, matchLeaf = false) {
+        const segments = this.segments(path);
+        const keys = [segments.join('.'), segments.join('').replace(/[^a-z0-9]/g, '')];
+        
+        if (matchLeaf && segments.length > 1) {
+            keys.push(segments[segments.length - 1]);
+        }
+        return keys;
+    }
+};
+
+// Usage examples:
+/*
+// ProblemDetails from [ApiController]
+// { "title": "One or more validation errors occurred.", "status": 400,
+//   "errors": { "Name": ["The Name field is required."], "Address.City": ["Too long"], "": ["Duplicate order"] } }
+const result = ServerValidationErrors.map(error, ['name', 'addressCity', 'email']);
+// → { errors: { name: 'The Name field is required.', addressCity: 'Too long' }, summary: ['Duplicate order'], ... }
+
+// ViewModel field names that differ from the DTO
+ServerValidationErrors.map(error, Object.keys(model), { aliases: { CategoryId: 'selectedCategory' } });
+*/
+
+/**
+ * ✅ CORRECT: Optimistic concurrency (ETag / rowVersion + If-Match)
+ * - getById keeps the version (ETag header, or rowVersion in the body)
+ * - save/delete send it as If-Match
+ * - 409/412 → fetch the current record, compare() it with the user's values and let
+ *   the user keep theirs, take the server's or merge (XOS.Modal.ConflictModal)
+ *
+ * ⚠️ CRITICAL: Never retry a conflict automatically - that is exactly the silent
+ * overwrite the version check exists to prevent
+ */
+const ConflictResolver = {
+    // Body properties that carry the version when the server sends no ETag header
+    versionFields: ['rowVersion', 'RowVersion', 'version', 'Version', 'concurrencyStamp', 'ConcurrencyStamp'],
+    
+    /**
+     * Is this a concurrency conflict?
+     */
+    isConflict: function(error) {
+        if (!error) return false;
+        return error.type === ErrorTypes.CONFLICT_ERROR ||
+            error.status === HttpStatusCodes.CONFLICT ||
+            error.status === HttpStatusCodes.PRECONDITION_FAILED;
+    },
+    
+    /**
+     * ETag header first, then the version property of the entity
+     * xhr may be a jqXHR or an ApiManager error object ({ etag })
+     */
+    getVersion: function(entity, xhr = null) {
+        let etag = null;
+        if (xhr) {
+            etag = typeof xhr.getResponseHeader === 'function' ? xhr.getResponseHeader('ETag') : xhr.etag;
+        }
+        if (etag) return etag;
+        
+        if (entity && typeof entity === 'object') {
+            const field = this.versionFields.find(name => entity[name] !== undefined && entity[name] !== null);
+            if (field) return String(entity[field]);
+        }
+        return null;
+    },
+    
+    /**
+     * If-Match header for a version - ETags stay as they are, rowVersion values are quoted
+     */
+    toHeaders: function(version, headers = {}) {
+        if (!version) return headers;
+        
+        const value = /^(W\/)?".*"$/.test(version) ? version : `"${version}"`;
+        return { ...headers, 'If-Match': value };
+    },
+    
+    /**
+     * Field-by-field comparison of the loaded (base), edited (mine) and current server (theirs) values
+     * Returns only the fields where mine and theirs differ
+     */
+    compare: function(base, mine, theirs, fields = null) {
+        base = base || {};
+        mine = mine || {};
+        theirs = theirs || {};
+        const names = fields || Array.from(new Set([...Object.keys(mine), ...Object.keys(theirs)]))
+            .filter(name => !this.versionFields.includes(name));
+        
+        return names
+            .filter(name => !this.isEqual(mine[name], theirs[name]))
+            .map(name => {
+                const changedByMe = !this.isEqual(base[name], mine[name]);
+                const changedByThem = !this.isEqual(base[name], theirs[name]);
+                
+                return {
+                    field: name,
+                    base: base[name],
+                    mine: mine[name],
+                    theirs: theirs[name],
+                    changedByMe: changedByMe,
+                    changedByThem: changedByThem,
+                    // Both sides edited the same field - the user has to pick
+                    conflicting: changedByMe && changedByThem,
+                    // Default choice: keep my edits, take theirs everywhere else
+                    suggested: changedByMe ? 'mine' : 'theirs'
+                };
+            });
+    },
+    
+    /**
+     * Merged values: theirs + the fields where the user chose 'mine'
+     * choices: { field: 'mine' | 'theirs' } - missing fields use the suggestion
+     */
+    merge: function(theirs, rows, choices = {}) {
+        const merged = { ...(theirs || {}) };
+        rows.forEach(row => {
+            const choice = choices[row.field] || row.suggested;
+            merged[row.field] = choice === 'mine' ? row.mine : row.theirs;
+        });
+        return merged;
+    },
+    
+    // '' / null / undefined are the same empty value; numbers and numeric strings match (select values)
+    isEqual: function(a, b) {
+        const empty = value => value === '' || value === null || value === undefined;
+        if (empty(a) && empty(b)) return true;
+        if (empty(a) || empty(b)) return false;
+        if (typeof a === 'object' || typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return String(a) === String(b);
+    }
+};
+
+// Usage examples:
+/*
+// Load: keep the version
+const result = await userService.getById(id);   // { success, data, version: '"AAAAAAAAB9E="' }
+
+// Save: If-Match + conflict result
+const saved = await userService.save(entity, { version: result.version });
+if (saved.conflict) {
+    // { base, mine, theirs, version } - theirs/version are the CURRENT server record
+    const resolution = await XOS.Modal.ConflictModal.resolve(saved.conflict);
+    if (resolution && resolution.strategy !== 'theirs') {
+        await userService.save(resolution.data, { version: saved.conflict.version });
+    }
+}
+
+// Without the modal
+const rows = ConflictResolver.compare(loaded, edited, current);
+// → [{ field: 'email', mine: 'a@x.com', theirs: 'b@x.com', changedByMe: true, changedByThem: true, conflicting: true }]
+const merged = ConflictResolver.merge(current, rows, { email: 'theirs' });
+*/
+
 // ===== SECTION 4: USER NOTIFICATION SYSTEM =====
 
 /**
@@ -611,15 +981,103 @@ const NotificationManager = {
 
 // ===== SECTION 5: RETRY MECHANISM =====
 
+/**
+ * ✅ CORRECT: Backoff jitter strategies
+ * Jitter spreads retries out so clients don't retry in lockstep after an outage
+ * 💡 TIP: Opt in per call with executeWithRetry({ jitter }) - the default NONE keeps the plain exponential delays
+ */
+const JitterStrategy = {
+    NONE: 'none',                   // Pure exponential backoff
+    FULL: 'full',                   // random(0, backoff)
+    EQUAL: 'equal',                 // backoff/2 + random(0, backoff/2)
+    DECORRELATED: 'decorrelated'    // random(baseDelay, previousDelay * 3)
+};
+
+/**
+ * ✅ CORRECT: Global retry budget
+ * Caps retries to a percentage of recent traffic so a failing backend
+ * never receives more than (1 + ratio) times the normal load
+ * Shared by executeWithRetry, ErrorRecoveryManager.scheduleRetry (ApiManager's recover option)
+ * and ApiManager.request, which records every first attempt it sends
+ */
+const RetryBudget = {
+    config: {
+        ratio: 0.2,              // Retries may add at most 20% on top of requests
+        minRetriesPerWindow: 10, // Always allow a few retries on quiet pages
+        windowMs: 10000          // Sliding window for counting traffic
+    },
+    
+    requests: [],   // Timestamps of first attempts
+    retries: [],    // Timestamps of retries
+    untrackedDepth: 0, // > 0 while executeWithRetry runs requestFn - it counts those attempts itself
+    
+    configure: function(options = {}) {
+        this.config = { ...this.config, ...options };
+    },
+    
+    prune: function() {
+        const cutoff = Date.now() - this.config.windowMs;
+        this.requests = this.requests.filter(time => time > cutoff);
+        this.retries = this.retries.filter(time => time > cutoff);
+    },
+    
+    recordRequest: function() {
+        if (this.untrackedDepth > 0) return;
+        this.requests.push(Date.now());
+    },
+    
+    /**
+     * Run fn without recording the requests it starts (ApiManager calls inside executeWithRetry)
+     */
+    untracked: function(fn) {
+        this.untrackedDepth++;
+        try {
+            return fn();
+        } finally {
+            this.untrackedDepth--;
+        }
+    },
+    
+    /**
+     * Reserve one retry; returns false when the budget is spent
+     */
+    tryAcquire: function() {
+        this.prune();
+        
+        const allowed = this.config.minRetriesPerWindow + this.requests.length * this.config.ratio;
+        if (this.retries.length >= allowed) {
+            return false;
+        }
+        
+        this.retries.push(Date.now());
+        return true;
+    },
+    
+    getStats: function() {
+        this.prune();
+        return {
+            requests: this.requests.length,
+            retries: this.retries.length,
+            remaining: Math.max(0, Math.floor(
+                this.config.minRetriesPerWindow + this.requests.length * this.config.ratio - this.retries.length
+            ))
+        };
+    }
+};
+
 /**
  * ✅ CORRECT: Request retry handler
  */
 const RetryHandler = {
-    // Active retry operations
+    // Active retry operations (retryId → { attemptCount, nextAttemptAt, error, timer, reject })
     activeRetries: new Map(),
     
+    // Subscribers notified whenever activeRetries changes
+    listeners: new Set(),
+    
     /**
      * Execute request with retry logic
+     * The returned promise exposes retryId for cancelRetry(promise.retryId)
      */
     executeWithRetry: function(requestFn, options = {}) {
         const config = {
@@ -627,6 +1085,10 @@ const RetryHandler = {
             delay: options.delay || 1000,
             backoffMultiplier: options.backoffMultiplier || 2,
             maxDelay: options.maxDelay || 30000,
+            jitter: options.jitter || JitterStrategy.NONE,
+            respectRetryAfter: options.respectRetryAfter !== false,
+            maxRetryAfter: options.maxRetryAfter || 120000, // Give up if the server asks for longer
+            useBudget: options.useBudget !== false,
             shouldRetry: options.shouldRetry || this.defaultShouldRetry.bind(this),
             onRetry: options.onRetry || null,
             ...options
@@ -634,56 +1096,162 @@ const RetryHandler = {
         
         const retryId = this.generateRetryId();
         
-        return new Promise((resolve, reject) => {
+        const promise = new Promise((resolve, reject) => {
             let attemptCount = 0;
+            let previousDelay = config.delay;
+            
+            const fail = (error) => {
+                this.removeRetry(retryId);
+                reject(error);
+            };
             
             const attempt = () => {
                 attemptCount++;
                 
-                requestFn()
-                    .then(resolve)
+                // Cancelled while waiting for the timer
+                if (attemptCount > 1 && !this.activeRetries.has(retryId)) {
+                    return;
+                }
+                
+                if (attemptCount === 1) {
+                    RetryBudget.recordRequest();
+                }
+                
+                // Fail fast while the endpoint's circuit is open
+                if (config.circuitUrl && !CircuitBreaker.acquire(config.circuitUrl)) {
+                    fail(CircuitBreaker.createOpenError(config.circuitUrl));
+                    return;
+                }
+                
+                // Retries must not count as new traffic when requestFn goes through ApiManager
+                RetryBudget.untracked(requestFn)
+                    .then(response => {
+                        if (config.circuitUrl) CircuitBreaker.recordSuccess(config.circuitUrl);
+                        this.removeRetry(retryId);
+                        resolve(response);
+                    })
                     .catch(error => {
+                        if (config.circuitUrl) CircuitBreaker.recordResult(config.circuitUrl, error);
+
+                        // Cancelled while this attempt was in flight - the caller already got the abort
+                        if (!this.activeRetries.has(retryId)) {
+                            return;
+                        }
+
                         if (attemptCount >= config.maxAttempts) {
-                            this.activeRetries.delete(retryId);
-                            reject(error);
+                            fail(error);
                             return;
                         }
                         
                         if (!config.shouldRetry(error, attemptCount)) {
-                            this.activeRetries.delete(retryId);
-                            reject(error);
+                            fail(error);
                             return;
                         }
                         
-                        const delay = Math.min(
-                            config.delay * Math.pow(config.backoffMultiplier, attemptCount - 1),
-                            config.maxDelay
-                        );
+                        let delay = this.computeDelay(config, attemptCount, previousDelay);
+                        
+                        // Server told us when to come back - honor it
+                        const retryAfter = config.respectRetryAfter ? this.getRetryAfter(error) : null;
+                        if (retryAfter !== null) {
+                            if (retryAfter > config.maxRetryAfter) {
+                                fail(error);
+                                return;
+                            }
+                            delay = Math.max(delay, retryAfter);
+                        }
+                        
+                        // ⚠️ CRITICAL: Budget spent - backend is struggling, stop adding load
+                        if (config.useBudget && !RetryBudget.tryAcquire()) {
+                            fail(error);
+                            return;
+                        }
+                        
+                        previousDelay = delay;
                         
                         // Call retry callback
                         if (config.onRetry) {
                             config.onRetry(error, attemptCount, delay);
                         }
                         
-                        // Store retry info
-                        this.activeRetries.set(retryId, {
+                        // Store retry info (timer kept so cancel really stops it)
+                        this.setRetry(retryId, {
                             attemptCount,
                             nextAttemptAt: new Date(Date.now() + delay),
-                            error
+                            error,
+                            timer: setTimeout(attempt, delay),
+                            reject: reject
                         });
-                        
-                        setTimeout(attempt, delay);
                     });
             };
             
+            // Registered up front so cancelRetry works before the first failure
+            this.setRetry(retryId, { attemptCount: 0, nextAttemptAt: null, error: null, timer: null, reject: reject });
             attempt();
         });
+        
+        promise.retryId = retryId;
+        return promise;
+    },
+    
+    /**
+     * Backoff delay for the next attempt with the configured jitter
+     */
+    computeDelay: function(config, attemptCount, previousDelay) {
+        const backoff = Math.min(
+            config.delay * Math.pow(config.backoffMultiplier, attemptCount - 1),
+            config.maxDelay
+        );
+        
+        switch (config.jitter) {
+            case JitterStrategy.FULL:
+                return Math.round(Math.random() * backoff);
+            case JitterStrategy.EQUAL:
+                return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+            case JitterStrategy.DECORRELATED: {
+                const upper = Math.max(config.delay, previousDelay * 3);
+                return Math.round(Math.min(config.maxDelay, config.delay + Math.random() * (upper - config.delay)));
+            }
+            case JitterStrategy.NONE:
+            default:
+                return backoff;
+        }
+    },
+    
+    /**
+     * Retry-After in milliseconds from an error (ApiManager error or errorObj with xhr)
+     */
+    getRetryAfter: function(error) {
+        const header = error.retryAfter || (error.xhr && error.xhr.getResponseHeader
+            ? error.xhr.getResponseHeader('Retry-After')
+            : null);
+        return this.parseRetryAfter(header);
+    },
+    
+    /**
+     * ✅ CORRECT: Parse Retry-After in both forms
+     * "120" (seconds) or "Wed, 21 Oct 2026 07:28:00 GMT" (HTTP-date)
+     */
+    parseRetryAfter: function(value) {
+        if (value === null || value === undefined || value === '') return null;
+        
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10) * 1000;
+        }
+        
+        const date = Date.parse(text);
+        if (isNaN(date)) return null;
+        
+        return Math.max(0, date - Date.now());
     },
     
     /**
      * Default retry condition
      */
     defaultShouldRetry: function(error, attemptCount) {
+        // ⚠️ CRITICAL: Never hammer an endpoint whose circuit is open
+        if (error.type === ErrorTypes.CIRCUIT_OPEN) return false;
+        
         if (!error.status) return false; // Network error, retry
         
         // Retry on server errors and rate limits
@@ -697,14 +1265,387 @@ const RetryHandler = {
         return 'retry_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     },
     
+    /**
+     * ✅ CORRECT: Subscribe to retry changes (returns unsubscribe function)
+     * Listener receives a snapshot: [{ retryId, attemptCount, nextAttemptAt, error }]
+     */
+    subscribe: function(listener) {
+        this.listeners.add(listener);
+        listener(this.getActiveRetries());
+        
+        return () => {
+            this.listeners.delete(listener);
+        };
+    },
+    
+    getActiveRetries: function() {
+        return Array.from(this.activeRetries.entries())
+            .filter(([, info]) => info.attemptCount > 0)
+            .map(([retryId, info]) => ({
+                retryId: retryId,
+                attemptCount: info.attemptCount,
+                nextAttemptAt: info.nextAttemptAt,
+                error: info.error
+            }));
+    },
+    
+    setRetry: function(retryId, info) {
+        this.activeRetries.set(retryId, info);
+        this.notify();
+    },
+    
+    removeRetry: function(retryId) {
+        if (this.activeRetries.delete(retryId)) {
+            this.notify();
+        }
+    },
+    
+    notify: function() {
+        const snapshot = this.getActiveRetries();
+        this.listeners.forEach(listener => listener(snapshot));
+    },
+    
+    /**
+     * Cancel one retry operation - stops its timer and rejects its promise
+     */
+    cancelRetry: function(retryId) {
+        const info = this.activeRetries.get(retryId);
+        if (!info) return false;
+        
+        if (info.timer) {
+            clearTimeout(info.timer);
+        }
+        this.removeRetry(retryId);
+        
+        info.reject({
+            message: 'Retry was cancelled',
+            code: ErrorTypes.ABORT_ERROR,
+            type: ErrorTypes.ABORT_ERROR,
+            status: 0,
+            statusText: 'abort'
+        });
+        return true;
+    },
+    
     /**
      * Cancel all retries
      */
     cancelAllRetries: function() {
-        this.activeRetries.clear();
+        Array.from(this.activeRetries.keys()).forEach(retryId => this.cancelRetry(retryId));
     }
 };
 
+// Usage examples:
+/*
+// Decorrelated jitter for a flaky report endpoint
+const pending = RetryHandler.executeWithRetry(() => ApiManager.get('/reports/summary'), {
+    maxAttempts: 5,
+    jitter: JitterStrategy.DECORRELATED
+});
+
+// Show "retrying in 4s..." and a cancel button
+const unsubscribe = RetryHandler.subscribe(retries => renderRetryBanner(retries));
+RetryHandler.cancelRetry(pending.retryId);
+
+// Stricter budget for mobile clients
+RetryBudget.configure({ ratio: 0.1, minRetriesPerWindow: 5 });
+*/
+
+/**
+ * ✅ CORRECT: Circuit breaker states
+ */
+const CircuitState = {
+    CLOSED: 'closed',        // Requests flow normally
+    OPEN: 'open',            // Requests fail fast with CIRCUIT_OPEN
+    HALF_OPEN: 'half-open'   // Cool-down over - a few trial requests decide
+};
+
+/**
+ * ✅ CORRECT: Circuit breaker per endpoint
+ * Keyed by a registered URL pattern, otherwise by path prefix (/api/orders/42 → /api/orders);
+ * other origins by host. Used by ApiManager.request (every request) and
+ * RetryHandler.executeWithRetry ({ circuitUrl } option).
+ */
+const CircuitBreaker = {
+    // Defaults for every circuit
+    defaults: {
+        failureRateThreshold: 0.5,   // Open when ≥ 50% of recent requests failed
+        minimumRequests: 10,         // ...and at least this many were recorded
+        windowSize: 20,              // Number of recent outcomes kept
+        coolDownMs: 30000,           // Time in OPEN before trial requests
+        halfOpenMaxRequests: 1,      // Concurrent trial requests in HALF_OPEN
+        successesToClose: 2          // Successful trials needed to close again
+    },
+    
+    // Path segments in the default key: /api/orders/42/lines → /api/orders
+    keyDepth: 2,
+    
+    // Registered URL patterns: { pattern, key, options }
+    rules: [],
+    
+    // key → circuit
+    circuits: new Map(),
+    
+    /**
+     * Register a URL pattern with its own key and thresholds
+     */
+    configure: function(pattern, options = {}) {
+        this.rules.push({
+            pattern: pattern,
+            key: options.key || String(pattern),
+            options: options
+        });
+    },
+    
+    /**
+     * Resolve circuit key for a URL
+     */
+    resolveKey: function(url) {
+        const rule = this.findRule(url);
+        if (rule) return rule.key;
+        
+        try {
+            const parsed = new URL(url, window.location.origin);
+            
+            // ⚠️ CRITICAL: Never one circuit for the whole same-origin API - a single failing endpoint
+            // would make every call fail fast. Another origin (a third-party API) shares one by host
+            if (parsed.origin !== window.location.origin) {
+                return parsed.host;
+            }
+            
+            const segments = parsed.pathname.split('/').filter(Boolean).slice(0, this.keyDepth);
+            return '/' + segments.join('/');
+        } catch (e) {
+            return 'default';
+        }
+    },
+    
+    findRule: function(url) {
+        return this.rules.find(rule => rule.pattern instanceof RegExp
+            ? rule.pattern.test(url)
+            : url.indexOf(rule.pattern) !== -1) || null;
+    },
+    
+    /**
+     * Get (or create) the circuit for a URL
+     */
+    getCircuit: function(url) {
+        const key = this.resolveKey(url);
+        
+        if (!this.circuits.has(key)) {
+            const rule = this.findRule(url);
+            this.circuits.set(key, {
+                key: key,
+                state: CircuitState.CLOSED,
+                outcomes: [],              // true = success, false = failure
+                openedAt: null,
+                halfOpenInFlight: 0,
+                halfOpenSuccesses: 0,
+                options: { ...this.defaults, ...(rule ? rule.options : {}) }
+            });
+        }
+        
+        return this.circuits.get(key);
+    },
+    
+    /**
+     * ✅ CORRECT: Ask permission before sending a request
+     * Returns false while the circuit is open (caller must fail fast)
+     */
+    acquire: function(url) {
+        const circuit = this.getCircuit(url);
+        
+        if (circuit.state === CircuitState.OPEN) {
+            if (Date.now() - circuit.openedAt < circuit.options.coolDownMs) {
+                return false;
+            }
+            this.transition(circuit, CircuitState.HALF_OPEN);
+        }
+        
+        if (circuit.state === CircuitState.HALF_OPEN) {
+            if (circuit.halfOpenInFlight >= circuit.options.halfOpenMaxRequests) {
+                return false;
+            }
+            circuit.halfOpenInFlight++;
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Release a trial slot without recording an outcome (e.g. aborted request)
+     */
+    release: function(url) {
+        const circuit = this.getCircuit(url);
+        if (circuit.state === CircuitState.HALF_OPEN && circuit.halfOpenInFlight > 0) {
+            circuit.halfOpenInFlight--;
+        }
+    },
+    
+    /**
+     * Record outcome from an error object - only server-side failures count
+     */
+    recordResult: function(url, error) {
+        if (error && (error.type === ErrorTypes.ABORT_ERROR || error.statusText === 'abort')) {
+            this.release(url);
+        } else if (this.isBreakerFailure(error)) {
+            this.recordFailure(url);
+        } else {
+            // 4xx means the server is up and answering
+            this.recordSuccess(url);
+        }
+    },
+    
+    isBreakerFailure: function(error) {
+        if (!error) return false;
+        if (error.type === ErrorTypes.NETWORK_ERROR || error.type === ErrorTypes.TIMEOUT_ERROR) return true;
+        return [500, 502, 503, 504].includes(error.status) || (error.status === 0 && error.statusText !== 'abort');
+    },
+    
+    recordSuccess: function(url) {
+        const circuit = this.getCircuit(url);
+        
+        if (circuit.state === CircuitState.HALF_OPEN) {
+            circuit.halfOpenInFlight = Math.max(0, circuit.halfOpenInFlight - 1);
+            circuit.halfOpenSuccesses++;
+            if (circuit.halfOpenSuccesses >= circuit.options.successesToClose) {
+                this.transition(circuit, CircuitState.CLOSED);
+            }
+            return;
+        }
+        
+        this.pushOutcome(circuit, true);
+    },
+    
+    recordFailure: function(url) {
+        const circuit = this.getCircuit(url);
+        
+        // A failed trial re-opens immediately for another cool-down
+        if (circuit.state === CircuitState.HALF_OPEN) {
+            circuit.halfOpenInFlight = Math.max(0, circuit.halfOpenInFlight - 1);
+            this.transition(circuit, CircuitState.OPEN);
+            return;
+        }
+        
+        this.pushOutcome(circuit, false);
+        
+        if (circuit.state === CircuitState.CLOSED && this.shouldOpen(circuit)) {
+            this.transition(circuit, CircuitState.OPEN);
+        }
+    },
+    
+    pushOutcome: function(circuit, success) {
+        circuit.outcomes.push(success);
+        if (circuit.outcomes.length > circuit.options.windowSize) {
+            circuit.outcomes.shift();
+        }
+    },
+    
+    getFailureRate: function(circuit) {
+        if (circuit.outcomes.length === 0) return 0;
+        const failures = circuit.outcomes.filter(outcome => !outcome).length;
+        return failures / circuit.outcomes.length;
+    },
+    
+    shouldOpen: function(circuit) {
+        return circuit.outcomes.length >= circuit.options.minimumRequests &&
+            this.getFailureRate(circuit) >= circuit.options.failureRateThreshold;
+    },
+    
+    /**
+     * Change state and emit api:circuitStateChange (like api:serverError)
+     */
+    transition: function(circuit, newState) {
+        const previousState = circuit.state;
+        if (previousState === newState) return;
+        
+        const failureRate = this.getFailureRate(circuit);
+        
+        circuit.state = newState;
+        circuit.halfOpenInFlight = 0;
+        circuit.halfOpenSuccesses = 0;
+        
+        if (newState === CircuitState.OPEN) {
+            circuit.openedAt = Date.now();
+        } else if (newState === CircuitState.CLOSED) {
+            circuit.openedAt = null;
+            circuit.outcomes = [];
+        }
+        
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('api:circuitStateChange', {
+                detail: {
+                    key: circuit.key,
+                    from: previousState,
+                    to: newState,
+                    failureRate: failureRate,
+                    retryAt: newState === CircuitState.OPEN
+                        ? new Date(circuit.openedAt + circuit.options.coolDownMs)
+                        : null,
+                    timestamp: new Date()
+                }
+            }));
+        }
+    },
+    
+    /**
+     * ✅ CORRECT: Typed error returned while the circuit is open
+     */
+    createOpenError: function(url, requestDescriptor = null) {
+        const circuit = this.getCircuit(url);
+        const remainingMs = circuit.openedAt
+            ? Math.max(0, circuit.openedAt + circuit.options.coolDownMs - Date.now())
+            : 0;
+        
+        return {
+            message: ErrorClassifier.getUserFriendlyMessage(ErrorTypes.CIRCUIT_OPEN),
+            code: ErrorTypes.CIRCUIT_OPEN,
+            type: ErrorTypes.CIRCUIT_OPEN,
+            status: 0,
+            statusText: 'circuit open',
+            data: null,
+            retryAfter: Math.ceil(remainingMs / 1000),
+            circuit: circuit.key,
+            request: requestDescriptor,
+            originalError: null
+        };
+    },
+    
+    /**
+     * Current state for a URL (for status pages / debugging)
+     */
+    getState: function(url) {
+        return this.getCircuit(url).state;
+    },
+    
+    /**
+     * Force a circuit closed (e.g. after an ops "service restored" message)
+     */
+    reset: function(url) {
+        this.transition(this.getCircuit(url), CircuitState.CLOSED);
+    }
+};
+
+// Usage examples:
+/*
+// Reports are slow and flaky - separate circuit, more tolerant thresholds
+CircuitBreaker.configure(/\/api\/reports\//, { key: 'reports', failureRateThreshold: 0.7, coolDownMs: 60000 });
+
+// Default keys: '/api/orders' for /api/orders/42 and /api/orders?status=open, 'maps.example.com' for
+// https://maps.example.com/geocode. A whole host on one circuit only when asked for:
+CircuitBreaker.configure('/api/legacy/', { key: 'legacy-backend' });
+
+// Raw request function: RetryHandler gates and records it
+RetryHandler.executeWithRetry(() => loadDashboardTiles(), { circuitUrl: '/api/dashboard/tiles' });
+
+// Banner while a circuit is open
+window.addEventListener('api:circuitStateChange', (event) => {
+    if (event.detail.to === CircuitState.OPEN) {
+        NotificationManager.showWarning('Some data is temporarily unavailable.');
+    }
+});
+*/
+
 // ===== SECTION 6: ERROR RECOVERY STRATEGIES =====
 
 /**
@@ -754,6 +1695,11 @@ const ErrorRecoveryManager = {
     scheduleRetry: function(errorObj, delay = 5000) {
         const requestId = this.generateRequestId();
         
+        // ⚠️ CRITICAL: Same budget as executeWithRetry - a failing backend gets no extra recovery load
+        if (!RetryBudget.tryAcquire()) {
+            return Promise.reject(errorObj);
+        }
+        
         return new Promise((resolve, reject) => {
             setTimeout(() => {
                 // Re-execute original request
@@ -766,26 +1712,49 @@ const ErrorRecoveryManager = {
     
     /**
      * Retry failed request
+     * Re-executes the serializable descriptor captured by ApiManager.request
+     * or ErrorHandlingSystem (ajaxError settings)
      */
     retryRequest: function(errorObj) {
-        // This would need to be implemented based on your specific request mechanism
-        // For example, using ApiManager to retry the original request
-        return Promise.reject(new Error('Retry not implemented'));
+        const descriptor = errorObj.request;
+        
+        if (!descriptor || !descriptor.replayable) {
+            return Promise.reject(new Error('Request cannot be replayed'));
+        }
+        
+        // ⚠️ CRITICAL: Never replay non-idempotent requests automatically
+        if (!descriptor.idempotent) {
+            return Promise.reject(new Error('Non-idempotent request was not replayed'));
+        }
+        
+        return ApiManager.replay(descriptor);
     },
     
     /**
      * Store failed request for later retry
+     * Pass a deferred ({ resolve, reject }) to settle the caller's promise on replay
      */
-    storeFailedRequest: function(errorObj) {
+    storeFailedRequest: function(errorObj, deferred = null) {
         const requestId = this.generateRequestId();
         this.failedRequests.set(requestId, {
             ...errorObj,
             storedAt: new Date(),
-            retryCount: 0
+            retryCount: 0,
+            deferred: deferred
         });
         return requestId;
     },
     
+    /**
+     * Queue request until the connection is back
+     * Resolves with the replayed response from retryAllFailedRequests
+     */
+    waitForReconnect: function(errorObj) {
+        return new Promise((resolve, reject) => {
+            this.storeFailedRequest(errorObj, { resolve, reject });
+        });
+    },
+    
     /**
      * Retry all failed requests
      */
@@ -794,13 +1763,17 @@ const ErrorRecoveryManager = {
         
         this.failedRequests.forEach((request, requestId) => {
             const promise = this.retryRequest(request)
-                .then(() => {
+                .then(response => {
                     this.failedRequests.delete(requestId);
+                    if (request.deferred) request.deferred.resolve(response);
                 })
                 .catch(error => {
                     request.retryCount++;
-                    if (request.retryCount >= 3) {
+                    
+                    // Replay impossible or out of attempts: give the caller the error
+                    if (request.retryCount >= 3 || !request.request || !request.request.idempotent) {
                         this.failedRequests.delete(requestId);
+                        if (request.deferred) request.deferred.reject(error);
                     }
                 });
             
@@ -844,14 +1817,26 @@ class ErrorHandlingSystem {
     
     setupGlobalHandlers() {
         // Global Ajax error handler
+        // jQuery passes thrownError 'abort' for cancelled requests - keep that status
+        // so ErrorClassifier reports ABORT_ERROR instead of NETWORK_ERROR (both are status 0)
         $(document).ajaxError((event, xhr, settings, error) => {
-            this.handleAjaxError(xhr, 'error', error, {
+            const status = xhr.statusText === 'abort' || error === 'abort' ? 'abort' : 'error';
+            this.handleAjaxError(xhr, status, error, {
                 url: settings.url,
                 method: settings.type,
-                data: settings.data
+                data: settings.data,
+                request: ApiManager.describeRequest(settings),
+                // ApiManager settles its own requests (recover: true replays them) - never recover them twice
+                recoveredByApiManager: !!settings.apiManagerRequestId
             });
         });
         
+        // Contract drift reported by ServiceContract - track it for developers;
+        // the service already returned a failure result for the ViewModel to show
+        window.addEventListener('api:contractError', (event) => {
+            GlobalErrorHandler.trackError({ ...event.detail, type: ErrorTypes.CONTRACT_ERROR });
+        });
+        
         // Window error handler
         window.addEventListener('error', (event) => {
             this.handleJavaScriptError(event);
@@ -865,21 +1850,24 @@ class ErrorHandlingSystem {
     
     setupRecoveryStrategies() {
         // Authentication error recovery
+        // ⚠️ CRITICAL: Use the single-flight refresh so concurrent 401s share one call
         ErrorRecoveryManager.registerStrategy(ErrorTypes.AUTHENTICATION_ERROR, (errorObj) => {
-            return AuthApi.refreshToken().catch(() => {
-                window.location.href = '/login';
-            });
+            return ApiManager.refreshAuthToken();
         });
         
         // Network error recovery
         ErrorRecoveryManager.registerStrategy(ErrorTypes.NETWORK_ERROR, (errorObj) => {
+            // Offline: wait for the online event instead of polling
+            if (!navigator.onLine) {
+                return ErrorRecoveryManager.waitForReconnect(errorObj);
+            }
             return ErrorRecoveryManager.scheduleRetry(errorObj, 5000);
         });
         
         // Rate limit recovery
         ErrorRecoveryManager.registerStrategy(ErrorTypes.RATE_LIMIT_ERROR, (errorObj) => {
-            const retryAfter = errorObj.xhr?.getResponseHeader('Retry-After');
-            const delay = retryAfter ? parseInt(retryAfter) * 1000 : 60000;
+            const retryAfter = RetryHandler.getRetryAfter(errorObj);
+            const delay = retryAfter !== null ? retryAfter : 60000;
             return ErrorRecoveryManager.scheduleRetry(errorObj, delay);
         });
     }
@@ -913,6 +1901,10 @@ class ErrorHandlingSystem {
     handleAjaxError(xhr, status, error, context) {
         const errorObj = GlobalErrorHandler.handleError(xhr, status, error, context);
         
+        if (context.recoveredByApiManager || errorObj.type === ErrorTypes.ABORT_ERROR) {
+            return;
+        }
+        
         // Attempt recovery
         ErrorRecoveryManager.recover(errorObj).catch(() => {
             // Recovery failed, show final error to user
@@ -933,11 +1925,16 @@ class ErrorHandlingSystem {
     }
     
     handleUnhandledRejection(event) {
-        console.error('Unhandled Promise Rejection:', event.reason);
-        
         // Prevent default browser behavior
         event.preventDefault();
         
+        // A cancelled request nobody awaited is not a failure
+        if (ApiManager.isAbortError(event.reason)) {
+            return;
+        }
+        
+        console.error('Unhandled Promise Rejection:', event.reason);
+        
         // Show user notification for critical failures
         NotificationManager.showError('An unexpected error occurred. Please refresh the page if problems persist.');
     }
@@ -950,6 +1947,16 @@ const errorHandlingSystem = new ErrorHandlingSystem();
 window.ErrorHandlingSystem = errorHandlingSystem;
 window.NotificationManager = NotificationManager;
 window.GlobalErrorHandler = GlobalErrorHandler;
+window.ErrorTypes = ErrorTypes;
+window.ErrorClassifier = ErrorClassifier;
+window.ServerValidationErrors = ServerValidationErrors;
+window.ConflictResolver = ConflictResolver;
+window.ErrorRecoveryManager = ErrorRecoveryManager;
+window.CircuitBreaker = CircuitBreaker;
+window.RetryHandler = RetryHandler;
+window.RetryBudget = RetryBudget;
+window.JitterStrategy = JitterStrategy;
+window.CircuitState = CircuitState;
 
 // ❌ COMMON MISTAKES TO AVOID:
 // 1. Not categorizing errors properly for appropriate handling
@@ -961,4 +1968,10 @@ window.GlobalErrorHandler = GlobalErrorHandler;
 // 7. Not providing recovery mechanisms for failed requests
 // 8. Missing user feedback for error states
 // 9. Not handling different types of network errors appropriately
-// 10. Forgetting to clean up error handlers and notifications
\ No newline at end of file
+// 10. Forgetting to clean up error handlers and notifications
+// 11. Retrying against an endpoint that is already down for everyone (use the circuit breaker)
+// 12. Backoff without jitter for many clients - pass jitter: JitterStrategy.FULL so they don't retry at the same instant
+// 13. Ignoring Retry-After, or parsing only the seconds form and not HTTP-dates
+// 14. Treating cancelled requests (ABORT_ERROR, status 0) as network failures - no toast, no retry
+// 15. Indexing server errors by err.Field directly - names differ in case and nesting, use ServerValidationErrors.map
+// 16. Saving without If-Match, or retrying a 409/412 - both silently overwrite another user's changes
\ No newline at end of file
@@ -202,6 +202,14 @@ const ProgressManager = {
         
         const progressId = options.id || `progress_${Date.now()}`;
         
+        // ⚠️ CRITICAL: A finished bar may still be fading out of this container -
+        // it no longer owns it, and its hide() must not hide the new bar
+        this.bars.forEach((bar, id) => {
+            if (bar.container === container) this.bars.delete(id);
+        });
+        container.style.display = '';
+        container.style.opacity = '';
+        
         const progressHTML = `
             <div class="progress-container ${options.containerClass || ''}">
                 ${options.label ? `<div class="progress-label">${options.label}</div>` : ''}
@@ -289,6 +297,7 @@ const ProgressManager = {
         if (progress) {
             progress.container.style.opacity = '0';
             setTimeout(() => {
+                if (this.bars.get(progressId) !== progress) return;
                 progress.container.style.display = 'none';
                 this.bars.delete(progressId);
             }, 300);
@@ -473,8 +482,13 @@ const SkeletonLoader = {
 
 /**
  * ✅ CORRECT: Data table loading
+ * ⚠️ CRITICAL: Virtual tables (inside .xos-virtual-scroll, see frontend/virtual-scroll-complete.js)
+ * keep their rows - the virtual renderer repaints the tbody on every scroll, so they are
+ * dimmed and marked aria-busy instead of being replaced by skeleton rows
  */
 const TableLoader = {
+    originalRows: new WeakMap(),   // tbody → detached rows, restored by hideLoading()
+    
     showLoading: function(tableSelector, rowCount = 5) {
         const table = document.querySelector(tableSelector);
         if (!table) return;
@@ -482,10 +496,23 @@ const TableLoader = {
         const tbody = table.querySelector('tbody');
         if (!tbody) return;
         
+        table.setAttribute('aria-busy', 'true');
+        table.classList.add('table-loading');
+        
+        if (table.closest('.xos-virtual-scroll')) return;
+        
         const headerCells = table.querySelectorAll('thead th').length;
         
-        // Store original content
-        tbody.setAttribute('data-original-content', tbody.innerHTML);
+        // 🔥 PERFORMANCE: Move the original rows out instead of copying innerHTML -
+        // a 10k-row table would be serialized into an attribute and re-parsed,
+        // losing row data and event handlers on the way back
+        if (!this.originalRows.has(tbody)) {
+            const fragment = document.createDocumentFragment();
+            while (tbody.firstChild) {
+                fragment.appendChild(tbody.firstChild);
+            }
+            this.originalRows.set(tbody, fragment);
+        }
         
         // Generate loading rows
         const loadingRows = Array(rowCount).fill().map(() => {
@@ -496,7 +523,6 @@ const TableLoader = {
         }).join('');
         
         tbody.innerHTML = loadingRows;
-        table.classList.add('table-loading');
     },
     
     hideLoading: function(tableSelector) {
@@ -506,12 +532,14 @@ const TableLoader = {
         const tbody = table.querySelector('tbody');
         if (!tbody) return;
         
-        const originalContent = tbody.getAttribute('data-original-content');
-        if (originalContent) {
-            tbody.innerHTML = originalContent;
-            tbody.removeAttribute('data-original-content');
+        const originalRows = this.originalRows.get(tbody);
+        if (originalRows) {
+            tbody.innerHTML = '';
+            tbody.appendChild(originalRows);
+            this.originalRows.delete(tbody);
         }
         
+        table.removeAttribute('aria-busy');
         table.classList.remove('table-loading');
     },
     
@@ -537,12 +565,16 @@ const TableLoader = {
 
 /**
  * ✅ CORRECT: File upload loading
+ * startUpload() queues the file in UploadManager (integration/upload-manager-complete.js) and mirrors
+ * its progress next to the input - the upload tray shows the same file with pause/resume/retry
+ * options: UploadManager.upload options (url, fields, resumable, onComplete, onError, ...)
  */
 const FileUploadLoader = {
     uploads: new Map(),
     
-    startUpload: function(fileInputId, file) {
-        const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    startUpload: function(fileInputId, file, options = {}) {
+        const promise = UploadManager.upload(file, options);
+        const uploadId = promise.uploadId;
         
         const progressHTML = `
             <div class="file-upload-progress" data-upload-id="${uploadId}">
@@ -576,16 +608,62 @@ const FileUploadLoader = {
         this.uploads.set(uploadId, {
             element: uploadElement,
             file: file,
-            cancelled: false
+            cancelled: false,
+            promise: promise,
+            status: null,
+            unsubscribe: UploadManager.subscribe(() => this.syncUpload(uploadId))
         });
         
         // Add cancel handler
         const cancelBtn = uploadElement.querySelector('.cancel-upload');
         cancelBtn.addEventListener('click', () => this.cancelUpload(uploadId));
         
+        this.syncUpload(uploadId);
         return uploadId;
     },
     
+    /**
+     * Mirror the UploadManager item - status changes are applied once, progress every time
+     */
+    syncUpload: function(uploadId) {
+        const upload = this.uploads.get(uploadId);
+        if (!upload || upload.cancelled) return;
+        
+        const item = UploadManager.get(uploadId);
+        if (!item || item.status === 'cancelled') {
+            this.removeUpload(uploadId);
+            return;
+        }
+        
+        const previousStatus = upload.status;
+        upload.status = item.status;
+        
+        // Retried from the tray
+        if (previousStatus === 'failed' && item.status !== 'failed') {
+            this.resetUpload(uploadId);
+        }
+        
+        const statusText = upload.element.querySelector('.status-text');
+        
+        switch (item.status) {
+            case 'queued':
+                statusText.textContent = 'Waiting...';
+                break;
+            case 'paused':
+                statusText.textContent = 'Paused';
+                break;
+            case 'uploading':
+                this.updateProgress(uploadId, item.loaded, item.total, item.speed || null);
+                break;
+            case 'completed':
+                if (previousStatus !== 'completed') this.completeUpload(uploadId, item.result);
+                break;
+            case 'failed':
+                if (previousStatus !== 'failed') this.errorUpload(uploadId, item.error);
+                break;
+        }
+    },
+    
     updateProgress: function(uploadId, loaded, total, speed = null) {
         const upload = this.uploads.get(uploadId);
         if (!upload || upload.cancelled) return;
@@ -650,11 +728,25 @@ const FileUploadLoader = {
         upload.element.querySelector('.file-info').appendChild(errorIcon);
     },
     
+    resetUpload: function(uploadId) {
+        const upload = this.uploads.get(uploadId);
+        if (!upload) return;
+        
+        const statusText = upload.element.querySelector('.status-text');
+        const errorIcon = upload.element.querySelector('.file-info .bi-exclamation-circle');
+        
+        upload.element.querySelector('.progress-bar').classList.remove('bg-danger');
+        statusText.classList.remove('text-danger');
+        upload.element.querySelector('.cancel-upload').innerHTML = '<i class="bi bi-x"></i>';
+        if (errorIcon) errorIcon.remove();
+    },
+    
     cancelUpload: function(uploadId) {
         const upload = this.uploads.get(uploadId);
         if (!upload) return;
         
         upload.cancelled = true;
+        UploadManager.cancel(uploadId);
         this.removeUpload(uploadId);
         
         // Emit cancel event
@@ -665,6 +757,9 @@ const FileUploadLoader = {
     
     removeUpload: function(uploadId) {
         const upload = this.uploads.get(uploadId);
+        if (upload && upload.unsubscribe) {
+            upload.unsubscribe();
+        }
         if (upload && upload.element) {
             upload.element.remove();
         }
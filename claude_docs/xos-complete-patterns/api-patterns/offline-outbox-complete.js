@@ -0,0 +1,644 @@
+// ===== OFFLINE OUTBOX COMPLETE PATTERNS =====
+// This file contains EVERY offline mutation outbox pattern for XOS Framework
+// Follow IndexedDB persistence and ordered replay patterns EXACTLY
+
+// ⚠️ CRITICAL: The outbox only stores MUTATIONS (POST/PUT/PATCH/DELETE) that failed
+// because the client was offline. Reads are never queued - they are simply retried.
+
+// ===== SECTION 1: OUTBOX STORAGE (INDEXEDDB) =====
+
+/**
+ * ✅ CORRECT: IndexedDB store for queued mutations
+ * Auto-increment IDs keep entries in the order they were created
+ */
+const OutboxStore = {
+    dbName: 'xos-outbox',
+    storeName: 'mutations',
+    version: 1,
+    dbPromise: null,
+
+    /**
+     * Open (and create/upgrade) the database once
+     */
+    open: function() {
+        if (this.dbPromise) return this.dbPromise;
+        
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, this.version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('status', 'status', { unique: false });
+                    store.createIndex('entity', 'entity', { unique: false });
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Allow a later retry if opening failed (private mode, blocked upgrade, ...)
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        
+        return this.dbPromise;
+    },
+
+    /**
+     * Run one operation in a transaction and resolve when it commits
+     */
+    run: function(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    },
+
+    add: function(entry) {
+        return this.run('readwrite', store => store.add(entry));
+    },
+
+    put: function(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    },
+
+    get: function(id) {
+        return this.run('readonly', store => store.get(id));
+    },
+
+    remove: function(id) {
+        return this.run('readwrite', store => store.delete(id));
+    },
+
+    // Ordered by key = creation order
+    getAll: function() {
+        return this.run('readonly', store => store.getAll());
+    },
+
+    clear: function() {
+        return this.run('readwrite', store => store.clear());
+    }
+};
+
+// ===== SECTION 2: MUTATION OUTBOX =====
+
+/**
+ * ✅ CORRECT: Outbox entry statuses
+ */
+const OutboxStatus = {
+    PENDING: 'pending',     // Waiting to be replayed
+    CONFLICT: 'conflict',   // Server answered 409/412 - needs a user decision
+    FAILED: 'failed'        // Server rejected it (400/403/404/422) - will not be retried
+};
+
+/**
+ * ✅ CORRECT: Mutation outbox
+ * Persists offline mutations, replays them in order on "online",
+ * and exposes observable state for sync indicators
+ */
+const MutationOutbox = {
+    // Methods that may be queued
+    MUTATION_METHODS: ['POST', 'PUT', 'PATCH', 'DELETE'],
+
+    // HTTP statuses treated as concurrency conflicts
+    CONFLICT_STATUSES: [409, 412],
+
+    // Transient failures retry on a timer: 2s, 4s, 8s ... up to 5 minutes (Retry-After wins)
+    retryDelay: { base: 2000, max: 300000 },
+
+    // Observable state
+    state: {
+        pendingCount: 0,
+        conflictCount: 0,
+        failedCount: 0,
+        blockedCount: 0,        // Pending entries held back by a conflicted/failed entry with the same key
+        isSyncing: false,
+        nextRetryAt: null,
+        lastError: null,
+        lastSyncedAt: null
+    },
+
+    listeners: new Set(),
+
+    initialized: false,
+    retryTimer: null,
+    retryAttempt: 0,
+    replayAgain: false,     // replay()/enqueue() during a sync - run another pass when it ends
+
+    /**
+     * ✅ CORRECT: Initialize once at application start
+     */
+    init: function() {
+        if (this.initialized) return Promise.resolve(this.getState());
+        this.initialized = true;
+        
+        // Replay as soon as the connection comes back
+        window.addEventListener('online', () => {
+            this.replay();
+        });
+        
+        return this.refreshState().then(() => {
+            // Entries left over from a previous session
+            if (navigator.onLine && this.state.pendingCount > 0) {
+                this.replay();
+            }
+            return this.getState();
+        });
+    },
+
+    /**
+     * Should this failed request go to the outbox?
+     */
+    shouldQueue: function(errorObj) {
+        const descriptor = errorObj && errorObj.request;
+        if (!descriptor || !descriptor.replayable) return false;
+        if (!this.MUTATION_METHODS.includes(descriptor.method)) return false;
+        
+        return this.isOffline(errorObj);
+    },
+
+    /**
+     * Offline = browser says so, or the request never reached the server
+     * (CIRCUIT_OPEN, aborts and timeouts are NOT offline)
+     */
+    isOffline: function(error) {
+        if (!navigator.onLine) return true;
+        return !!error && error.type === 'NETWORK_ERROR';
+    },
+
+    /**
+     * ✅ CORRECT: Persist a mutation
+     * @param {Object} descriptor - from ApiManager.describeRequest
+     * @param {Object|boolean} meta - { entity, key, operation, label } for display and conflict handling.
+     *   key orders the replay: an entry never syncs past a conflicted/failed entry with the same key
+     *   (default: entity - pass '[EntityName]:42' to block only that record)
+     * @returns {Promise<{ queued: true, outboxId: number }>}
+     */
+    enqueue: function(descriptor, meta = {}) {
+        const details = meta === true ? {} : meta;
+        const idempotencyKey = this.generateIdempotencyKey();
+        
+        const entry = {
+            request: {
+                ...descriptor,
+                // 🛡️ SECURITY: Lets the server drop a replay it has already applied
+                headers: { ...descriptor.headers, 'Idempotency-Key': idempotencyKey }
+            },
+            entity: details.entity || null,
+            key: details.key || details.entity || `${descriptor.method} ${descriptor.url}`,
+            operation: details.operation || descriptor.method.toLowerCase(),
+            label: details.label || `${descriptor.method} ${descriptor.url}`,
+            status: OutboxStatus.PENDING,
+            attempts: 0,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        };
+        
+        return OutboxStore.add(entry).then(id => {
+            // ⚠️ CRITICAL: The running pass read the entries before this one existed
+            if (this.state.isSyncing) this.replayAgain = true;
+            
+            this.emit('outbox:queued', { id: id, entity: entry.entity, operation: entry.operation });
+            return this.refreshState().then(() => this.createQueuedResponse(id));
+        });
+    },
+
+    /**
+     * Response handed to callers whose mutation was queued
+     */
+    createQueuedResponse: function(outboxId) {
+        return {
+            queued: true,
+            outboxId: outboxId,
+            message: 'You are offline. The change was saved and will sync when the connection returns.'
+        };
+    },
+
+    /**
+     * Get a copy of the current state
+     */
+    getState: function() {
+        return { ...this.state };
+    },
+
+    /**
+     * ✅ CORRECT: Subscribe to state changes (returns unsubscribe function)
+     */
+    subscribe: function(listener) {
+        this.listeners.add(listener);
+        listener(this.getState());
+        
+        return () => {
+            this.listeners.delete(listener);
+        };
+    },
+
+    setState: function(changes) {
+        this.state = { ...this.state, ...changes };
+        
+        const snapshot = this.getState();
+        this.listeners.forEach(listener => {
+            try {
+                listener(snapshot);
+            } catch (e) {
+                console.error('Outbox listener failed:', e);
+            }
+        });
+        
+        this.emit('outbox:changed', snapshot);
+    },
+
+    /**
+     * Recount entries from IndexedDB
+     */
+    refreshState: function() {
+        return OutboxStore.getAll()
+            .then(entries => {
+                this.setState({
+                    pendingCount: entries.filter(e => e.status === OutboxStatus.PENDING).length,
+                    conflictCount: entries.filter(e => e.status === OutboxStatus.CONFLICT).length,
+                    failedCount: entries.filter(e => e.status === OutboxStatus.FAILED).length,
+                    blockedCount: this.getBlockedEntries(entries).length
+                });
+            })
+            .catch(error => {
+                console.error('Failed to read outbox:', error);
+            });
+    },
+
+    /**
+     * List entries (e.g. for a "pending changes" panel)
+     */
+    getEntries: function(status = null) {
+        return OutboxStore.getAll().then(entries =>
+            status ? entries.filter(e => e.status === status) : entries
+        );
+    },
+
+    /**
+     * Replay order key - entries stored before keys existed fall back to entity, then URL
+     */
+    getEntryKey: function(entry) {
+        return entry.key || entry.entity || `${entry.request.method} ${entry.request.url}`;
+    },
+
+    /**
+     * Pending entries queued after a conflicted/failed entry with the same key (entries are in creation order)
+     */
+    getBlockedEntries: function(entries) {
+        const blockedKeys = new Set();
+        
+        return entries.filter(entry => {
+            const key = this.getEntryKey(entry);
+            if (entry.status !== OutboxStatus.PENDING) {
+                blockedKeys.add(key);
+                return false;
+            }
+            return blockedKeys.has(key);
+        });
+    },
+
+    emit: function(eventName, detail) {
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent(eventName, { detail: detail }));
+        }
+    },
+
+    generateIdempotencyKey: function() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'idem_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+};
+
+// ===== SECTION 3: REPLAY AND CONFLICT DETECTION =====
+
+/**
+ * ✅ CORRECT: Replay pending entries strictly in creation order
+ * - Stops at the first transient failure so later changes never overtake earlier ones,
+ *   and tries again on a backoff timer
+ * - ⚠️ CRITICAL: A conflicted/failed entry holds back later entries with the same key -
+ *   they would apply an edit on top of a change the server never got. They sync once it is resolved
+ * - Entries queued while a pass runs get another pass when it ends
+ */
+MutationOutbox.replay = function() {
+    if (this.state.isSyncing) {
+        this.replayAgain = true;
+        return Promise.resolve(this.getState());
+    }
+    
+    if (!navigator.onLine) {
+        // The "online" listener replays
+        return Promise.resolve(this.getState());
+    }
+
+    this.cancelRetry();
+    this.replayAgain = false;
+    this.setState({ isSyncing: true });
+    
+    let stopped = false;
+
+    return OutboxStore.getAll()
+        .then(entries => {
+            const blockedKeys = new Set();
+            
+            // Sequential chain - never Promise.all here
+            return entries.reduce((chain, entry) => chain.then(() => {
+                if (stopped) return;
+                
+                const key = this.getEntryKey(entry);
+                if (entry.status !== OutboxStatus.PENDING) {
+                    blockedKeys.add(key);
+                    return;
+                }
+                if (blockedKeys.has(key)) return;
+                
+                return this.replayEntry(entry).then(outcome => {
+                    if (outcome === 'stop') stopped = true;
+                    if (outcome === 'blocked') blockedKeys.add(key);
+                });
+            }), Promise.resolve());
+        })
+        .catch(error => {
+            console.error('Outbox replay failed:', error);
+        })
+        .then(() => this.refreshState())
+        .then(() => {
+            this.setState({ isSyncing: false });
+            
+            if (stopped) {
+                this.scheduleRetry(this.state.lastError ? this.state.lastError.retryAfter : null);
+                return this.getState();
+            }
+            
+            this.retryAttempt = 0;
+            return this.replayAgain ? this.replay() : this.getState();
+        });
+};
+
+/**
+ * Replay one entry
+ * @returns {Promise<'next'|'blocked'|'stop'>} blocked = conflict/failed, later entries with its key wait
+ */
+MutationOutbox.replayEntry = function(entry) {
+    return ApiManager.replay(entry.request)
+        .then(response => {
+            return OutboxStore.remove(entry.id).then(() => {
+                this.retryAttempt = 0;
+                this.setState({ lastSyncedAt: new Date().toISOString() });
+                this.emit('outbox:synced', { id: entry.id, entity: entry.entity, operation: entry.operation, response: response });
+                return 'next';
+            });
+        })
+        .catch(error => {
+            const lastError = {
+                status: error.status,
+                message: error.message || 'Sync failed',
+                retryAfter: typeof RetryHandler !== 'undefined' ? RetryHandler.getRetryAfter(error) : null,
+                at: new Date().toISOString()
+            };
+            const updated = { ...entry, attempts: entry.attempts + 1, lastError: lastError };
+            
+            this.setState({ lastError: { ...lastError, entryId: entry.id, label: entry.label } });
+            
+            // ⚠️ CRITICAL: 409/412 - someone else changed the record; park it for the user
+            if (this.CONFLICT_STATUSES.includes(error.status)) {
+                updated.status = OutboxStatus.CONFLICT;
+                updated.serverData = error.data || null;
+                return OutboxStore.put(updated).then(() => {
+                    this.emit('outbox:conflict', { entry: updated, error: error });
+                    return 'blocked';
+                });
+            }
+            
+            // Transient: offline again, server down, rate limited - keep order, try later
+            if (this.isOffline(error) || error.status >= 500 || error.status === 429 || error.status === 401) {
+                return OutboxStore.put(updated).then(() => 'stop');
+            }
+            
+            // Permanent rejection (validation, forbidden, not found)
+            updated.status = OutboxStatus.FAILED;
+            return OutboxStore.put(updated).then(() => {
+                this.emit('outbox:failed', { entry: updated, error: error });
+                return 'blocked';
+            });
+        });
+};
+
+/**
+ * ✅ CORRECT: Try again after a transient failure - exponential backoff, or the server's Retry-After
+ * Offline needs no timer: the "online" listener replays
+ */
+MutationOutbox.scheduleRetry = function(retryAfter = null) {
+    this.cancelRetry();
+    
+    this.retryAttempt++;
+    const backoff = Math.min(this.retryDelay.max, this.retryDelay.base * Math.pow(2, this.retryAttempt - 1));
+    const delay = retryAfter !== null ? retryAfter : backoff;
+    
+    this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.setState({ nextRetryAt: null });
+        this.replay();
+    }, delay);
+    
+    this.setState({ nextRetryAt: new Date(Date.now() + delay).toISOString() });
+};
+
+MutationOutbox.cancelRetry = function() {
+    if (!this.retryTimer) return;
+    
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.setState({ nextRetryAt: null });
+};
+
+/**
+ * ✅ CORRECT: Resolve a conflicted or failed entry
+ * @param {number} id - outbox entry ID
+ * @param {'retry'|'discard'} action
+ * @param {Object} body - optional replacement body (e.g. merged data with the new row version)
+ */
+MutationOutbox.resolveEntry = function(id, action, body = undefined) {
+    return OutboxStore.get(id).then(entry => {
+        if (!entry) return this.getState();
+        
+        const done = action === 'discard'
+            ? OutboxStore.remove(id)
+            : OutboxStore.put({
+                ...entry,
+                status: OutboxStatus.PENDING,
+                request: body !== undefined ? { ...entry.request, body: body } : entry.request
+            });
+        
+        // Replay after a discard too - entries held back by this one can sync now
+        return done
+            .then(() => this.refreshState())
+            .then(() => this.replay());
+    });
+};
+
+/**
+ * ✅ CORRECT: Drop everything (e.g. on logout - never sync another user's changes)
+ */
+MutationOutbox.clear = function() {
+    this.cancelRetry();
+    this.retryAttempt = 0;
+    
+    return OutboxStore.clear().then(() => {
+        this.setState({ lastError: null });
+        return this.refreshState();
+    });
+};
+
+// ===== SECTION 4: INTEGRATION PATTERNS =====
+
+/**
+ * ✅ CORRECT: ApiManager opt-in
+ * Mutations passed { queueOffline } are persisted instead of rejected when offline;
+ * the caller's promise resolves with { queued: true, outboxId }
+ */
+/*
+const result = await ApiManager.post('/[EntityName]/Save', entity, {
+    queueOffline: { entity: '[EntityName]', key: `[EntityName]:${entity.id || 'new'}`, operation: 'save', label: `Save ${entity.name}` }
+});
+
+if (result.queued) {
+    NotificationManager.showInfo(result.message);
+}
+*/
+
+/**
+ * ✅ CORRECT: Sync indicator built on NotificationManager
+ * Shows "3 changes waiting to sync" while entries are pending
+ */
+const OutboxIndicator = {
+    notificationId: null,
+    lastText: null,
+
+    init: function() {
+        MutationOutbox.subscribe(state => this.render(state));
+        
+        window.addEventListener('outbox:conflict', (event) => {
+            NotificationManager.showWarning(
+                `"${event.detail.entry.label}" was changed by someone else and was not synced.`,
+                { duration: 0 }
+            );
+        });
+    },
+
+    render: function(state) {
+        const text = this.getText(state);
+        if (text === this.lastText) return;
+        this.lastText = text;
+        
+        if (this.notificationId) {
+            NotificationManager.hide(this.notificationId);
+            this.notificationId = null;
+        }
+        
+        if (!text) return;
+        
+        this.notificationId = NotificationManager.showInfo(text, {
+            duration: 0,
+            closeable: false,
+            actions: navigator.onLine && !state.isSyncing
+                ? [{ text: 'Sync now', handler: () => MutationOutbox.replay() }]
+                : []
+        });
+    },
+
+    getText: function(state) {
+        if (state.isSyncing) return 'Syncing changes...';
+        if (state.pendingCount === 0) return null;
+        
+        const noun = state.pendingCount === 1 ? 'change' : 'changes';
+        const blocked = state.blockedCount ? ` (${state.blockedCount} held back by a conflict)` : '';
+        return `${state.pendingCount} ${noun} waiting to sync${blocked}`;
+    }
+};
+
+/**
+ * ✅ CORRECT: Inline spinner with LoadingManager while syncing
+ */
+function bindOutboxToLoadingManager(containerSelector = '#outboxStatus') {
+    MutationOutbox.subscribe(state => {
+        if (state.isSyncing && !LoadingManager.isLoading('outbox-sync')) {
+            LoadingManager.show('outbox-sync', {
+                type: 'inline',
+                element: containerSelector,
+                text: 'Syncing offline changes...',
+                preventInteraction: false,
+                timeout: 0
+            });
+        } else if (!state.isSyncing && LoadingManager.isLoading('outbox-sync')) {
+            LoadingManager.hide('outbox-sync');
+        }
+    });
+}
+
+// ===== SECTION 5: COMPLETE WORKING EXAMPLES =====
+
+/**
+ * ✅ COMPLETE EXAMPLE: Pending-changes count in a ViewModel
+ */
+/*
+onLoad() {
+    this.unsubscribeOutbox = MutationOutbox.subscribe(state => {
+        const model = this.Data;
+        model.pendingChanges = state.pendingCount;
+        model.syncConflicts = state.conflictCount;
+        this.updateUI();
+    });
+}
+
+onClosing() {
+    if (this.unsubscribeOutbox) this.unsubscribeOutbox();
+    return true;
+}
+
+// Conflict panel: keep mine (retry with the server's row version) or take theirs
+async keepMine(entry) {
+    const merged = { ...entry.request.body, rowVersion: entry.serverData.rowVersion };
+    await MutationOutbox.resolveEntry(entry.id, 'retry', merged);
+}
+
+async takeTheirs(entry) {
+    await MutationOutbox.resolveEntry(entry.id, 'discard');
+    await this.loadList();
+}
+*/
+
+// Initialize on application start
+$(document).ready(function() {
+    MutationOutbox.init().then(() => OutboxIndicator.init());
+});
+
+// Export for global use
+window.MutationOutbox = MutationOutbox;
+window.OutboxStatus = OutboxStatus;
+window.OutboxIndicator = OutboxIndicator;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Queuing reads (XOS GetList/Search POSTs) - only queue real mutations
+// 2. Replaying entries in parallel - later changes can overtake earlier ones
+// 3. Retrying 409/412 automatically - conflicts need a user decision
+// 4. Storing FormData/Blob bodies - they cannot be persisted, upload when online
+// 5. Forgetting an Idempotency-Key - a replay after a lost response duplicates data
+// 6. Keeping the outbox after logout - the next user would sync someone else's changes
+// 7. Showing "Saved" for queued changes - tell the user the change is waiting to sync
+// 8. Syncing a later edit of a record past its conflict - it would overwrite what the user has not decided yet
+// 9. Waiting for the next "online" event after a 503 - the browser never went offline, retry on a timer
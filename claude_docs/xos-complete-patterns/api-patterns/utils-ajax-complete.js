@@ -354,56 +354,138 @@ function autocompleteAjaxExample() {
 /**
  * ✅ CORRECT: Ajax for infinite scroll/pagination
  * Use this for loading more data as user scrolls
+ * - load(page, pageSize) returns a Promise of { items, hasMore }
+ * - loadMore() is safe to call on every scroll event (one request at a time)
+ * - reset() starts over from page 1 (new search/sort) and ignores pages still in flight
+ *
+ * ⚠️ CRITICAL: A page requested before reset() must never be appended to the new list -
+ * every response is checked against the generation it was requested for
  */
-function infiniteScrollAjaxExample() {
-    let currentPage = 1;
-    let isLoading = false;
-    let hasMoreData = true;
+class InfiniteScrollLoader {
+    constructor(options = {}) {
+        this.load = options.load || ((page, pageSize) => InfiniteScrollLoader.ajaxPage(options, page, pageSize));
+        this.pageSize = options.pageSize || 20;
+        this.onItems = options.onItems || (() => {});          // (items, page, result) - page 1 replaces the list
+        this.onError = options.onError || (() => {});
+        this.onLoadingChange = options.onLoadingChange || (() => {});
+
+        this.currentPage = options.startPage || 1;
+        this.isLoading = false;
+        this.hasMoreData = true;
+        this.generation = 0;
+    }
 
-    function loadMoreData() {
-        if (isLoading || !hasMoreData) return;
-        
-        isLoading = true;
-        showLoadingIndicator();
+    loadMore() {
+        if (this.isLoading || !this.hasMoreData) return Promise.resolve(false);
+
+        const generation = this.generation;
+        const page = this.currentPage;
+        this.setLoading(true);
+
+        return Promise.resolve(this.load(page, this.pageSize))
+            .then(result => {
+                if (generation !== this.generation) return false;   // reset() while loading
+
+                const items = (result && result.items) || [];
+                this.hasMoreData = Boolean(result && result.hasMore) && items.length > 0;
+                this.currentPage = page + 1;
+                this.setLoading(false);
+                this.onItems(items, page, result);
+                return true;
+            })
+            .catch(error => {
+                if (generation !== this.generation) return false;
+
+                // hasMoreData stays true - the next scroll retries the same page
+                this.setLoading(false);
+                this.onError(error, page);
+                return false;
+            });
+    }
 
-        Utils.ajax({
-            url: '/api/users',
-            method: 'GET',
-            data: {
-                page: currentPage,
-                pageSize: 20
-            },
-            success: function(response) {
-                isLoading = false;
-                hideLoadingIndicator();
-                
-                if (response && response.Success) {
-                    appendUsers(response.Data.Items);
-                    
-                    // Check if there's more data
-                    hasMoreData = response.Data.HasNextPage;
-                    currentPage++;
-                } else {
-                    showErrorMessage('Failed to load more data');
+    /**
+     * Start over - pass { page, hasMore } when page 1 was already loaded elsewhere
+     */
+    reset(state = {}) {
+        this.generation++;
+        this.currentPage = state.page || 1;
+        this.hasMoreData = state.hasMore !== undefined ? state.hasMore : true;
+        this.setLoading(false);
+    }
+
+    /**
+     * Near the end of the loaded rows? (remaining = rows below the viewport)
+     */
+    shouldLoad(remaining, threshold = this.pageSize / 2) {
+        return !this.isLoading && this.hasMoreData && remaining <= threshold;
+    }
+
+    setLoading(isLoading) {
+        if (this.isLoading === isLoading) return;
+        this.isLoading = isLoading;
+        this.onLoadingChange(isLoading);
+    }
+
+    // Default loader: the XOS list response ({ Success, Data: { Items, HasNextPage } })
+    static ajaxPage(options, page, pageSize) {
+        return new Promise((resolve, reject) => {
+            const params = typeof options.data === 'function' ? options.data() : (options.data || {});
+
+            Utils.ajax({
+                url: options.url,
+                method: options.method || 'GET',
+                data: { ...params, page: page, pageSize: pageSize },
+                success: function(response) {
+                    if (response && response.Success) {
+                        resolve({ items: response.Data.Items, hasMore: response.Data.HasNextPage });
+                    } else {
+                        reject(new Error((response && response.Message) || 'Failed to load more data'));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    reject(new Error(error || 'Failed to load more data'));
                 }
-            },
-            error: function(xhr, status, error) {
-                isLoading = false;
-                hideLoadingIndicator();
-                showErrorMessage('Failed to load more data');
-            }
+            });
         });
     }
+}
+
+// Export for global use (xosDataTable infinite: true, ViewModels)
+window.InfiniteScrollLoader = InfiniteScrollLoader;
+
+/**
+ * ✅ CORRECT: Infinite scroll on the whole page (window scroll)
+ */
+function infiniteScrollAjaxExample() {
+    const loader = new InfiniteScrollLoader({
+        url: '/api/users',
+        pageSize: 20,
+        onItems: function(items) {
+            appendUsers(items);
+        },
+        onError: function() {
+            showErrorMessage('Failed to load more data');
+        },
+        onLoadingChange: function(isLoading) {
+            if (isLoading) {
+                showLoadingIndicator();
+            } else {
+                hideLoadingIndicator();
+            }
+        }
+    });
 
     // Scroll event listener
+    // 💡 TIP: For 10k+ rows render through VirtualTable (frontend/virtual-scroll-complete.js)
+    // and call loader.loadMore() from its onRangeChange instead of appending to the page
     window.addEventListener('scroll', function() {
         if ((window.innerHeight + window.scrollY) >= document.body.offsetHeight - 1000) {
-            loadMoreData();
+            loader.loadMore();
         }
     });
 
     // Initial load
-    loadMoreData();
+    loader.loadMore();
 }
 
 /**
@@ -518,6 +600,12 @@ function comprehensiveErrorHandlingExample() {
                 responseText: xhr.responseText
             });
 
+            // ⚠️ CRITICAL: Aborted requests also report status 0 - check before the switch
+            // so a cancelled search never shows "Network connection failed"
+            if (status === 'abort') {
+                return;
+            }
+
             // Handle different types of errors
             switch (xhr.status) {
                 case 0:
@@ -550,9 +638,6 @@ function comprehensiveErrorHandlingExample() {
                 default:
                     if (status === 'timeout') {
                         showErrorMessage('Request timed out. Please try again.');
-                    } else if (status === 'abort') {
-                        // Request was aborted - usually not an error to display
-                        console.log('Request was aborted');
                     } else {
                         showErrorMessage('An unexpected error occurred. Please try again.');
                     }
@@ -616,7 +701,9 @@ function setupGlobalAjaxDefaults() {
             'X-CSRF-TOKEN': $('meta[name="csrf-token"]').attr('content')
         },
         timeout: 30000, // 30 second default timeout
-        cache: false // Disable caching for data requests
+        cache: false // Disable browser caching for data requests
+        // 💡 TIP: Use ApiManager's opt-in "cache" policy for app-level caching
+        // with TTL, ETag revalidation and tag invalidation
     });
 
     // Global Ajax event handlers
@@ -669,6 +756,21 @@ class AjaxQueue {
         });
     }
 
+    /**
+     * ✅ CORRECT: Any promise-returning task in the same concurrency slots
+     * Use for work that is more than one Utils.ajax call (hash + upload + retry of a file chunk)
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                task: task,
+                resolve: resolve,
+                reject: reject
+            });
+            this.processQueue();
+        });
+    }
+
     processQueue() {
         if (this.active.length >= this.maxConcurrent || this.queue.length === 0) {
             return;
@@ -677,6 +779,17 @@ class AjaxQueue {
         const request = this.queue.shift();
         this.active.push(request);
 
+        if (request.task) {
+            Promise.resolve()
+                .then(() => request.task())
+                .then(request.resolve, request.reject)
+                .then(() => {
+                    this.removeFromActive(request);
+                    this.processQueue();
+                });
+            return;
+        }
+
         // Add completion handler
         const originalSuccess = request.config.success;
         const originalError = request.config.error;
@@ -944,4 +1057,5 @@ userManager.createUser({
 // 7. Not debouncing search requests
 // 8. Memory leaks from not cancelling requests
 // 9. Not handling different HTTP status codes appropriately
-// 10. Using synchronous Ajax requests (blocking UI)
\ No newline at end of file
+// 10. Using synchronous Ajax requests (blocking UI)
+// 11. Appending an infinite-scroll page that was requested before a new search - use InfiniteScrollLoader.reset()
\ No newline at end of file
@@ -0,0 +1,324 @@
+// ===== CHANGE TRACKING COMPLETE PATTERNS =====
+// This file contains EVERY form change tracking pattern for XOS Framework
+// Follow the snapshot → record → diff flow EXACTLY - ViewModels rely on it for undo/redo and PATCH saves
+
+// ⚠️ CRITICAL: The tracker never owns the form state. It reads and writes the
+// ViewModel's Data object, so the component's input handlers stay unchanged
+// (model[e.name] = e.value; this.VM.updateUI()).
+
+// ===== SECTION 1: CHANGE TRACKER =====
+
+/**
+ * ✅ CORRECT: Field-level change tracking with undo/redo
+ * - snapshot(data)   after loading an entity (baseline for diff/dirty)
+ * - record(data)     after every change (the ViewModel calls it from updateUI)
+ * - getChanges(data) changed fields only → PATCH payload
+ * - undo(data) / redo(data) write values back into Data
+ *
+ * 💡 TIP: Typing in one field is coalesced into one undo step (coalesceMs),
+ * so Ctrl+Z removes the last edit, not the last character
+ */
+class ChangeTracker {
+    constructor(fields, options = {}) {
+        this.fields = fields;
+        this.maxHistory = options.maxHistory || 100;
+        this.coalesceMs = options.coalesceMs !== undefined ? options.coalesceMs : 1000;
+
+        this.original = {};    // Baseline from snapshot()
+        this.current = {};     // Last recorded state
+        this.undoStack = [];   // [{ before: { field: value }, after: { field: value }, time }]
+        this.redoStack = [];
+    }
+
+    /**
+     * ⚠️ CRITICAL: Set the baseline (after loadEntity, save, clearForm)
+     * Clears the history - undo never goes back past a loaded or saved record
+     */
+    snapshot(data) {
+        this.original = this.capture(data);
+        this.current = this.capture(data);
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record changes since the last call - returns the changed field names
+     */
+    record(data) {
+        const next = this.capture(data);
+        const changed = this.fields.filter(field => !ChangeTracker.isEqual(this.current[field], next[field]));
+
+        if (changed.length === 0) return [];
+
+        const before = {};
+        const after = {};
+        changed.forEach(field => {
+            before[field] = this.current[field];
+            after[field] = next[field];
+        });
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        const now = Date.now();
+
+        if (last && this.canCoalesce(last, changed, now)) {
+            // Same field edited again quickly: extend the last step
+            Object.assign(last.after, after);
+            last.time = now;
+        } else {
+            this.undoStack.push({ before: before, after: after, time: now });
+            if (this.undoStack.length > this.maxHistory) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.current = next;
+        return changed;
+    }
+
+    /**
+     * Undo the last step - returns the restored field names (empty if nothing to undo)
+     */
+    undo(data) {
+        const entry = this.undoStack.pop();
+        if (!entry) return [];
+
+        this.apply(data, entry.before);
+        this.redoStack.push(entry);
+        return Object.keys(entry.before);
+    }
+
+    redo(data) {
+        const entry = this.redoStack.pop();
+        if (!entry) return [];
+
+        this.apply(data, entry.after);
+        this.undoStack.push({ ...entry, time: 0 }); // Never coalesce into a redone step
+        return Object.keys(entry.after);
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * ✅ CORRECT: Changed fields only → { field: newValue }
+     * Use as the body of a PATCH request
+     */
+    getChanges(data) {
+        const changes = {};
+        this.getChangedFields(data).forEach(field => {
+            changes[field] = ChangeTracker.clone(data[field]);
+        });
+        return changes;
+    }
+
+    getChangedFields(data) {
+        return this.fields.filter(field => !ChangeTracker.isEqual(this.original[field], data[field]));
+    }
+
+    isDirty(data) {
+        return this.getChangedFields(data).length > 0;
+    }
+
+    isFieldDirty(data, field) {
+        return !ChangeTracker.isEqual(this.original[field], data[field]);
+    }
+
+    getOriginalValue(field) {
+        return ChangeTracker.clone(this.original[field]);
+    }
+
+    /**
+     * Restore the baseline as ONE undoable step (Ctrl+Z brings the edits back)
+     */
+    revert(data) {
+        this.fields.forEach(field => {
+            data[field] = ChangeTracker.clone(this.original[field]);
+        });
+
+        // Never merged into the previous edit
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (last) last.time = 0;
+
+        return this.record(data);
+    }
+
+    // ===== HELPERS =====
+
+    canCoalesce(last, changed, now) {
+        const lastFields = Object.keys(last.after);
+        return this.coalesceMs > 0 &&
+            now - last.time <= this.coalesceMs &&
+            changed.length === 1 && lastFields.length === 1 && lastFields[0] === changed[0];
+    }
+
+    apply(data, values) {
+        Object.keys(values).forEach(field => {
+            data[field] = ChangeTracker.clone(values[field]);
+        });
+        this.current = this.capture(data);
+    }
+
+    capture(data) {
+        const state = {};
+        this.fields.forEach(field => {
+            state[field] = ChangeTracker.clone(data[field]);
+        });
+        return state;
+    }
+
+    // Arrays/objects are copied so later in-place edits can't rewrite history
+    static clone(value) {
+        if (value === null || typeof value !== 'object') return value;
+        if (value instanceof Date) return new Date(value.getTime());
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // '' / null / undefined are the same "empty" for form fields
+    static isEqual(a, b) {
+        const empty = value => value === '' || value === null || value === undefined;
+        if (empty(a) && empty(b)) return true;
+        if (a instanceof Date || b instanceof Date) {
+            return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+        }
+        if (typeof a === 'object' || typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return a === b;
+    }
+}
+
+// ===== SECTION 2: KEYBOARD SHORTCUTS =====
+
+/**
+ * ✅ CORRECT: Ctrl+Z / Ctrl+Y / Ctrl+Shift+Z (Cmd on macOS)
+ * Returns an unbind function - ALWAYS call it on unmount/dispose
+ */
+const UndoRedoShortcuts = {
+    bind: function(target, handlers) {
+        const onKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+            const key = String(event.key).toLowerCase();
+            const isUndo = key === 'z' && !event.shiftKey;
+            const isRedo = key === 'y' || (key === 'z' && event.shiftKey);
+
+            if (isUndo && handlers.undo) {
+                // ⚠️ CRITICAL: Only swallow the key when there was something to undo,
+                // otherwise the browser's own text undo keeps working
+                if (handlers.undo() !== false) event.preventDefault();
+            } else if (isRedo && handlers.redo) {
+                if (handlers.redo() !== false) event.preventDefault();
+            }
+        };
+
+        target.addEventListener('keydown', onKeyDown);
+        return () => target.removeEventListener('keydown', onKeyDown);
+    }
+};
+
+// ===== SECTION 3: NAVIGATION WARNING =====
+
+/**
+ * ✅ CORRECT: Warn before leaving a page with unsaved changes
+ * Each form registers its hasUnsavedChanges check; the browser prompt appears
+ * on reload/close, confirmLeave() covers in-app navigation (menus, routers, tabs)
+ */
+const UnsavedChangesGuard = {
+    checks: new Set(),
+    message: 'You have unsaved changes. Are you sure you want to leave this page?',
+    listening: false,
+
+    /**
+     * Register a check - returns an unregister function
+     */
+    register: function(hasUnsavedChanges) {
+        this.checks.add(hasUnsavedChanges);
+
+        if (!this.listening) {
+            window.addEventListener('beforeunload', this.handleBeforeUnload);
+            this.listening = true;
+        }
+
+        return () => {
+            this.checks.delete(hasUnsavedChanges);
+            if (this.checks.size === 0 && this.listening) {
+                window.removeEventListener('beforeunload', this.handleBeforeUnload);
+                this.listening = false;
+            }
+        };
+    },
+
+    hasUnsavedChanges: function() {
+        return Array.from(this.checks).some(check => {
+            try {
+                return check() === true;
+            } catch (e) {
+                return false;
+            }
+        });
+    },
+
+    /**
+     * In-app navigation: true when it is safe to leave (nothing unsaved, or the user confirmed)
+     */
+    confirmLeave: function(message = this.message) {
+        return !this.hasUnsavedChanges() || window.confirm(message);
+    },
+
+    // Arrow function so add/removeEventListener get the same reference
+    handleBeforeUnload: (event) => {
+        if (!UnsavedChangesGuard.hasUnsavedChanges()) return undefined;
+
+        // Browsers show their own text; returnValue is still required to trigger the prompt
+        event.preventDefault();
+        event.returnValue = UnsavedChangesGuard.message;
+        return UnsavedChangesGuard.message;
+    }
+};
+
+// Usage examples:
+/*
+// ViewModel (see viewmodel-complete.jsx SECTION 10)
+this.changeTracker = new ChangeTracker(['name', 'email', 'phone', 'selectedRole']);
+
+// After loading the entity
+this.changeTracker.snapshot(this.Data);
+
+// updateUI override - every change from the component is recorded
+updateUI() {
+    if (this.changeTracker && !this.applyingHistory) {
+        this.changeTracker.record(this.Data);
+    }
+    super.updateUI();
+}
+
+// PATCH only what changed
+const changes = this.changeTracker.getChanges(this.Data);   // { email: 'new@x.com' }
+await Utils.ajax({ url: `/api/User/${id}`, method: 'PATCH', data: changes });
+
+// Shortcuts + navigation warning, both removed in dispose()
+this.unbindShortcuts = UndoRedoShortcuts.bind(document, { undo: () => this.undo(), redo: () => this.redo() });
+this.unregisterGuard = UnsavedChangesGuard.register(() => this.hasUnsavedChanges());
+
+// Menu link / router hook
+if (!UnsavedChangesGuard.confirmLeave()) return;
+*/
+
+// Export for global use
+window.ChangeTracker = ChangeTracker;
+window.UndoRedoShortcuts = UndoRedoShortcuts;
+window.UnsavedChangesGuard = UnsavedChangesGuard;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Forgetting snapshot() after loadEntity/save - every field looks dirty and PATCH sends everything
+// 2. Tracking loading flags or messages - list only form fields in the tracker
+// 3. Recording while applying undo/redo - the step is pushed back onto the undo stack
+// 4. Keeping the beforeunload/keydown listeners after unmount - always call the returned unbind functions
+// 5. Comparing '' with null as a change - isEqual treats empty values as equal
+// 6. Sending PATCH for new records - there is nothing to patch, use the full save
@@ -0,0 +1,507 @@
+// ===== COLUMN VIEWS COMPLETE PATTERNS =====
+// This file contains EVERY column configuration and saved view pattern for XOS Framework
+// Column order, visibility, widths and pinning live in ONE layout object; named views store it with sort and filters
+
+// ⚠️ CRITICAL: Saved layouts are user input (localStorage or server). applyState() keeps
+// only known columns, valid widths and valid pin sides - columns added since the view was
+// saved appear at the end, removed columns are dropped.
+
+// ===== SECTION 1: COLUMN LAYOUT =====
+
+/**
+ * ✅ CORRECT: Column layout for xosDataTable and XOSGrid
+ * Column definition: { field, title, width, minWidth, maxWidth, hideable, reorderable, resizable, pinned: 'left' | 'right' }
+ * - getColumns()          visible columns in display order (pinned left → unpinned → pinned right)
+ * - toGridColumns(cols)   the same order/visibility/widths applied to a columns array (XOSGrid columns prop),
+ *                         pinned columns carry their sticky offset
+ * - getState()/applyState() plain JSON for saved views
+ *
+ * 💡 TIP: Widths are numbers (px) in the state; toGridColumns() turns them into '120px' strings
+ */
+class ColumnLayout {
+    constructor(columns, options = {}) {
+        this.definitions = columns.map(column => ({ ...column }));
+        this.minWidth = options.minWidth || 60;
+        this.maxWidth = options.maxWidth || 1200;
+
+        this.defaults = {
+            order: this.definitions.map(column => column.field),
+            hidden: this.definitions.filter(column => column.hidden).map(column => column.field),
+            widths: {},
+            pinned: {}
+        };
+        this.definitions.forEach(column => {
+            const width = ColumnLayout.parseWidth(column.width);
+            if (width) this.defaults.widths[column.field] = width;
+            if (column.pinned === 'left' || column.pinned === 'right') this.defaults.pinned[column.field] = column.pinned;
+        });
+
+        this.state = ColumnLayout.copyState(this.defaults);
+        this.listeners = new Set();
+    }
+
+    // ===== READING =====
+
+    /**
+     * Visible columns in display order, with width, pinned side and sticky offset (px)
+     */
+    getColumns() {
+        const visible = this.state.order
+            .filter(field => !this.state.hidden.includes(field))
+            .map(field => this.getColumn(field));
+
+        const left = visible.filter(column => column.pinned === 'left');
+        const right = visible.filter(column => column.pinned === 'right');
+        const middle = visible.filter(column => !column.pinned);
+
+        // Pinned columns stick at the sum of the pinned widths before them
+        let offset = 0;
+        left.forEach(column => {
+            column.offset = offset;
+            offset += column.width || this.minWidth;
+        });
+        offset = 0;
+        right.slice().reverse().forEach(column => {
+            column.offset = offset;
+            offset += column.width || this.minWidth;
+        });
+
+        return [...left, ...middle, ...right];
+    }
+
+    /**
+     * Every column (hidden ones too) in configured order - for the column chooser
+     */
+    getAllColumns() {
+        return this.state.order.map(field => ({ ...this.getColumn(field), visible: this.isVisible(field) }));
+    }
+
+    getColumn(field) {
+        const definition = this.definitions.find(column => column.field === field);
+        return {
+            ...definition,
+            width: this.state.widths[field] || null,
+            pinned: this.state.pinned[field] || null,
+            offset: null
+        };
+    }
+
+    isVisible(field) {
+        return !this.state.hidden.includes(field);
+    }
+
+    /**
+     * ✅ CORRECT: Apply the layout to a columns array (e.g. XOSGrid columns with render functions)
+     * Columns the layout does not know are kept at the end
+     */
+    toGridColumns(columns = this.definitions) {
+        const byField = {};
+        columns.forEach(column => {
+            byField[column.field] = column;
+        });
+
+        const laidOut = this.getColumns()
+            .filter(layoutColumn => byField[layoutColumn.field])
+            .map(layoutColumn => ({
+                ...byField[layoutColumn.field],
+                width: layoutColumn.width ? `${layoutColumn.width}px` : byField[layoutColumn.field].width,
+                pinned: layoutColumn.pinned || undefined,
+                offset: layoutColumn.pinned ? layoutColumn.offset : undefined
+            }));
+
+        const unknown = columns.filter(column => !this.definitions.some(definition => definition.field === column.field));
+        return [...laidOut, ...unknown];
+    }
+
+    // ===== CHANGES =====
+
+    /**
+     * Show/hide - returns false when refused (hideable: false, or the last visible column)
+     */
+    setVisible(field, visible) {
+        const definition = this.findDefinition(field);
+        if (!definition || this.isVisible(field) === visible) return false;
+
+        if (!visible) {
+            if (definition.hideable === false || this.getColumns().length <= 1) return false;
+            this.state.hidden = [...this.state.hidden, field];
+        } else {
+            this.state.hidden = this.state.hidden.filter(hidden => hidden !== field);
+        }
+
+        this.notify();
+        return true;
+    }
+
+    toggle(field) {
+        return this.setVisible(field, !this.isVisible(field));
+    }
+
+    /**
+     * Move a column in front of another one (beforeField null → to the end)
+     * Drag-and-drop: the dragged header's field, and the field of the header it was dropped on
+     */
+    move(field, beforeField = null) {
+        const definition = this.findDefinition(field);
+        if (!definition || definition.reorderable === false || field === beforeField) return false;
+
+        const order = this.state.order.filter(entry => entry !== field);
+        const index = beforeField ? order.indexOf(beforeField) : order.length;
+        if (index < 0) return false;
+
+        order.splice(index, 0, field);
+        if (order.join() === this.state.order.join()) return false;
+
+        this.state.order = order;
+        this.notify();
+        return true;
+    }
+
+    /**
+     * One step left/right in the visible order (keyboard and the column chooser's arrows)
+     */
+    shift(field, direction) {
+        const visible = this.state.order.filter(entry => this.isVisible(entry));
+        const index = visible.indexOf(field);
+        const target = index + (direction < 0 ? -1 : 1);
+        if (index < 0 || target < 0 || target >= visible.length) return false;
+
+        return direction < 0
+            ? this.move(field, visible[target])
+            : this.move(field, visible[target + 1] || null);
+    }
+
+    /**
+     * Returns the applied width (clamped to minWidth/maxWidth)
+     */
+    resize(field, width) {
+        const definition = this.findDefinition(field);
+        if (!definition || definition.resizable === false) return null;
+
+        const min = definition.minWidth || this.minWidth;
+        const max = definition.maxWidth || this.maxWidth;
+        const applied = Math.round(Math.min(Math.max(Number(width) || min, min), max));
+
+        if (this.state.widths[field] !== applied) {
+            this.state.widths = { ...this.state.widths, [field]: applied };
+            this.notify();
+        }
+        return applied;
+    }
+
+    /**
+     * side: 'left' | 'right' | null
+     */
+    pin(field, side) {
+        if (!this.findDefinition(field)) return false;
+
+        const pinned = { ...this.state.pinned };
+        if (side === 'left' || side === 'right') {
+            pinned[field] = side;
+        } else {
+            delete pinned[field];
+        }
+
+        this.state.pinned = pinned;
+        this.notify();
+        return true;
+    }
+
+    reset() {
+        this.state = ColumnLayout.copyState(this.defaults);
+        this.notify();
+    }
+
+    // ===== STATE =====
+
+    getState() {
+        return ColumnLayout.copyState(this.state);
+    }
+
+    /**
+     * ⚠️ CRITICAL: Validate before use - the state comes from storage
+     */
+    applyState(saved, silent = false) {
+        const state = ColumnLayout.copyState(this.defaults);
+
+        if (saved && typeof saved === 'object') {
+            const known = field => Boolean(this.findDefinition(field));
+
+            if (Array.isArray(saved.order)) {
+                const order = saved.order.filter((field, index) => known(field) && saved.order.indexOf(field) === index);
+                state.order = [...order, ...this.defaults.order.filter(field => !order.includes(field))];
+            }
+
+            if (Array.isArray(saved.hidden)) {
+                state.hidden = saved.hidden.filter(field => known(field) && this.findDefinition(field).hideable !== false);
+                if (state.hidden.length >= state.order.length) state.hidden = [];
+            }
+
+            if (saved.widths && typeof saved.widths === 'object') {
+                Object.keys(saved.widths).forEach(field => {
+                    const width = Number(saved.widths[field]);
+                    if (known(field) && width > 0) {
+                        const definition = this.findDefinition(field);
+                        state.widths[field] = Math.min(Math.max(width, definition.minWidth || this.minWidth), definition.maxWidth || this.maxWidth);
+                    }
+                });
+            }
+
+            if (saved.pinned && typeof saved.pinned === 'object') {
+                state.pinned = {};
+                Object.keys(saved.pinned).forEach(field => {
+                    if (known(field) && (saved.pinned[field] === 'left' || saved.pinned[field] === 'right')) {
+                        state.pinned[field] = saved.pinned[field];
+                    }
+                });
+            }
+        }
+
+        this.state = state;
+        if (!silent) this.notify();
+        return this.getState();
+    }
+
+    findDefinition(field) {
+        return this.definitions.find(column => column.field === field) || null;
+    }
+
+    /**
+     * Listener gets the layout state after every change - returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const state = this.getState();
+        this.listeners.forEach(listener => listener(state));
+    }
+
+    // '120px' / 120 → 120, 'auto' / '20%' → null (percentages are not resizable)
+    static parseWidth(width) {
+        if (typeof width === 'number') return width > 0 ? width : null;
+        const match = /^(\d+(?:\.\d+)?)px$/.exec(String(width || '').trim());
+        return match ? Number(match[1]) : null;
+    }
+
+    static copyState(state) {
+        return {
+            order: state.order.slice(),
+            hidden: state.hidden.slice(),
+            widths: { ...state.widths },
+            pinned: { ...state.pinned }
+        };
+    }
+}
+
+// ===== SECTION 2: VIEW STORAGE =====
+
+/**
+ * ✅ CORRECT: Storage adapters - read(gridKey) / write(gridKey, collection), both return Promises
+ * Collection: { views: [{ name, columns, sort, filters, search, updatedAt }], current: { ...same, name } | null }
+ * Plug in your own adapter (IndexedDB, user settings service...) with the same two methods
+ */
+class LocalViewStorage {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'xos.gridViews.';
+        this.storage = options.storage || window.localStorage;
+    }
+
+    read(gridKey) {
+        try {
+            const raw = this.storage.getItem(this.prefix + gridKey);
+            return Promise.resolve(raw ? JSON.parse(raw) : null);
+        } catch (error) {
+            // Corrupt JSON or storage disabled (private mode) - start from defaults
+            console.warn('Saved grid views could not be read:', error);
+            return Promise.resolve(null);
+        }
+    }
+
+    write(gridKey, collection) {
+        try {
+            this.storage.setItem(this.prefix + gridKey, JSON.stringify(collection));
+            return Promise.resolve(true);
+        } catch (error) {
+            // QuotaExceededError - the views still work for this session
+            return Promise.reject(error);
+        }
+    }
+}
+
+/**
+ * ✅ CORRECT: Server storage - views follow the user to other browsers
+ * GET  {url}/{gridKey} → { success, data: collection | null }
+ * PUT  {url}/{gridKey}   body: collection
+ */
+class ServerViewStorage {
+    constructor(options = {}) {
+        this.url = options.url || '/api/GridViews';
+    }
+
+    read(gridKey) {
+        return Promise.resolve(Utils.ajax({
+            url: `${this.url}/${encodeURIComponent(gridKey)}`,
+            method: 'GET'
+        })).then(response => (response && response.success ? response.data : null));
+    }
+
+    write(gridKey, collection) {
+        return Promise.resolve(Utils.ajax({
+            url: `${this.url}/${encodeURIComponent(gridKey)}`,
+            method: 'PUT',
+            contentType: 'application/json',
+            data: JSON.stringify(collection)
+        })).then(response => {
+            if (!response || !response.success) {
+                throw new Error((response && response.message) || 'Failed to save grid views');
+            }
+            return true;
+        });
+    }
+}
+
+// ===== SECTION 3: SAVED VIEWS =====
+
+/**
+ * ✅ CORRECT: Named views + the working view of the last session
+ * - load() once on mount, then list()/get() are synchronous
+ * - save(name, view) / remove(name) write through to the storage adapter
+ * - saveCurrent(view) is debounced - call it after every column, sort or filter change
+ *
+ * ⚠️ CRITICAL: A view is plain data ({ columns, sort, filters, search }) - never store
+ * render functions or DOM nodes in it
+ */
+class SavedViews {
+    constructor(options = {}) {
+        this.gridKey = options.gridKey;
+        this.storage = options.storage || new LocalViewStorage();
+        this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 500;
+        this.maxViews = options.maxViews || 20;
+
+        this.collection = { views: [], current: null };
+        this.timer = null;
+    }
+
+    async load() {
+        const collection = await this.storage.read(this.gridKey);
+
+        this.collection = {
+            views: collection && Array.isArray(collection.views)
+                ? collection.views.filter(view => view && typeof view.name === 'string' && view.name.trim())
+                : [],
+            current: collection && collection.current && typeof collection.current === 'object' ? collection.current : null
+        };
+        return this.collection;
+    }
+
+    list() {
+        return this.collection.views.map(view => view.name);
+    }
+
+    get(name) {
+        const view = this.collection.views.find(entry => entry.name === name);
+        return view ? SavedViews.copyView(view) : null;
+    }
+
+    getCurrent() {
+        return this.collection.current ? SavedViews.copyView(this.collection.current) : null;
+    }
+
+    /**
+     * Save (or overwrite) a named view
+     */
+    async save(name, view) {
+        const viewName = String(name || '').trim();
+        if (!viewName) throw new Error('View name is required');
+
+        const others = this.collection.views.filter(entry => entry.name !== viewName);
+        if (others.length >= this.maxViews) throw new Error(`No more than ${this.maxViews} views can be saved`);
+
+        const saved = { ...SavedViews.copyView(view), name: viewName, updatedAt: new Date().toISOString() };
+        this.collection = { ...this.collection, views: [...others, saved] };
+        await this.flush();
+        return saved;
+    }
+
+    async remove(name) {
+        this.collection = { ...this.collection, views: this.collection.views.filter(entry => entry.name !== name) };
+        await this.flush();
+    }
+
+    /**
+     * 🔥 PERFORMANCE: Debounced - a column drag or a burst of filter changes is one write
+     */
+    saveCurrent(view) {
+        this.collection = { ...this.collection, current: SavedViews.copyView(view) };
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(error => console.warn('Grid view could not be saved:', error));
+        }, this.debounceMs);
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        return this.storage.write(this.gridKey, this.collection);
+    }
+
+    /**
+     * Write a pending saveCurrent() now (call on unmount)
+     */
+    dispose() {
+        if (this.timer) {
+            this.flush().catch(() => {});
+        }
+    }
+
+    static copyView(view) {
+        return JSON.parse(JSON.stringify(view || {}));
+    }
+}
+
+// Usage examples:
+/*
+// jQuery data table - column chooser, drag to reorder, resize, pinned columns, saved views
+$('#orders').xosDataTable({
+    ajax: { url: '/api/orders' },
+    columns: [
+        { field: 'id', title: 'ID', width: 80, pinned: 'left', hideable: false },
+        { field: 'customer', title: 'Customer', width: 220 },
+        { field: 'total', title: 'Total', width: 120 },
+        { field: 'actions', title: '', width: 100, pinned: 'right', hideable: false, reorderable: false }
+    ],
+    columnChooser: true,
+    reorderable: true,
+    resizable: true,
+    views: { key: 'orders', storage: new ServerViewStorage() }   // omit storage → localStorage
+});
+
+// React grid (viewmodel-complete.jsx SECTION 12)
+this.columnLayout = new ColumnLayout([EntityName]GridLayout);
+this.savedViews = new SavedViews({ gridKey: '[entityName]-grid' });
+
+<cntrl.XOSGrid columns={vm.columnLayout.toGridColumns(this.getGridColumns())} ... />
+
+// Save / apply a named view
+await savedViews.save('Open orders', { columns: layout.getState(), sort: [...], filters: {...}, search: '' });
+layout.applyState(savedViews.get('Open orders').columns);
+*/
+
+// Export for global use
+window.ColumnLayout = ColumnLayout;
+window.LocalViewStorage = LocalViewStorage;
+window.ServerViewStorage = ServerViewStorage;
+window.SavedViews = SavedViews;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Applying a saved layout without applyState() - unknown or removed columns break rendering
+// 2. Letting users hide every column - setVisible() keeps at least one visible
+// 3. Pinned columns without a width - sticky offsets need px widths
+// 4. Re-rendering the whole table on every pointermove while resizing - change the <col> width, commit on release
+// 5. Writing storage on every change - use saveCurrent() (debounced)
+// 6. Storing render functions in a view - views are JSON
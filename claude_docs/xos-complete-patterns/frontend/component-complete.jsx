@@ -5,7 +5,7 @@
 
 import React from 'react';
 import * as cntrl from '../../xos-components';  // ⚠️ CRITICAL: Always this exact import
-import [EntityName]VM from './[EntityName]VM';
+import [EntityName]VM, { [EntityName]VirtualGrid } from './[EntityName]VM';
 
 // ===== SECTION 1: COMPONENT STRUCTURE (MANDATORY PATTERN) =====
 // Lines 10-50: Component declaration and constructor
@@ -22,6 +22,7 @@ export default class [EntityName] extends cntrl.XOSComponent {
         
         // 💡 TIP: Additional constructor logic can go here
         this.fileInputRef = React.createRef();
+        this.virtualScrollRef = React.createRef();  // Virtual grid scroll container (props.virtual)
     }
     
     // ⚠️ CRITICAL: Component lifecycle - called when component mounts
@@ -32,6 +33,34 @@ export default class [EntityName] extends cntrl.XOSComponent {
         }
     }
     
+    /**
+     * Virtual grid: apply the scroll position the VM asked for, report the viewport
+     * and (estimated heights only) the rendered row heights
+     */
+    componentDidUpdate() {
+        const scrollElement = this.virtualScrollRef.current;
+        if (!scrollElement || !this.VM || !this.VM.Data.virtualMode) return;
+        
+        const model = this.VM.Data;
+        if (model.virtualScrollTop !== null) {
+            scrollElement.scrollTop = model.virtualScrollTop;
+            model.virtualScrollTop = null;
+        }
+        
+        const viewportHeight = this.getVirtualViewportHeight();
+        if (viewportHeight !== this.VM.viewport.height) {
+            this.VM.setViewport(scrollElement.scrollTop, viewportHeight);
+        }
+        
+        if (!this.VM.scroller.isFixed) {
+            const rows = scrollElement.querySelectorAll('tbody tr[data-index]');
+            this.VM.measureVirtualRows(Array.from(rows, row => ({
+                index: Number(row.getAttribute('data-index')),
+                height: row.offsetHeight
+            })));
+        }
+    }
+    
     // ===== SECTION 2: EVENT HANDLERS (NEVER CHANGE THESE PATTERNS) =====
     // Lines 50-200: All input handling patterns
     
@@ -103,6 +132,29 @@ export default class [EntityName] extends cntrl.XOSComponent {
         }
     };
     
+    /**
+     * Virtual grid keyboard navigation - arrows/Page Up/Down/Home/End move the active row,
+     * Enter opens it
+     */
+    handleGridKeyDown = (e) => {
+        // Keys pressed on a row button belong to the button
+        if (!this.VM || !this.VM.moveActiveRow || e.target !== e.currentTarget) return;
+        
+        const { selectedItem } = this.VM.Data;
+        if (e.key === 'Enter' && selectedItem) {
+            e.preventDefault();
+            this.handleGridEdit(selectedItem);
+        } else if (this.VM.moveActiveRow(e)) {
+            e.preventDefault();  // Otherwise the container scrolls as well
+        }
+    };
+    
+    handleVirtualScroll = (e) => {
+        if (this.VM && this.VM.setViewport) {
+            this.VM.setViewport(e.currentTarget.scrollTop, this.getVirtualViewportHeight());
+        }
+    };
+    
     /**
      * ⚠️ CRITICAL: Form submission handler
      * Use for: save operations, form submissions
@@ -165,21 +217,29 @@ export default class [EntityName] extends cntrl.XOSComponent {
     /**
      * Search and filter handlers
      * Use for: search boxes, filter controls
+     * 💡 TIP: No setTimeout here - the VM's grid data source debounces and keeps the URL in sync
      */
     handleSearch = (e) => {
-        if (this.VM) {
-            const model = this.VM.Data;
-            model.searchTerm = e.value;
-            
-            // Debounce search
-            clearTimeout(this.searchTimeout);
-            this.searchTimeout = setTimeout(() => {
-                if (this.VM.search) {
-                    this.VM.search(model.searchTerm);
-                }
-            }, 300);
-            
-            this.VM.updateUI();
+        if (this.VM && this.VM.search) {
+            this.VM.search(e.value);
+        }
+    };
+    
+    handleGridFilter = (field, value, operator = null) => {
+        if (this.VM && this.VM.setFilter) {
+            this.VM.setFilter(field, value, operator);
+        }
+    };
+    
+    /**
+     * Grid header sort - Shift+click sorts by several columns
+     */
+    handleGridSort = (field, e) => {
+        // The click that ends a column resize is not a sort
+        if (this.resizingColumn) return;
+        
+        if (this.VM && this.VM.sortBy) {
+            this.VM.sortBy(field, Boolean(e && e.shiftKey));
         }
     };
     
@@ -199,6 +259,288 @@ export default class [EntityName] extends cntrl.XOSComponent {
         }
     };
     
+    /**
+     * Column chooser handlers
+     * Use for: show/hide, pin and move columns (VM SECTION 12)
+     */
+    handleColumnToggle = (field) => {
+        if (this.VM && this.VM.toggleColumn) {
+            this.VM.toggleColumn(field);
+        }
+    };
+    
+    handleColumnPin = (field, side) => {
+        if (this.VM && this.VM.pinColumn) {
+            this.VM.pinColumn(field, side || null);
+        }
+    };
+    
+    handleColumnShift = (field, direction) => {
+        if (this.VM && this.VM.shiftColumn) {
+            this.VM.shiftColumn(field, direction);
+        }
+    };
+    
+    handleColumnReset = () => {
+        if (this.VM && this.VM.resetColumns) {
+            this.VM.resetColumns();
+        }
+    };
+    
+    /**
+     * Header drag and drop - dropped on the left half goes before the target, right half after it
+     */
+    handleColumnDragStart = (field, e) => {
+        // A resize drag starts on the same header
+        if (this.resizingColumn) {
+            e.preventDefault();
+            return;
+        }
+        
+        this.draggedColumn = field;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', field);  // Firefox only starts a drag with data
+    };
+    
+    handleColumnDragOver = (e) => {
+        if (this.draggedColumn) {
+            e.preventDefault();
+        }
+    };
+    
+    handleColumnDrop = (field, e) => {
+        const draggedColumn = this.draggedColumn;
+        this.draggedColumn = null;
+        if (!draggedColumn || !this.VM) return;
+        
+        e.preventDefault();
+        const rect = e.currentTarget.getBoundingClientRect();
+        const columns = this.VM.Data.gridColumns;
+        const index = columns.findIndex(column => column.field === field);
+        const next = columns[index + 1];
+        const beforeField = e.clientX > rect.left + rect.width / 2 ? (next ? next.field : null) : field;
+        
+        this.VM.moveColumn(draggedColumn, beforeField);
+    };
+    
+    handleColumnDragEnd = () => {
+        this.draggedColumn = null;
+    };
+    
+    /**
+     * ✅ CORRECT: Header edge resize
+     * 🔥 PERFORMANCE: While dragging only the <col> width changes - the VM gets the width on release
+     */
+    handleColumnResizeStart = (field, e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const header = e.currentTarget.closest('th');
+        const col = header.closest('table').querySelector(`col[data-column="${field}"]`);
+        const startX = e.clientX;
+        const startWidth = header.offsetWidth;
+        let width = startWidth;
+        
+        const onMove = (moveEvent) => {
+            width = Math.max(40, startWidth + moveEvent.clientX - startX);
+            if (col) col.style.width = `${width}px`;
+        };
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            this.endColumnResize = null;
+            this.VM.resizeColumn(field, width);
+            
+            // The click that follows this pointerup must not sort - cleared after it has fired
+            setTimeout(() => { this.resizingColumn = false; }, 0);
+        };
+        
+        this.resizingColumn = true;
+        this.endColumnResize = onUp;
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    };
+    
+    // Keyboard: ArrowLeft/ArrowRight on a focused resize handle, 10px per step
+    handleColumnResizeKey = (field, e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        const width = e.currentTarget.closest('th').offsetWidth + (e.key === 'ArrowRight' ? 10 : -10);
+        this.VM.resizeColumn(field, width);
+    };
+    
+    /**
+     * Saved view handlers - a view is columns + sort + filters + search
+     */
+    handleViewChange = (e) => {
+        if (e.target.value && this.VM && this.VM.applyView) {
+            this.VM.applyView(e.target.value);
+        }
+    };
+    
+    handleViewSave = () => {
+        const name = window.prompt('View name', this.VM.Data.activeView || '');
+        if (name && name.trim()) {
+            this.VM.saveView(name.trim());
+        }
+    };
+    
+    handleViewDelete = () => {
+        const { activeView } = this.VM.Data;
+        if (activeView && window.confirm(`Delete the view "${activeView}"?`)) {
+            this.VM.deleteView(activeView);
+        }
+    };
+    
+    /**
+     * Export handlers - the layout columns go along so the file matches the grid
+     */
+    handleExport = (format, scope) => {
+        if (this.VM && this.VM.exportGrid) {
+            this.VM.exportGrid(format, this.getLayoutColumns(), scope);
+        }
+    };
+    
+    handleExportCancel = () => {
+        if (this.VM && this.VM.cancelExport) {
+            this.VM.cancelExport();
+        }
+    };
+    
+    /**
+     * ⚠️ CRITICAL: Inline edit handlers (VM SECTION 14) - cell values go to the VM's edit session,
+     * never into the row objects
+     */
+    handleInlineEditToggle = (e) => {
+        if (!this.VM) return;
+        
+        const { dirtyRowCount } = this.VM.Data;
+        if (!e.target.checked && dirtyRowCount > 0 &&
+            !window.confirm(`Discard unsaved changes in ${dirtyRowCount} ${dirtyRowCount === 1 ? 'row' : 'rows'}?`)) {
+            return;
+        }
+        this.VM.setInlineEditMode(e.target.checked);
+    };
+    
+    handleCellEditStart = (row, field, e) => {
+        if (this.VM && this.VM.startCellEdit(row, field)) {
+            e.stopPropagation();  // The row click must not steal focus from the editor
+        }
+    };
+    
+    handleCellEditKey = (row, field, e) => {
+        if (e.key === 'Enter' || e.key === 'F2') {
+            e.preventDefault();
+            this.handleCellEditStart(row, field, e);
+        }
+    };
+    
+    handleCellChange = (row, field, value) => {
+        if (this.VM) {
+            this.VM.setCellValue(row, field, value);
+        }
+    };
+    
+    handleCellCommit = (row, field) => {
+        if (this.VM) {
+            this.VM.commitCellEdit(row, field);
+        }
+    };
+    
+    handleCellKeyDown = (row, field, e) => {
+        if (this.VM && this.VM.handleCellKey(row, field, e)) {
+            e.preventDefault();  // Tab must not move focus out of the grid
+        }
+    };
+    
+    handleRowRevert = (row) => {
+        if (this.VM) {
+            this.VM.revertRow(row);
+        }
+    };
+    
+    handleRowChangesSave = () => {
+        if (this.VM) {
+            this.VM.saveRowChanges();
+        }
+    };
+    
+    handleRowChangesDiscard = () => {
+        if (this.VM && window.confirm('Discard all unsaved grid changes?')) {
+            this.VM.discardRowChanges();
+        }
+    };
+    
+    /**
+     * ✅ CORRECT: Row selection handlers (VM SECTION 15) - ids live in the VM's SelectionModel,
+     * so checked rows survive paging and sorting
+     */
+    handleRowCheck = (row, e) => {
+        if (this.VM) {
+            this.VM.toggleRowSelection(row, e.nativeEvent.shiftKey);
+        }
+    };
+    
+    handlePageCheck = (e) => {
+        if (this.VM) {
+            this.VM.setPageSelection(e.target.checked);
+        }
+    };
+    
+    handleSelectAllMatching = () => {
+        if (this.VM) {
+            this.VM.selectAllMatching();
+        }
+    };
+    
+    handleSelectionClear = () => {
+        if (this.VM) {
+            this.VM.clearSelection();
+        }
+    };
+    
+    handleBulkStatus = (e) => {
+        const statusId = e.target.value;
+        e.target.value = '';  // Back to the placeholder - the select is an action menu
+        if (this.VM && statusId) {
+            this.VM.bulkSetStatus(parseInt(statusId));
+        }
+    };
+    
+    handleBulkDelete = () => {
+        if (!this.VM) return;
+        
+        const { selectedCount, allMatchingSelected } = this.VM.Data;
+        const what = allMatchingSelected
+            ? `all ${selectedCount.toLocaleString()} matching rows`
+            : `${selectedCount} selected ${selectedCount === 1 ? 'row' : 'rows'}`;
+        if (window.confirm(`Delete ${what}? This cannot be undone.`)) {
+            this.VM.bulkDeleteSelected();
+        }
+    };
+    
+    handleBulkCancel = () => {
+        if (this.VM) {
+            this.VM.cancelBulkAction();
+        }
+    };
+    
+    handleBulkFailedSelect = () => {
+        if (this.VM) {
+            this.VM.selectFailedRows();
+        }
+    };
+    
+    handleBulkReportDismiss = () => {
+        if (this.VM) {
+            this.VM.dismissBulkReport();
+        }
+    };
+    
     // ===== SECTION 3: UI HELPER METHODS =====
     // Lines 200-300: Utility methods for rendering
     
@@ -237,6 +579,641 @@ export default class [EntityName] extends cntrl.XOSComponent {
         );
     };
     
+    /**
+     * Row area of the virtual grid - the sticky header covers the top of the container
+     */
+    getVirtualViewportHeight = () => {
+        const scrollElement = this.virtualScrollRef.current;
+        if (!scrollElement) return 0;
+        
+        const header = scrollElement.querySelector('thead');
+        return Math.max(0, scrollElement.clientHeight - (header ? header.offsetHeight : 0));
+    };
+    
+    /**
+     * Grid columns - shared by XOSGrid and the virtual grid
+     */
+    getGridColumns = () => [
+        {
+            field: 'select',
+            title: this.renderPageCheckbox(),
+            width: '44px',
+            sortable: false,
+            reorderable: false,
+            resizable: false,
+            exportable: false,  // Checkboxes - left out of exports
+            render: (value, row) => (
+                <input
+                    type="checkbox"
+                    className="form-check-input"
+                    checked={this.VM.isRowSelected(row)}
+                    disabled={this.VM.Data.isBulkRunning}
+                    onChange={(e) => this.handleRowCheck(row, e)}
+                    onClick={(e) => e.stopPropagation()}  // Checking a row does not open/select it
+                    aria-label={`Select ${row.name || `row ${row.id}`}`}
+                />
+            )
+        },
+        { 
+            field: 'id', 
+            title: 'ID', 
+            width: '80px',
+            sortable: true
+        },
+        { 
+            field: 'name', 
+            title: 'Name',
+            sortable: true,
+            render: (value, row) => (
+                <span className={row.isActive ? '' : 'text-muted'}>
+                    {value}
+                </span>
+            )
+        },
+        { 
+            field: 'email', 
+            title: 'Email',
+            sortable: true
+        },
+        { 
+            field: 'status', 
+            title: 'Status',
+            width: '120px',
+            render: (value, row) => (
+                <span className={`badge ${row.isActive ? 'bg-success' : 'bg-secondary'}`}>
+                    {row.isActive ? 'Active' : 'Inactive'}
+                </span>
+            )
+        },
+        {
+            field: 'categoryId',
+            title: 'Category',
+            width: '160px',
+            render: (value) => {
+                const category = this.VM.Data.categories.find(entry => String(entry.id) === String(value));
+                return category ? category.name : '';
+            }
+        },
+        {
+            field: 'actions',
+            title: 'Actions',
+            width: '150px',
+            sortable: false,
+            exportable: false,  // Buttons - left out of CSV/XLSX/JSON exports
+            render: (value, row) => {
+                const rowMessage = this.VM.rowEdits.getRowMessage(row);
+                
+                return (
+                    <div className="btn-group btn-group-sm">
+                        <button
+                            className="btn btn-outline-primary"
+                            onClick={() => this.handleGridEdit(row)}
+                            title="Edit"
+                        >
+                            <i className="fa fa-edit"></i>
+                        </button>
+                        <button
+                            className="btn btn-outline-danger"
+                            onClick={() => this.handleGridDelete(row)}
+                            title="Delete"
+                        >
+                            <i className="fa fa-trash"></i>
+                        </button>
+                        {this.VM.rowEdits.isRowDirty(row) && (
+                            <button
+                                className="btn btn-outline-secondary"
+                                onClick={() => this.handleRowRevert(row)}
+                                title={rowMessage ? `${rowMessage} - undo my changes` : 'Undo changes to this row'}
+                            >
+                                <i className={`fa ${rowMessage ? 'fa-exclamation-triangle text-danger' : 'fa-undo'}`}></i>
+                            </button>
+                        )}
+                    </div>
+                );
+            }
+        }
+    ];
+    
+    /**
+     * Grid columns in the user's layout - order, visibility, widths and pinning come from the VM (SECTION 12)
+     */
+    getLayoutColumns = () => this.VM.columnLayout.toGridColumns(this.getGridColumns());
+    
+    /**
+     * Columns as rendered - in inline edit mode editable cells render through renderEditableCell
+     * (exports keep using getLayoutColumns: files never contain editors)
+     */
+    getDisplayColumns = () => {
+        const columns = this.getLayoutColumns();
+        if (!this.VM.Data.inlineEditMode) return columns;
+        
+        return columns.map(column => {
+            const editField = this.VM.getEditField(column.field);
+            return editField
+                ? { ...column, render: (value, row) => this.renderEditableCell(column, editField, row) }
+                : column;
+        });
+    };
+    
+    /**
+     * ✅ CORRECT: One cell of the inline edit grid
+     * - closed: the column's own render with the pending value, dirty/invalid markers; click, Enter or F2 opens it
+     * - open: the field's editor; Enter/blur commit, Tab moves on, Escape restores the value it opened with
+     * ⚠️ CRITICAL: Virtual grid rows have a fixed height - errors show as a tooltip and a red border, never as a line below
+     */
+    renderEditableCell = (column, field, row) => {
+        const edits = this.VM.rowEdits;
+        const editor = edits.getEditor(field);
+        const value = edits.getValue(row, field);
+        const error = edits.getCellError(row, field);
+        const label = `${column.title} of ${row.name || `row ${row.id}`}`;
+        
+        if (!this.VM.isEditingCell(row, field)) {
+            const editedRow = edits.getRow(row);
+            const className = ['xos-cell-editable',
+                edits.isCellDirty(row, field) ? 'xos-cell-dirty' : '',
+                error ? 'xos-cell-invalid' : ''].filter(Boolean).join(' ');
+            
+            return (
+                <div
+                    className={className}
+                    role="button"
+                    tabIndex={0}
+                    title={error || 'Click to edit'}
+                    aria-label={error ? `${label}: ${error}` : `Edit ${label}`}
+                    onClick={(e) => this.handleCellEditStart(row, field, e)}
+                    onKeyDown={(e) => this.handleCellEditKey(row, field, e)}
+                >
+                    {column.render ? column.render(editedRow[column.field], editedRow) : editor.display(value, editor)}
+                </div>
+            );
+        }
+        
+        const common = {
+            autoFocus: true,
+            'aria-label': label,
+            'aria-invalid': Boolean(error),
+            title: error || undefined,
+            onKeyDown: (e) => this.handleCellKeyDown(row, field, e),
+            onBlur: () => this.handleCellCommit(row, field),
+            onClick: (e) => e.stopPropagation()
+        };
+        const inputClass = `form-control form-control-sm${error ? ' is-invalid' : ''}`;
+        
+        if (editor.type === 'checkbox') {
+            return (
+                <input
+                    {...common}
+                    type="checkbox"
+                    className="form-check-input"
+                    checked={editor.format(value, editor)}
+                    onChange={(e) => this.handleCellChange(row, field, e.target.checked)}
+                />
+            );
+        }
+        
+        if (editor.type === 'combobox') {
+            return (
+                <select
+                    {...common}
+                    className={`form-select form-select-sm${error ? ' is-invalid' : ''}`}
+                    value={editor.format(value, editor)}
+                    onChange={(e) => this.handleCellChange(row, field, e.target.value)}
+                >
+                    <option value="">-- Select --</option>
+                    {editor.options.map(option => (
+                        <option key={option.id} value={option.id}>{option.name}</option>
+                    ))}
+                </select>
+            );
+        }
+        
+        return (
+            <input
+                {...common}
+                type={editor.type === 'number' || editor.type === 'date' ? editor.type : 'text'}
+                className={inputClass}
+                value={editor.format(value, editor)}
+                min={editor.min}
+                max={editor.max}
+                step={editor.step}
+                onChange={(e) => this.handleCellChange(row, field, e.target.value)}
+            />
+        );
+    };
+    
+    /**
+     * Header checkbox - the rows on screen; indeterminate when only some are checked
+     */
+    renderPageCheckbox = () => {
+        const state = this.VM.getPageSelectionState();
+        
+        return (
+            <input
+                type="checkbox"
+                className="form-check-input"
+                checked={state === 'all'}
+                ref={(input) => { if (input) input.indeterminate = state === 'some'; }}
+                disabled={this.VM.Data.isBulkRunning}
+                onChange={this.handlePageCheck}
+                onClick={(e) => e.stopPropagation()}
+                aria-label="Select all rows on this page"
+            />
+        );
+    };
+    
+    /**
+     * ✅ CORRECT: Bulk action bar (VM SECTION 15)
+     * - "Select all N matching rows" once the whole page is checked (Gmail style)
+     * - progress bar (ProgressManager) with Cancel while running
+     * - per-row report afterwards; failed rows stay selected for a retry
+     * ⚠️ CRITICAL: The progress element is always rendered - ProgressManager fills it before React re-renders
+     */
+    renderBulkToolbar = () => {
+        const { selectedCount, allMatchingSelected, totalRecords, isBulkRunning, bulkReport, statuses } = this.VM.Data;
+        const pageChecked = this.VM.getPageSelectionState() === 'all';
+        const failed = bulkReport ? bulkReport.failed : [];
+        
+        return (
+            <>
+                {(selectedCount > 0 || isBulkRunning) && (
+                    <div className="alert alert-secondary d-flex align-items-center py-2 mb-2" role="region" aria-label="Bulk actions">
+                        <strong className="me-2" aria-live="polite">
+                            {allMatchingSelected
+                                ? `All ${selectedCount.toLocaleString()} matching rows selected`
+                                : `${selectedCount} selected`}
+                        </strong>
+                        
+                        {!allMatchingSelected && pageChecked && totalRecords > selectedCount && (
+                            <button type="button" className="btn btn-link btn-sm me-2" disabled={isBulkRunning} onClick={this.handleSelectAllMatching}>
+                                Select all {totalRecords.toLocaleString()} matching rows
+                            </button>
+                        )}
+                        <button type="button" className="btn btn-link btn-sm me-auto" disabled={isBulkRunning} onClick={this.handleSelectionClear}>
+                            Clear selection
+                        </button>
+                        
+                        <select
+                            className="form-select form-select-sm me-2"
+                            style={{ width: 'auto' }}
+                            defaultValue=""
+                            disabled={isBulkRunning}
+                            onChange={this.handleBulkStatus}
+                            aria-label="Set status of the selected rows"
+                        >
+                            <option value="">Set status...</option>
+                            {statuses.map(status => (
+                                <option key={status.id} value={status.id}>{status.name}</option>
+                            ))}
+                        </select>
+                        <button type="button" className="btn btn-sm btn-outline-danger me-2" disabled={isBulkRunning} onClick={this.handleBulkDelete}>
+                            <i className="fa fa-trash me-1"></i>
+                            Delete
+                        </button>
+                        {isBulkRunning && (
+                            <button type="button" className="btn btn-sm btn-outline-secondary" onClick={this.handleBulkCancel}>
+                                Cancel
+                            </button>
+                        )}
+                    </div>
+                )}
+                
+                <div id="[entityName]-bulk-progress" className="mb-2"></div>
+                
+                {bulkReport && (failed.length > 0 || bulkReport.aborted) && (
+                    <div className="alert alert-warning alert-dismissible mb-2" role="alert">
+                        <strong>{bulkReport.message}</strong>
+                        {failed.length > 0 && (
+                            <ul className="mb-1 mt-1 small">
+                                {failed.slice(0, 10).map((item, index) => (
+                                    <li key={item.id !== null ? item.id : `request-${index}`}>
+                                        {item.id !== null && <span className="me-1">#{item.id}:</span>}
+                                        {item.message}
+                                    </li>
+                                ))}
+                                {failed.length > 10 && <li>...and {failed.length - 10} more</li>}
+                            </ul>
+                        )}
+                        {failed.some(item => item.id !== null) && (
+                            <button type="button" className="btn btn-link btn-sm p-0" onClick={this.handleBulkFailedSelect}>
+                                Select failed rows
+                            </button>
+                        )}
+                        <button type="button" className="btn-close" aria-label="Close" onClick={this.handleBulkReportDismiss}></button>
+                    </div>
+                )}
+            </>
+        );
+    };
+    
+    /**
+     * ✅ CORRECT: Inline edit switch with "Save changes (N)" / Discard (VM SECTION 14)
+     */
+    renderInlineEditToolbar = () => {
+        const { inlineEditMode, dirtyRowCount, invalidRowCount, isSavingRows } = this.VM.Data;
+        
+        return (
+            <div className="d-flex align-items-center me-3">
+                <div className="form-check form-switch mb-0 me-2">
+                    <input
+                        type="checkbox"
+                        className="form-check-input"
+                        id="[entityName]-inline-edit"
+                        checked={inlineEditMode}
+                        disabled={isSavingRows}
+                        onChange={this.handleInlineEditToggle}
+                    />
+                    <label className="form-check-label" htmlFor="[entityName]-inline-edit">Edit in grid</label>
+                </div>
+                
+                {inlineEditMode && (
+                    <>
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-primary me-1"
+                            disabled={dirtyRowCount === 0 || isSavingRows}
+                            onClick={this.handleRowChangesSave}
+                        >
+                            {isSavingRows
+                                ? <span className="spinner-border spinner-border-sm me-1"></span>
+                                : <i className="fa fa-save me-1"></i>}
+                            Save changes{dirtyRowCount > 0 ? ` (${dirtyRowCount})` : ''}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-outline-secondary"
+                            disabled={dirtyRowCount === 0 || isSavingRows}
+                            onClick={this.handleRowChangesDiscard}
+                        >
+                            Discard
+                        </button>
+                        {invalidRowCount > 0 && (
+                            <span className="text-danger small ms-2" role="alert">
+                                {invalidRowCount} {invalidRowCount === 1 ? 'row needs' : 'rows need'} attention
+                            </span>
+                        )}
+                    </>
+                )}
+            </div>
+        );
+    };
+    
+    /**
+     * ✅ CORRECT: Column chooser and saved views - every change goes through the VM
+     * 💡 TIP: data-bs-auto-close="outside" keeps the menu open while several columns are changed
+     */
+    renderColumnToolbar = () => {
+        const { allGridColumns, savedViewNames, activeView } = this.VM.Data;
+        const isSavedView = savedViewNames.includes(activeView);
+        
+        return (
+            <div className="d-flex align-items-center me-3">
+                <div className="input-group input-group-sm me-2" style={{ width: 'auto' }}>
+                    <select
+                        className="form-select form-select-sm"
+                        aria-label="Saved views"
+                        value={isSavedView ? activeView : ''}
+                        onChange={this.handleViewChange}
+                    >
+                        <option value="">Current layout</option>
+                        {savedViewNames.map(viewName => (
+                            <option key={viewName} value={viewName}>{viewName}</option>
+                        ))}
+                    </select>
+                    <button type="button" className="btn btn-outline-secondary" title="Save view" aria-label="Save view" onClick={this.handleViewSave}>
+                        <i className="fa fa-save"></i>
+                    </button>
+                    <button type="button" className="btn btn-outline-danger" title="Delete view" aria-label="Delete view" disabled={!isSavedView} onClick={this.handleViewDelete}>
+                        <i className="fa fa-trash"></i>
+                    </button>
+                </div>
+                
+                <div className="dropdown">
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-outline-secondary dropdown-toggle"
+                        data-bs-toggle="dropdown"
+                        data-bs-auto-close="outside"
+                        aria-expanded="false"
+                    >
+                        <i className="fa fa-columns me-1"></i>Columns
+                    </button>
+                    <div className="dropdown-menu dropdown-menu-end p-2" style={{ minWidth: 300 }}>
+                        {allGridColumns.map(column => (
+                            <div key={column.field} className="d-flex align-items-center gap-2 py-1">
+                                <input
+                                    type="checkbox"
+                                    className="form-check-input m-0"
+                                    id={`[entityName]-column-${column.field}`}
+                                    checked={column.visible}
+                                    disabled={column.hideable === false}
+                                    onChange={() => this.handleColumnToggle(column.field)}
+                                />
+                                <label className="form-check-label flex-grow-1" htmlFor={`[entityName]-column-${column.field}`}>
+                                    {column.title}
+                                </label>
+                                <select
+                                    className="form-select form-select-sm w-auto"
+                                    aria-label={`Pin ${column.title}`}
+                                    value={column.pinned || ''}
+                                    onChange={(e) => this.handleColumnPin(column.field, e.target.value)}
+                                >
+                                    <option value="">Not pinned</option>
+                                    <option value="left">Pin left</option>
+                                    <option value="right">Pin right</option>
+                                </select>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-light"
+                                    aria-label={`Move ${column.title} left`}
+                                    disabled={!column.visible || column.reorderable === false}
+                                    onClick={() => this.handleColumnShift(column.field, -1)}
+                                >
+                                    &uarr;
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-light"
+                                    aria-label={`Move ${column.title} right`}
+                                    disabled={!column.visible || column.reorderable === false}
+                                    onClick={() => this.handleColumnShift(column.field, 1)}
+                                >
+                                    &darr;
+                                </button>
+                            </div>
+                        ))}
+                        <div className="dropdown-divider"></div>
+                        <button type="button" className="btn btn-link btn-sm p-0" onClick={this.handleColumnReset}>
+                            Reset columns
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+    
+    /**
+     * ✅ CORRECT: Client-side export menu (VM SECTION 13) - progress and cancel while it runs
+     */
+    renderExportMenu = () => {
+        const { isExporting, exportProgress, totalRecords } = this.VM.Data;
+        const formats = [['csv', 'CSV'], ['xlsx', 'Excel (.xlsx)'], ['json', 'JSON']];
+        
+        if (isExporting) {
+            const percent = exportProgress && exportProgress.total
+                ? Math.min(100, Math.round(exportProgress.rows / exportProgress.total * 100))
+                : null;
+            
+            return (
+                <div className="d-flex align-items-center me-3" aria-live="polite">
+                    <div className="spinner-border spinner-border-sm me-2"></div>
+                    <span className="text-muted me-2">
+                        Exporting{percent !== null ? ` ${percent}%` : '...'}
+                    </span>
+                    <button type="button" className="btn btn-sm btn-outline-secondary" onClick={this.handleExportCancel}>
+                        Cancel
+                    </button>
+                </div>
+            );
+        }
+        
+        return (
+            <div className="dropdown me-3">
+                <button type="button" className="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+                    <i className="fa fa-download me-1"></i>Export
+                </button>
+                <ul className="dropdown-menu dropdown-menu-end">
+                    <li><h6 className="dropdown-header">Rows on screen</h6></li>
+                    {formats.map(([format, label]) => (
+                        <li key={`page-${format}`}>
+                            <button type="button" className="dropdown-item" onClick={() => this.handleExport(format, 'page')}>{label}</button>
+                        </li>
+                    ))}
+                    <li><hr className="dropdown-divider" /></li>
+                    <li><h6 className="dropdown-header">All {totalRecords} matching rows</h6></li>
+                    {formats.map(([format, label]) => (
+                        <li key={`all-${format}`}>
+                            <button type="button" className="dropdown-item" onClick={() => this.handleExport(format, 'all')}>{label}</button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    };
+    
+    /**
+     * ✅ CORRECT: Virtual grid (props.virtual) for 10k+ rows
+     * - Only gridData[virtualRange.start..end] is rendered; spacer rows stand in for the rest
+     * - The header stays visible (position: sticky)
+     * - aria-rowcount/aria-rowindex give screen readers the real row numbers
+     * - Headers can be dragged to reorder and resized from their right edge; pinned columns stay in view
+     * ⚠️ CRITICAL: Rows must be exactly [EntityName]VirtualGrid.rowHeight tall (no wrapping)
+     * or the VM must use estimatedRowHeight
+     */
+    renderVirtualGrid = () => {
+        const { gridData, virtualRange, selectedIndex, sort, totalRecords, isLoading, inlineEditMode } = this.VM.Data;
+        const columns = this.getDisplayColumns();
+        const rows = gridData.slice(virtualRange.start, virtualRange.end);
+        const stickyHeader = { position: 'sticky', top: 0, zIndex: 2, background: 'var(--bs-body-bg, #fff)' };
+        const pinned = (column) => column.pinned
+            ? { position: 'sticky', [column.pinned]: column.offset, zIndex: 1, background: 'var(--bs-body-bg, #fff)' }
+            : undefined;
+        const spacer = (height) => height > 0 && (
+            <tr aria-hidden="true">
+                <td colSpan={columns.length} style={{ height: height, padding: 0, border: 0 }}></td>
+            </tr>
+        );
+        const isRendered = selectedIndex >= virtualRange.start && selectedIndex < virtualRange.end;
+        
+        return (
+            <div
+                ref={this.virtualScrollRef}
+                className="xos-virtual-scroll border rounded"
+                style={{ height: [EntityName]VirtualGrid.height, overflowY: 'auto' }}
+                onScroll={this.handleVirtualScroll}
+            >
+                <table
+                    className="table table-hover mb-0 xos-fixed-layout"
+                    role="grid"
+                    tabIndex={0}
+                    aria-rowcount={totalRecords + 1}
+                    aria-busy={isLoading}
+                    aria-activedescendant={isRendered ? `[entityName]-row-${selectedIndex}` : undefined}
+                    onKeyDown={this.handleGridKeyDown}
+                >
+                    {/* Widths live on <col> so a resize drag moves header and body together */}
+                    <colgroup>
+                        {columns.map(column => (
+                            <col key={column.field} data-column={column.field} style={{ width: column.width }} />
+                        ))}
+                    </colgroup>
+                    <thead>
+                        <tr aria-rowindex={1}>
+                            {columns.map(column => {
+                                const columnSort = (sort || []).find(entry => entry.field === column.field);
+                                return (
+                                    <th
+                                        key={column.field}
+                                        style={{ ...stickyHeader, ...pinned(column), zIndex: column.pinned ? 3 : 2 }}
+                                        className={column.sortable ? 'sortable' : ''}
+                                        aria-sort={columnSort ? (columnSort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                                        draggable={column.reorderable !== false}
+                                        onDragStart={(e) => this.handleColumnDragStart(column.field, e)}
+                                        onDragOver={this.handleColumnDragOver}
+                                        onDrop={(e) => this.handleColumnDrop(column.field, e)}
+                                        onDragEnd={this.handleColumnDragEnd}
+                                        onClick={column.sortable ? (e) => this.handleGridSort(column.field, e) : undefined}
+                                    >
+                                        {column.title}
+                                        {columnSort && <i className={`fa fa-sort-${columnSort.direction === 'asc' ? 'up' : 'down'} ms-1`}></i>}
+                                        {column.resizable !== false && (
+                                            <span
+                                                className="xos-column-resizer"
+                                                tabIndex={0}
+                                                role="separator"
+                                                aria-orientation="vertical"
+                                                aria-label={`Resize ${column.title}`}
+                                                onPointerDown={(e) => this.handleColumnResizeStart(column.field, e)}
+                                                onKeyDown={(e) => this.handleColumnResizeKey(column.field, e)}
+                                                onClick={(e) => e.stopPropagation()}
+                                            ></span>
+                                        )}
+                                    </th>
+                                );
+                            })}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {spacer(virtualRange.padTop)}
+                        {rows.map((row, offset) => {
+                            const index = virtualRange.start + offset;
+                            return (
+                                <tr
+                                    key={row.id}
+                                    id={`[entityName]-row-${index}`}
+                                    data-index={index}
+                                    aria-rowindex={index + 2}
+                                    aria-selected={index === selectedIndex}
+                                    className={index === selectedIndex ? 'table-active' : ''}
+                                    style={{ height: [EntityName]VirtualGrid.rowHeight }}
+                                    onClick={() => this.handleGridSelect(row, index)}
+                                    onDoubleClick={inlineEditMode ? undefined : () => this.handleGridEdit(row)}
+                                >
+                                    {columns.map(column => (
+                                        <td key={column.field} style={pinned(column)}>
+                                            {column.render ? column.render(row[column.field], row) : row[column.field]}
+                                        </td>
+                                    ))}
+                                </tr>
+                            );
+                        })}
+                        {spacer(virtualRange.padBottom)}
+                    </tbody>
+                </table>
+            </div>
+        );
+    };
+    
     // ===== SECTION 4: RENDER METHOD (COMPLETE UI PATTERNS) =====
     // Lines 300-1000: All UI components and layouts
     
@@ -265,7 +1242,8 @@ export default class [EntityName] extends cntrl.XOSComponent {
             
             // UI state
             currentPage, pageSize, totalRecords, totalPages,
-            searchTerm, sortField, sortDirection,
+            searchTerm, sortField, sortDirection, sort, filters,
+            virtualMode, hasMoreRows,
             selectedItem, selectedItems, selectedIndex,
             
             // File handling
@@ -275,7 +1253,10 @@ export default class [EntityName] extends cntrl.XOSComponent {
             errorMessage, successMessage, warningMessage, infoMessage,
             
             // Validation
-            validationErrors, isValid,
+            validationErrors, validationSummary, isValid,
+            
+            // Change tracking (undo/redo)
+            isDirty, canUndo, canRedo,
             
             // Loading states
             loadingFields, savingField,
@@ -311,6 +1292,17 @@ export default class [EntityName] extends cntrl.XOSComponent {
                     </div>
                 )}
                 
+                {/* Server validation errors that match no field */}
+                {validationSummary && validationSummary.length > 0 && (
+                    <div className="alert alert-danger" role="alert">
+                        <ul className="mb-0">
+                            {validationSummary.map((message, index) => (
+                                <li key={index}>{message}</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+                
                 {successMessage && (
                     <div className="alert alert-success alert-dismissible fade show" role="alert">
                         <i className="fa fa-check-circle me-2"></i>
@@ -387,11 +1379,7 @@ export default class [EntityName] extends cntrl.XOSComponent {
                                     />
                                     {searchTerm && (
                                         <button className="btn btn-outline-secondary" 
-                                                onClick={() => {
-                                                    vm.Data.searchTerm = '';
-                                                    vm.updateUI();
-                                                    if (vm.clearSearch) vm.clearSearch();
-                                                }}>
+                                                onClick={() => vm.clearSearch && vm.clearSearch()}>
                                             <i className="fa fa-times"></i>
                                         </button>
                                     )}
@@ -763,6 +1751,32 @@ export default class [EntityName] extends cntrl.XOSComponent {
                                                 <i className="fa fa-undo me-2"></i>
                                                 Reset
                                             </button>
+                                            
+                                            {/* Ctrl+Z / Ctrl+Y work too (bound in vm.onLoad) */}
+                                            <div className="btn-group me-2">
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-outline-secondary"
+                                                    onClick={() => vm.undo()}
+                                                    disabled={isLoading || !canUndo}
+                                                    title="Undo (Ctrl+Z)"
+                                                >
+                                                    <i className="fa fa-rotate-left"></i>
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-outline-secondary"
+                                                    onClick={() => vm.redo()}
+                                                    disabled={isLoading || !canRedo}
+                                                    title="Redo (Ctrl+Y)"
+                                                >
+                                                    <i className="fa fa-rotate-right"></i>
+                                                </button>
+                                            </div>
+                                            
+                                            {isDirty && (
+                                                <span className="text-muted small">Unsaved changes</span>
+                                            )}
                                         </div>
                                         
                                         <div>
@@ -810,92 +1824,66 @@ export default class [EntityName] extends cntrl.XOSComponent {
                                     </h4>
                                     
                                     <div className="d-flex align-items-center">
-                                        <label className="me-2">Show:</label>
-                                        <select 
-                                            className="form-select form-select-sm"
+                                        {this.renderInlineEditToolbar()}
+                                        {this.renderColumnToolbar()}
+                                        {this.renderExportMenu()}
+                                        
+                                        {/* Typed column filter - kept in the URL with page, size and sort */}
+                                        <select
+                                            className="form-select form-select-sm me-3"
                                             style={{ width: 'auto' }}
-                                            value={pageSize}
-                                            onChange={(e) => this.handlePageSizeChange(parseInt(e.target.value))}
+                                            value={filters && filters.isActive ? String(filters.isActive.value) : ''}
+                                            onChange={(e) => this.handleGridFilter('isActive', e.target.value)}
                                         >
-                                            <option value={10}>10</option>
-                                            <option value={25}>25</option>
-                                            <option value={50}>50</option>
-                                            <option value={100}>100</option>
+                                            <option value="">All statuses</option>
+                                            <option value="true">Active</option>
+                                            <option value="false">Inactive</option>
                                         </select>
-                                        <span className="ms-2 text-muted">
-                                            Showing {((currentPage - 1) * pageSize) + 1} to {Math.min(currentPage * pageSize, totalRecords)} of {totalRecords}
-                                        </span>
+                                        
+                                        {virtualMode ? (
+                                            <span className="text-muted" aria-live="polite">
+                                                Loaded {items.length} of {totalRecords}{hasMoreRows && ' - scroll for more'}
+                                            </span>
+                                        ) : (
+                                            <>
+                                                <label className="me-2">Show:</label>
+                                                <select 
+                                                    className="form-select form-select-sm"
+                                                    style={{ width: 'auto' }}
+                                                    value={pageSize}
+                                                    onChange={(e) => this.handlePageSizeChange(parseInt(e.target.value))}
+                                                >
+                                                    <option value={10}>10</option>
+                                                    <option value={25}>25</option>
+                                                    <option value={50}>50</option>
+                                                    <option value={100}>100</option>
+                                                </select>
+                                                <span className="ms-2 text-muted">
+                                                    Showing {((currentPage - 1) * pageSize) + 1} to {Math.min(currentPage * pageSize, totalRecords)} of {totalRecords}
+                                                </span>
+                                            </>
+                                        )}
                                     </div>
                                 </div>
                                 
-                                {/* ⚠️ CRITICAL: XOSGrid usage pattern */}
-                                <cntrl.XOSGrid
-                                    data={gridData}
-                                    columns={[
-                                        { 
-                                            field: 'id', 
-                                            title: 'ID', 
-                                            width: '80px',
-                                            sortable: true
-                                        },
-                                        { 
-                                            field: 'name', 
-                                            title: 'Name',
-                                            sortable: true,
-                                            render: (value, row) => (
-                                                <span className={row.isActive ? '' : 'text-muted'}>
-                                                    {value}
-                                                </span>
-                                            )
-                                        },
-                                        { 
-                                            field: 'email', 
-                                            title: 'Email',
-                                            sortable: true
-                                        },
-                                        { 
-                                            field: 'status', 
-                                            title: 'Status',
-                                            width: '120px',
-                                            render: (value, row) => (
-                                                <span className={`badge ${row.isActive ? 'bg-success' : 'bg-secondary'}`}>
-                                                    {row.isActive ? 'Active' : 'Inactive'}
-                                                </span>
-                                            )
-                                        },
-                                        {
-                                            field: 'actions',
-                                            title: 'Actions',
-                                            width: '150px',
-                                            sortable: false,
-                                            render: (value, row) => (
-                                                <div className="btn-group btn-group-sm">
-                                                    <button
-                                                        className="btn btn-outline-primary"
-                                                        onClick={() => this.handleGridEdit(row)}
-                                                        title="Edit"
-                                                    >
-                                                        <i className="fa fa-edit"></i>
-                                                    </button>
-                                                    <button
-                                                        className="btn btn-outline-danger"
-                                                        onClick={() => this.handleGridDelete(row)}
-                                                        title="Delete"
-                                                    >
-                                                        <i className="fa fa-trash"></i>
-                                                    </button>
-                                                </div>
-                                            )
-                                        }
-                                    ]}
-                                    onRowSelect={this.handleGridSelect}
-                                    selectedRow={selectedItem}
-                                    loading={isLoading}
-                                    emptyMessage="No records found"
-                                />
+                                {this.renderBulkToolbar()}
+                                
+                                {/* ⚠️ CRITICAL: XOSGrid usage pattern (virtual grid for 10k+ rows) */}
+                                {virtualMode ? this.renderVirtualGrid() : (
+                                    <cntrl.XOSGrid
+                                        data={gridData}
+                                        columns={this.getDisplayColumns()}
+                                        onRowSelect={this.handleGridSelect}
+                                        selectedRow={selectedItem}
+                                        sort={sort}
+                                        onSort={this.handleGridSort}
+                                        loading={isLoading}
+                                        emptyMessage="No records found"
+                                    />
+                                )}
                                 
                                 {/* Pagination */}
-                                {totalPages > 1 && (
+                                {!virtualMode && totalPages > 1 && (
                                     <nav className="mt-3">
                                         <ul className="pagination justify-content-center">
                                             <li className={`page-item ${currentPage === 1 ? 'disabled' : ''}`}>
@@ -1037,6 +2025,16 @@ export default class [EntityName] extends cntrl.XOSComponent {
         if (this.searchTimeout) {
             clearTimeout(this.searchTimeout);
         }
+        
+        // Abort in-flight VM requests so late responses don't update an unmounted component
+        if (this.VM.dispose) {
+            this.VM.dispose();
+        }
+        
+        // A column resize drag still listens on document (after dispose() - the width is dropped)
+        if (this.endColumnResize) {
+            this.endColumnResize();
+        }
     }
 }
 
@@ -1066,6 +2064,10 @@ export { [EntityName] };
 2. Debounce search input (already implemented)
 3. Implement pagination for large datasets
 4. Use React.memo for child components if needed
+5. 10k+ rows: <[EntityName] virtual /> renders only the visible rows (renderVirtualGrid)
+6. Column resize moves the <col> while dragging - the VM re-renders once, on release
+7. Inline edit mounts one editor (the open cell) - every other cell stays plain markup
+8. "Select all matching" is one flag in the VM - no row is loaded or rendered to select it
 
 🛡️ SECURITY CONSIDERATIONS:
 1. All input validation should be in ViewModel
@@ -0,0 +1,565 @@
+// ===== GRID DATA SOURCE COMPLETE PATTERNS =====
+// This file contains EVERY server-driven grid state pattern for XOS Framework
+// Page, page size, sort and filters live in ONE object that loads the data and mirrors itself in the URL
+
+// ⚠️ CRITICAL: The URL is user input. Restored sort fields, filter fields and operators
+// are checked against the column definitions - never sent to the server unchecked.
+
+// ===== SECTION 1: FILTER TYPES =====
+
+/**
+ * ✅ CORRECT: Operators and value parsing per column type
+ * Column definition: { type: 'text' | 'number' | 'date' | 'boolean' | 'enum', sortable, filterable }
+ */
+const GridFilterTypes = {
+    text: {
+        operators: ['contains', 'eq', 'startsWith', 'endsWith'],
+        defaultOperator: 'contains',
+        parse: value => String(value)
+    },
+    number: {
+        operators: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between'],
+        defaultOperator: 'eq',
+        parse: value => {
+            const number = Number(value);
+            return value === '' || isNaN(number) ? null : number;
+        }
+    },
+    date: {
+        operators: ['eq', 'gt', 'gte', 'lt', 'lte', 'between'],
+        defaultOperator: 'eq',
+        // yyyy-mm-dd only - the same string the date input gives and the server parses
+        parse: value => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? String(value) : null
+    },
+    boolean: {
+        operators: ['eq'],
+        defaultOperator: 'eq',
+        parse: value => {
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            return null;
+        }
+    },
+    enum: {
+        operators: ['in', 'eq'],
+        defaultOperator: 'in',
+        parse: value => String(value)
+    }
+};
+
+// ===== SECTION 2: GRID DATA SOURCE =====
+
+/**
+ * ✅ CORRECT: Server-driven grid state
+ * - Owns page, pageSize, multi-column sort, typed filters and a search term
+ * - load(request, { signal }) fetches one page - the data source keeps "latest wins"
+ * - Every change is written to the URL with history.replaceState (no new history entries)
+ * - restoreFromUrl() on mount brings back the grid the user refreshed or bookmarked
+ *
+ * URL format (prefix 'users.' when several grids share a page):
+ *   ?page=3&pageSize=25&sort=name,-createdDate&q=smith&filter.statusId=in:1,2&filter.total=between:10,50
+ *
+ * 💡 TIP: Default values are left out of the URL, so an untouched grid keeps a clean address
+ */
+class GridDataSource {
+    constructor(options = {}) {
+        this.columns = options.columns || {};           // { field: { type, sortable, filterable } }
+        this.loader = options.load;                      // async (request, { signal }) => { data, totalRecords }
+        this.prefix = options.urlPrefix || '';
+        this.syncUrl = options.syncUrl !== false;
+        this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 300;
+        this.pageSizes = options.pageSizes || [10, 25, 50, 100];
+        this.maxSort = options.maxSort || 3;
+
+        this.defaults = {
+            page: 1,
+            pageSize: this.pageSizes[0],
+            sort: [],
+            filters: {},
+            search: '',
+            ...(options.defaults || {})
+        };
+
+        this.state = GridDataSource.copyState(this.defaults);
+        this.result = { data: [], totalRecords: 0, totalPages: 0, loading: false, error: null };
+
+        this.listeners = new Set();
+        this.controller = null;          // AbortController of the running load
+        this.timer = null;               // Debounce timer (filters, search)
+        this.settleScheduled = null;
+    }
+
+    // ===== STATE CHANGES =====
+
+    setPage(page) {
+        const totalPages = this.result.totalPages || Infinity;
+        this.state.page = Math.min(Math.max(1, parseInt(page, 10) || 1), totalPages);
+        return this.reload();
+    }
+
+    /**
+     * New page size - back to page 1 (the old page number may not exist any more)
+     */
+    setPageSize(pageSize) {
+        const size = parseInt(pageSize, 10);
+        if (!this.pageSizes.includes(size)) return Promise.resolve(this.result);
+
+        this.state.pageSize = size;
+        this.state.page = 1;
+        return this.reload();
+    }
+
+    /**
+     * ✅ CORRECT: Header click cycles asc → desc → off
+     * multi (Shift+click) keeps the other sort columns; a plain click replaces them
+     */
+    sortBy(field, multi = false) {
+        if (!this.isSortable(field)) return Promise.resolve(this.result);
+
+        const current = this.state.sort.find(sort => sort.field === field);
+        const others = multi ? this.state.sort.filter(sort => sort.field !== field) : [];
+
+        if (!current) {
+            this.state.sort = [...others, { field: field, direction: 'asc' }].slice(-this.maxSort);
+        } else if (current.direction === 'asc') {
+            this.state.sort = multi
+                ? this.state.sort.map(sort => sort.field === field ? { field: field, direction: 'desc' } : sort)
+                : [{ field: field, direction: 'desc' }];
+        } else {
+            this.state.sort = others;
+        }
+
+        this.state.page = 1;
+        return this.reload();
+    }
+
+    setSort(sort) {
+        this.state.sort = (sort || []).filter(entry => this.isSortable(entry.field)).slice(0, this.maxSort);
+        this.state.page = 1;
+        return this.reload();
+    }
+
+    /**
+     * ⚠️ CRITICAL: Filters are debounced - typing in a filter box sends one request, not one per key
+     * An empty value removes the filter
+     */
+    setFilter(field, value, operator = null) {
+        const filter = this.normalizeFilter(field, operator, value);
+
+        if (filter) {
+            this.state.filters = { ...this.state.filters, [field]: filter };
+        } else {
+            const { [field]: removed, ...rest } = this.state.filters;
+            this.state.filters = rest;
+        }
+
+        this.state.page = 1;
+        return this.scheduleReload();
+    }
+
+    clearFilters() {
+        this.state.filters = {};
+        this.state.search = '';
+        this.state.page = 1;
+        return this.reload();
+    }
+
+    // Kept as typed (the search box renders it) - trimmed for the request and the URL
+    setSearch(term) {
+        this.state.search = String(term || '');
+        this.state.page = 1;
+        return this.scheduleReload();
+    }
+
+    /**
+     * Back to the defaults (and a clean URL)
+     */
+    reset() {
+        this.state = GridDataSource.copyState(this.defaults);
+        return this.reload();
+    }
+
+    /**
+     * Sort, filters and search for a saved view (frontend/column-views-complete.js)
+     */
+    getViewState() {
+        const state = GridDataSource.copyState(this.state);
+        return { sort: state.sort, filters: state.filters, search: state.search.trim() };
+    }
+
+    /**
+     * ✅ CORRECT: Apply a saved view - validated like the URL, then page 1
+     */
+    applyView(view = {}) {
+        const sort = Array.isArray(view.sort) ? view.sort : [];
+        this.state.sort = sort
+            .filter(entry => entry && this.isSortable(entry.field))
+            .map(entry => ({ field: entry.field, direction: entry.direction === 'desc' ? 'desc' : 'asc' }))
+            .slice(0, this.maxSort);
+
+        this.state.filters = {};
+        Object.keys(view.filters || {}).forEach(field => {
+            const saved = view.filters[field] || {};
+            const filter = this.normalizeFilter(field, saved.operator, saved.value);
+            if (filter) this.state.filters[field] = filter;
+        });
+
+        this.state.search = typeof view.search === 'string' ? view.search : '';
+        this.state.page = 1;
+        return this.reload();
+    }
+
+    // ===== LOADING =====
+
+    /**
+     * ✅ CORRECT: Load the current page now ("latest wins")
+     * Resolves with the result; superseded and cancelled loads resolve with the newer state untouched
+     */
+    async reload() {
+        this.cancelScheduledReload();
+        if (this.controller) {
+            this.controller.abort();
+        }
+
+        const controller = new AbortController();
+        this.controller = controller;
+        this.writeUrl();
+        this.setResult({ loading: true, error: null });
+
+        try {
+            const response = await this.loader(this.getRequest(), { signal: controller.signal });
+            if (controller.signal.aborted || response.aborted) return this.result;
+
+            // Service results report failures instead of throwing ({ success: false, message })
+            if (response.success === false) {
+                this.setResult({ loading: false, error: response });
+                return this.result;
+            }
+
+            const totalRecords = response.totalRecords || 0;
+            const totalPages = Math.ceil(totalRecords / this.state.pageSize);
+
+            // A filter shrank the list below the current page - show the last page instead
+            if (this.state.page > 1 && this.state.page > totalPages) {
+                this.state.page = Math.max(1, totalPages);
+                return this.reload();
+            }
+
+            this.setResult({
+                data: response.data || [],
+                totalRecords: totalRecords,
+                totalPages: totalPages,
+                loading: false
+            });
+        } catch (error) {
+            if (controller.signal.aborted || ApiManager.isAbortError(error)) return this.result;
+
+            console.error('Failed to load grid data:', error);
+            this.setResult({ loading: false, error: error });
+        } finally {
+            if (this.controller === controller) {
+                this.controller = null;
+            }
+        }
+
+        return this.result;
+    }
+
+    scheduleReload() {
+        this.cancelScheduledReload();
+
+        // URL and listeners update at once; only the request waits
+        this.writeUrl();
+        this.notify();
+
+        return new Promise(resolve => {
+            this.settleScheduled = resolve;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.settleScheduled = null;
+                resolve(this.reload());
+            }, this.debounceMs);
+        });
+    }
+
+    /**
+     * A superseded scheduled reload resolves with the current result (never hangs)
+     */
+    cancelScheduledReload() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.settleScheduled) {
+            const settle = this.settleScheduled;
+            this.settleScheduled = null;
+            settle(this.result);
+        }
+    }
+
+    /**
+     * Request body for the server (POST data or ApiManager.get params)
+     * { page, pageSize, search, sort: [{ field, direction }], filters: [{ field, operator, value }] }
+     */
+    getRequest() {
+        return {
+            page: this.state.page,
+            pageSize: this.state.pageSize,
+            search: this.state.search.trim(),
+            sort: this.state.sort.map(sort => ({ ...sort })),
+            filters: Object.keys(this.state.filters).map(field => ({ field: field, ...this.state.filters[field] }))
+        };
+    }
+
+    // ===== URL SYNC =====
+
+    /**
+     * ✅ CORRECT: Grid state → flat query params (defaults omitted)
+     */
+    toQueryParams() {
+        const state = this.state;
+        const params = {};
+        const key = name => this.prefix + name;
+
+        if (state.page !== this.defaults.page) params[key('page')] = state.page;
+        if (state.pageSize !== this.defaults.pageSize) params[key('pageSize')] = state.pageSize;
+        if (state.search.trim()) params[key('q')] = state.search.trim();
+
+        const sort = GridDataSource.formatSort(state.sort);
+        if (sort !== GridDataSource.formatSort(this.defaults.sort)) params[key('sort')] = sort;
+
+        Object.keys(state.filters).forEach(field => {
+            const filter = state.filters[field];
+            const value = Array.isArray(filter.value) ? filter.value.join(',') : filter.value;
+            params[key(`filter.${field}`)] = `${filter.operator}:${value}`;
+        });
+
+        return params;
+    }
+
+    toQueryString() {
+        return ApiManager.buildQueryString(this.toQueryParams());
+    }
+
+    /**
+     * ⚠️ CRITICAL: replaceState, not pushState - paging through a grid must not
+     * fill the Back button with one entry per page
+     * Query params that belong to other grids or the page are kept
+     */
+    writeUrl() {
+        if (!this.syncUrl || typeof window === 'undefined' || !window.history) return;
+
+        const params = new URLSearchParams(window.location.search);
+        Array.from(params.keys())
+            .filter(name => this.isOwnParam(name))
+            .forEach(name => params.delete(name));
+
+        const own = this.toQueryString();
+        const others = params.toString();
+        const query = [others, own].filter(Boolean).join('&');
+        const url = `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`;
+
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    /**
+     * ✅ CORRECT: Call once on mount, before the first reload()
+     * Unknown columns, invalid operators and unparsable values are dropped silently
+     */
+    restoreFromUrl(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const read = name => params.get(this.prefix + name);
+        const state = GridDataSource.copyState(this.defaults);
+
+        const page = parseInt(read('page'), 10);
+        if (page > 0) state.page = page;
+
+        const pageSize = parseInt(read('pageSize'), 10);
+        if (this.pageSizes.includes(pageSize)) state.pageSize = pageSize;
+
+        if (read('q')) state.search = read('q').trim();
+
+        if (read('sort') !== null) {
+            state.sort = GridDataSource.parseSort(read('sort'))
+                .filter(sort => this.isSortable(sort.field))
+                .slice(0, this.maxSort);
+        }
+
+        const filterPrefix = this.prefix + 'filter.';
+        params.forEach((raw, name) => {
+            if (!name.startsWith(filterPrefix)) return;
+
+            const field = name.substring(filterPrefix.length);
+            const separator = raw.indexOf(':');
+            const operator = separator > 0 ? raw.substring(0, separator) : null;
+            const value = separator > 0 ? raw.substring(separator + 1) : raw;
+            const filter = this.normalizeFilter(field, operator, value);
+
+            if (filter) state.filters[field] = filter;
+        });
+
+        this.state = state;
+        this.notify();
+        return this.state;
+    }
+
+    isOwnParam(name) {
+        const own = ['page', 'pageSize', 'q', 'sort'].map(param => this.prefix + param);
+        return own.includes(name) || name.startsWith(this.prefix + 'filter.');
+    }
+
+    // ===== HELPERS =====
+
+    isSortable(field) {
+        const column = this.columns[field];
+        return Boolean(column && column.sortable !== false);
+    }
+
+    /**
+     * Typed, validated filter - or null when the filter should be removed
+     * 'between' takes two values, 'in' a list (arrays or "a,b" strings)
+     */
+    normalizeFilter(field, operator, value) {
+        const column = this.columns[field];
+        if (!column || column.filterable === false) return null;
+
+        const type = GridFilterTypes[column.type || 'text'] || GridFilterTypes.text;
+        const op = operator || type.defaultOperator;
+        if (!type.operators.includes(op)) return null;
+
+        if (op === 'between' || op === 'in') {
+            const list = (Array.isArray(value) ? value : String(value === null || value === undefined ? '' : value).split(','))
+                .map(entry => typeof entry === 'string' ? entry.trim() : entry)
+                .filter(entry => entry !== '' && entry !== null && entry !== undefined)
+                .map(entry => type.parse(entry))
+                .filter(entry => entry !== null);
+
+            if (op === 'between' && list.length !== 2) return null;
+            return list.length ? { operator: op, value: list } : null;
+        }
+
+        if (value === '' || value === null || value === undefined) return null;
+
+        const parsed = type.parse(typeof value === 'string' ? value.trim() : value);
+        return parsed === null || parsed === '' ? null : { operator: op, value: parsed };
+    }
+
+    getSortDirection(field) {
+        const sort = this.state.sort.find(entry => entry.field === field);
+        return sort ? sort.direction : null;
+    }
+
+    // 1-based position in a multi-column sort (shown as a small number in the header)
+    getSortIndex(field) {
+        return this.state.sort.findIndex(entry => entry.field === field) + 1;
+    }
+
+    getFilter(field) {
+        return this.state.filters[field] || null;
+    }
+
+    /**
+     * Listener gets (state, result) after every change - returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    setResult(changes) {
+        this.result = { ...this.result, ...changes };
+        this.notify();
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.state, this.result));
+    }
+
+    /**
+     * ⚠️ CRITICAL: Call on unmount - stops the debounce timer and aborts the pending load
+     */
+    dispose() {
+        this.cancelScheduledReload();
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+        this.listeners.clear();
+    }
+
+    // "name,-createdDate" ↔ [{ field: 'name', direction: 'asc' }, { field: 'createdDate', direction: 'desc' }]
+    static formatSort(sort) {
+        return (sort || []).map(entry => (entry.direction === 'desc' ? '-' : '') + entry.field).join(',');
+    }
+
+    static parseSort(value) {
+        return String(value || '')
+            .split(',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => part.startsWith('-')
+                ? { field: part.substring(1), direction: 'desc' }
+                : { field: part, direction: 'asc' });
+    }
+
+    static copyState(state) {
+        return {
+            ...state,
+            sort: (state.sort || []).map(entry => ({ ...entry })),
+            filters: { ...(state.filters || {}) }
+        };
+    }
+}
+
+// Usage examples:
+/*
+// Columns: what may be sorted/filtered (and how URL values are parsed)
+const UserGridColumns = {
+    name: { type: 'text', sortable: true },
+    email: { type: 'text', sortable: true },
+    statusId: { type: 'enum', sortable: false },
+    createdDate: { type: 'date', sortable: true },
+    isActive: { type: 'boolean' }
+};
+
+// GET endpoint: same query string as the address bar
+const users = new GridDataSource({
+    columns: UserGridColumns,
+    load: (request, options) => ApiManager.get('/User/List', users.toQueryParams(), options)
+});
+
+// XOS POST endpoint (see viewmodel-complete.jsx loadGridPage)
+const users = new GridDataSource({
+    columns: UserGridColumns,
+    load: (request, options) => userService.getList(request, options)
+});
+
+// On mount
+users.subscribe((state, result) => render(state, result));
+users.restoreFromUrl();
+users.reload();
+
+// UI events
+users.sortBy('name', event.shiftKey);          // header click (Shift = add column)
+users.setFilter('statusId', ['1', '2']);         // enum → in:1,2
+users.setFilter('createdDate', ['2024-01-01', '2024-12-31'], 'between');
+users.setSearch('smith');                        // debounced
+users.setPage(3);
+
+// On unmount
+users.dispose();
+*/
+
+// Export for global use
+window.GridDataSource = GridDataSource;
+window.GridFilterTypes = GridFilterTypes;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Keeping page/sort/filter state in the component - a refresh loses it, use the data source
+// 2. pushState for every page change - the Back button then pages through the grid
+// 3. Trusting URL values - unknown sort fields or operators must never reach the server query
+// 4. Forgetting page = 1 after a sort/filter change - the user lands on an empty page
+// 5. Reloading on every keystroke in a filter box - setFilter/setSearch are debounced for that
+// 6. Not calling dispose() - a late response updates an unmounted grid
@@ -0,0 +1,656 @@
+// ===== GRID EXPORT COMPLETE PATTERNS =====
+// This file contains EVERY client-side grid export pattern for XOS Framework
+// CSV (RFC 4180), XLSX (OOXML) and JSON built in the browser from the grid's own columns and rows
+
+// ⚠️ CRITICAL: Client export is for "what I see" - the visible columns in their current order,
+// the current filters and sort. PDF, formatted reports and exports too large for the browser
+// stay on the server (service exportToExcel / exportToPdf).
+
+// ===== SECTION 1: CELL VALUES =====
+
+/**
+ * ✅ CORRECT: Column → exported value
+ * Columns are the grid's own definitions ({ field, title, render }) plus:
+ * - exportValue(value, row)  plain value for the file (wins over render)
+ * - exportTitle              header text when title is markup
+ * - exportable: false        leave the column out (action buttons)
+ *
+ * render() output is resolved to text - React elements (XOSGrid) always, strings only with
+ * html: true (xosDataTable renders and titles are markup; React renders strings as text)
+ * Numbers, booleans and Dates stay typed, so XLSX gets numeric and date cells
+ *
+ * 💡 TIP: Dates arrive from the API as strings - exportValue: value => value && new Date(value)
+ * makes them real date cells in Excel
+ */
+const ExportValues = {
+    getColumns(columns) {
+        return columns.filter(column => column && column.field && column.exportable !== false);
+    },
+
+    getTitle(column, html = false) {
+        return column.exportTitle || ExportValues.toText(column.title, html) || column.field;
+    },
+
+    getValue(column, row, html = false) {
+        const value = row ? row[column.field] : null;
+
+        if (typeof column.exportValue === 'function') {
+            return ExportValues.normalize(column.exportValue(value, row), false);
+        }
+        if (typeof column.render === 'function') {
+            return ExportValues.normalize(column.render(value, row), html);
+        }
+        return ExportValues.normalize(value, false);
+    },
+
+    /**
+     * null | number | boolean | Date | string
+     * ⚠️ CRITICAL: Data values are never parsed as HTML - "a < b" must stay "a < b"
+     */
+    normalize(value, html = false) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value === 'boolean') return value;
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        return ExportValues.toText(value, html);
+    },
+
+    /**
+     * Any render result as plain text
+     */
+    toText(value, html = false) {
+        if (value === null || value === undefined || typeof value === 'boolean') return '';
+        if (typeof value === 'string') return html ? ExportValues.htmlToText(value) : value;
+        if (typeof value === 'number') return String(value);
+        if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString();
+        if (Array.isArray(value)) return value.map(item => ExportValues.toText(item, html)).join('');
+
+        // React element - its text is in props.children (React children are text, never markup)
+        if (typeof value === 'object' && value.props) return ExportValues.toText(value.props.children, false);
+
+        return String(value);
+    },
+
+    /**
+     * 🛡️ SECURITY: DOMParser builds an inert document - no scripts run, no images load
+     * (never use innerHTML on a live element for this)
+     */
+    htmlToText(html) {
+        let text;
+        if (typeof DOMParser !== 'undefined') {
+            text = new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+        } else {
+            text = html.replace(/<[^>]*>/g, '')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&quot;/g, '"')
+                .replace(/&#39;/g, "'")
+                .replace(/&amp;/g, '&');
+        }
+        return text.replace(/\s+/g, ' ').trim();
+    },
+
+    // 120 / '120px' → 120, anything else → null
+    parseWidth(width) {
+        if (typeof width === 'number') return width > 0 ? width : null;
+        const match = /^(\d+(?:\.\d+)?)px$/.exec(String(width || '').trim());
+        return match ? Number(match[1]) : null;
+    }
+};
+
+// ===== SECTION 2: FILE WRITERS =====
+
+/**
+ * ✅ CORRECT: Writers share one shape
+ * - begin(columns)      columns: [{ field, title, width }]
+ * - writeRows(rows)     rows: arrays of normalized values, in column order
+ * - finish() → Blob
+ * Chunks are collected as parts and joined by the Blob - never one giant string
+ */
+class CsvWriter {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.bom = options.bom !== false;                        // Excel needs the BOM to read UTF-8
+        this.escapeFormulas = options.escapeFormulas !== false;
+        this.parts = [];
+    }
+
+    begin(columns) {
+        this.parts = this.bom ? ['\uFEFF'] : [];
+        this.parts.push(this.formatRecord(columns.map(column => column.title)));
+    }
+
+    writeRows(rows) {
+        this.parts.push(rows.map(row => this.formatRecord(row)).join(''));
+    }
+
+    finish() {
+        return new Blob(this.parts, { type: 'text/csv;charset=utf-8' });
+    }
+
+    // RFC 4180: every record ends with CRLF
+    formatRecord(values) {
+        return values.map(value => this.formatField(value)).join(this.delimiter) + '\r\n';
+    }
+
+    /**
+     * ⚠️ CRITICAL: Quote fields with the delimiter, quotes or line breaks; double embedded quotes
+     * 🛡️ SECURITY: Text starting with = + - @ is a formula to Excel ("CSV injection") - prefixed with '
+     */
+    formatField(value) {
+        let text = value === null ? '' : value instanceof Date ? value.toISOString() : String(value);
+
+        if (this.escapeFormulas && typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (text.includes(this.delimiter) || /["\r\n]/.test(text)) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+}
+
+/**
+ * JSON array of objects keyed by field - typed values, render output as text
+ */
+class JsonWriter {
+    constructor() {
+        this.parts = [];
+        this.fields = [];
+        this.count = 0;
+    }
+
+    begin(columns) {
+        this.fields = columns.map(column => column.field);
+        this.parts = ['['];
+        this.count = 0;
+    }
+
+    writeRows(rows) {
+        const records = rows.map(row => {
+            const record = {};
+            this.fields.forEach((field, index) => {
+                record[field] = row[index];
+            });
+            return JSON.stringify(record);
+        });
+
+        if (records.length === 0) return;
+        this.parts.push((this.count > 0 ? ',\n' : '\n') + records.join(',\n'));
+        this.count += records.length;
+    }
+
+    finish() {
+        this.parts.push(this.count > 0 ? '\n]\n' : ']\n');
+        return new Blob(this.parts, { type: 'application/json;charset=utf-8' });
+    }
+}
+
+/**
+ * ✅ CORRECT: Minimal OOXML workbook - one sheet, inline strings, bold frozen header row
+ * Numbers, booleans and dates are real cells (sortable and summable in Excel)
+ *
+ * 💡 TIP: Parts are stored uncompressed (ZipWriter) - Excel, LibreOffice and Google Sheets all read them
+ */
+class XlsxWriter {
+    constructor(options = {}) {
+        this.sheetName = XlsxWriter.sheetName(options.sheetName || 'Sheet1');
+        this.encoder = new TextEncoder();
+        this.sheet = null;
+        this.rowNumber = 0;
+        this.columnCount = 0;
+    }
+
+    begin(columns) {
+        this.sheet = new ZipEntry('xl/worksheets/sheet1.xml');
+        this.columnCount = columns.length;
+        this.rowNumber = 1;
+
+        // Pixel widths → Excel character widths (about 7px per character)
+        const widths = columns
+            .map((column, index) => {
+                const width = ExportValues.parseWidth(column.width);
+                return width ? `<col min="${index + 1}" max="${index + 1}" width="${Math.round(width / 7 * 100) / 100}" customWidth="1"/>` : '';
+            })
+            .join('');
+
+        const header = columns
+            .map((column, index) => this.cell(index, 1, column.title, 1))
+            .join('');
+
+        this.write(
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            (widths ? `<cols>${widths}</cols>` : '') +
+            `<sheetData><row r="1">${header}</row>`
+        );
+    }
+
+    writeRows(rows) {
+        const xml = rows.map(row => {
+            this.rowNumber++;
+            const cells = row.map((value, index) => this.cell(index, this.rowNumber, value, 0)).join('');
+            return `<row r="${this.rowNumber}">${cells}</row>`;
+        });
+        this.write(xml.join(''));
+    }
+
+    finish() {
+        this.write('</sheetData></worksheet>');
+
+        const zip = new ZipWriter();
+        zip.addText('[Content_Types].xml',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>');
+        zip.addText('_rels/.rels',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>');
+        zip.addText('xl/workbook.xml',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${XlsxWriter.escapeXml(this.sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>');
+        zip.addText('xl/_rels/workbook.xml.rels',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>');
+        // Style 0 = default, 1 = bold (header), 2 = date + time (numFmt 22)
+        zip.addText('xl/styles.xml',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="3">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>');
+        zip.addEntry(this.sheet);
+
+        return zip.finish('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    }
+
+    write(xml) {
+        this.sheet.append(this.encoder.encode(xml));
+    }
+
+    cell(columnIndex, rowNumber, value, style) {
+        const ref = `${XlsxWriter.columnName(columnIndex)}${rowNumber}`;
+        const styleAttr = style ? ` s="${style}"` : '';
+
+        if (value === null || value === '') return '';
+        if (typeof value === 'number') return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+        if (typeof value === 'boolean') return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+        if (value instanceof Date) return `<c r="${ref}" s="2"><v>${XlsxWriter.dateSerial(value)}</v></c>`;
+
+        // Excel's cell limit is 32,767 characters
+        const text = XlsxWriter.escapeXml(String(value).substring(0, 32767));
+        return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+    }
+
+    // 0 → A, 25 → Z, 26 → AA
+    static columnName(index) {
+        let name = '';
+        let number = index + 1;
+        while (number > 0) {
+            const remainder = (number - 1) % 26;
+            name = String.fromCharCode(65 + remainder) + name;
+            number = Math.floor((number - 1) / 26);
+        }
+        return name;
+    }
+
+    // Days since 1899-12-30 in local time - Excel shows what the grid showed
+    static dateSerial(date) {
+        const local = date.getTime() - date.getTimezoneOffset() * 60000;
+        return local / 86400000 + 25569;
+    }
+
+    /**
+     * ⚠️ CRITICAL: Control characters are not allowed in XML at all - one in a cell makes the file unreadable
+     */
+    static escapeXml(text) {
+        return text
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Max 31 characters, none of : \ / ? * [ ]
+    static sheetName(name) {
+        return String(name).replace(/[:\\/?*[\]]/g, ' ').substring(0, 31).trim() || 'Sheet1';
+    }
+}
+
+// ===== SECTION 3: ZIP CONTAINER =====
+
+/**
+ * One file in the archive - bytes are appended in chunks, the CRC-32 follows along
+ */
+class ZipEntry {
+    constructor(name) {
+        this.name = name;
+        this.chunks = [];
+        this.size = 0;
+        this.crc = 0xFFFFFFFF;
+    }
+
+    append(bytes) {
+        this.chunks.push(bytes);
+        this.size += bytes.length;
+        this.crc = ZipEntry.updateCrc(this.crc, bytes);
+    }
+
+    get checksum() {
+        return (this.crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static updateCrc(crc, bytes) {
+        const table = ZipEntry.crcTable || (ZipEntry.crcTable = ZipEntry.buildCrcTable());
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return crc;
+    }
+
+    static buildCrcTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+}
+
+ZipEntry.crcTable = null;
+
+/**
+ * ✅ CORRECT: Store-only ZIP (method 0) - enough for OOXML, no compression library needed
+ * ⚠️ CRITICAL: No ZIP64 - archives and entries must stay under 4 GB (far beyond a browser export)
+ */
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    addText(name, text) {
+        const entry = new ZipEntry(name);
+        entry.append(this.encoder.encode(text));
+        this.addEntry(entry);
+    }
+
+    addEntry(entry) {
+        this.entries.push(entry);
+    }
+
+    finish(type = 'application/zip') {
+        const parts = [];
+        const central = [];
+        const { time, date } = ZipWriter.dosDateTime(new Date());
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const name = this.encoder.encode(entry.name);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);     // Local file header signature
+            local.setUint16(4, 20, true);             // Version needed (2.0)
+            local.setUint16(6, 0x0800, true);         // Flags: UTF-8 names
+            local.setUint16(8, 0, true);              // Method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.checksum, true);
+            local.setUint32(18, entry.size, true);    // Compressed size
+            local.setUint32(22, entry.size, true);    // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);             // Extra field length
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);    // Central directory signature
+            header.setUint16(4, 20, true);            // Version made by
+            header.setUint16(6, 20, true);            // Version needed
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, date, true);
+            header.setUint32(16, entry.checksum, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(42, offset, true);       // Offset of the local header
+
+            parts.push(local, name, ...entry.chunks);
+            central.push(header, name);
+            offset += 30 + name.length + entry.size;
+        });
+
+        const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);           // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: type });
+    }
+
+    static dosDateTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+}
+
+// ===== SECTION 4: GRID EXPORTER =====
+
+/**
+ * ✅ CORRECT: One exporter per grid - columns as the grid shows them
+ * rows is either
+ * - an array (the rows on screen / already loaded), or
+ * - loadPage(page, signal) → Promise<{ items, hasMore }> (every row matching the current filters,
+ *   same shape as InfiniteScrollLoader's load)
+ *
+ * 🔥 PERFORMANCE: Rows are written chunkSize at a time with a yield to the event loop in between -
+ * the page stays responsive and onProgress can update a progress bar
+ * ⚠️ CRITICAL: maxRows caps what the browser holds in memory - the result says when it was truncated
+ */
+class GridExporter {
+    constructor(options = {}) {
+        this.columns = ExportValues.getColumns(options.columns || []);
+        this.fileName = options.fileName || 'export';
+        this.chunkSize = options.chunkSize || 500;
+        this.maxRows = options.maxRows || 100000;
+        this.html = Boolean(options.html);             // render() strings and titles are markup (xosDataTable)
+        this.writerOptions = options;
+    }
+
+    /**
+     * Returns Promise<{ blob, fileName, rowCount, truncated }>
+     */
+    async export(format, rows, options = {}) {
+        const Writer = GridExporter.writers[format];
+        if (!Writer) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        if (this.columns.length === 0) {
+            throw new Error('No columns to export');
+        }
+
+        const { signal, onProgress } = options;
+        const total = Array.isArray(rows) ? Math.min(rows.length, this.maxRows) : options.total || null;
+        const writer = new Writer(this.writerOptions);
+        let rowCount = 0;
+        let truncated = false;
+
+        writer.begin(this.columns.map(column => ({
+            field: column.field,
+            title: ExportValues.getTitle(column, this.html),
+            width: column.width
+        })));
+
+        for await (const page of this.readRows(rows, signal)) {
+            const remaining = this.maxRows - rowCount;
+            const items = page.items.length > remaining ? page.items.slice(0, remaining) : page.items;
+
+            for (let start = 0; start < items.length; start += this.chunkSize) {
+                const chunk = items.slice(start, start + this.chunkSize);
+                writer.writeRows(chunk.map(row => this.columns.map(column => ExportValues.getValue(column, row, this.html))));
+                rowCount += chunk.length;
+
+                if (onProgress) {
+                    onProgress({ rows: rowCount, total: total });
+                }
+
+                // Let the browser paint and handle input between chunks
+                await GridExporter.yieldToBrowser();
+                GridExporter.throwIfAborted(signal);
+            }
+
+            if (rowCount >= this.maxRows) {
+                truncated = items.length < page.items.length || page.hasMore;
+                break;
+            }
+        }
+
+        return {
+            blob: writer.finish(),
+            fileName: options.fileName || `${this.fileName}.${GridExporter.extensions[format]}`,
+            rowCount: rowCount,
+            truncated: truncated
+        };
+    }
+
+    /**
+     * Export and save the file (same download pattern as the service's server exports)
+     */
+    async download(format, rows, options = {}) {
+        const result = await this.export(format, rows, options);
+        GridExporter.saveBlob(result.blob, result.fileName);
+        return result;
+    }
+
+    // Yields { items, hasMore } - an array is one page
+    async *readRows(rows, signal) {
+        GridExporter.throwIfAborted(signal);
+
+        if (Array.isArray(rows)) {
+            yield { items: rows, hasMore: false };
+            return;
+        }
+
+        let page = 1;
+        let hasMore = true;
+        while (hasMore) {
+            const result = await rows(page, signal);
+            GridExporter.throwIfAborted(signal);
+
+            const items = result && Array.isArray(result.items) ? result.items : [];
+            hasMore = Boolean(result && result.hasMore) && items.length > 0;
+            page++;
+            yield { items: items, hasMore: hasMore };
+        }
+    }
+
+    static throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw ApiManager.createAbortError();
+        }
+    }
+
+    static yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    static saveBlob(blob, fileName) {
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Revoked on the next tick - some browsers start the download asynchronously
+        setTimeout(() => window.URL.revokeObjectURL(url), 0);
+    }
+}
+
+GridExporter.writers = {
+    csv: CsvWriter,
+    xlsx: XlsxWriter,
+    json: JsonWriter
+};
+
+GridExporter.extensions = {
+    csv: 'csv',
+    xlsx: 'xlsx',
+    json: 'json'
+};
+
+// Usage examples:
+/*
+// React grid - the component's layout columns (render functions included), VM SECTION 13
+this.VM.exportGrid('xlsx', this.getLayoutColumns(), 'page');   // rows on screen
+this.VM.exportGrid('csv', this.getLayoutColumns(), 'all');      // every row matching the filters
+
+// Columns can say how they export
+{ field: 'status', title: 'Status', render: (value, row) => <span className="badge">...</span>,
+  exportValue: (value, row) => (row.isActive ? 'Active' : 'Inactive') },
+{ field: 'createdDate', title: 'Created', exportValue: value => value && new Date(value) },
+{ field: 'actions', title: 'Actions', exportable: false }
+
+// jQuery data table - export: ['csv', 'xlsx', 'json'] adds an Export menu
+// (the table exports with html: true - its render functions return markup)
+$('#orders').xosDataTable({ ajax: { url: '/api/orders' }, columns: [...], export: ['csv', 'xlsx'] });
+
+// Standalone, with progress and cancel
+const controller = new AbortController();
+const exporter = new GridExporter({ columns: columns, fileName: 'Orders_2024-05-01' });
+const result = await exporter.download('csv', rows, {
+    signal: controller.signal,
+    onProgress: ({ rows, total }) => ProgressManager.update('export', total ? rows / total * 100 : null)
+});
+if (result.truncated) showWarning(`Only the first ${result.rowCount} rows were exported`);
+*/
+
+// Export for global use
+window.ExportValues = ExportValues;
+window.CsvWriter = CsvWriter;
+window.JsonWriter = JsonWriter;
+window.XlsxWriter = XlsxWriter;
+window.ZipWriter = ZipWriter;
+window.GridExporter = GridExporter;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Exporting raw row objects - users expect the visible columns, in their order, with rendered text
+// 2. Building CSV by joining with commas - quotes, commas and line breaks in values must be quoted (RFC 4180)
+// 3. Writing user text into CSV as is - =HYPERLINK(...) runs as a formula in Excel
+// 4. Reading render() HTML through innerHTML on a live element - use DOMParser (inert document)
+// 5. Building the whole file in one loop - write in chunks and yield, or the tab freezes on 50k rows
+// 6. Control characters in XLSX strings - Excel refuses the whole file
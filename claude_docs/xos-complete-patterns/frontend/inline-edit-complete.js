@@ -0,0 +1,475 @@
+// ===== INLINE EDIT COMPLETE PATTERNS =====
+// This file contains EVERY inline grid editing pattern for XOS Framework
+// Cells are edited in place, changes are kept per row and saved together - the grid rows themselves are never mutated
+
+// ⚠️ CRITICAL: A row is dirty only while one of its values differs from the loaded row.
+// Typing a value back clears it, and only dirty rows (changed fields only) go to the batch endpoint.
+// Cell validation uses the SAME rule schema as the form (frontend/validation-engine-complete.js).
+
+// ===== SECTION 1: CELL EDITORS =====
+
+/**
+ * ✅ CORRECT: One editor per value type
+ * - format(value, column)  row value → input value (string, or boolean for checkbox)
+ * - parse(input, column)   input value → row value ('' → null)
+ * - check(value, column)   type errors the rule schema cannot express ("Please enter a number")
+ * - display(value, column) text shown in a read-only cell
+ *
+ * Column editor spec: { type: 'text' | 'number' | 'combobox' | 'checkbox' | 'date', options, min, max, step, label }
+ * Combobox options: [{ id, name }] - the shape of getStatuses()/getCategories()
+ */
+const GridEditors = {
+    text: {
+        format: value => (value === null || value === undefined ? '' : String(value)),
+        parse: input => String(input === null || input === undefined ? '' : input),
+        check: () => null,
+        display: value => (value === null || value === undefined ? '' : String(value))
+    },
+
+    number: {
+        format: value => (value === null || value === undefined ? '' : String(value)),
+        parse: input => {
+            const text = String(input === null || input === undefined ? '' : input).trim();
+            if (text === '') return null;
+            // Not a number → keep the text so check() can report it
+            return isFinite(Number(text)) ? Number(text) : text;
+        },
+        check: (value, column) => {
+            if (value === null) return null;
+            if (typeof value !== 'number') return 'Please enter a number';
+            if (column.min !== undefined && value < column.min) return `Must be at least ${column.min}`;
+            if (column.max !== undefined && value > column.max) return `Cannot be more than ${column.max}`;
+            return null;
+        },
+        display: value => (typeof value === 'number' ? value.toLocaleString() : '')
+    },
+
+    combobox: {
+        format: value => (value === null || value === undefined ? '' : String(value)),
+        // ⚠️ CRITICAL: <select> values are strings - map back to the option id (number ids stay numbers)
+        parse: (input, column) => {
+            if (input === '' || input === null || input === undefined) return null;
+            const option = (column.options || []).find(entry => String(entry.id) === String(input));
+            return option ? option.id : input;
+        },
+        check: (value, column) => {
+            if (value === null) return null;
+            return (column.options || []).some(entry => entry.id === value) ? null : 'Please select a valid option';
+        },
+        display: (value, column) => {
+            const option = (column.options || []).find(entry => String(entry.id) === String(value));
+            return option ? option.name : '';
+        }
+    },
+
+    checkbox: {
+        format: value => Boolean(value),
+        parse: input => Boolean(input),
+        check: () => null,
+        display: value => (value ? 'Yes' : 'No')
+    },
+
+    date: {
+        // Row values may be ISO strings or Date objects - the input always gets YYYY-MM-DD
+        format: value => GridEditors.toDateInput(value),
+        parse: input => (input ? String(input) : null),
+        check: value => (value === null || !isNaN(new Date(`${value}T00:00:00`).getTime()) ? null : 'Please enter a valid date'),
+        display: value => {
+            const text = GridEditors.toDateInput(value);
+            return text ? new Date(`${text}T00:00:00`).toLocaleDateString() : '';
+        }
+    },
+
+    /**
+     * Editor for a column spec - unknown types edit as text
+     */
+    get: function(spec) {
+        const type = spec && this[spec.type] && typeof this[spec.type] === 'object' ? spec.type : 'text';
+        return { ...this[type], type: type };
+    },
+
+    // Local calendar date - toISOString() would shift it by the time zone
+    toDateInput: function(value) {
+        if (value === null || value === undefined || value === '') return '';
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) return '';
+            const pad = number => String(number).padStart(2, '0');
+            return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        }
+        const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value));
+        return match ? match[1] : '';
+    }
+};
+
+// ===== SECTION 2: ROW EDIT SESSION =====
+
+/**
+ * ✅ CORRECT: Per-row dirty state for an editable grid
+ * - setValue(row, field, input)  parse → diff against the loaded row → sync validation
+ * - getValue(row, field)         edited value, or the row's own value
+ * - validate(options)            every changed cell, async rules included (before saving)
+ * - getBatch()                   [{ id, changes, version }] - dirty rows only, changed fields only
+ * - applyResults(results)        saved rows leave the session, failed rows keep their edits and get errors
+ *
+ * Options: idField ('id'), editors ({ field: editor spec }), rules (validation schema),
+ * aliases ({ serverName: field } for server errors)
+ *
+ * 💡 TIP: Rows are keyed by id, so a reload or a new page keeps pending edits of rows still in the data
+ */
+class RowEditSession {
+    constructor(options = {}) {
+        this.idField = options.idField || 'id';
+        this.editors = options.editors || {};
+        this.rules = options.rules || {};
+        this.aliases = options.aliases || {};
+        this.rows = new Map();   // id → { original, changes, errors, message }
+        this.listeners = new Set();
+    }
+
+    // ===== READING =====
+
+    isEditable(field) {
+        return Boolean(this.editors[field]);
+    }
+
+    /**
+     * Editor for a field, merged with its column spec (options, min, max, ...)
+     * 💡 TIP: options may be a function (() => this.Data.statuses) for lists loaded after the session was created
+     */
+    getEditor(field) {
+        const spec = typeof this.editors[field] === 'string' ? { type: this.editors[field] } : this.editors[field];
+        if (!spec) return null;
+
+        const editor = GridEditors.get(spec);
+        const options = typeof spec.options === 'function' ? spec.options() : spec.options;
+        return { ...editor, ...spec, type: editor.type, options: options || [] };
+    }
+
+    getValue(row, field) {
+        const entry = this.rows.get(this.getId(row));
+        return entry && entry.changes.hasOwnProperty(field) ? entry.changes[field] : row[field];
+    }
+
+    /**
+     * Loaded row with the pending changes applied
+     */
+    getRow(row) {
+        const entry = this.rows.get(this.getId(row));
+        return entry ? { ...row, ...entry.changes } : row;
+    }
+
+    isDirty() {
+        return Array.from(this.rows.values()).some(entry => Object.keys(entry.changes).length > 0);
+    }
+
+    isRowDirty(row) {
+        const entry = this.rows.get(this.getId(row));
+        return Boolean(entry) && Object.keys(entry.changes).length > 0;
+    }
+
+    isCellDirty(row, field) {
+        const entry = this.rows.get(this.getId(row));
+        return Boolean(entry) && entry.changes.hasOwnProperty(field);
+    }
+
+    getCellError(row, field) {
+        const entry = this.rows.get(this.getId(row));
+        return (entry && entry.errors[field]) || null;
+    }
+
+    /**
+     * Row-level message from the last save (conflict, server error without a field)
+     */
+    getRowMessage(row) {
+        const entry = this.rows.get(this.getId(row));
+        return (entry && entry.message) || '';
+    }
+
+    hasErrors() {
+        return Array.from(this.rows.values()).some(entry => Object.keys(entry.errors).length > 0);
+    }
+
+    getDirtyIds() {
+        return Array.from(this.rows.keys()).filter(id => Object.keys(this.rows.get(id).changes).length > 0);
+    }
+
+    /**
+     * { id: { field: 'message' } } - only rows with errors
+     */
+    getErrors() {
+        const errors = {};
+        this.rows.forEach((entry, id) => {
+            if (Object.keys(entry.errors).length > 0) errors[id] = { ...entry.errors };
+        });
+        return errors;
+    }
+
+    // ===== CHANGES =====
+
+    /**
+     * ⚠️ CRITICAL: The only way to change a cell - returns the cell's error message (or null)
+     * A value equal to the loaded one removes the change, a row without changes leaves the session
+     */
+    setValue(row, field, input) {
+        const editor = this.getEditor(field);
+        if (!editor) return null;
+
+        const id = this.getId(row);
+        const entry = this.rows.get(id) || { original: { ...row }, changes: {}, errors: {}, message: '' };
+        const value = editor.parse(input, editor);
+
+        // Same input value counts as unchanged ('2024-05-01T00:00:00' vs '2024-05-01', null vs false)
+        if (ChangeTracker.isEqual(entry.original[field], value) ||
+            ChangeTracker.isEqual(editor.format(entry.original[field], editor), editor.format(value, editor))) {
+            delete entry.changes[field];
+        } else {
+            entry.changes[field] = value;
+        }
+        entry.message = '';
+
+        // A value typed back is not validated again - the loaded value is the server's business
+        const dependents = ValidationEngine.dependentsOf(this.rules, field);
+        const checked = entry.changes.hasOwnProperty(field) ? [field, ...dependents] : dependents;
+        entry.errors = ValidationEngine.mergeErrors(entry.errors, [field, ...dependents], this.validateCells(entry, checked));
+
+        if (Object.keys(entry.changes).length === 0) {
+            this.rows.delete(id);
+        } else {
+            this.rows.set(id, entry);
+        }
+
+        this.notify();
+        return entry.errors[field] || null;
+    }
+
+    /**
+     * Validate every changed cell, async rules included - resolves to true when the batch may be sent
+     * Options: rows (only these rows, e.g. the one whose editor was just closed), signal (AbortSignal)
+     * 💡 TIP: Pass a signal; a newer validate() or save aborts the unique checks of this one
+     */
+    async validate(options = {}) {
+        const ids = options.rows ? options.rows.map(row => this.getId(row)) : Array.from(this.rows.keys());
+        const entries = ids.map(id => this.rows.get(id)).filter(Boolean);
+
+        const checks = entries.map(async entry => {
+            const fields = this.getValidatedFields(entry);
+            const values = { ...entry.original, ...entry.changes };
+            const typeErrors = this.validateCells(entry, fields, false);
+            const result = await ValidationEngine.validate(this.rules, values, {
+                fields: fields.filter(field => !typeErrors[field] && this.rules[field]),
+                signal: options.signal
+            });
+
+            if (options.signal && options.signal.aborted) return;
+            entry.errors = { ...typeErrors, ...result.errors };
+        });
+
+        await Promise.all(checks);
+        if (options.signal && options.signal.aborted) return false;
+
+        this.notify();
+        return !this.hasErrors();
+    }
+
+    revertRow(row) {
+        if (this.rows.delete(this.getId(row))) this.notify();
+    }
+
+    revertAll() {
+        if (this.rows.size === 0) return;
+        this.rows.clear();
+        this.notify();
+    }
+
+    // ===== SAVING =====
+
+    /**
+     * ✅ CORRECT: Batch payload - changed fields only, with each row's loaded version (If-Match per row)
+     */
+    getBatch() {
+        return this.getDirtyIds().map(id => {
+            const entry = this.rows.get(id);
+            return {
+                id: entry.original[this.idField],
+                changes: { ...entry.changes },
+                version: ConflictResolver.getVersion(entry.original)
+            };
+        });
+    }
+
+    /**
+     * Per-row results of the batch endpoint: [{ id, success, data, version, validation, conflict, message }]
+     * Returns the saved rows (loaded row + changes + server data) to put back into the grid
+     *
+     * ⚠️ CRITICAL: A conflicting row keeps its edits and is never resent automatically -
+     * the user reloads it and decides (see ConflictResolver)
+     */
+    applyResults(results) {
+        const saved = [];
+
+        (results || []).forEach(result => {
+            const id = String(result.id);
+            const entry = this.rows.get(id);
+            if (!entry) return;
+
+            if (result.success) {
+                const data = { ...entry.original, ...entry.changes, ...(result.data || {}) };
+                if (result.version) data.rowVersion = result.version;
+                saved.push(data);
+                this.rows.delete(id);
+                return;
+            }
+
+            const mapped = result.validation
+                ? ServerValidationErrors.map(result.validation, Object.keys(this.editors), { aliases: this.aliases })
+                : { errors: {}, summary: [] };
+            entry.errors = { ...entry.errors, ...mapped.errors };
+            entry.message = result.conflict
+                ? 'Changed by someone else - reload the row to see their version'
+                : mapped.summary[0] || result.message || 'Not saved';
+        });
+
+        this.notify();
+        return saved;
+    }
+
+    /**
+     * ✅ CORRECT: Batch endpoint response → per-row results for applyResults()
+     * Accepts { results: [...] } / { Results: [...] } with XOS ("S"/"F", Success) or camelCase rows;
+     * row errors may be Errors[], ModelState or ProblemDetails (ServerValidationErrors)
+     */
+    static parseResults(response) {
+        const rows = (response && (response.results || response.Results)) || [];
+
+        return rows.map(row => ({
+            id: row.id !== undefined ? row.id : row.Id,
+            success: Boolean(row.success || row.Success || row.result === 'S'),
+            data: row.data || row.Data || null,
+            version: ConflictResolver.getVersion(row.data || row.Data || row),
+            validation: row.Errors || row.errors || row.ModelState ? ServerValidationErrors.parse(row) : null,
+            conflict: Boolean(row.conflict) || row.status === 409 || row.status === 412,
+            message: row.message || row.Message || ''
+        }));
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Listener gets the session after every change - returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    getId(row) {
+        return String(row[this.idField]);
+    }
+
+    // Changed fields plus the fields whose rules depend on them (compare)
+    getValidatedFields(entry) {
+        const fields = new Set();
+        Object.keys(entry.changes).forEach(field => {
+            fields.add(field);
+            ValidationEngine.dependentsOf(this.rules, field).forEach(dependent => fields.add(dependent));
+        });
+        return Array.from(fields);
+    }
+
+    /**
+     * Editor type check first, then the sync rules - { field: 'message' } for failing fields
+     */
+    validateCells(entry, fields, withRules = true) {
+        const values = { ...entry.original, ...entry.changes };
+        const errors = {};
+
+        fields.forEach(field => {
+            const editor = this.getEditor(field);
+            const message = (editor && entry.changes.hasOwnProperty(field) && editor.check(values[field], editor)) ||
+                (withRules ? ValidationEngine.validateFieldSync(this.rules, field, values) : null);
+            if (message) errors[field] = message;
+        });
+
+        return errors;
+    }
+}
+
+// ===== SECTION 3: KEYBOARD =====
+
+/**
+ * ✅ CORRECT: Spreadsheet keys for the open editor
+ * Enter → commit, Escape → cancel, Tab / Shift+Tab → commit and open the next/previous editable cell
+ */
+const InlineEditKeys = {
+    action: function(e) {
+        if (e.key === 'Escape') return 'cancel';
+        if (e.key === 'Tab') return e.shiftKey ? 'previous' : 'next';
+        // Enter in a <select> opens the list on some browsers - still commit, like a text input
+        if (e.key === 'Enter' && !e.altKey && !e.ctrlKey && !e.metaKey) return 'commit';
+        return null;
+    },
+
+    /**
+     * Next/previous editable cell in reading order: { id, field } or null at either end
+     * rows: the grid rows in display order, fields: editable fields in column order
+     */
+    nextCell: function(rows, fields, cell, step, idField = 'id') {
+        if (!cell || fields.length === 0) return null;
+
+        const rowIndex = rows.findIndex(row => String(row[idField]) === String(cell.id));
+        const fieldIndex = fields.indexOf(cell.field);
+        if (rowIndex === -1 || fieldIndex === -1) return null;
+
+        const position = rowIndex * fields.length + fieldIndex + step;
+        if (position < 0 || position >= rows.length * fields.length) return null;
+
+        return {
+            id: rows[Math.floor(position / fields.length)][idField],
+            field: fields[position % fields.length]
+        };
+    }
+};
+
+// Usage examples:
+/*
+// jQuery data table - click a cell to edit, "Save changes" posts the dirty rows
+$('#products').xosDataTable({
+    ajax: { url: '/api/Product/GetList' },
+    columns: [
+        { field: 'name', title: 'Name', editor: 'text' },
+        { field: 'price', title: 'Price', editor: { type: 'number', min: 0, step: 0.01 } },
+        { field: 'statusId', title: 'Status', editor: 'combobox', options: () => productService.getStatuses().then(r => r.data) },
+        { field: 'isActive', title: 'Active', editor: 'checkbox' },
+        { field: 'releaseDate', title: 'Release', editor: 'date' }
+    ],
+    editable: { url: '/api/Product/BatchUpdate', rules: ProductRules }
+});
+
+// React grid (viewmodel-complete.jsx SECTION 14)
+this.rowEdits = new RowEditSession({ editors: [EntityName]InlineEditors, rules: [EntityName]ValidationRules });
+
+vm.setCellValue(row, 'statusId', e.target.value);     // Parsed, diffed, validated
+const value = vm.rowEdits.getValue(row, 'statusId');   // What the cell shows
+await vm.saveRowChanges();                             // Validate → BatchUpdate → per-row results
+
+// Batch endpoint contract
+// POST { rows: [{ id, changes: { statusId: 2 }, version }] }
+// → { success, results: [{ id, success, data, version, errors | Errors, conflict, message }] }
+*/
+
+// Export for global use
+window.GridEditors = GridEditors;
+window.RowEditSession = RowEditSession;
+window.InlineEditKeys = InlineEditKeys;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Writing edits into the grid rows - a revert or a failed save has nothing to go back to
+// 2. Sending whole rows - the batch carries changed fields only, like the form's PATCH
+// 3. Comparing "2" with 2 - parse() turns <select> and <input> strings back into row types
+// 4. A second set of cell rules - pass the form's schema as rules
+// 5. Retrying conflicting rows - they keep their edits until the user reloads them
+// 6. Dropping pending edits on reload - rows are keyed by id, call revertAll() only when the user discards
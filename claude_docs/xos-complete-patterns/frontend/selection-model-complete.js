@@ -0,0 +1,374 @@
+// ===== SELECTION MODEL COMPLETE PATTERNS =====
+// This file contains EVERY multi-row selection and bulk action pattern for XOS Framework
+// Selection is kept by row id across pages; "select all matching" is sent as the grid filter, never as an id list
+
+// ⚠️ CRITICAL: "All 12,408 matching rows" is NOT 12,408 ids in the browser. It is the current
+// search + filters (and the ids the user unticked afterwards). The server applies the filter itself.
+// Changing the search or a filter clears the selection - the user would act on rows they never saw.
+
+// ===== SECTION 1: SELECTION MODEL =====
+
+/**
+ * ✅ CORRECT: Checkbox selection for XOSGrid / the virtual grid
+ * - toggle(row, rows, shiftKey)  one row; Shift+click selects/clears the range from the last clicked row
+ * - setRowsSelected(rows, bool)  header checkbox - the rows on screen
+ * - selectAllMatching(total)     every row matching the query, on every page
+ * - toRequest()                  { ids, count } or { filter, excludedIds, count } for the bulk endpoint
+ *
+ * 💡 TIP: getRowsState(rows) → 'all' | 'some' | 'none' drives the header checkbox (indeterminate = 'some')
+ */
+class SelectionModel {
+    constructor(options = {}) {
+        this.idField = options.idField || 'id';
+        this.mode = 'ids';          // 'ids': only this.ids | 'all': every matching row except this.excluded
+        this.ids = new Set();
+        this.excluded = new Set();
+        this.total = 0;             // Matching rows when mode is 'all'
+        this.query = null;          // { searchTerm, filters } the selection belongs to
+        this.queryKey = '';
+        this.anchor = null;         // Last clicked id - start of a Shift+click range
+        this.listeners = new Set();
+    }
+
+    // ===== READING =====
+
+    isSelected(row) {
+        const id = this.getId(row);
+        return this.mode === 'all' ? !this.excluded.has(id) : this.ids.has(id);
+    }
+
+    isAllMatching() {
+        return this.mode === 'all';
+    }
+
+    getCount() {
+        return this.mode === 'all' ? Math.max(0, this.total - this.excluded.size) : this.ids.size;
+    }
+
+    /**
+     * Header checkbox state for the rows on screen
+     */
+    getRowsState(rows) {
+        if (!rows || rows.length === 0) return 'none';
+
+        const selected = rows.filter(row => this.isSelected(row)).length;
+        if (selected === 0) return 'none';
+        return selected === rows.length ? 'all' : 'some';
+    }
+
+    /**
+     * ✅ CORRECT: Bulk endpoint payload
+     * - ids mode: { ids: [...], count }
+     * - all mode: { filter: { searchTerm, filters }, excludedIds: [...], count } - count lets the
+     *   server refuse when the filter now matches a different number of rows
+     */
+    toRequest() {
+        if (this.mode === 'all') {
+            return {
+                filter: SelectionModel.copy(this.query),
+                excludedIds: Array.from(this.excluded).map(id => this.toServerId(id)),
+                count: this.getCount()
+            };
+        }
+
+        return {
+            ids: Array.from(this.ids).map(id => this.toServerId(id)),
+            count: this.ids.size
+        };
+    }
+
+    // ===== CHANGES =====
+
+    /**
+     * One row's checkbox - rows: the rows on screen in display order (for Shift+click ranges)
+     */
+    toggle(row, rows = [], shiftKey = false) {
+        const id = this.getId(row);
+        const selected = !this.isSelected(row);
+        const ids = rows.map(entry => this.getId(entry));
+        const from = shiftKey && this.anchor !== null ? ids.indexOf(this.anchor) : -1;
+        const to = ids.indexOf(id);
+
+        if (from !== -1 && to !== -1) {
+            // Range takes the new state of the clicked row (like a file manager)
+            ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(entry => this.setSelected(entry, selected));
+        } else {
+            this.setSelected(id, selected);
+        }
+
+        this.anchor = id;
+        this.notify();
+    }
+
+    setRowsSelected(rows, selected) {
+        rows.forEach(row => this.setSelected(this.getId(row), selected));
+        this.notify();
+    }
+
+    /**
+     * Every row matching the current query - total: the grid's totalRecords
+     */
+    selectAllMatching(total) {
+        this.mode = 'all';
+        this.total = total;
+        this.ids.clear();
+        this.excluded.clear();
+        this.notify();
+    }
+
+    /**
+     * Select exactly these ids (e.g. the failed rows of a bulk action, to retry them)
+     */
+    selectIds(ids) {
+        this.mode = 'ids';
+        this.ids = new Set(ids.map(id => String(id)));
+        this.excluded.clear();
+        this.anchor = null;
+        this.notify();
+    }
+
+    clear() {
+        const hadSelection = this.getCount() > 0 || this.mode === 'all';
+        this.mode = 'ids';
+        this.ids.clear();
+        this.excluded.clear();
+        this.total = 0;
+        this.anchor = null;
+        if (hadSelection) this.notify();
+    }
+
+    /**
+     * ⚠️ CRITICAL: Call on every grid result - query: { searchTerm, filters } as sent to the server
+     * A different query clears the selection; the same query (paging, sorting) keeps it
+     */
+    setQuery(query, total) {
+        const key = JSON.stringify(query || {});
+        const changed = this.queryKey !== '' && key !== this.queryKey;
+
+        this.query = SelectionModel.copy(query || {});
+        this.queryKey = key;
+
+        if (changed) {
+            this.clear();
+        } else if (this.mode === 'all' && total !== undefined && total !== this.total) {
+            // Rows were added/removed on the server - "all matching" follows the real count
+            this.total = total;
+            this.notify();
+        }
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Listener gets the model after every change - returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    setSelected(id, selected) {
+        if (this.mode === 'all') {
+            if (selected) this.excluded.delete(id);
+            else this.excluded.add(id);
+        } else if (selected) {
+            this.ids.add(id);
+        } else {
+            this.ids.delete(id);
+        }
+    }
+
+    // Ids are compared as strings (checkbox values, URL params) and sent back as numbers when they are numeric
+    getId(row) {
+        return String(row && typeof row === 'object' ? row[this.idField] : row);
+    }
+
+    toServerId(id) {
+        return /^\d+$/.test(id) ? Number(id) : id;
+    }
+
+    static copy(value) {
+        return value ? JSON.parse(JSON.stringify(value)) : null;
+    }
+}
+
+// ===== SECTION 2: BULK ACTION RUNNER =====
+
+/**
+ * ✅ CORRECT: Run a bulk action with progress and a per-item report
+ * - id selections are sent in chunks (chunkSize) - progress moves per chunk; Cancel aborts the chunk in flight
+ *   and sends no more (the server may already have applied that chunk - reload the grid after a cancel)
+ * - "all matching" selections are ONE request (the server owns the filter) - progress shows it as running
+ * - execute(target, signal) is the service call: target is { ids } or { filter, excludedIds, count }
+ *   and the result is the service shape { success, results: [{ id, success, message }], failedIds, message }
+ *
+ * options: { label, verb ('updated' → "3 of 5 updated"), signal, onProgress }
+ * Returns { total, succeededIds, failed: [{ id, message }], processedCount, aborted, message }
+ *
+ * ⚠️ CRITICAL: A failed chunk fails only its own rows - the remaining chunks still run,
+ * and the report tells the user exactly which rows were not changed
+ */
+class BulkActionRunner {
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize || 100;
+        this.progressContainer = options.progressContainer || null;  // Element id for ProgressManager
+    }
+
+    async run(target, execute, options = {}) {
+        const signal = options.signal || null;
+        const label = options.label || 'Processing';
+        const total = target.ids ? target.ids.length : target.count || 0;
+        const report = { total: total, succeededIds: [], failed: [], processedCount: 0, aborted: false, message: '' };
+
+        const progressId = this.progressContainer
+            ? ProgressManager.create(this.progressContainer, { label: label, showPercentage: true, showStatus: true })
+            : null;
+        const progress = (done, status) => {
+            if (progressId) ProgressManager.update(progressId, total ? done / total * 100 : 0, status);
+            if (options.onProgress) options.onProgress({ done: done, total: total });
+        };
+
+        progress(0, target.ids ? `0 of ${total}` : `Processing ${total.toLocaleString()} rows on the server...`);
+
+        try {
+            const chunks = target.ids ? BulkActionRunner.chunk(target.ids, this.chunkSize) : [null];
+
+            for (const ids of chunks) {
+                if (signal && signal.aborted) {
+                    report.aborted = true;
+                    break;
+                }
+
+                const chunkTarget = ids ? { ids: ids, count: ids.length } : target;
+                const result = await BulkActionRunner.execute(execute, chunkTarget, signal);
+                if (result.aborted) {
+                    report.aborted = true;
+                    break;
+                }
+
+                BulkActionRunner.collect(report, result, ids);
+                progress(report.processedCount + report.failed.length,
+                    target.ids ? `${report.processedCount + report.failed.length} of ${total}` : null);
+            }
+        } finally {
+            report.message = BulkActionRunner.summarize(report, options.verb || 'updated');
+            if (progressId) {
+                if (report.aborted || report.failed.length > 0) {
+                    ProgressManager.error(progressId, report.message);
+                } else {
+                    ProgressManager.complete(progressId, report.message);
+                }
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Service methods report failures instead of throwing - a throw (network, bug) fails the chunk too
+     */
+    static async execute(execute, target, signal) {
+        try {
+            return await execute(target, signal);
+        } catch (error) {
+            if (ApiManager.isAbortError(error)) return { aborted: true };
+            return { success: false, message: error.message || 'Request failed' };
+        }
+    }
+
+    /**
+     * ✅ CORRECT: Per-item outcome from whatever the endpoint returned
+     * results[] (best) → failedIds[] → success of the whole request
+     */
+    static collect(report, result, ids) {
+        const message = result.message || 'Failed';
+
+        if (Array.isArray(result.results) && result.results.length > 0) {
+            result.results.forEach(item => {
+                if (item.success) {
+                    report.succeededIds.push(item.id);
+                } else {
+                    report.failed.push({ id: item.id, message: item.message || message });
+                }
+            });
+            report.processedCount = report.succeededIds.length;
+            return;
+        }
+
+        // Filter request without per-item results - only the count is known
+        if (!ids) {
+            if (result.success) {
+                report.processedCount += result.processedCount || 0;
+            } else {
+                report.failed.push({ id: null, message: message });
+            }
+            return;
+        }
+
+        const failedIds = result.success ? (result.failedIds || []).map(String) : ids.map(String);
+        ids.forEach(id => {
+            if (failedIds.includes(String(id))) {
+                report.failed.push({ id: id, message: message });
+            } else {
+                report.succeededIds.push(id);
+            }
+        });
+        report.processedCount = report.succeededIds.length;
+    }
+
+    static summarize(report, verb) {
+        const failed = report.failed.filter(item => item.id !== null).length;
+        const parts = [`${report.processedCount.toLocaleString()} of ${report.total.toLocaleString()} ${verb}`];
+        if (failed > 0) parts.push(`${failed.toLocaleString()} failed`);
+        if (report.failed.some(item => item.id === null)) parts.push(report.failed.find(item => item.id === null).message);
+        if (report.aborted) parts.push('cancelled');
+        return parts.join(', ');
+    }
+
+    static chunk(items, size) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) {
+            chunks.push(items.slice(i, i + size));
+        }
+        return chunks;
+    }
+}
+
+// Usage examples:
+/*
+// ViewModel (viewmodel-complete.jsx SECTION 15)
+this.selection = new SelectionModel();
+this.grid.subscribe((state, result) => this.selection.setQuery({ searchTerm: state.search, filters: ... }, result.totalRecords));
+
+selection.toggle(row, model.gridData, e.nativeEvent.shiftKey);   // Checkbox (Shift+click = range)
+selection.setRowsSelected(model.gridData, true);                 // Header checkbox
+selection.selectAllMatching(model.totalRecords);                 // "Select all 12,408 matching rows"
+
+// Bulk action with progress bar and report
+const runner = new BulkActionRunner({ chunkSize: 100, progressContainer: 'orders-bulk-progress' });
+const report = await runner.run(selection.toRequest(),
+    (target, signal) => orderService.bulkUpdateStatus(target, statusId, { signal }),
+    { label: 'Updating status', signal: controller.signal });
+// report: { total, succeededIds, failed: [{ id, message }], processedCount, aborted, message }
+selection.selectIds(report.failed.map(item => item.id));         // Keep the failed rows selected for a retry
+
+// Bulk endpoint contract
+// POST { entityIds: [...] } or { filter: { searchTerm, filters }, excludedIds: [...], expectedCount }
+// → { success, processedCount, results: [{ id, success, message }] }
+*/
+
+// Export for global use
+window.SelectionModel = SelectionModel;
+window.BulkActionRunner = BulkActionRunner;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Loading every matching id to "select all" - send the filter, the server applies it
+// 2. Keeping a select-all after the search changed - setQuery() clears it
+// 3. Storing selected row objects - rows are reloaded per page; keep ids
+// 4. One request for 10,000 ids - chunk them so progress, cancel and partial failures work
+// 5. "Bulk update failed" for the whole batch when 3 rows failed - show the per-item report
+// 6. Comparing ids with === across checkbox values and row data - ids are normalized to strings
@@ -4,9 +4,52 @@
 
 import { Utils } from '../../xos-components/Utils';
 
+// ⚠️ CRITICAL: ApiManager, MutationOutbox, ServiceContract, ResponseEnvelope, ServerValidationErrors,
+// ConflictResolver and RowEditSession are globals (window.*) set by the pattern scripts
+// (api-patterns/*-complete.js, frontend/inline-edit-complete.js) - load those first, never import them
+
 // ===== SECTION 1: SERVICE CLASS STRUCTURE =====
 // Lines 10-100: Service class definition and basic patterns
 
+/**
+ * ✅ CORRECT: [EntityName] contract - keep in sync with the C# DTO
+ * Requests are checked after cleanEntityData, responses after the envelope is unwrapped
+ */
+const [EntityName]Schema = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        email: { type: 'string', format: 'email', nullable: true },
+        phone: { type: 'string', nullable: true },
+        address: { type: 'string', nullable: true },
+        description: { type: 'string', nullable: true },
+        notes: { type: 'string', nullable: true },
+        categoryId: { type: 'integer', nullable: true },
+        statusId: { type: 'integer', nullable: true },
+        roleId: { type: 'integer', nullable: true },
+        isActive: { type: 'boolean' },
+        isEnabled: { type: 'boolean' }
+    }
+};
+
+const [EntityName]Contract = ServiceContract.define('[EntityName]', {
+    getById: { response: [EntityName]Schema },
+    getList: { response: { type: 'array', items: [EntityName]Schema } },
+    search: { response: { type: 'array', items: [EntityName]Schema } },
+    save: {
+        // id is optional on create; unknown fields are usually typos (categoryID)
+        request: { ...[EntityName]Schema, required: ['name'], additionalProperties: false },
+        response: { type: 'object', nullable: true, properties: { id: { type: 'integer', minimum: 1 } } }
+    },
+    patch: {
+        // Only the changed fields - nothing is required
+        request: { ...[EntityName]Schema, required: [], additionalProperties: false },
+        response: { type: 'object', nullable: true, properties: { id: { type: 'integer', minimum: 1 } } }
+    }
+});
+
 /**
  * ⚠️ CRITICAL: Frontend service class for [EntityName]
  * Handles all API communication using XOS patterns
@@ -14,11 +57,19 @@ import { Utils } from '../../xos-components/Utils';
  * - Always use relative URLs (NOT absolute URLs)
  * - Always handle errors gracefully
  * - Always return consistent response format
+ * - Every request method takes { signal } (AbortSignal) as its last argument
+ * - Read responses through this.contract.parseResponse (never guess envelopes)
+ * - getById returns the record version; pass it back to save/delete ({ version }) as If-Match
  */
 export class [EntityName]Service {
     constructor() {
         this.baseUrl = '/api/[EntityName]';  // ✅ CORRECT: Relative URL
+        this.apiPath = '/[EntityName]';      // Same endpoint, relative to ApiManager baseUrl ('/api')
         this.defaultTimeout = 30000;         // 30 seconds
+        this.cacheTag = '[EntityName]';      // Tag for every cached response of this entity
+        this.lookupCacheTtl = 300000;        // 5 minutes for dropdown data
+        this.latestRequests = new Map();     // "Latest wins" controllers for search/quickSearch
+        this.contract = [EntityName]Contract; // Request/response schemas per method
     }
     
     // ===== SECTION 2: BASIC CRUD OPERATIONS =====
@@ -27,25 +78,35 @@ export class [EntityName]Service {
     /**
      * ⚠️ CRITICAL: Get single entity by ID
      * Uses POST method (XOS convention)
+     * Returns the record version (ETag header or rowVersion) for optimistic concurrency
      */
-    async getById(id) {
+    async getById(id, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const { response, xhr } = await this.ajaxWithXhr({
                 url: `${this.baseUrl}/Get`,      // ✅ CORRECT: Relative URL
                 data: { id: id },                // ✅ CORRECT: POST data
                 timeout: this.defaultTimeout
-            });
+            }, options.signal);
+            
+            // ✅ CORRECT: Unwraps { Success, Data } / { success, data } / bare entity
+            const result = this.contract.parseResponse('getById', response);
             
             return {
-                success: true,
-                data: response.data || response,  // Handle different response formats
-                message: 'Data loaded successfully'
+                success: result.success,
+                data: result.success ? result.data : null,
+                version: result.success ? ConflictResolver.getVersion(result.data, xhr) : null,
+                message: result.message || (result.success ? 'Data loaded successfully' : 'Failed to load data')
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Failed to get entity by ID:', error);
             return {
                 success: false,
                 data: null,
+                version: null,
                 message: error.message || 'Failed to load data'
             };
         }
@@ -55,7 +116,7 @@ export class [EntityName]Service {
      * ⚠️ CRITICAL: Get paginated list with filtering
      * Uses POST method with search parameters
      */
-    async getList(searchParams = {}) {
+    async getList(searchParams = {}, options = {}) {
         try {
             // ✅ CORRECT: Prepare search parameters with defaults
             const params = {
@@ -69,20 +130,26 @@ export class [EntityName]Service {
                 pageSize: searchParams.pageSize || 10
             };
             
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/GetList`,
                 data: params
-            });
+            }, options.signal);
+            
+            const result = this.contract.parseResponse('getList', response);
             
             return {
-                success: true,
-                data: response.data || [],
-                totalRecords: response.totalRecords || 0,
-                totalPages: response.totalPages || 0,
-                currentPage: response.page || 1,
-                message: 'List loaded successfully'
+                success: result.success,
+                data: result.success ? result.data || [] : [],
+                totalRecords: result.meta.totalRecords || 0,
+                totalPages: result.meta.totalPages || 0,
+                currentPage: result.meta.page || 1,
+                message: result.message || (result.success ? 'List loaded successfully' : 'Failed to load list')
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Failed to get entity list:', error);
             return {
                 success: false,
@@ -98,26 +165,82 @@ export class [EntityName]Service {
     /**
      * ⚠️ CRITICAL: Save entity (handles both create and update)
      * Returns XOS standard response format
+     * options.version (from getById) is sent as If-Match; options.original (the loaded
+     * record) lets a conflict tell the user's edits from the other user's
      */
-    async save(entity) {
+    async save(entity, options = {}) {
+        // ✅ CORRECT: The version travels as If-Match, never in the body
+        const version = options.version || ConflictResolver.getVersion(entity);
+        
+        // ✅ CORRECT: Clean data before sending
+        const cleanEntity = this.cleanEntityData(entity);
+        
         try {
-            // ✅ CORRECT: Clean data before sending
-            const cleanEntity = this.cleanEntityData(entity);
+            // ✅ CORRECT: Invalid payloads are never sent (throws CONTRACT_ERROR)
+            this.contract.validateRequest('save', cleanEntity);
             
-            const response = await Utils.ajax({
+            const { response, xhr } = await this.ajaxWithXhr({
                 url: `${this.baseUrl}/Save`,
-                data: cleanEntity
-            });
+                data: cleanEntity,
+                headers: cleanEntity.id ? ConflictResolver.toHeaders(version) : {}
+            }, options.signal);
+            
+            // ✅ CORRECT: One result for "S"/"F", { Success }, { success } and { result: 'S' }
+            const result = this.contract.parseResponse('save', response);
             
-            // ✅ CORRECT: Handle XOS response format ("S" or "F")
-            const isSuccess = response === 'S' || response.success === true || response.result === 'S';
+            // ✅ CORRECT: Saved data makes every cached list of this entity stale
+            if (result.success) {
+                ApiManager.invalidateCache(this.cacheTag);
+            }
             
             return {
-                success: isSuccess,
-                data: isSuccess ? cleanEntity : null,
-                message: isSuccess ? 'Saved successfully' : (response.message || 'Save failed')
+                success: result.success,
+                data: result.success ? { ...cleanEntity, ...(result.data || {}) } : null,
+                // New version - the next save must send this one
+                version: result.success ? ConflictResolver.getVersion(result.data, xhr) : null,
+                // "F" with Errors[] - the ViewModel maps it onto its fields
+                validation: result.success ? null : ServerValidationErrors.parse(response),
+                message: result.success ? 'Saved successfully' : (result.message || 'Save failed')
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
+            // Payload broke the contract - nothing was sent, show the fields on the form
+            // ⚠️ CRITICAL: Check before the offline branch so invalid data is never queued
+            if (ServiceContract.isContractError(error) && error.direction === 'request') {
+                return {
+                    success: false,
+                    data: null,
+                    errors: ServiceContract.toFieldErrors(error),
+                    message: error.message
+                };
+            }
+            
+            // ✅ CORRECT: 409/412 - someone else saved first; return both versions for the conflict modal
+            if (ConflictResolver.isConflict(error)) {
+                return this.conflictResult(cleanEntity.id, cleanEntity, options);
+            }
+            
+            // ✅ CORRECT: Offline - keep the change in the outbox instead of losing it
+            // If-Match is replayed too, so a stale offline edit becomes an outbox conflict
+            if (MutationOutbox.isOffline(error)) {
+                return this.queueOffline('save', `${this.baseUrl}/Save`, cleanEntity,
+                    cleanEntity.id ? ConflictResolver.toHeaders(version) : {});
+            }
+            
+            // ✅ CORRECT: 400/422 - parsed field errors (ModelState, ProblemDetails, Errors[])
+            // Not logged as a failure: the user only has to fix the form
+            if (ServerValidationErrors.isValidationError(error)) {
+                return {
+                    success: false,
+                    data: null,
+                    validation: ServerValidationErrors.parse(error),
+                    message: error.message || 'Please check your input'
+                };
+            }
+            
             console.error('Failed to save entity:', error);
             return {
                 success: false,
@@ -127,24 +250,122 @@ export class [EntityName]Service {
         }
     }
     
+    /**
+     * ✅ CORRECT: Update only the changed fields (PATCH) - same handling as save()
+     * options.version is sent as If-Match: two users editing different fields no longer
+     * overwrite each other, and a stale version is a conflict; options.original as in save()
+     */
+    async patch(id, changes, options = {}) {
+        const url = `${this.baseUrl}/${encodeURIComponent(id)}`;
+        const headers = ConflictResolver.toHeaders(options.version);
+        
+        // Cleared fields stay in the body as null - clearing is a change
+        const cleanChanges = this.toBatchChanges(changes);
+        
+        try {
+            this.contract.validateRequest('patch', cleanChanges);
+            
+            const { response, xhr } = await this.ajaxWithXhr({
+                url: url,
+                method: 'PATCH',
+                data: cleanChanges,
+                headers: headers
+            }, options.signal);
+            
+            const result = this.contract.parseResponse('patch', response);
+            
+            if (result.success) {
+                ApiManager.invalidateCache(this.cacheTag);
+            }
+            
+            return {
+                success: result.success,
+                data: result.success ? { id: id, ...cleanChanges, ...(result.data || {}) } : null,
+                // ⚠️ CRITICAL: The old version now fails If-Match - the next save must send this one
+                version: result.success ? ConflictResolver.getVersion(result.data, xhr) : null,
+                validation: result.success ? null : ServerValidationErrors.parse(response),
+                message: result.success ? 'Updated successfully' : (result.message || 'Update failed')
+            };
+        } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
+            if (ServiceContract.isContractError(error) && error.direction === 'request') {
+                return {
+                    success: false,
+                    data: null,
+                    errors: ServiceContract.toFieldErrors(error),
+                    message: error.message
+                };
+            }
+            
+            if (ConflictResolver.isConflict(error)) {
+                return this.conflictResult(id, cleanChanges, options);
+            }
+            
+            // Replayed with the same If-Match - a stale offline edit becomes an outbox conflict
+            if (MutationOutbox.isOffline(error)) {
+                return this.queueOffline('patch', url, cleanChanges, headers, 'PATCH');
+            }
+            
+            if (ServerValidationErrors.isValidationError(error)) {
+                return {
+                    success: false,
+                    data: null,
+                    validation: ServerValidationErrors.parse(error),
+                    message: error.message || 'Please check your input'
+                };
+            }
+            
+            console.error('Failed to update entity:', error);
+            return {
+                success: false,
+                data: null,
+                message: error.message || 'Update failed'
+            };
+        }
+    }
+    
     /**
      * ⚠️ CRITICAL: Delete entity
      * Uses POST method with confirmation
+     * options.version makes the delete fail (conflict) if the record changed meanwhile
      */
-    async delete(id, reason = '') {
+    async delete(id, reason = '', options = {}) {
+        const headers = ConflictResolver.toHeaders(options.version);
+        
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/Delete`,
-                data: { id: id, reason: reason }
-            });
+                data: { id: id, reason: reason },
+                headers: headers
+            }, options.signal);
             
-            const isSuccess = response === true || response.success === true;
+            const result = this.contract.parseResponse('delete', response);
+            
+            if (result.success) {
+                ApiManager.invalidateCache(this.cacheTag);
+            }
             
             return {
-                success: isSuccess,
-                message: isSuccess ? 'Deleted successfully' : (response.message || 'Delete failed')
+                success: result.success,
+                message: result.success ? 'Deleted successfully' : (result.message || 'Delete failed')
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
+            // Changed since it was loaded - the user decides whether it still goes
+            if (ConflictResolver.isConflict(error)) {
+                return this.conflictResult(id, null, options);
+            }
+            
+            if (MutationOutbox.isOffline(error)) {
+                return this.queueOffline('delete', `${this.baseUrl}/Delete`, { id: id, reason: reason }, headers);
+            }
+            
             console.error('Failed to delete entity:', error);
             return {
                 success: false,
@@ -159,12 +380,12 @@ export class [EntityName]Service {
     /**
      * Load all dropdown data for forms
      */
-    async loadData() {
+    async loadData(options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/LoadData`,
                 data: {}
-            });
+            }, options.signal);
             
             return {
                 success: true,
@@ -177,6 +398,10 @@ export class [EntityName]Service {
                 message: 'Dropdown data loaded successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Failed to load dropdown data:', error);
             return {
                 success: false,
@@ -194,12 +419,14 @@ export class [EntityName]Service {
     /**
      * Load categories for dropdown
      */
-    async getCategories(activeOnly = true) {
+    async getCategories(activeOnly = true, options = {}) {
         try {
-            const response = await Utils.ajax({
-                url: `${this.baseUrl}/GetCategories`,
-                data: { activeOnly: activeOnly }
-            });
+            // 💡 TIP: Lookup data rarely changes - served from ApiManager cache
+            const response = await ApiManager.post(
+                `${this.apiPath}/GetCategories`,
+                { activeOnly: activeOnly },
+                { cache: this.getLookupCachePolicy('categories'), signal: options.signal }
+            );
             
             return {
                 success: true,
@@ -207,6 +434,10 @@ export class [EntityName]Service {
                 message: 'Categories loaded successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Failed to load categories:', error);
             return {
                 success: false,
@@ -219,12 +450,14 @@ export class [EntityName]Service {
     /**
      * Load statuses for dropdown
      */
-    async getStatuses(activeOnly = true) {
+    async getStatuses(activeOnly = true, options = {}) {
         try {
-            const response = await Utils.ajax({
-                url: `${this.baseUrl}/GetStatuses`,
-                data: { activeOnly: activeOnly }
-            });
+            // 💡 TIP: Lookup data rarely changes - served from ApiManager cache
+            const response = await ApiManager.post(
+                `${this.apiPath}/GetStatuses`,
+                { activeOnly: activeOnly },
+                { cache: this.getLookupCachePolicy('statuses'), signal: options.signal }
+            );
             
             return {
                 success: true,
@@ -232,6 +465,10 @@ export class [EntityName]Service {
                 message: 'Statuses loaded successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Failed to load statuses:', error);
             return {
                 success: false,
@@ -244,12 +481,14 @@ export class [EntityName]Service {
     /**
      * Load roles for dropdown
      */
-    async getRoles(activeOnly = true) {
+    async getRoles(activeOnly = true, options = {}) {
         try {
-            const response = await Utils.ajax({
-                url: `${this.baseUrl}/GetRoles`,
-                data: { activeOnly: activeOnly }
-            });
+            // 💡 TIP: Lookup data rarely changes - served from ApiManager cache
+            const response = await ApiManager.post(
+                `${this.apiPath}/GetRoles`,
+                { activeOnly: activeOnly },
+                { cache: this.getLookupCachePolicy('roles'), signal: options.signal }
+            );
             
             return {
                 success: true,
@@ -257,6 +496,10 @@ export class [EntityName]Service {
                 message: 'Roles loaded successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Failed to load roles:', error);
             return {
                 success: false,
@@ -271,8 +514,12 @@ export class [EntityName]Service {
     
     /**
      * ⚠️ CRITICAL: Advanced search with multiple criteria
+     * "Latest wins": starting a search aborts the previous one, so a slow
+     * stale response can never overwrite newer results
      */
-    async search(searchParams) {
+    async search(searchParams, options = {}) {
+        const latest = this.beginLatestRequest('search', options.signal);
+        
         try {
             const params = {
                 searchTerm: searchParams.searchTerm || '',
@@ -288,19 +535,25 @@ export class [EntityName]Service {
                 pageSize: searchParams.pageSize || 10
             };
             
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/Search`,
                 data: params
-            });
+            }, latest.controller.signal);
+            
+            const result = this.contract.parseResponse('search', response);
             
             return {
-                success: true,
-                data: response.results || response.data || [],
-                totalCount: response.totalCount || 0,
+                success: result.success,
+                data: result.success ? result.data || [] : [],
+                totalCount: result.meta.totalCount || result.meta.totalRecords || 0,
                 searchTerm: searchParams.searchTerm,
-                message: 'Search completed successfully'
+                message: result.message || (result.success ? 'Search completed successfully' : 'Search failed')
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Search failed:', error);
             return {
                 success: false,
@@ -309,18 +562,23 @@ export class [EntityName]Service {
                 searchTerm: searchParams.searchTerm || '',
                 message: error.message || 'Search failed'
             };
+        } finally {
+            this.endLatestRequest('search', latest);
         }
     }
     
     /**
      * Quick search for autocomplete
+     * "Latest wins" like search() - every keystroke cancels the previous lookup
      */
-    async quickSearch(term, maxResults = 10) {
+    async quickSearch(term, maxResults = 10, options = {}) {
+        const latest = this.beginLatestRequest('quickSearch', options.signal);
+        
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/QuickSearch`,
                 data: { term: term, maxResults: maxResults }
-            });
+            }, latest.controller.signal);
             
             return {
                 success: true,
@@ -328,12 +586,18 @@ export class [EntityName]Service {
                 message: 'Quick search completed'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Quick search failed:', error);
             return {
                 success: false,
                 data: [],
                 message: error.message || 'Quick search failed'
             };
+        } finally {
+            this.endLatestRequest('quickSearch', latest);
         }
     }
     
@@ -342,69 +606,145 @@ export class [EntityName]Service {
     
     /**
      * ⚠️ CRITICAL: Bulk update status for multiple entities
+     * selection: an id array, or SelectionModel.toRequest() - { ids } or
+     * { filter, excludedIds, count } for "all matching rows" (the server applies the filter)
+     * results: [{ id, success, message }] per row when the endpoint reports them
      */
-    async bulkUpdateStatus(entityIds, newStatusId) {
+    async bulkUpdateStatus(selection, newStatusId, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/BulkUpdateStatus`,
                 data: {
-                    entityIds: entityIds,
+                    ...this.toBulkTarget(selection),
                     newStatusId: newStatusId
                 }
-            });
+            }, options.signal);
+            
+            if (response.success || (response.processedCount || 0) > 0) {
+                ApiManager.invalidateCache(this.cacheTag);
+            }
             
             return {
                 success: response.success || false,
                 processedCount: response.processedCount || 0,
+                results: this.toBulkResults(response),
+                failedIds: response.failedIds || [],
                 message: response.message || 'Bulk update completed'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Bulk update status failed:', error);
             return {
                 success: false,
                 processedCount: 0,
+                results: [],
+                failedIds: this.getBulkIds(selection),
                 message: error.message || 'Bulk update failed'
             };
         }
     }
     
     /**
-     * Bulk delete multiple entities
+     * Bulk delete multiple entities - selection as in bulkUpdateStatus
      */
-    async bulkDelete(entityIds, reason = '') {
+    async bulkDelete(selection, reason = '', options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/BulkDelete`,
                 data: {
-                    entityIds: entityIds,
+                    ...this.toBulkTarget(selection),
                     reason: reason
                 }
-            });
+            }, options.signal);
+            
+            if (response.success || (response.processedCount || 0) > 0) {
+                ApiManager.invalidateCache(this.cacheTag);
+            }
             
             return {
                 success: response.success || false,
                 processedCount: response.processedCount || 0,
+                results: this.toBulkResults(response),
                 failedIds: response.failedIds || [],
                 message: response.message || 'Bulk delete completed'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Bulk delete failed:', error);
             return {
                 success: false,
                 processedCount: 0,
-                failedIds: entityIds,
+                results: [],
+                failedIds: this.getBulkIds(selection),
                 message: error.message || 'Bulk delete failed'
             };
         }
     }
     
+    /**
+     * ✅ CORRECT: Save inline grid edits - changed fields of several rows in one request
+     * rows: [{ id, changes, version }] from RowEditSession.getBatch() (frontend/inline-edit-complete.js)
+     * Returns per-row results: [{ id, success, data, version, validation, conflict, message }]
+     *
+     * ⚠️ CRITICAL: Rows are saved independently - one invalid or conflicting row must not
+     * roll back the others. Each row's version is checked like If-Match on save()
+     */
+    async batchUpdate(rows, options = {}) {
+        try {
+            const response = await this.ajax({
+                url: `${this.baseUrl}/BatchUpdate`,
+                data: {
+                    rows: rows.map(row => ({
+                        id: row.id,
+                        changes: this.toBatchChanges(row.changes),
+                        version: row.version || null
+                    }))
+                }
+            }, options.signal);
+            
+            // ✅ CORRECT: Same per-row shape the jQuery data table reads
+            const results = RowEditSession.parseResults(response);
+            const savedCount = results.filter(result => result.success).length;
+            if (savedCount > 0) {
+                ApiManager.invalidateCache(this.cacheTag);
+            }
+            
+            return {
+                success: savedCount === rows.length,
+                results: results,
+                processedCount: savedCount,
+                message: response.message || `${savedCount} of ${rows.length} rows saved`
+            };
+        } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
+            // 400/422 for the whole request (e.g. malformed payload) - nothing was saved
+            console.error('Batch update failed:', error);
+            return {
+                success: false,
+                results: [],
+                processedCount: 0,
+                validation: ServerValidationErrors.isValidationError(error) ? ServerValidationErrors.parse(error) : null,
+                message: error.message || 'Batch update failed'
+            };
+        }
+    }
+    
     // ===== SECTION 6: FILE OPERATIONS =====
     // Lines 750-900: File upload and download operations
     
     /**
      * ⚠️ CRITICAL: Upload files with proper FormData handling
      */
-    async uploadFiles(entityId, files, category = '') {
+    async uploadFiles(entityId, files, category = '', options = {}) {
         try {
             // ✅ CORRECT: Create FormData for file upload
             const formData = new FormData();
@@ -416,12 +756,12 @@ export class [EntityName]Service {
                 formData.append(`files`, file);
             });
             
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/UploadFiles`,
                 data: formData,
                 contentType: false,    // ⚠️ CRITICAL: Let browser set content-type
                 processData: false     // ⚠️ CRITICAL: Don't process FormData
-            });
+            }, options.signal);
             
             return {
                 success: response.success || false,
@@ -429,6 +769,10 @@ export class [EntityName]Service {
                 message: response.message || 'Files uploaded successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('File upload failed:', error);
             return {
                 success: false,
@@ -441,14 +785,14 @@ export class [EntityName]Service {
     /**
      * Download file by ID
      */
-    async downloadFile(fileId) {
+    async downloadFile(fileId, options = {}) {
         try {
             // ✅ CORRECT: Handle file download
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/DownloadFile`,
                 data: { fileId: fileId },
                 responseType: 'blob'  // Important for file downloads
-            });
+            }, options.signal);
             
             return {
                 success: true,
@@ -456,6 +800,10 @@ export class [EntityName]Service {
                 message: 'File downloaded successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('File download failed:', error);
             return {
                 success: false,
@@ -471,12 +819,12 @@ export class [EntityName]Service {
     /**
      * Validate entity data before save
      */
-    async validate(entity) {
+    async validate(entity, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/Validate`,
                 data: entity
-            });
+            }, options.signal);
             
             return {
                 success: true,
@@ -485,6 +833,10 @@ export class [EntityName]Service {
                 message: response.isValid ? 'Validation passed' : 'Validation failed'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Validation failed:', error);
             return {
                 success: false,
@@ -498,12 +850,12 @@ export class [EntityName]Service {
     /**
      * Check if name is unique
      */
-    async checkNameUnique(name, excludeId = null) {
+    async checkNameUnique(name, excludeId = null, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/CheckNameUnique`,
                 data: { name: name, excludeId: excludeId }
-            });
+            }, options.signal);
             
             return {
                 success: true,
@@ -511,6 +863,10 @@ export class [EntityName]Service {
                 message: response.message || ''
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Name unique check failed:', error);
             return {
                 success: false,
@@ -523,12 +879,12 @@ export class [EntityName]Service {
     /**
      * Check if email is unique
      */
-    async checkEmailUnique(email, excludeId = null) {
+    async checkEmailUnique(email, excludeId = null, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/CheckEmailUnique`,
                 data: { value: email, excludeId: excludeId }
-            });
+            }, options.signal);
             
             return {
                 success: true,
@@ -536,6 +892,10 @@ export class [EntityName]Service {
                 message: response.message || ''
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Email unique check failed:', error);
             return {
                 success: false,
@@ -551,12 +911,12 @@ export class [EntityName]Service {
     /**
      * Clone entity with new name
      */
-    async clone(sourceId, newName) {
+    async clone(sourceId, newName, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/Clone`,
                 data: { sourceId: sourceId, newName: newName }
-            });
+            }, options.signal);
             
             return {
                 success: response.success || false,
@@ -564,6 +924,10 @@ export class [EntityName]Service {
                 message: response.message || 'Clone operation completed'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Clone operation failed:', error);
             return {
                 success: false,
@@ -576,12 +940,12 @@ export class [EntityName]Service {
     /**
      * Toggle active status
      */
-    async toggleActive(id) {
+    async toggleActive(id, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/ToggleActive`,
                 data: { id: id }
-            });
+            }, options.signal);
             
             return {
                 success: response.success || false,
@@ -589,6 +953,10 @@ export class [EntityName]Service {
                 message: response.message || 'Status toggled'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Toggle active failed:', error);
             return {
                 success: false,
@@ -604,12 +972,12 @@ export class [EntityName]Service {
     /**
      * Get report data
      */
-    async getReportData(reportParams) {
+    async getReportData(reportParams, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/GetReportData`,
                 data: reportParams
-            });
+            }, options.signal);
             
             return {
                 success: true,
@@ -617,6 +985,10 @@ export class [EntityName]Service {
                 message: 'Report data loaded successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Get report data failed:', error);
             return {
                 success: false,
@@ -628,14 +1000,16 @@ export class [EntityName]Service {
     
     /**
      * Export to Excel
+     * 💡 TIP: Only what the grid shows? Export in the browser instead - no round-trip
+     * (VM exportGrid, frontend/grid-export-complete.js). This endpoint is for formatted server reports.
      */
-    async exportToExcel(exportParams) {
+    async exportToExcel(exportParams, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/ExportToExcel`,
                 data: { exportParams: exportParams },
                 responseType: 'blob'
-            });
+            }, options.signal);
             
             // ✅ CORRECT: Handle file download response
             const blob = new Blob([response], { 
@@ -655,6 +1029,10 @@ export class [EntityName]Service {
                 message: 'Excel export completed successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('Excel export failed:', error);
             return {
                 success: false,
@@ -666,13 +1044,13 @@ export class [EntityName]Service {
     /**
      * Export to PDF
      */
-    async exportToPdf(exportParams) {
+    async exportToPdf(exportParams, options = {}) {
         try {
-            const response = await Utils.ajax({
+            const response = await this.ajax({
                 url: `${this.baseUrl}/ExportToPdf`,
                 data: { exportParams: exportParams },
                 responseType: 'blob'
-            });
+            }, options.signal);
             
             // ✅ CORRECT: Handle PDF download
             const blob = new Blob([response], { type: 'application/pdf' });
@@ -690,6 +1068,10 @@ export class [EntityName]Service {
                 message: 'PDF export completed successfully'
             };
         } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                return this.abortedResult();
+            }
+            
             console.error('PDF export failed:', error);
             return {
                 success: false,
@@ -701,6 +1083,154 @@ export class [EntityName]Service {
     // ===== SECTION 10: UTILITY METHODS =====
     // Lines 1200-1300: Helper and utility functions
     
+    /**
+     * ⚠️ CRITICAL: Utils.ajax with AbortSignal support
+     * signal.abort() aborts the XHR and rejects with ApiManager.createAbortError()
+     */
+    ajax(config, signal = null) {
+        return this.ajaxWithXhr(config, signal).then(result => result.response);
+    }
+    
+    /**
+     * Same as ajax(), resolving { response, xhr } - for response headers such as ETag
+     */
+    ajaxWithXhr(config, signal = null) {
+        if (signal && signal.aborted) {
+            return Promise.reject(ApiManager.createAbortError());
+        }
+        
+        const xhr = Utils.ajax(config);
+        const unbindSignal = ApiManager.bindAbortSignal(signal, () => xhr.abort());
+        
+        return Promise.resolve(xhr)
+            .then(response => ({ response: response, xhr: xhr }))
+            .catch(error => {
+                throw ApiManager.isAbortError(error) ? ApiManager.createAbortError() : error;
+            })
+            .finally(unbindSignal);
+    }
+    
+    /**
+     * ✅ CORRECT: Start a "latest wins" request - aborts the previous one with the same key
+     * The caller's own signal (e.g. component unmount) still cancels this request
+     */
+    beginLatestRequest(key, signal = null) {
+        const previous = this.latestRequests.get(key);
+        if (previous) {
+            previous.controller.abort();
+        }
+        
+        const controller = new AbortController();
+        const latest = {
+            controller: controller,
+            unbind: ApiManager.bindAbortSignal(signal, () => controller.abort())
+        };
+        
+        if (signal && signal.aborted) {
+            controller.abort();
+        }
+        
+        this.latestRequests.set(key, latest);
+        return latest;
+    }
+    
+    /**
+     * Finish a "latest wins" request (only clears the slot if nothing newer replaced it)
+     */
+    endLatestRequest(key, latest) {
+        latest.unbind();
+        if (this.latestRequests.get(key) === latest) {
+            this.latestRequests.delete(key);
+        }
+    }
+    
+    /**
+     * Abort every pending search/quickSearch
+     * ⚠️ CRITICAL: The service is a shared singleton - this cancels searches of
+     * every component (use on route change/logout, not on a single unmount)
+     */
+    cancelPendingRequests() {
+        this.latestRequests.forEach(latest => latest.controller.abort());
+        this.latestRequests.clear();
+    }
+    
+    /**
+     * ✅ CORRECT: Result for a cancelled call
+     * ⚠️ CRITICAL: Check result.aborted first and leave the UI untouched - a newer
+     * request owns the state now, and cancellations are never shown to the user
+     */
+    abortedResult() {
+        return {
+            success: false,
+            aborted: true,
+            data: null,
+            message: 'Request was cancelled'
+        };
+    }
+    
+    /**
+     * ✅ CORRECT: Result for a 409/412 - fetches the CURRENT server record
+     * conflict: { base, mine, theirs, version } → XOS.Modal.ConflictModal.resolve(conflict)
+     * theirs is null when the other user deleted the record
+     */
+    async conflictResult(id, mine, options = {}) {
+        const current = await this.getById(id, { signal: options.signal });
+        if (current.aborted) {
+            return current;
+        }
+        
+        return {
+            success: false,
+            data: null,
+            conflict: {
+                base: options.original || null,
+                mine: mine,
+                theirs: current.success ? current.data : null,
+                version: current.version
+            },
+            message: 'This record was changed by someone else'
+        };
+    }
+    
+    /**
+     * ✅ CORRECT: Bulk request target
+     * - ids → { entityIds }
+     * - "all matching" → { filter, excludedIds, expectedCount } - the server re-runs the grid filter
+     *   and should refuse (409) when it no longer matches expectedCount rows
+     */
+    toBulkTarget(selection) {
+        if (Array.isArray(selection)) {
+            return { entityIds: selection };
+        }
+        
+        if (selection.filter) {
+            return {
+                filter: selection.filter,
+                excludedIds: selection.excludedIds || [],
+                expectedCount: selection.count
+            };
+        }
+        
+        return { entityIds: selection.ids || [] };
+    }
+    
+    getBulkIds(selection) {
+        return Array.isArray(selection) ? selection : selection.ids || [];
+    }
+    
+    /**
+     * Per-row outcome: [{ id, success, message }] (PascalCase tolerated)
+     */
+    toBulkResults(response) {
+        const results = response.results || response.Results || [];
+        
+        return results.map(item => ({
+            id: item.id !== undefined ? item.id : item.Id,
+            success: Boolean(item.success !== undefined ? item.success : item.Success),
+            message: item.message || item.Message || ''
+        }));
+    }
+    
     /**
      * ⚠️ CRITICAL: Clean entity data before sending to API
      * Removes empty values and formats data properly
@@ -708,6 +1238,9 @@ export class [EntityName]Service {
     cleanEntityData(entity) {
         const cleaned = { ...entity };
         
+        // Version goes in the If-Match header (see save)
+        ConflictResolver.versionFields.forEach(field => delete cleaned[field]);
+        
         // Remove undefined and null values
         Object.keys(cleaned).forEach(key => {
             if (cleaned[key] === undefined || cleaned[key] === null) {
@@ -716,13 +1249,18 @@ export class [EntityName]Service {
         });
         
         // Convert empty strings to null for nullable fields
-        const nullableFields = ['phone', 'address', 'description', 'notes'];
+        // ⚠️ CRITICAL: An unselected dropdown and a cleared email come back as '' -
+        // the contract rejects '' for an integer or an email, null is "no value"
+        const nullableFields = ['email', 'phone', 'address', 'description', 'notes', 'categoryId', 'statusId', 'roleId'];
         nullableFields.forEach(field => {
             if (cleaned[field] === '') {
                 cleaned[field] = null;
             }
         });
         
+        // A new record's form has id: '' - no id means create
+        if (cleaned.id === '') delete cleaned.id;
+        
         // Ensure numeric fields are numbers
         if (cleaned.id) cleaned.id = parseInt(cleaned.id);
         if (cleaned.categoryId) cleaned.categoryId = parseInt(cleaned.categoryId);
@@ -736,21 +1274,80 @@ export class [EntityName]Service {
         return cleaned;
     }
     
+    /**
+     * Inline edit changes → server types (same conversions as cleanEntityData, without dropping nulls -
+     * clearing a cell is a change)
+     */
+    toBatchChanges(changes) {
+        const cleaned = { ...changes };
+        ['categoryId', 'statusId', 'roleId'].forEach(field => {
+            if (cleaned[field] === '') cleaned[field] = null;
+            if (cleaned[field] !== undefined && cleaned[field] !== null) cleaned[field] = parseInt(cleaned[field]);
+        });
+        ['email', 'phone', 'address', 'description', 'notes'].forEach(field => {
+            if (cleaned[field] === '') cleaned[field] = null;
+        });
+        return cleaned;
+    }
+    
+    /**
+     * Cache policy for lookup/dropdown endpoints
+     * Tagged with the entity so save()/delete() clear it together with cached lists
+     */
+    getLookupCachePolicy(lookupName) {
+        return {
+            ttl: this.lookupCacheTtl,
+            tags: [this.cacheTag, lookupName],
+            store: 'session'
+        };
+    }
+    
+    /**
+     * ⚠️ CRITICAL: Persist a failed mutation in the offline outbox
+     * Returns success with queued: true - the UI must say "waiting to sync", not "saved"
+     */
+    async queueOffline(operation, url, data, headers = {}, method = 'POST') {
+        try {
+            const queued = await MutationOutbox.enqueue(
+                ApiManager.describeRequest({ url: url, method: method, data: data, headers: headers }),
+                { entity: this.cacheTag, operation: operation, label: `[EntityName] ${operation}` }
+            );
+            
+            return {
+                success: true,
+                queued: true,
+                outboxId: queued.outboxId,
+                data: data,
+                message: queued.message
+            };
+        } catch (error) {
+            console.error('Failed to queue offline change:', error);
+            return {
+                success: false,
+                queued: false,
+                data: null,
+                message: 'You are offline and the change could not be stored'
+            };
+        }
+    }
+    
     /**
      * Handle API response consistently
      */
     handleResponse(response, successMessage = 'Operation completed successfully') {
-        if (response && (response.success === true || response === 'S')) {
+        const result = ResponseEnvelope.normalize(response);
+        
+        if (result.success) {
             return {
                 success: true,
-                data: response.data || response,
-                message: response.message || successMessage
+                data: result.data,
+                message: result.message || successMessage
             };
         } else {
             return {
                 success: false,
                 data: null,
-                message: response.message || response.error || 'Operation failed'
+                message: result.message || (response && response.error) || 'Operation failed'
             };
         }
     }
@@ -827,7 +1424,10 @@ async loadData() {
         searchTerm: this.Data.searchTerm,
         page: this.Data.currentPage,
         pageSize: this.Data.pageSize
-    });
+    }, { signal: this.abortController.signal });
+    
+    // ✅ CORRECT: Cancelled - a newer call owns the state, show nothing
+    if (result.aborted) return;
     
     if (result.success) {
         this.Data.items = result.data;
@@ -839,14 +1439,35 @@ async loadData() {
     this.updateUI();
 }
 
-// Save operation:
+// Save operation (version/original come from getById when the record was loaded):
 async save() {
-    const result = await [entityName]Service.save(this.Data.formData);
+    const result = await [entityName]Service.save(this.Data.formData, {
+        version: this.Data.rowVersion,
+        original: this.Data.originalData
+    });
     
-    if (result.success) {
+    if (result.success && result.queued) {
+        // Offline: change is in the outbox, not on the server yet
+        this.Data.infoMessage = result.message;
+    } else if (result.conflict) {
+        // 409/412: someone else saved first - keep mine / take theirs / merge
+        const resolution = await XOS.Modal.ConflictModal.resolve(result.conflict);
+        if (resolution && resolution.strategy !== 'theirs') {
+            this.Data.formData = resolution.data;
+            this.Data.rowVersion = result.conflict.version;
+            return this.save();
+        }
+        if (resolution) {
+            this.Data.formData = result.conflict.theirs;
+            this.Data.rowVersion = result.conflict.version;
+        }
+    } else if (result.success) {
+        this.Data.rowVersion = result.version;
         this.Data.successMessage = result.message;
         // Optionally refresh list
         await this.loadData();
+    } else if (result.validation && this.applyServerErrors(result.validation)) {
+        // Server validation errors are on the fields / in the summary (see viewmodel-complete.jsx)
     } else {
         this.Data.errorMessage = result.message;
     }
@@ -854,6 +1475,20 @@ async save() {
     this.updateUI();
 }
 
+// Autocomplete: no manual cancellation needed - each call aborts the previous one
+async onSearchInput(term) {
+    const result = await [entityName]Service.quickSearch(term, 10, { signal: this.abortController.signal });
+    if (result.aborted) return; // Superseded by a newer keystroke
+    
+    this.Data.suggestions = result.data;
+    this.updateUI();
+}
+
+// Component unmount: one controller cancels every call this VM started
+onUnmount() {
+    this.abortController.abort();
+}
+
 // Delete operation:
 async delete(id) {
     const result = await [entityName]Service.delete(id);
@@ -878,19 +1513,20 @@ async delete(id) {
 4. Always handle contentType: false, processData: false for file uploads
 5. Always return consistent response format { success, data, message }
 6. Always handle errors gracefully with try/catch
+7. Pass the version from getById to save/delete ({ version }) - never save without If-Match
 
 ✅ CUSTOMIZATION POINTS:
 1. Replace [EntityName] with your entity name
 2. Replace [entityName] with camelCase version
 3. Add custom business operation methods
-4. Modify response handling for your API format
+4. Update [EntityName]Schema and the contract to match your DTOs (envelopes are normalized for you)
 5. Add custom validation methods
 6. Customize error handling
 
 💡 PERFORMANCE TIPS:
 1. Use debouncing for search operations
-2. Cache lookup data when appropriate
-3. Implement request cancellation for long operations
+2. Cache lookup data with ApiManager "cache" policies and invalidate by tag on save/delete
+3. Pass { signal } to cancel requests; search/quickSearch already cancel the previous call
 4. Use pagination for large datasets
 5. Minimize API calls with bulk operations
 
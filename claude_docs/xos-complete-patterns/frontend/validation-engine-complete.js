@@ -0,0 +1,449 @@
+// ===== VALIDATION ENGINE COMPLETE PATTERNS =====
+// This file contains EVERY form validation pattern for XOS Framework
+// Follow the rule schema format EXACTLY - ViewModels, $.fn.xosValidate and FormModal all read it
+
+// ⚠️ CRITICAL: One schema, one error map. Every adapter produces { fieldName: 'message' }
+// (only failing fields), which is the shape of model.validationErrors in the ViewModel.
+// Never write another email/phone regex - use ValidationEngine.patterns.
+
+// ===== SECTION 1: RULE SCHEMA FORMAT =====
+
+/**
+ * ✅ CORRECT: A schema maps field names to rule sets
+ *
+ * const UserRules = {
+ *     name: { label: 'Name', required: true, maxLength: 100 },
+ *     email: { label: 'Email', required: true, email: true, async: ValidationEngine.unique(checkEmail, 'Email is already registered') },
+ *     phone: { label: 'Phone', phone: true },
+ *     age: { label: 'Age', range: { min: 18, max: 120 } },
+ *     password: { label: 'Password', when: values => !values.id, required: true, minLength: 8 },
+ *     confirmPassword: { label: 'Confirm Password', compare: 'password', messages: { compare: 'Passwords do not match' } },
+ *     code: { pattern: /^[A-Z]{3}$/, custom: (value, values) => value !== 'XXX' || 'XXX is reserved' }
+ * };
+ *
+ * Rule order: required → email → phone → minLength → maxLength → pattern → range → compare → custom → async
+ * The FIRST failing rule wins. Empty optional fields skip everything after "required".
+ *
+ * 💡 TIP: required may be a function (values => boolean) for conditional fields,
+ * "when" skips the whole field (no error, no async call) when it returns false
+ */
+
+// ===== SECTION 2: VALIDATION ENGINE =====
+
+const ValidationEngine = {
+    // ⚠️ CRITICAL: The only email/phone patterns in the codebase
+    patterns: {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        phone: /^[\+]?[\d\s\-\(\)]+$/
+    },
+
+    // Default messages - {label} and rule parameters ({min}, {max}, {other}) are filled in
+    messages: {
+        required: '{label} is required',
+        email: 'Please enter a valid email address',
+        phone: 'Please enter a valid phone number',
+        minLength: '{label} must be at least {min} characters',
+        maxLength: '{label} cannot exceed {max} characters',
+        pattern: '{label} has an invalid format',
+        range: '{label} must be between {min} and {max}',
+        min: '{label} must be at least {min}',
+        max: '{label} cannot be more than {max}',
+        compare: '{label} must match {other}',
+        custom: 'Invalid value',
+        async: 'Invalid value'
+    },
+
+    // Label used when a field has none ("This field is required")
+    defaultLabel: 'This field',
+
+    /**
+     * Synchronous rules: test(value, param, values) → true when valid
+     * Only called for non-empty values ("required" is handled separately)
+     */
+    rules: {
+        email: {
+            test: function(value) {
+                return ValidationEngine.patterns.email.test(String(value).trim());
+            }
+        },
+        phone: {
+            test: function(value) {
+                return ValidationEngine.patterns.phone.test(String(value).trim());
+            }
+        },
+        minLength: {
+            test: (value, min) => String(value).length >= min,
+            params: min => ({ min: min })
+        },
+        maxLength: {
+            test: (value, max) => String(value).length <= max,
+            params: max => ({ max: max })
+        },
+        pattern: {
+            test: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(pattern)).test(String(value))
+        },
+        range: {
+            test: function(value, range) {
+                const number = Number(value);
+                if (isNaN(number)) return false;
+                if (range.min !== undefined && range.min !== null && number < range.min) return false;
+                if (range.max !== undefined && range.max !== null && number > range.max) return false;
+                return true;
+            },
+            // One-sided ranges get a clearer message than "between 5 and undefined"
+            messageKey: range => range.max === undefined || range.max === null ? 'min'
+                : range.min === undefined || range.min === null ? 'max' : 'range',
+            params: range => ({ min: range.min, max: range.max })
+        },
+        compare: {
+            test: function(value, other, values) {
+                const field = typeof other === 'object' ? other.field : other;
+                return String(value) === String(values[field] === undefined || values[field] === null ? '' : values[field]);
+            },
+            params: function(other, schema) {
+                const field = typeof other === 'object' ? other.field : other;
+                const otherRules = schema[field] || {};
+                return { other: otherRules.label || field };
+            }
+        }
+    },
+
+    // Evaluation order of the synchronous rules ("custom" and "async" always run last)
+    ruleOrder: ['email', 'phone', 'minLength', 'maxLength', 'pattern', 'range', 'compare'],
+
+    /**
+     * ✅ CORRECT: Register an application-wide rule
+     * ValidationEngine.addRule('postcode', value => /^\d{4}$/.test(value), 'Enter a 4 digit postcode');
+     * Then use it in a schema: { postcode: true }
+     */
+    addRule: function(name, test, message) {
+        this.rules[name] = { test: test };
+        this.messages[name] = message;
+        
+        if (!this.ruleOrder.includes(name)) {
+            this.ruleOrder.push(name);
+        }
+    },
+
+    /**
+     * ⚠️ CRITICAL: Validate every field of a schema
+     * Async rules run in parallel after each field's sync rules passed
+     * Returns { isValid, errors } - errors only contains failing fields
+     *
+     * Options: fields (validate a subset), async (false skips async rules), signal (AbortSignal)
+     */
+    validate: async function(schema, values, options = {}) {
+        const fields = options.fields || Object.keys(schema);
+        const messages = await Promise.all(fields.map(field => this.validateField(schema, field, values, options)));
+        
+        return this.toResult(fields, messages);
+    },
+
+    /**
+     * Synchronous validation (async rules are skipped)
+     * Use where a boolean is needed immediately, e.g. before enabling a button
+     */
+    validateSync: function(schema, values, options = {}) {
+        const fields = options.fields || Object.keys(schema);
+        return this.toResult(fields, fields.map(field => this.validateFieldSync(schema, field, values)));
+    },
+
+    /**
+     * Validate one field - resolves to the error message or null
+     */
+    validateField: async function(schema, field, values, options = {}) {
+        const message = this.validateFieldSync(schema, field, values);
+        if (message || options.async === false) return message;
+        
+        const fieldRules = schema[field] || {};
+        if (!fieldRules.async || !this.isActive(fieldRules, values)) return null;
+        
+        const value = values[field];
+        if (this.isEmpty(value)) return null; // Never hit the server for empty optional fields
+        
+        const context = { field: field, values: values, signal: options.signal };
+        
+        for (const asyncRule of [].concat(fieldRules.async)) {
+            const result = await asyncRule(value, values, context);
+            
+            // Superseded by a newer validation - the caller ignores this result
+            if (options.signal && options.signal.aborted) return null;
+            
+            const asyncMessage = this.toMessage(result, fieldRules, 'async', {});
+            if (asyncMessage) return asyncMessage;
+        }
+        
+        return null;
+    },
+
+    validateFieldSync: function(schema, field, values) {
+        const fieldRules = schema[field];
+        if (!fieldRules || !this.isActive(fieldRules, values)) return null;
+        
+        const value = values[field];
+        const required = typeof fieldRules.required === 'function'
+            ? fieldRules.required(values)
+            : fieldRules.required;
+        
+        if (this.isEmpty(value)) {
+            return required ? this.formatMessage(fieldRules, 'required', {}) : null;
+        }
+        
+        for (const ruleName of this.ruleOrder) {
+            const param = fieldRules[ruleName];
+            if (param === undefined || param === null || param === false) continue;
+            
+            const rule = this.rules[ruleName];
+            if (!rule.test(value, param, values)) {
+                const messageKey = rule.messageKey ? rule.messageKey(param) : ruleName;
+                const params = rule.params ? rule.params(param, schema) : {};
+                return this.formatMessage(fieldRules, messageKey, params, ruleName);
+            }
+        }
+        
+        if (typeof fieldRules.custom === 'function') {
+            return this.toMessage(fieldRules.custom(value, values, { field: field, values: values }), fieldRules, 'custom', {});
+        }
+        
+        return null;
+    },
+
+    /**
+     * Fields whose rules depend on this field (compare: 'password' → confirmPassword)
+     * Re-validate them when the field changes
+     */
+    dependentsOf: function(schema, field) {
+        return Object.keys(schema).filter(name => {
+            const compare = schema[name].compare;
+            return compare && (typeof compare === 'object' ? compare.field : compare) === field;
+        });
+    },
+
+    /**
+     * Replace the errors of some fields in an existing error map
+     * (real-time validation must not clear errors of other fields)
+     */
+    mergeErrors: function(current, fields, errors) {
+        const merged = { ...(current || {}) };
+        fields.forEach(field => {
+            delete merged[field];
+            if (errors[field]) merged[field] = errors[field];
+        });
+        return merged;
+    },
+
+    /**
+     * ✅ CORRECT: Async uniqueness rule from a service check
+     * check(value, excludeId, { signal }) must resolve to { success, isUnique }
+     * (the shape of [EntityName]Service.checkNameUnique / checkEmailUnique)
+     *
+     * 💡 TIP: A failed check does NOT block the user - the server validates again on save
+     */
+    unique: function(check, message) {
+        return async function(value, values, context) {
+            const result = await check(value, values.id || null, { signal: context.signal });
+            if (!result || result.aborted || result.success === false) return true;
+            return result.isUnique ? true : message;
+        };
+    },
+
+    // ===== HELPERS =====
+
+    isActive: function(fieldRules, values) {
+        return typeof fieldRules.when !== 'function' || fieldRules.when(values) !== false;
+    },
+
+    isEmpty: function(value) {
+        if (value === null || value === undefined) return true;
+        if (typeof value === 'string') return value.trim() === '';
+        if (Array.isArray(value)) return value.length === 0;
+        return false;
+    },
+
+    /**
+     * custom/async results: true (valid), false (default message) or a message string
+     */
+    toMessage: function(result, fieldRules, ruleName, params) {
+        if (result === true || result === undefined || result === null) return null;
+        if (typeof result === 'string') return result;
+        return this.formatMessage(fieldRules, ruleName, params);
+    },
+
+    formatMessage: function(fieldRules, messageKey, params, ruleName = messageKey) {
+        const custom = fieldRules.messages || {};
+        const template = custom[ruleName] || custom[messageKey] || this.messages[messageKey] || this.messages.custom;
+        const values = { label: fieldRules.label || this.defaultLabel, ...params };
+        
+        return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+    },
+
+    toResult: function(fields, messages) {
+        const errors = {};
+        fields.forEach((field, index) => {
+            if (messages[index]) errors[field] = messages[index];
+        });
+        return { isValid: Object.keys(errors).length === 0, errors: errors };
+    }
+};
+
+// ===== SECTION 3: HTML FORM SUPPORT =====
+
+/**
+ * ✅ CORRECT: Read rules and values from plain HTML forms
+ * Used by the jQuery (xosValidate, XOS.jQuery.validateForm) and FormModal adapters.
+ * HTML attributes become rules; an explicit schema is merged on top:
+ *
+ *   required             → required: true
+ *   type="email"         → email: true
+ *   type="tel"           → phone: true
+ *   minlength/maxlength  → minLength/maxLength
+ *   pattern              → pattern (anchored like the browser does)
+ *   min/max              → range (number inputs)
+ *   data-compare="name"  → compare
+ *   data-label / <label> → label
+ */
+const FormRules = {
+    fieldSelector: 'input[name], select[name], textarea[name]',
+
+    /**
+     * Schema for a form element: attribute rules + explicit rules per field
+     */
+    buildSchema: function(form, schema = {}) {
+        const result = {};
+        
+        Array.from(form.querySelectorAll(this.fieldSelector)).forEach(element => {
+            if (element.disabled || element.type === 'hidden' || result[element.name]) return;
+            result[element.name] = this.fromElement(element, form);
+        });
+        
+        Object.keys(schema).forEach(field => {
+            result[field] = {
+                ...(result[field] || {}),
+                ...schema[field],
+                messages: { ...((result[field] || {}).messages || {}), ...(schema[field].messages || {}) }
+            };
+        });
+        
+        return result;
+    },
+
+    fromElement: function(element, form) {
+        const rules = {};
+        const attr = name => element.getAttribute(name);
+        
+        if (element.hasAttribute('required')) rules.required = true;
+        if (element.type === 'email') rules.email = true;
+        if (element.type === 'tel') rules.phone = true;
+        if (attr('minlength')) rules.minLength = parseInt(attr('minlength'), 10);
+        if (attr('maxlength')) rules.maxLength = parseInt(attr('maxlength'), 10);
+        if (attr('pattern')) rules.pattern = `^(?:${attr('pattern')})$`;
+        if (element.type === 'number' && (attr('min') || attr('max'))) {
+            rules.range = {
+                min: attr('min') ? Number(attr('min')) : undefined,
+                max: attr('max') ? Number(attr('max')) : undefined
+            };
+        }
+        if (element.dataset && element.dataset.compare) rules.compare = element.dataset.compare;
+        
+        const label = this.findLabel(element, form);
+        if (label) rules.label = label;
+        
+        return rules;
+    },
+
+    findLabel: function(element, form) {
+        if (element.dataset && element.dataset.label) return element.dataset.label;
+        
+        const label = element.id ? form.querySelector(`label[for="${element.id}"]`) : null;
+        return label ? label.textContent.replace(/\*/g, '').trim() : '';
+    },
+
+    /**
+     * Current values by field name (checkbox groups and multi-selects become arrays)
+     */
+    getValues: function(form) {
+        const values = {};
+        
+        Array.from(form.querySelectorAll(this.fieldSelector)).forEach(element => {
+            const name = element.name;
+            
+            if (element.type === 'checkbox') {
+                const group = form.querySelectorAll(`input[type="checkbox"][name="${name}"]`);
+                if (group.length > 1) {
+                    values[name] = Array.from(group).filter(box => box.checked).map(box => box.value);
+                } else {
+                    values[name] = element.checked ? element.value : '';
+                }
+            } else if (element.type === 'radio') {
+                if (element.checked) values[name] = element.value;
+                else if (!(name in values)) values[name] = '';
+            } else if (element.multiple) {
+                values[name] = Array.from(element.selectedOptions).map(option => option.value);
+            } else {
+                values[name] = element.value;
+            }
+        });
+        
+        return values;
+    },
+
+    /**
+     * ✅ CORRECT: Validate a form element - same result shape as ValidationEngine.validate
+     */
+    validate: function(form, schema = {}, options = {}) {
+        return ValidationEngine.validate(this.buildSchema(form, schema), this.getValues(form), options);
+    },
+
+    validateSync: function(form, schema = {}, options = {}) {
+        return ValidationEngine.validateSync(this.buildSchema(form, schema), this.getValues(form), options);
+    }
+};
+
+// Usage examples:
+/*
+// ViewModel (see viewmodel-complete.jsx SECTION 4)
+const { isValid, errors } = await ValidationEngine.validate([EntityName]ValidationRules, this.Data);
+model.validationErrors = errors;
+
+// Real-time: one field plus the fields comparing against it
+const fields = [fieldName, ...ValidationEngine.dependentsOf(rules, fieldName)];
+const result = await ValidationEngine.validate(rules, values, { fields: fields, signal: controller.signal });
+model.validationErrors = ValidationEngine.mergeErrors(model.validationErrors, fields, result.errors);
+
+// jQuery form - same schema, same error map
+$('#userForm').xosValidate({
+    rules: UserRules,
+    onSubmit: function($form, values) { saveUser(values); }
+});
+
+// Form modal
+new XOS.Modal.FormModal({ title: 'Create User', formHtml: html, rules: UserRules, onSubmit: saveUser }).show();
+
+// Any HTML form without jQuery
+const { isValid, errors } = await FormRules.validate(document.getElementById('userForm'), UserRules);
+
+// Shared async rule from the service
+const UserRules = {
+    email: {
+        label: 'Email',
+        required: true,
+        email: true,
+        async: ValidationEngine.unique(
+            (value, excludeId, options) => userService.checkEmailUnique(value, excludeId, options),
+            'This email is already registered'
+        )
+    }
+};
+*/
+
+// Export for global use
+window.ValidationEngine = ValidationEngine;
+window.FormRules = FormRules;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Writing another email/phone regex - use ValidationEngine.patterns
+// 2. Replacing model.validationErrors on blur - use mergeErrors so other fields keep their errors
+// 3. Running async rules without a signal in real-time validation - a slow stale answer overwrites the new one
+// 4. Repeating HTML attributes in the schema - FormRules reads required/type/minlength/pattern itself
+// 5. Blocking save when a uniqueness check fails to reach the server - the server validates again
+// 6. Re-validating only the changed field - dependentsOf() finds "confirm password" style fields
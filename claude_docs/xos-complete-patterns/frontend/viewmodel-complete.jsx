@@ -4,10 +4,127 @@
 
 import { VMBase } from '../../xos-components/VMBase';
 import { Utils } from '../../xos-components/Utils';
+import [entityName]Service from './[EntityName]Service';
+
+// ⚠️ CRITICAL: The pattern scripts set these as globals (window.*) - load them first, never import them:
+// ApiManager, InfiniteScrollLoader (api-patterns/api-manager-complete.js, utils-ajax-complete.js)
+// ServerValidationErrors, ConflictResolver (api-patterns/error-handling-complete.js)
+// ValidationEngine, GridDataSource, VirtualScroller, VirtualKeys, ColumnLayout, SavedViews, GridExporter,
+// RowEditSession, InlineEditKeys, SelectionModel, BulkActionRunner, ChangeTracker, UndoRedoShortcuts,
+// UnsavedChangesGuard (frontend/*-complete.js)
+// FileTypeDetector (integration/file-type-detection-complete.js)
 
 // ===== SECTION 1: VIEWMODEL STRUCTURE (MANDATORY PATTERN) =====
 // Lines 10-100: Basic structure and initialization
 
+/**
+ * ⚠️ CRITICAL: Field rules live in ONE schema (see frontend/validation-engine-complete.js)
+ * The same object works with $.fn.xosValidate and XOS.Modal.FormModal ({ rules: ... })
+ */
+export const [EntityName]ValidationRules = {
+    name: {
+        label: 'Name',
+        required: true,
+        maxLength: 100,
+        async: ValidationEngine.unique(
+            (value, excludeId, options) => [entityName]Service.checkNameUnique(value, excludeId, options),
+            'This name is already in use'
+        )
+    },
+    email: {
+        label: 'Email',
+        required: true,
+        email: true,
+        async: ValidationEngine.unique(
+            (value, excludeId, options) => [entityName]Service.checkEmailUnique(value, excludeId, options),
+            'This email is already registered'
+        )
+    },
+    // Password fields only apply to new records
+    password: { label: 'Password', when: values => !values.id, required: true, minLength: 8 },
+    confirmPassword: {
+        label: 'Confirm Password',
+        when: values => !values.id,
+        required: true,
+        compare: 'password',
+        messages: { compare: 'Passwords do not match' }
+    },
+    phone: { label: 'Phone', phone: true },
+    selectedRole: { label: 'Role', required: true }
+};
+
+/**
+ * Server (DTO) names that differ from Data properties - used to place 400/422 errors
+ * Same-named fields (Name → name, Address.City → addressCity) need no entry
+ */
+const [EntityName]ServerFieldAliases = {
+    categoryId: 'selectedCategory',
+    statusId: 'selectedStatus',
+    roleId: 'selectedRole'
+};
+
+/**
+ * Form fields covered by change tracking, undo/redo and PATCH saves (see frontend/change-tracking-complete.js)
+ * ⚠️ CRITICAL: Only editable entity fields - never loading flags, lists or messages
+ */
+export const [EntityName]TrackedFields = [
+    'name', 'email', 'phone', 'address', 'description',
+    'selectedCategory', 'selectedStatus', 'selectedRole',
+    'isActive', 'isEnabled'
+];
+
+/**
+ * Grid columns the server can sort/filter by (see frontend/grid-data-source-complete.js)
+ * ⚠️ CRITICAL: Sort and filter values restored from the URL are only accepted for these fields
+ */
+export const [EntityName]GridColumns = {
+    id: { type: 'number', sortable: true },
+    name: { type: 'text', sortable: true },
+    email: { type: 'text', sortable: true },
+    statusId: { type: 'enum', sortable: false },
+    categoryId: { type: 'enum', sortable: false },
+    isActive: { type: 'boolean', sortable: false },
+    createdDate: { type: 'date', sortable: true }
+};
+
+/**
+ * Virtual grid (props.virtual) for result sets too large to page through (see frontend/virtual-scroll-complete.js)
+ * Rows are loaded chunkSize at a time while scrolling; only the visible ones are rendered
+ */
+export const [EntityName]VirtualGrid = {
+    rowHeight: 41,       // Fixed row height in px - use estimatedRowHeight instead when rows wrap
+    overscan: 10,
+    chunkSize: 200,
+    height: 600          // Scroll container height in px
+};
+
+/**
+ * Column layout users can change - order, visibility, width, pinning (see frontend/column-views-complete.js)
+ * Render functions stay in the component; fields must match its getGridColumns()
+ */
+export const [EntityName]GridLayout = [
+    { field: 'select', title: 'Select', width: 44, pinned: 'left', hideable: false, reorderable: false, resizable: false },
+    { field: 'id', title: 'ID', width: 80, pinned: 'left', hideable: false },
+    { field: 'name', title: 'Name', width: 240 },
+    { field: 'email', title: 'Email', width: 260 },
+    { field: 'status', title: 'Status', width: 120, editField: 'isActive' },
+    { field: 'categoryId', title: 'Category', width: 160 },
+    { field: 'actions', title: 'Actions', width: 150, pinned: 'right', hideable: false, reorderable: false, resizable: false }
+];
+
+/**
+ * Grid cells users can edit in place (see frontend/inline-edit-complete.js)
+ * Keys are row (server) fields; a layout column edits another field through editField ('status' → isActive)
+ * lookup: the model list a combobox offers (filled by loadStatuses/loadCategories)
+ */
+export const [EntityName]InlineEditors = {
+    name: { type: 'text' },
+    email: { type: 'text' },
+    statusId: { type: 'combobox', lookup: 'statuses' },
+    categoryId: { type: 'combobox', lookup: 'categories' },
+    isActive: { type: 'checkbox' }
+};
+
 /**
  * ⚠️ CRITICAL: ViewModel structure that MUST be followed exactly
  * - Always extend VMBase
@@ -18,7 +135,28 @@ import { Utils } from '../../xos-components/Utils';
 export default class [EntityName]VM extends VMBase {
     constructor(props) {
         super(props);
+        this.pendingRequests = new Map();  // "Latest wins" AbortControllers by key (SECTION 9)
+        this.changeTracker = new ChangeTracker([EntityName]TrackedFields);  // Undo/redo + PATCH diff (SECTION 10)
+        this.virtual = Boolean(props.virtual);                               // Scroll instead of pages (SECTION 11)
+        this.grid = new GridDataSource({                                     // Page/sort/filter state + URL (SECTION 6)
+            columns: [EntityName]GridColumns,
+            pageSizes: this.virtual ? [[EntityName]VirtualGrid.chunkSize] : undefined,
+            load: request => this.loadGridPage(request)
+        });
+        this.grid.subscribe((state, result) => this.applyGridState(state, result));
+        if (this.virtual) this.initVirtualGrid();
+        this.columnLayout = new ColumnLayout([EntityName]GridLayout);        // Column chooser/resize/reorder (SECTION 12)
+        this.savedViews = new SavedViews({ gridKey: '[entityName]-grid' });  // Named views + last layout
+        this.columnLayout.subscribe(() => this.onColumnLayoutChange());
+        this.rowEdits = new RowEditSession({                                 // Inline cell edits per row (SECTION 14)
+            editors: this.getInlineEditors(),
+            rules: [EntityName]ValidationRules
+        });
+        this.rowEdits.subscribe(() => this.onRowEditsChange());
+        this.selection = new SelectionModel();                               // Checked rows across pages (SECTION 15)
+        this.selection.subscribe(() => this.onSelectionChange());
         this.init();  // ⚠️ REQUIRED: Must call init()
+        this.snapshotChanges();  // Empty form is the first baseline
     }
     
     /**
@@ -106,10 +244,45 @@ export default class [EntityName]VM extends VMBase {
         model.totalPages = 0;
         
         // ===== SEARCH AND FILTER PROPERTIES =====
+        // Mirrors of this.grid (read-only for rendering - change them through the grid methods)
         model.searchTerm = '';
-        model.sortField = '';
+        model.sort = [];              // [{ field, direction }] - multi-column
+        model.sortField = '';         // First sort column (single-sort UIs)
         model.sortDirection = 'asc';
-        model.filters = {};
+        model.filters = {};           // { field: { operator, value } }
+        
+        // ===== VIRTUAL GRID PROPERTIES =====
+        // The component renders gridData[virtualRange.start .. virtualRange.end - 1]
+        model.virtualMode = this.virtual;
+        model.virtualRange = { start: 0, end: 0, padTop: 0, padBottom: 0, firstVisible: -1 };
+        model.virtualScrollTop = null;  // Scroll position the component applies once (keyboard navigation, new results)
+        model.hasMoreRows = false;
+        
+        // ===== COLUMN LAYOUT PROPERTIES =====
+        // Mirrors of this.columnLayout / this.savedViews (change them through the SECTION 12 methods)
+        model.gridColumns = this.columnLayout.getColumns();        // Visible, in display order, with width/pinned/offset
+        model.allGridColumns = this.columnLayout.getAllColumns();  // Column chooser - hidden ones too
+        model.savedViewNames = [];
+        model.activeView = '';  // Name of the last applied/saved view
+        
+        // ===== EXPORT PROPERTIES =====
+        model.isExporting = false;
+        model.exportProgress = null;  // Rows written so far ({ rows, total }) while isExporting
+        
+        // ===== INLINE EDIT PROPERTIES =====
+        // Mirrors of this.rowEdits (change cells through the SECTION 14 methods)
+        model.inlineEditMode = false;
+        model.editingCell = null;     // { id, field, startValue } of the open cell editor
+        model.dirtyRowCount = 0;
+        model.invalidRowCount = 0;
+        model.isSavingRows = false;
+        
+        // ===== ROW SELECTION PROPERTIES =====
+        // Mirrors of this.selection (change it through the SECTION 15 methods)
+        model.selectedCount = 0;
+        model.allMatchingSelected = false;  // "All N matching rows" - sent to the server as the filter
+        model.isBulkRunning = false;
+        model.bulkReport = null;            // { total, succeededIds, failed: [{ id, message }], processedCount, aborted, message }
         
         // ===== FILE HANDLING PROPERTIES =====
         model.uploadedFiles = [];
@@ -126,12 +299,17 @@ export default class [EntityName]VM extends VMBase {
         
         // ===== VALIDATION PROPERTIES =====
         model.validationErrors = {};
+        model.validationSummary = [];  // Server errors that match no field (form-level)
         model.isValid = true;
         model.isDirty = false;
+        model.changedFields = [];  // Tracked fields that differ from the loaded record
+        model.canUndo = false;
+        model.canRedo = false;
         
         // ===== FORM STATE PROPERTIES =====
         model.formMode = 'create'; // 'create', 'edit', 'view'
         model.originalData = {};   // For comparison/reset
+        model.rowVersion = null;   // Sent as If-Match on save/delete (optimistic concurrency)
         
         // ❌ NEVER DO THIS - Will throw "Cannot set property Data" error
         // this.Data = { name: '', email: '' };
@@ -146,6 +324,26 @@ export default class [EntityName]VM extends VMBase {
      * Use this to load initial data
      */
     async onLoad() {
+        // ✅ CORRECT: Ctrl+Z / Ctrl+Y and the "leave page?" prompt - removed in dispose()
+        this.unbindShortcuts = UndoRedoShortcuts.bind(document, {
+            undo: () => this.undo(),
+            redo: () => this.redo()
+        });
+        this.unregisterGuard = UnsavedChangesGuard.register(() => this.hasUnsavedChanges() || this.rowEdits.isDirty());
+        
+        // ✅ CORRECT: A refreshed or bookmarked page opens the grid where the user left it
+        // (a virtual grid scrolls instead of paging - it always starts at the first chunk)
+        // ⚠️ CRITICAL: Grid state in the URL wins over the last saved view - a shared link shows what was shared
+        this.grid.restoreFromUrl();
+        const lastView = await this.restoreColumnViews();
+        if (lastView && !this.grid.toQueryString()) {
+            this.grid.applyView(lastView);
+        } else if (this.virtual) {
+            this.grid.setPage(1);
+        } else {
+            this.grid.reload();
+        }
+        
         try {
             await this.loadInitialData();
         } catch (error) {
@@ -260,164 +458,186 @@ export default class [EntityName]VM extends VMBase {
         this.updateUI();
         
         try {
-            const response = await Utils.ajax({
+            // ✅ CORRECT: Opening another record aborts the previous load
+            const response = await this.requestLatest('entity', {
                 url: '/api/[Entity]/Get',
                 data: { id: id }
             });
             
             if (response.data) {
-                // ✅ CORRECT: Map response data to model properties
-                const entity = response.data;
-                model.id = entity.id;
-                model.name = entity.name || '';
-                model.email = entity.email || '';
-                model.phone = entity.phone || '';
-                model.address = entity.address || '';
-                model.description = entity.description || '';
-                model.selectedCategory = entity.categoryId || '';
-                model.selectedStatus = entity.statusId || '';
-                model.selectedRole = entity.roleId || '';
-                model.isActive = entity.isActive || false;
-                model.isEnabled = entity.isEnabled || false;
-                
-                // Store original data for comparison
-                model.originalData = { ...entity };
-                model.formMode = 'edit';
-                model.isDirty = false;
+                this.applyEntity(response.data);
             }
             
         } catch (error) {
             this.handleError('Failed to load entity', error);
         } finally {
-            model.isLoading = false;
-            this.updateUI();
+            // Superseded: the newer request clears the loading state
+            if (this.isLatestRequest('entity')) {
+                model.isLoading = false;
+                this.updateUI();
+            }
         }
     }
     
+    /**
+     * ✅ CORRECT: Map a server record to model properties
+     * Used by loadEntity and when the user takes the server version after a conflict
+     */
+    applyEntity(entity) {
+        const model = this.Data;
+        model.id = entity.id;
+        model.name = entity.name || '';
+        model.email = entity.email || '';
+        model.phone = entity.phone || '';
+        model.address = entity.address || '';
+        model.description = entity.description || '';
+        model.selectedCategory = entity.categoryId || '';
+        model.selectedStatus = entity.statusId || '';
+        model.selectedRole = entity.roleId || '';
+        model.isActive = entity.isActive || false;
+        model.isEnabled = entity.isEnabled || false;
+        
+        // Store original data for comparison
+        model.originalData = { ...entity };
+        model.rowVersion = ConflictResolver.getVersion(entity);
+        model.formMode = 'edit';
+        
+        // ⚠️ CRITICAL: New baseline - diff, dirty state and undo start here
+        this.snapshotChanges();
+    }
+    
     // ===== SECTION 4: VALIDATION METHODS =====
     // Lines 400-500: Form validation patterns
     
     /**
      * ⚠️ CRITICAL: Comprehensive validation method
-     * Update validation state and return overall validity
+     * Runs [EntityName]ValidationRules (including async unique checks),
+     * updates validation state and resolves to overall validity
      */
-    validate() {
+    async validate() {
         const model = this.Data;
-        const errors = {};
-        let isValid = true;
-        
-        // Required field validation
-        if (!model.name || model.name.trim() === '') {
-            errors.name = 'Name is required';
-            isValid = false;
-        }
-        
-        if (!model.email || model.email.trim() === '') {
-            errors.email = 'Email is required';
-            isValid = false;
-        } else {
-            // Email format validation
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(model.email)) {
-                errors.email = 'Invalid email format';
-                isValid = false;
-            }
-        }
         
-        // Password validation for new records
-        if (!model.id) {
-            if (!model.password || model.password.length < 8) {
-                errors.password = 'Password must be at least 8 characters';
-                isValid = false;
-            }
-            
-            if (model.password !== model.confirmPassword) {
-                errors.confirmPassword = 'Passwords do not match';
-                isValid = false;
-            }
-        }
+        // Pending real-time checks would overwrite the full result
+        this.cancelFieldValidations();
         
-        // Phone validation (optional but format check)
-        if (model.phone && model.phone.trim() !== '') {
-            const phoneRegex = /^[\+]?[\d\s\-\(\)]+$/;
-            if (!phoneRegex.test(model.phone)) {
-                errors.phone = 'Invalid phone number format';
-                isValid = false;
-            }
-        }
+        const result = await ValidationEngine.validate([EntityName]ValidationRules, model);
+        const errors = { ...result.errors, ...(await this.validateFiles()) };
         
-        // Selection validation
-        if (!model.selectedRole) {
-            errors.selectedRole = 'Role is required';
-            isValid = false;
-        }
+        // Update validation state (server summary is stale once the user fixed the form)
+        model.validationErrors = errors;
+        model.validationSummary = [];
+        model.isValid = Object.keys(errors).length === 0;
+        this.updateUI();
         
-        // Custom business rules
-        if (model.name && model.name.length > 100) {
-            errors.name = 'Name cannot exceed 100 characters';
-            isValid = false;
-        }
+        return model.isValid;
+    }
+    
+    /**
+     * File validation (not a form field, so not part of the rule schema)
+     * The content is sniffed too - allowedFileTypes only checks what the filename claims
+     */
+    async validateFiles() {
+        const model = this.Data;
+        const errors = {};
         
-        // File validation
         if (model.uploadedFiles && model.uploadedFiles.length > 0) {
+            const checks = await Promise.all(model.uploadedFiles.map(file => FileTypeDetector.verify(file)));
+            
             model.uploadedFiles.forEach((file, index) => {
                 if (file.size > model.maxFileSize) {
                     errors[`file_${index}`] = `File ${file.name} is too large (max 10MB)`;
-                    isValid = false;
                 }
                 
                 const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
                 if (!model.allowedFileTypes.includes(fileExtension)) {
                     errors[`file_${index}`] = `File type ${fileExtension} is not allowed`;
-                    isValid = false;
+                } else if (!checks[index].valid) {
+                    errors[`file_${index}`] = checks[index].message;
                 }
             });
         }
         
-        // Update validation state
-        model.validationErrors = errors;
-        model.isValid = isValid;
-        this.updateUI();
+        return errors;
+    }
+    
+    /**
+     * Validate single field (for real-time validation, e.g. on blur)
+     * Sync rules show immediately; async rules ("latest wins" per field) follow
+     */
+    async validateField(fieldName, value) {
+        const model = this.Data;
+        const values = { ...model, [fieldName]: value };
+        
+        // confirmPassword must be re-checked when password changes
+        const fields = [fieldName, ...ValidationEngine.dependentsOf([EntityName]ValidationRules, fieldName)];
+        
+        const syncResult = ValidationEngine.validateSync([EntityName]ValidationRules, values, { fields: fields });
+        this.applyFieldErrors(fields, syncResult.errors);
+        
+        const hasAsyncRule = fields.some(field => ([EntityName]ValidationRules[field] || {}).async);
+        if (!syncResult.isValid || !hasAsyncRule) return;
+        
+        const key = `validate:${fieldName}`;
+        this.cancelRequest(key);
+        
+        const controller = new AbortController();
+        this.pendingRequests.set(key, controller);
         
-        return isValid;
+        try {
+            const result = await ValidationEngine.validate([EntityName]ValidationRules, values, {
+                fields: fields,
+                signal: controller.signal
+            });
+            
+            // A newer value is being checked (or the VM was disposed)
+            if (controller.signal.aborted || this.disposed) return;
+            
+            this.applyFieldErrors(fields, result.errors);
+        } finally {
+            if (this.pendingRequests.get(key) === controller) {
+                this.pendingRequests.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Replace the errors of some fields, keep the others
+     */
+    applyFieldErrors(fields, errors) {
+        const model = this.Data;
+        model.validationErrors = ValidationEngine.mergeErrors(model.validationErrors, fields, errors);
+        model.isValid = Object.keys(model.validationErrors).length === 0;
+        this.updateUI();
     }
     
     /**
-     * Validate single field (for real-time validation)
+     * ⚠️ CRITICAL: Show server validation errors (400/422, XOS Errors[]) on the form
+     * Field errors go to validationErrors (getFieldError in the component),
+     * errors for unknown fields to validationSummary. Returns false if there were none.
      */
-    validateField(fieldName, value) {
+    applyServerErrors(source) {
         const model = this.Data;
-        const errors = { ...model.validationErrors };
+        const result = ServerValidationErrors.map(source, Object.keys(model), {
+            aliases: [EntityName]ServerFieldAliases
+        });
         
-        switch (fieldName) {
-            case 'email':
-                if (value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
-                    errors.email = 'Invalid email format';
-                } else {
-                    delete errors.email;
-                }
-                break;
-                
-            case 'phone':
-                if (value && !/^[\+]?[\d\s\-\(\)]+$/.test(value)) {
-                    errors.phone = 'Invalid phone number format';
-                } else {
-                    delete errors.phone;
-                }
-                break;
-                
-            case 'password':
-                if (value && value.length < 8) {
-                    errors.password = 'Password must be at least 8 characters';
-                } else {
-                    delete errors.password;
-                }
-                break;
+        if (Object.keys(result.errors).length === 0 && result.summary.length === 0) {
+            return false;
         }
         
-        model.validationErrors = errors;
-        model.isValid = Object.keys(errors).length === 0;
+        model.validationErrors = result.errors;
+        model.validationSummary = result.summary;
+        model.isValid = false;
+        model.errorMessage = 'Please fix the validation errors before saving';
         this.updateUI();
+        
+        return true;
+    }
+    
+    cancelFieldValidations() {
+        Array.from(this.pendingRequests.keys())
+            .filter(key => key.startsWith('validate:'))
+            .forEach(key => this.cancelRequest(key));
     }
     
     // ===== SECTION 5: CRUD OPERATIONS =====
@@ -435,13 +655,18 @@ export default class [EntityName]VM extends VMBase {
         model.successMessage = '';
         this.updateUI();
         
-        // Validate before saving
-        if (!this.validate()) {
+        // Validate before saving (async rules included)
+        if (!(await this.validate())) {
             model.errorMessage = 'Please fix the validation errors before saving';
             this.updateUI();
             return false;
         }
         
+        // ✅ CORRECT: Existing records send only the changed fields
+        if (model.id) {
+            return this.saveChanges();
+        }
+        
         // Set loading state
         model.isSaving = true;
         this.updateUI();
@@ -484,10 +709,12 @@ export default class [EntityName]VM extends VMBase {
                 if (response.data) {
                     model.id = response.data.id;
                     model.formMode = 'edit';
+                    model.rowVersion = ConflictResolver.getVersion(response.data);
                 }
                 
-                // Clear dirty flag
-                model.isDirty = false;
+                // Saved values become the new baseline
+                model.originalData = { ...saveData, ...(response.data || {}) };
+                this.snapshotChanges();
                 
                 // Handle file uploads if any
                 if (model.uploadedFiles && model.uploadedFiles.length > 0) {
@@ -501,10 +728,83 @@ export default class [EntityName]VM extends VMBase {
                 
                 return true;
             } else {
-                model.errorMessage = response.message || 'Save failed';
+                // XOS "F" responses may carry Errors[] just like a 400
+                if (!this.applyServerErrors(response)) {
+                    model.errorMessage = response.message || 'Save failed';
+                }
+                return false;
+            }
+            
+        } catch (error) {
+            // A 409 on create (e.g. duplicate key) has no version to resolve
+            this.handleError('Save failed', error);
+            return false;
+        } finally {
+            model.isSaving = false;
+            this.updateUI();
+        }
+    }
+    
+    /**
+     * ✅ CORRECT: PATCH only what changed since loadEntity (called by save())
+     * Two users editing different fields of one record no longer overwrite each other
+     * [entityName]Service.patch handles If-Match, the contract, cache invalidation and the offline outbox
+     */
+    async saveChanges() {
+        const model = this.Data;
+        const changes = this.getChangeSet();
+        
+        if (Object.keys(changes).length === 0 && model.uploadedFiles.length === 0) {
+            model.infoMessage = 'No changes to save';
+            this.updateUI();
+            return true;
+        }
+        
+        model.isSaving = true;
+        this.updateUI();
+        
+        let conflict = null;
+        
+        try {
+            // ⚠️ CRITICAL: model.rowVersion goes as If-Match - the server rejects the PATCH when someone saved first
+            const result = await [entityName]Service.patch(model.id, changes, {
+                version: model.rowVersion,
+                original: model.originalData
+            });
+            
+            if (result.aborted) {
                 return false;
             }
             
+            if (result.conflict) {
+                conflict = result.conflict;
+            } else if (result.success) {
+                // Queued offline: saved locally, not on the server yet - say so
+                if (result.queued) {
+                    model.infoMessage = result.message;
+                } else {
+                    model.successMessage = 'Updated successfully!';
+                    model.rowVersion = result.version || model.rowVersion;
+                }
+                
+                model.originalData = { ...model.originalData, ...changes };
+                this.snapshotChanges();
+                
+                if (!result.queued && model.uploadedFiles && model.uploadedFiles.length > 0) {
+                    await this.uploadFiles();
+                }
+                
+                if (this.props.onSave) {
+                    this.props.onSave(result.data);
+                }
+                
+                return true;
+            } else {
+                if (!result.validation || !this.applyServerErrors(result.validation)) {
+                    model.errorMessage = result.message || 'Save failed';
+                }
+                return false;
+            }
         } catch (error) {
             this.handleError('Save failed', error);
             return false;
@@ -512,6 +812,125 @@ export default class [EntityName]VM extends VMBase {
             model.isSaving = false;
             this.updateUI();
         }
+        
+        // 409/412: resolved outside try/finally - the form is not "saving" while the user decides
+        return this.resolveConflict('save', null, conflict);
+    }
+    
+    /**
+     * Changed Data fields → PATCH body with server (DTO) names
+     * { selectedRole: 3 } → { roleId: 3 }
+     */
+    getChangeSet() {
+        return this.toServerFields(this.changeTracker.getChanges(this.Data));
+    }
+    
+    /**
+     * Data property name → server (DTO) name ('selectedRole' → 'roleId')
+     */
+    toServerName(field) {
+        return Object.keys([EntityName]ServerFieldAliases)
+            .find(dtoName => [EntityName]ServerFieldAliases[dtoName] === field) || field;
+    }
+    
+    toServerFields(values) {
+        const serverFields = {};
+        Object.keys(values).forEach(field => {
+            serverFields[this.toServerName(field)] = values[field];
+        });
+        return serverFields;
+    }
+    
+    /**
+     * ⚠️ CRITICAL: 409/412 on save or delete - someone else changed the record
+     * Loads the current version and lets the user keep theirs, take the server's or merge
+     * (XOS.Modal.ConflictModal, see jquery-bootstrap/modal-patterns.js)
+     */
+    async resolveConflict(operation, error, current = null) {
+        const model = this.Data;
+        const trackedValues = {};
+        [EntityName]TrackedFields.forEach(field => {
+            trackedValues[field] = model[field];
+        });
+        
+        let theirs = null;
+        let version = null;
+        if (current) {
+            // result.conflict from the service - { theirs, version } are already loaded
+            theirs = current.theirs;
+            version = current.version;
+        } else {
+            try {
+                const response = await this.requestLatest('conflict', {
+                    url: '/api/[Entity]/Get',
+                    data: { id: model.id }
+                });
+                theirs = response.data || null;   // null: the other user deleted it
+            } catch (loadError) {
+                this.handleError('Failed to load the current version', loadError);
+                return false;
+            }
+            version = ConflictResolver.getVersion(theirs, error);
+        }
+        
+        const labels = {};
+        [EntityName]TrackedFields.forEach(field => {
+            const rule = [EntityName]ValidationRules[field];
+            if (rule && rule.label) labels[this.toServerName(field)] = rule.label;
+        });
+        
+        const resolution = await window.XOS.Modal.ConflictModal.resolve({
+            base: model.originalData,
+            mine: operation === 'delete' ? null : this.toServerFields(trackedValues),
+            theirs: theirs,
+            version: version,
+            fields: [EntityName]TrackedFields.map(field => this.toServerName(field)),
+            labels: labels,
+            allowMerge: operation !== 'delete',
+            keepMineText: operation === 'delete' ? 'Delete anyway' : 'Keep mine'
+        });
+        
+        if (this.disposed) return false;
+        
+        if (theirs === null) {
+            if (resolution) {
+                this.clearForm();
+            }
+            model.warningMessage = 'Another user deleted this record';
+            this.updateUI();
+            return false;
+        }
+        
+        if (!resolution) {
+            model.warningMessage = 'Not saved - another user changed this record';
+            this.updateUI();
+            return false;
+        }
+        
+        // ✅ CORRECT: The current record becomes the baseline (and its version the next If-Match)
+        this.applyEntity(theirs);
+        model.rowVersion = resolution.version || model.rowVersion;
+        
+        if (resolution.strategy === 'theirs') {
+            model.infoMessage = 'Loaded the latest version';
+            this.updateUI();
+            return false;
+        }
+        
+        if (operation === 'delete') {
+            return this.delete(model.id);
+        }
+        
+        // Keep mine / merge: the chosen values are ordinary (undoable) edits on top of theirs
+        [EntityName]TrackedFields.forEach(field => {
+            const serverName = this.toServerName(field);
+            if (resolution.data && serverName in resolution.data) {
+                model[field] = resolution.data[serverName];
+            }
+        });
+        this.updateUI();
+        
+        return this.save();
     }
     
     /**
@@ -530,17 +949,22 @@ export default class [EntityName]VM extends VMBase {
         model.isDeleting = true;
         this.updateUI();
         
+        // Only the loaded record has a version to check
+        const isCurrent = deleteId === model.id;
+        let conflict = null;
+        
         try {
             const response = await Utils.ajax({
                 url: '/api/[Entity]/Delete',
-                data: { id: deleteId }
+                data: { id: deleteId },
+                headers: isCurrent ? ConflictResolver.toHeaders(model.rowVersion) : {}
             });
             
             if (response.success || response === true) {
                 model.successMessage = 'Deleted successfully!';
                 
                 // Clear form if deleting current item
-                if (deleteId === model.id) {
+                if (isCurrent) {
                     this.clearForm();
                 }
                 
@@ -556,12 +980,17 @@ export default class [EntityName]VM extends VMBase {
             }
             
         } catch (error) {
-            this.handleError('Delete failed', error);
-            return false;
+            if (!isCurrent || !ConflictResolver.isConflict(error)) {
+                this.handleError('Delete failed', error);
+                return false;
+            }
+            conflict = error;
         } finally {
             model.isDeleting = false;
             this.updateUI();
         }
+        
+        return this.resolveConflict('delete', conflict);
     }
     
     // ===== SECTION 6: SEARCH AND FILTERING =====
@@ -569,95 +998,145 @@ export default class [EntityName]VM extends VMBase {
     
     /**
      * Search functionality
+     * 💡 TIP: Call on every keystroke - the grid data source debounces the request
      */
-    async search(searchTerm) {
-        const model = this.Data;
-        model.searchTerm = searchTerm;
-        model.isLoading = true;
-        this.updateUI();
-        
-        try {
-            const response = await Utils.ajax({
-                url: '/api/[Entity]/Search',
-                data: {
-                    searchTerm: searchTerm,
-                    page: 1,
-                    pageSize: model.pageSize,
-                    filters: model.filters
-                }
-            });
-            
-            model.searchResults = response.data || [];
-            model.gridData = model.searchResults;
-            model.totalRecords = response.totalRecords || 0;
-            model.totalPages = Math.ceil(model.totalRecords / model.pageSize);
-            model.currentPage = 1;
-            
-        } catch (error) {
-            this.handleError('Search failed', error);
-        } finally {
-            model.isLoading = false;
-            this.updateUI();
-        }
+    search(searchTerm) {
+        return this.grid.setSearch(searchTerm);
     }
     
     /**
      * Clear search and reset to full list
      */
-    async clearSearch() {
-        const model = this.Data;
-        model.searchTerm = '';
-        model.filters = {};
-        await this.loadList();
+    clearSearch() {
+        return this.grid.clearFilters();
     }
     
     /**
-     * Load paginated list
+     * Header click - Shift+click adds the column to a multi-column sort
      */
-    async loadList(page = 1, pageSize = null) {
-        const model = this.Data;
-        model.currentPage = page;
-        if (pageSize) model.pageSize = pageSize;
-        model.isLoading = true;
-        this.updateUI();
+    sortBy(field, multi = false) {
+        return this.grid.sortBy(field, multi);
+    }
+    
+    /**
+     * Typed column filter ('statusId', ['1', '2']) / ('createdDate', [from, to], 'between')
+     */
+    setFilter(field, value, operator = null) {
+        return this.grid.setFilter(field, value, operator);
+    }
+    
+    /**
+     * Reload the list - page, size, sort and filters come from this.grid
+     */
+    loadList(page = null) {
+        return page ? this.grid.setPage(page) : this.grid.reload();
+    }
+    
+    /**
+     * ⚠️ CRITICAL: The grid data source's loader - one page for the current grid state
+     * Paging, sorting, filtering and search all land here under the 'list' key,
+     * so an older page can never overwrite a newer one
+     * (the virtual grid's next chunks use their own 'list:more' key)
+     * Resolves { success, data, totalRecords, message } - failures are results, aborts reject
+     */
+    async loadGridPage(request, key = 'list') {
+        const primarySort = request.sort[0] || { field: '', direction: 'asc' };
         
+        let response;
         try {
-            const response = await Utils.ajax({
+            response = await this.requestLatest(key, {
                 url: '/api/[Entity]/GetList',
                 data: {
-                    page: model.currentPage,
-                    pageSize: model.pageSize,
-                    searchTerm: model.searchTerm,
-                    sortField: model.sortField,
-                    sortDirection: model.sortDirection,
-                    filters: model.filters
+                    page: request.page,
+                    pageSize: request.pageSize,
+                    searchTerm: request.search,
+                    sortField: primarySort.field,          // Single-sort endpoints
+                    sortDirection: primarySort.direction,
+                    sort: request.sort,                    // [{ field, direction }]
+                    filters: request.filters               // [{ field, operator, value }]
                 }
             });
-            
-            model.items = response.data || [];
-            model.gridData = model.items;
-            model.totalRecords = response.totalRecords || 0;
-            model.totalPages = Math.ceil(model.totalRecords / model.pageSize);
-            
         } catch (error) {
-            this.handleError('Failed to load list', error);
-        } finally {
-            model.isLoading = false;
-            this.updateUI();
+            // ⚠️ CRITICAL: A superseded load stays an abort - the grid keeps the newer state
+            if (ApiManager.isAbortError(error)) throw error;
+            
+            return {
+                success: false,
+                data: [],
+                totalRecords: 0,
+                message: error.message || 'Failed to load list'
+            };
         }
+        
+        // "F" / { success: false } reach the grid as a failure (GridDataSource shows result.error)
+        const success = response !== 'F' && !(response && response.success === false);
+        
+        return {
+            success: success,
+            data: success ? response.data || [] : [],
+            totalRecords: success ? response.totalRecords || 0 : 0,
+            message: (response && response.message) || (success ? '' : 'Failed to load list')
+        };
     }
     
-    // ===== SECTION 7: FILE HANDLING =====
-    // Lines 800-900: File upload and management
+    /**
+     * Failed page → rejection, for loaders that report errors through onError (more rows, export)
+     */
+    toPageItems(result, page, pageSize) {
+        if (result.success === false) {
+            throw new Error(result.message);
+        }
+        return { items: result.data, hasMore: page * pageSize < result.totalRecords };
+    }
     
     /**
-     * Upload files to server
+     * Grid data source → Data (the component renders from Data as usual)
      */
-    async uploadFiles() {
+    applyGridState(state, result) {
+        if (this.disposed) return;
+        
         const model = this.Data;
+        model.currentPage = state.page;
+        model.pageSize = state.pageSize;
+        model.searchTerm = state.search;
+        model.sort = state.sort;
+        model.sortField = state.sort.length ? state.sort[0].field : '';
+        model.sortDirection = state.sort.length ? state.sort[0].direction : 'asc';
+        model.filters = state.filters;
+        this.saveCurrentView();
         
-        if (!model.uploadedFiles || model.uploadedFiles.length === 0) {
-            return true;
+        if (this.virtual) {
+            this.applyVirtualResult(result);
+        } else {
+            model.items = result.data;
+            model.gridData = result.data;
+        }
+        model.totalRecords = result.totalRecords;
+        model.totalPages = result.totalPages;
+        model.isLoading = result.loading;
+        
+        // New search/filters clear the selection; paging and sorting keep it
+        this.selection.setQuery(this.getSelectionQuery(), result.loading ? undefined : result.totalRecords);
+        
+        if (result.error) {
+            this.handleError('Failed to load list', result.error);
+            return;
+        }
+        
+        this.updateUI();
+    }
+    
+    // ===== SECTION 7: FILE HANDLING =====
+    // Lines 800-900: File upload and management
+    
+    /**
+     * Upload files to server
+     */
+    async uploadFiles() {
+        const model = this.Data;
+        
+        if (!model.uploadedFiles || model.uploadedFiles.length === 0) {
+            return true;
         }
         
         try {
@@ -719,8 +1198,10 @@ export default class [EntityName]VM extends VMBase {
         
         // Reset UI state
         model.formMode = 'create';
-        model.isDirty = false;
+        model.originalData = {};
+        model.rowVersion = null;
         model.validationErrors = {};
+        model.validationSummary = [];
         model.isValid = true;
         
         // Clear messages
@@ -733,30 +1214,22 @@ export default class [EntityName]VM extends VMBase {
         model.uploadedFiles = [];
         model.imagePreview = '';
         
+        // Empty form is the new baseline
+        this.snapshotChanges();
+        
         this.updateUI();
     }
     
     /**
      * Reset form to original values (for edit mode)
+     * 💡 TIP: The reset is ONE undo step - Ctrl+Z brings the edits back
      */
     reset() {
         const model = this.Data;
         
-        if (model.originalData && Object.keys(model.originalData).length > 0) {
-            // Restore from original data
-            const original = model.originalData;
-            model.name = original.name || '';
-            model.email = original.email || '';
-            model.phone = original.phone || '';
-            model.address = original.address || '';
-            model.description = original.description || '';
-            model.selectedCategory = original.categoryId || '';
-            model.selectedStatus = original.statusId || '';
-            model.selectedRole = original.roleId || '';
-            model.isActive = original.isActive || false;
-            model.isEnabled = original.isEnabled || false;
-            
-            model.isDirty = false;
+        if (model.id) {
+            // Restore the snapshot taken in loadEntity/save
+            this.changeTracker.revert(model);
         } else {
             // Clear form for new records
             this.clearForm();
@@ -764,6 +1237,7 @@ export default class [EntityName]VM extends VMBase {
         
         // Clear validation errors
         model.validationErrors = {};
+        model.validationSummary = [];
         model.isValid = true;
         
         this.updateUI();
@@ -773,6 +1247,10 @@ export default class [EntityName]VM extends VMBase {
      * Cancel operation
      */
     cancel() {
+        if (this.hasUnsavedChanges() && !window.confirm(UnsavedChangesGuard.message)) {
+            return;
+        }
+        
         if (this.props.onCancel) {
             this.props.onCancel();
         } else {
@@ -784,6 +1262,16 @@ export default class [EntityName]VM extends VMBase {
      * Handle errors consistently
      */
     handleError(message, error) {
+        // ⚠️ CRITICAL: Cancelled requests are not errors - never show them
+        if (ApiManager.isAbortError(error)) {
+            return;
+        }
+        
+        // Server-side validation (400/422) belongs on the form fields, not in a banner
+        if (ServerValidationErrors.isValidationError(error) && this.applyServerErrors(error)) {
+            return;
+        }
+        
         const model = this.Data;
         console.error(message, error);
         
@@ -796,30 +1284,27 @@ export default class [EntityName]VM extends VMBase {
     }
     
     /**
-     * Mark form as dirty (data changed)
+     * Record changes made outside updateUI() (e.g. values set by a child component)
      */
     markDirty() {
-        const model = this.Data;
-        if (!model.isDirty) {
-            model.isDirty = true;
-            this.updateUI();
-        }
+        this.updateUI();
     }
     
     /**
      * Check if form has unsaved changes
+     * ✅ CORRECT: Field-level diff - editing a value and typing it back is NOT dirty
      */
     hasUnsavedChanges() {
-        return this.Data.isDirty;
+        return this.changeTracker.isDirty(this.Data);
     }
     
     // ===== PAGINATION HELPERS =====
     async loadPage(page) {
-        await this.loadList(page, this.Data.pageSize);
+        await this.grid.setPage(page);
     }
     
     async changePageSize(pageSize) {
-        await this.loadList(1, pageSize);
+        await this.grid.setPageSize(pageSize);
     }
     
     // ===== GRID HELPERS =====
@@ -838,6 +1323,877 @@ export default class [EntityName]VM extends VMBase {
             }
         }
     }
+    
+    // ===== SECTION 9: REQUEST CANCELLATION =====
+    // Lines 1000-1100: AbortController-based "latest wins" requests
+    
+    /**
+     * ⚠️ CRITICAL: "Latest wins" Utils.ajax call
+     * Starting a request aborts the previous one with the same key, so a slow
+     * stale response can never overwrite newer list or form data
+     */
+    requestLatest(key, config) {
+        this.cancelRequest(key);
+        
+        const controller = new AbortController();
+        this.pendingRequests.set(key, controller);
+        
+        const xhr = Utils.ajax(config);
+        const unbindSignal = ApiManager.bindAbortSignal(controller.signal, () => xhr.abort());
+        
+        return Promise.resolve(xhr)
+            .catch(error => {
+                throw ApiManager.isAbortError(error) ? ApiManager.createAbortError() : error;
+            })
+            .finally(() => {
+                unbindSignal();
+                if (this.pendingRequests.get(key) === controller) {
+                    this.pendingRequests.delete(key);
+                }
+            });
+    }
+    
+    /**
+     * Should a finished request still update the UI?
+     * False while a newer request with the same key runs, or after dispose()
+     */
+    isLatestRequest(key) {
+        return !this.disposed && !this.pendingRequests.has(key);
+    }
+    
+    /**
+     * Abort the pending request with this key (if any)
+     */
+    cancelRequest(key) {
+        const controller = this.pendingRequests.get(key);
+        if (controller) {
+            this.pendingRequests.delete(key);
+            controller.abort();
+        }
+    }
+    
+    /**
+     * Abort every pending request of this ViewModel
+     */
+    cancelAllRequests() {
+        const controllers = Array.from(this.pendingRequests.values());
+        this.pendingRequests.clear();
+        controllers.forEach(controller => controller.abort());
+    }
+    
+    /**
+     * ⚠️ CRITICAL: Call from componentWillUnmount
+     * Aborts everything in flight so late responses never call updateUI()
+     * on an unmounted component
+     */
+    dispose() {
+        this.disposed = true;
+        this.cancelAllRequests();
+        this.grid.dispose();
+        if (this.moreRows) this.moreRows.reset({ hasMore: false });
+        this.savedViews.dispose();  // Writes a pending saveCurrent()
+        
+        if (this.unbindShortcuts) this.unbindShortcuts();
+        if (this.unregisterGuard) this.unregisterGuard();
+    }
+    
+    // ===== SECTION 10: CHANGE TRACKING AND UNDO/REDO =====
+    // Lines 1100-1200: Field-level diff against the loaded record
+    
+    /**
+     * ⚠️ CRITICAL: Every change goes through updateUI(), so recording here tracks
+     * all input handlers without touching the component
+     */
+    updateUI() {
+        if (this.changeTracker && !this.applyingHistory) {
+            this.changeTracker.record(this.Data);
+        }
+        this.syncChangeState();
+        super.updateUI();
+    }
+    
+    /**
+     * New baseline: after loading, saving or clearing the form
+     */
+    snapshotChanges() {
+        this.changeTracker.snapshot(this.Data);
+        this.syncChangeState();
+    }
+    
+    /**
+     * Returns false when there was nothing to undo (the browser keeps its own Ctrl+Z)
+     */
+    undo() {
+        return this.applyHistory(this.changeTracker.undo(this.Data));
+    }
+    
+    redo() {
+        return this.applyHistory(this.changeTracker.redo(this.Data));
+    }
+    
+    applyHistory(fields) {
+        if (fields.length === 0) return false;
+        
+        // Errors (and pending async checks) belong to the replaced values
+        fields.forEach(field => this.cancelRequest(`validate:${field}`));
+        const model = this.Data;
+        model.validationErrors = { ...model.validationErrors };
+        fields.forEach(field => delete model.validationErrors[field]);
+        model.isValid = Object.keys(model.validationErrors).length === 0;
+        
+        this.applyingHistory = true;
+        this.updateUI();
+        this.applyingHistory = false;
+        return true;
+    }
+    
+    isFieldChanged(field) {
+        return this.changeTracker.isFieldDirty(this.Data, field);
+    }
+    
+    /**
+     * Keep the render-friendly flags in Data in step with the tracker
+     */
+    syncChangeState() {
+        if (!this.changeTracker) return;
+        
+        const model = this.Data;
+        model.changedFields = this.changeTracker.getChangedFields(model);
+        model.isDirty = model.changedFields.length > 0;
+        model.canUndo = this.changeTracker.canUndo();
+        model.canRedo = this.changeTracker.canRedo();
+    }
+    
+    // ===== SECTION 11: VIRTUAL SCROLLING =====
+    // Lines 1200-1350: 10k+ row grids - chunks load while scrolling, only visible rows render
+    
+    /**
+     * ⚠️ CRITICAL: Sort/filter/search still go through this.grid (SECTION 6) -
+     * its first chunk replaces the rows, InfiniteScrollLoader appends the rest
+     */
+    initVirtualGrid() {
+        const chunkSize = [EntityName]VirtualGrid.chunkSize;
+        
+        this.scroller = new VirtualScroller([EntityName]VirtualGrid);
+        this.viewport = { scrollTop: 0, height: [EntityName]VirtualGrid.height };
+        this.moreRows = new InfiniteScrollLoader({
+            pageSize: chunkSize,
+            load: page => this.loadGridPage({ ...this.grid.getRequest(), page: page }, 'list:more')
+                .then(result => this.toPageItems(result, page, chunkSize)),
+            onItems: items => this.appendVirtualRows(items),
+            onError: error => this.handleError('Failed to load more rows', error)
+        });
+    }
+    
+    /**
+     * Grid data source result → virtual rows (called from applyGridState)
+     */
+    applyVirtualResult(result) {
+        const model = this.Data;
+        
+        // ⚠️ CRITICAL: A new search/sort is loading - a chunk of the old list must not be appended
+        if (result.loading) {
+            this.cancelRequest('list:more');
+            this.moreRows.reset({ hasMore: false });
+            model.hasMoreRows = false;
+            return;
+        }
+        
+        // Same result (state notification or failed reload) - keep the rows and the scroll position
+        if (result.error || result.data === this.virtualSource) return;
+        this.virtualSource = result.data;
+        
+        this.moreRows.reset({ page: 2, hasMore: result.data.length < result.totalRecords });
+        model.hasMoreRows = this.moreRows.hasMoreData;
+        model.items = result.data.slice();
+        model.gridData = model.items;
+        model.selectedItem = null;
+        model.selectedIndex = -1;
+        
+        // New list: back to the top, forget measured heights
+        this.scroller.resetMeasurements();
+        this.scroller.setRowCount(model.gridData.length);
+        this.viewport.scrollTop = 0;
+        model.virtualScrollTop = 0;
+        this.updateVirtualRange();
+    }
+    
+    appendVirtualRows(items) {
+        const model = this.Data;
+        model.items = model.gridData.concat(items);
+        model.gridData = model.items;
+        model.hasMoreRows = this.moreRows.hasMoreData;
+        
+        this.scroller.setRowCount(model.gridData.length);
+        this.updateVirtualRange();
+        this.updateUI();
+    }
+    
+    /**
+     * Component → VM on scroll, mount and resize
+     * viewportHeight is the row area (container height minus the sticky header)
+     */
+    setViewport(scrollTop, viewportHeight) {
+        if (!this.virtual) return;
+        
+        this.viewport = { scrollTop: scrollTop, height: viewportHeight };
+        if (this.updateVirtualRange()) {
+            this.updateUI();
+        }
+    }
+    
+    /**
+     * Recalculate the rendered window - true when the component has to re-render
+     * 💡 TIP: Scrolling within the overscan rows changes nothing and costs no render
+     */
+    updateVirtualRange() {
+        const model = this.Data;
+        const range = this.scroller.getRange(this.viewport.scrollTop, this.viewport.height);
+        
+        // Near the end of the loaded rows → next chunk
+        if (this.moreRows.shouldLoad(model.gridData.length - range.end)) {
+            this.moreRows.loadMore();
+        }
+        
+        const current = model.virtualRange;
+        if (current.start === range.start && current.end === range.end &&
+            current.padTop === range.padTop && current.padBottom === range.padBottom) {
+            return false;
+        }
+        
+        model.virtualRange = range;
+        return true;
+    }
+    
+    /**
+     * ✅ CORRECT: Arrow keys / Page Up/Down / Home/End on the grid
+     * Works on indexes, so the target row does not have to be rendered yet -
+     * the VM scrolls to it and the next render creates it
+     * Returns false for keys that do not move the active row
+     */
+    moveActiveRow(event) {
+        const model = this.Data;
+        const pageRows = VirtualKeys.getPageRows(this.viewport.height, this.scroller.estimatedRowHeight);
+        const index = VirtualKeys.getTargetIndex(event, model.selectedIndex, model.gridData.length, pageRows);
+        
+        if (index === null) return false;
+        this.selectVirtualRow(index);
+        return true;
+    }
+    
+    selectVirtualRow(index) {
+        const model = this.Data;
+        model.selectedIndex = index;
+        model.selectedItem = model.gridData[index] || null;
+        
+        const scrollTop = this.scroller.getScrollTopFor(index, this.viewport.scrollTop, this.viewport.height);
+        if (scrollTop !== null) {
+            this.viewport.scrollTop = scrollTop;
+            model.virtualScrollTop = scrollTop;
+        }
+        
+        this.updateVirtualRange();
+        this.updateUI();
+    }
+    
+    /**
+     * Estimated row heights: the component reports rendered heights ([{ index, height }])
+     */
+    measureVirtualRows(rows) {
+        if (!this.virtual || this.scroller.isFixed || rows.length === 0) return;
+        
+        // Keep the first visible row in place while rows above it change height
+        const anchor = this.Data.virtualRange.firstVisible;
+        const anchorOffset = this.scroller.getOffset(anchor);
+        
+        const changed = rows.filter(row => this.scroller.measure(row.index, row.height)).length > 0;
+        if (!changed) return;
+        
+        const delta = this.scroller.getOffset(anchor) - anchorOffset;
+        if (anchor >= 0 && delta !== 0) {
+            this.viewport.scrollTop += delta;
+            this.Data.virtualScrollTop = this.viewport.scrollTop;
+        }
+        
+        this.updateVirtualRange();
+        this.updateUI();
+    }
+    
+    // ===== SECTION 12: COLUMN LAYOUT AND SAVED VIEWS =====
+    // Lines 1350-1480: Column chooser, resize/reorder/pin and named views (columns + sort + filters)
+    
+    /**
+     * ✅ CORRECT: Called once from onLoad(), before the first list request
+     * Restores the columns of the last session and returns that view (sort/filters are applied by onLoad)
+     */
+    async restoreColumnViews() {
+        let lastView = null;
+        
+        try {
+            await this.savedViews.load();
+            lastView = this.savedViews.getCurrent();
+            if (lastView) {
+                this.columnLayout.applyState(lastView.columns, true);
+                this.Data.activeView = this.savedViews.list().includes(lastView.name) ? lastView.name : '';
+            }
+        } catch (error) {
+            // A broken view store must not keep the list from loading
+            console.warn('Saved grid views could not be loaded:', error);
+        }
+        
+        this.viewsReady = true;
+        this.syncColumnState();
+        return lastView;
+    }
+    
+    onColumnLayoutChange() {
+        if (this.disposed) return;
+        
+        this.syncColumnState();
+        this.saveCurrentView();
+        this.updateUI();
+    }
+    
+    syncColumnState() {
+        const model = this.Data;
+        model.gridColumns = this.columnLayout.getColumns();
+        model.allGridColumns = this.columnLayout.getAllColumns();
+        model.savedViewNames = this.savedViews.list();
+    }
+    
+    /**
+     * A view is plain JSON: { name, columns, sort, filters, search }
+     */
+    getViewState() {
+        return {
+            name: this.Data.activeView,
+            columns: this.columnLayout.getState(),
+            ...this.grid.getViewState()
+        };
+    }
+    
+    /**
+     * 🔥 PERFORMANCE: saveCurrent() is debounced - safe to call on every grid or layout change
+     */
+    saveCurrentView() {
+        if (!this.viewsReady || this.disposed) return;
+        this.savedViews.saveCurrent(this.getViewState());
+    }
+    
+    toggleColumn(field) {
+        return this.columnLayout.toggle(field);
+    }
+    
+    moveColumn(field, beforeField) {
+        return this.columnLayout.move(field, beforeField);
+    }
+    
+    shiftColumn(field, direction) {
+        return this.columnLayout.shift(field, direction);
+    }
+    
+    /**
+     * Commit a width when the resize drag ends - returns the clamped width
+     */
+    resizeColumn(field, width) {
+        return this.columnLayout.resize(field, width);
+    }
+    
+    pinColumn(field, side) {
+        return this.columnLayout.pin(field, side);
+    }
+    
+    resetColumns() {
+        this.columnLayout.reset();
+    }
+    
+    async saveView(name) {
+        const model = this.Data;
+        
+        try {
+            const saved = await this.savedViews.save(name, this.getViewState());
+            model.activeView = saved.name;
+            model.successMessage = `View "${saved.name}" saved`;
+            this.syncColumnState();
+            this.saveCurrentView();
+            this.updateUI();
+            return true;
+        } catch (error) {
+            this.handleError('Failed to save view', error);
+            return false;
+        }
+    }
+    
+    /**
+     * ✅ CORRECT: Columns, sort, filters and search in one step - one reload, back to page 1
+     */
+    applyView(name) {
+        const view = this.savedViews.get(name);
+        if (!view) return Promise.resolve(false);
+        
+        this.Data.activeView = view.name;
+        this.columnLayout.applyState(view.columns);
+        return this.grid.applyView(view).then(() => true);
+    }
+    
+    async deleteView(name) {
+        const model = this.Data;
+        
+        try {
+            await this.savedViews.remove(name);
+            if (model.activeView === name) model.activeView = '';
+            this.syncColumnState();
+            this.saveCurrentView();
+            this.updateUI();
+            return true;
+        } catch (error) {
+            this.handleError('Failed to delete view', error);
+            return false;
+        }
+    }
+    
+    // ===== SECTION 13: CLIENT-SIDE EXPORT =====
+    // Lines 1480-1560: CSV / XLSX / JSON of the grid as shown (frontend/grid-export-complete.js)
+    
+    /**
+     * ✅ CORRECT: Export without a server round-trip
+     * - columns: the component's layout columns (render functions resolve to text)
+     * - scope 'page': the rows on screen (virtual grid: every row loaded so far)
+     * - scope 'all':  every row matching the current search/sort/filters, loaded page by page
+     * ⚠️ CRITICAL: Formatted reports and PDF stay on the server - [entityName]Service.exportToExcel/exportToPdf
+     */
+    async exportGrid(format, columns, scope = 'page') {
+        const model = this.Data;
+        const pageSize = 500;
+        
+        // One export at a time - starting another cancels the first
+        this.cancelExport();
+        const controller = new AbortController();
+        this.pendingRequests.set('export', controller);
+        
+        const rows = scope === 'all'
+            ? page => this.loadGridPage({ ...this.grid.getRequest(), page: page, pageSize: pageSize }, 'export:page')
+                .then(result => this.toPageItems(result, page, pageSize))
+            : model.gridData;
+        
+        const exporter = new GridExporter({
+            columns: columns,
+            fileName: `[EntityName]_Export_${new Date().toISOString().slice(0, 10)}`
+        });
+        
+        model.isExporting = true;
+        model.exportProgress = { rows: 0, total: scope === 'all' ? model.totalRecords : model.gridData.length };
+        this.updateUI();
+        
+        try {
+            const result = await exporter.download(format, rows, {
+                signal: controller.signal,
+                total: model.totalRecords,
+                onProgress: progress => {
+                    model.exportProgress = progress;
+                    this.updateUI();
+                }
+            });
+            
+            model.successMessage = result.truncated
+                ? `Exported the first ${result.rowCount.toLocaleString()} rows - use the server export for more`
+                : `Exported ${result.rowCount.toLocaleString()} rows`;
+            return true;
+        } catch (error) {
+            this.handleError('Export failed', error);
+            return false;
+        } finally {
+            if (this.pendingRequests.get('export') === controller) {
+                this.pendingRequests.delete('export');
+            }
+            if (!this.disposed) {
+                model.isExporting = false;
+                model.exportProgress = null;
+                this.updateUI();
+            }
+        }
+    }
+    
+    cancelExport() {
+        this.cancelRequest('export');
+        this.cancelRequest('export:page');
+    }
+    
+    // ===== SECTION 14: INLINE CELL EDITING =====
+    // Lines 1560-1700: Edit cells in the grid, save the changed rows in one batch (frontend/inline-edit-complete.js)
+    
+    /**
+     * ✅ CORRECT: Editor specs with their combobox lists read from Data at edit time
+     * (statuses/categories arrive after the constructor ran)
+     */
+    getInlineEditors() {
+        const editors = {};
+        Object.keys([EntityName]InlineEditors).forEach(field => {
+            const { lookup, ...spec } = [EntityName]InlineEditors[field];
+            editors[field] = lookup ? { ...spec, options: () => this.Data[lookup] || [] } : spec;
+        });
+        return editors;
+    }
+    
+    onRowEditsChange() {
+        if (this.disposed) return;
+        
+        const model = this.Data;
+        model.dirtyRowCount = this.rowEdits.getDirtyIds().length;
+        model.invalidRowCount = Object.keys(this.rowEdits.getErrors()).length;
+        this.updateUI();
+    }
+    
+    /**
+     * Row field a layout column edits - null when the column is read-only
+     */
+    getEditField(columnField) {
+        const definition = this.columnLayout.findDefinition(columnField);
+        const field = (definition && definition.editField) || columnField;
+        return this.rowEdits.isEditable(field) ? field : null;
+    }
+    
+    /**
+     * Editable fields in display order - Tab moves through these
+     */
+    getEditableFields() {
+        return this.Data.gridColumns.map(column => this.getEditField(column.field)).filter(Boolean);
+    }
+    
+    /**
+     * ⚠️ CRITICAL: Leaving edit mode with pending edits discards them - the component confirms first
+     */
+    setInlineEditMode(enabled) {
+        const model = this.Data;
+        if (!enabled) {
+            this.cancelRowValidation();
+            this.rowEdits.revertAll();
+            model.editingCell = null;
+        }
+        model.inlineEditMode = Boolean(enabled);
+        this.updateUI();
+    }
+    
+    startCellEdit(row, field) {
+        const model = this.Data;
+        if (!model.inlineEditMode || model.isSavingRows || !this.rowEdits.isEditable(field)) return false;
+        
+        // startValue: what Escape goes back to
+        model.editingCell = { id: row.id, field: field, startValue: this.rowEdits.getValue(row, field) };
+        this.updateUI();
+        return true;
+    }
+    
+    isEditingCell(row, field) {
+        const cell = this.Data.editingCell;
+        return Boolean(cell) && String(cell.id) === String(row.id) && cell.field === field;
+    }
+    
+    /**
+     * ✅ CORRECT: Every keystroke / selection goes through the session (parse, diff, sync rules)
+     * Grid rows in Data are never changed until the batch is saved
+     */
+    setCellValue(row, field, input) {
+        return this.rowEdits.setValue(row, field, input);
+    }
+    
+    /**
+     * Close the editor (Enter, Tab, blur) - step 1/-1 opens the next/previous editable cell
+     * Async rules (unique email) run here, once per edit, not on every keystroke
+     */
+    commitCellEdit(row, field, step = 0) {
+        const model = this.Data;
+        if (!this.isEditingCell(row, field)) return;
+        
+        const next = step ? InlineEditKeys.nextCell(model.gridData, this.getEditableFields(), model.editingCell, step) : null;
+        model.editingCell = null;
+        this.updateUI();
+        if (next) {
+            this.startCellEdit(model.gridData.find(entry => String(entry.id) === String(next.id)), next.field);
+        }
+        
+        if (this.rowEdits.isCellDirty(row, field)) {
+            this.validateRowEdits(row);
+        }
+    }
+    
+    cancelCellEdit(row, field) {
+        const model = this.Data;
+        if (!this.isEditingCell(row, field)) return;
+        
+        const editor = this.rowEdits.getEditor(field);
+        this.rowEdits.setValue(row, field, editor.format(model.editingCell.startValue, editor));
+        model.editingCell = null;
+        this.updateUI();
+    }
+    
+    /**
+     * Enter / Tab / Escape in a cell editor - returns true when the key was handled
+     */
+    handleCellKey(row, field, e) {
+        const action = InlineEditKeys.action(e);
+        if (!action) return false;
+        
+        if (action === 'cancel') {
+            this.cancelCellEdit(row, field);
+        } else {
+            this.commitCellEdit(row, field, action === 'next' ? 1 : action === 'previous' ? -1 : 0);
+        }
+        return true;
+    }
+    
+    /**
+     * "Latest wins" per row - editing the row again aborts its pending unique checks
+     */
+    async validateRowEdits(row) {
+        const key = `rows:validate:${row.id}`;
+        this.cancelRequest(key);
+        const controller = new AbortController();
+        this.pendingRequests.set(key, controller);
+        
+        try {
+            await this.rowEdits.validate({ rows: [row], signal: controller.signal });
+        } finally {
+            if (this.pendingRequests.get(key) === controller) {
+                this.pendingRequests.delete(key);
+            }
+        }
+    }
+    
+    cancelRowValidation() {
+        Array.from(this.pendingRequests.keys())
+            .filter(key => key.startsWith('rows:validate:'))
+            .forEach(key => this.cancelRequest(key));
+    }
+    
+    revertRow(row) {
+        this.rowEdits.revertRow(row);
+    }
+    
+    discardRowChanges() {
+        this.cancelRowValidation();
+        this.Data.editingCell = null;
+        this.rowEdits.revertAll();
+        this.updateUI();
+    }
+    
+    /**
+     * ⚠️ CRITICAL: Save every dirty row in ONE request - changed fields only, each with its version
+     * Saved rows are merged into the grid; failed rows keep their edits and show their errors
+     * (a row changed by someone else is reported, never resent - see ConflictResolver)
+     */
+    async saveRowChanges() {
+        const model = this.Data;
+        model.errorMessage = '';
+        model.successMessage = '';
+        model.infoMessage = '';
+        
+        if (!this.rowEdits.isDirty()) {
+            model.infoMessage = 'No changes to save';
+            this.updateUI();
+            return true;
+        }
+        
+        this.cancelRequest('rows:save');
+        this.cancelRowValidation();
+        const controller = new AbortController();
+        this.pendingRequests.set('rows:save', controller);
+        
+        model.editingCell = null;
+        model.isSavingRows = true;
+        this.updateUI();
+        
+        try {
+            // Async rules included - the same checks the form runs before save()
+            if (!(await this.rowEdits.validate({ signal: controller.signal }))) {
+                if (!controller.signal.aborted) {
+                    model.errorMessage = 'Please fix the highlighted cells before saving';
+                }
+                return false;
+            }
+            
+            const batch = this.rowEdits.getBatch();
+            const result = await [entityName]Service.batchUpdate(batch, { signal: controller.signal });
+            if (result.aborted) return false;
+            
+            const saved = this.rowEdits.applyResults(result.results);
+            this.mergeSavedRows(saved);
+            
+            if (saved.length === batch.length) {
+                model.successMessage = `Saved ${saved.length} ${saved.length === 1 ? 'row' : 'rows'}`;
+                return true;
+            }
+            
+            model.errorMessage = result.results.length
+                ? `${batch.length - saved.length} of ${batch.length} rows were not saved - see the highlighted rows`
+                : result.message;
+            return false;
+        } catch (error) {
+            this.handleError('Failed to save changes', error);
+            return false;
+        } finally {
+            if (this.pendingRequests.get('rows:save') === controller) {
+                this.pendingRequests.delete('rows:save');
+            }
+            if (!this.disposed) {
+                model.isSavingRows = false;
+                this.updateUI();
+            }
+        }
+    }
+    
+    /**
+     * Saved rows → grid data (new row objects, so only the saved rows re-render)
+     */
+    mergeSavedRows(savedRows) {
+        if (savedRows.length === 0) return;
+        
+        const model = this.Data;
+        const byId = new Map(savedRows.map(row => [String(row.id), row]));
+        const merge = rows => rows.map(row => byId.has(String(row.id)) ? { ...row, ...byId.get(String(row.id)) } : row);
+        const shared = model.items === model.gridData;  // Paged and virtual grids use one array for both
+        
+        model.gridData = merge(model.gridData);
+        model.items = shared ? model.gridData : merge(model.items);
+    }
+    
+    // ===== SECTION 15: ROW SELECTION AND BULK ACTIONS =====
+    // Lines 1700-1830: Checkbox selection across pages, bulk status/delete with progress and report (frontend/selection-model-complete.js)
+    
+    onSelectionChange() {
+        if (this.disposed) return;
+        
+        const model = this.Data;
+        model.selectedCount = this.selection.getCount();
+        model.allMatchingSelected = this.selection.isAllMatching();
+        this.updateUI();
+    }
+    
+    /**
+     * ⚠️ CRITICAL: The same search/filters loadGridPage() sends - "all matching" means exactly these rows
+     */
+    getSelectionQuery() {
+        const request = this.grid.getRequest();
+        return { searchTerm: request.search, filters: request.filters };
+    }
+    
+    isRowSelected(row) {
+        return this.selection.isSelected(row);
+    }
+    
+    /**
+     * Checkbox click - shiftKey selects the range from the last clicked row
+     */
+    toggleRowSelection(row, shiftKey = false) {
+        this.selection.toggle(row, this.Data.gridData, shiftKey);
+    }
+    
+    /**
+     * Header checkbox: 'all' | 'some' | 'none' of the rows on screen (virtual grid: every row loaded so far)
+     */
+    getPageSelectionState() {
+        return this.selection.getRowsState(this.Data.gridData);
+    }
+    
+    setPageSelection(selected) {
+        this.selection.setRowsSelected(this.Data.gridData, selected);
+    }
+    
+    selectAllMatching() {
+        this.selection.selectAllMatching(this.Data.totalRecords);
+    }
+    
+    clearSelection() {
+        this.selection.clear();
+    }
+    
+    /**
+     * Report → selection: check the rows that failed so the user can retry them
+     */
+    selectFailedRows() {
+        const report = this.Data.bulkReport;
+        if (!report) return;
+        
+        this.selection.selectIds(report.failed.filter(item => item.id !== null).map(item => item.id));
+    }
+    
+    bulkSetStatus(statusId) {
+        return this.runBulkAction('Updating status', 'updated',
+            (target, options) => [entityName]Service.bulkUpdateStatus(target, statusId, options));
+    }
+    
+    bulkDeleteSelected(reason = '') {
+        return this.runBulkAction('Deleting', 'deleted',
+            (target, options) => [entityName]Service.bulkDelete(target, reason, options));
+    }
+    
+    /**
+     * ✅ CORRECT: One bulk action at a time over the current selection
+     * - progress goes to the #[entityName]-bulk-progress element (ProgressManager)
+     * - the report stays in model.bulkReport until dismissed
+     * - rows that were not changed (failed, or not reached before Cancel) stay selected
+     */
+    async runBulkAction(label, verb, execute) {
+        const model = this.Data;
+        if (model.isBulkRunning || this.selection.getCount() === 0) return null;
+        
+        const controller = new AbortController();
+        this.pendingRequests.set('bulk', controller);
+        const target = this.selection.toRequest();
+        const runner = new BulkActionRunner({ chunkSize: 100, progressContainer: '[entityName]-bulk-progress' });
+        
+        model.errorMessage = '';
+        model.successMessage = '';
+        model.bulkReport = null;
+        model.isBulkRunning = true;
+        this.updateUI();
+        
+        try {
+            const report = await runner.run(target,
+                (chunk, signal) => execute(chunk, { signal: signal }),
+                { label: label, verb: verb, signal: controller.signal });
+            if (this.disposed) return report;
+            
+            const done = new Set(report.succeededIds.map(String));
+            if (target.ids) {
+                this.selection.selectIds(target.ids.filter(id => !done.has(String(id))));
+            } else if (report.processedCount > 0) {
+                this.selection.selectIds(report.failed.filter(item => item.id !== null).map(item => item.id));
+            }
+            
+            model.bulkReport = report;
+            if (!report.aborted && report.failed.length === 0) {
+                model.successMessage = report.message;
+            }
+            if (report.processedCount > 0 || report.aborted) {
+                this.grid.reload();
+            }
+            return report;
+        } catch (error) {
+            this.handleError(`${label} failed`, error);
+            return null;
+        } finally {
+            if (this.pendingRequests.get('bulk') === controller) {
+                this.pendingRequests.delete('bulk');
+            }
+            if (!this.disposed) {
+                model.isBulkRunning = false;
+                this.updateUI();
+            }
+        }
+    }
+    
+    /**
+     * Aborts the chunk in flight and sends no more - rows already changed stay changed (they are in the report)
+     */
+    cancelBulkAction() {
+        this.cancelRequest('bulk');
+    }
+    
+    dismissBulkReport() {
+        this.Data.bulkReport = null;
+        this.updateUI();
+    }
 }
 
 // ✅ CRITICAL: Also export as named export for compatibility
@@ -852,19 +2208,32 @@ export { [EntityName]VM };
 4. Always use reference pattern: const model = this.Data; model.prop = value
 5. Always call this.updateUI() after changing Data properties
 6. Always use Utils.ajax for API calls with relative URLs
+7. Load lists/records through requestLatest() and call dispose() on unmount
+8. Change Data only via updateUI() - it records undo steps and the PATCH diff
+9. Send model.rowVersion as If-Match on save/delete; 409/412 go to resolveConflict(), never a retry
+10. Change page/sort/filters through this.grid (sortBy, setFilter, loadPage) - never set model.currentPage directly
+11. Virtual grid (props.virtual): render only gridData[virtualRange.start..end] and report scrolling via setViewport()
+12. Change columns through toggleColumn/moveColumn/resizeColumn/pinColumn - render model.gridColumns, never a hard-coded order
+13. Export what the user sees with exportGrid() - pass the layout columns so render output is exported as text
+14. Inline edits go through setCellValue() into this.rowEdits and are saved with saveRowChanges() - never write them into gridData
+15. Bulk actions take this.selection.toRequest() - "select all matching" sends the filter, never a list of every id
 
 ✅ CUSTOMIZATION POINTS:
 1. Replace [EntityName] with your entity name
 2. Modify init() to add/remove properties for your data model
-3. Update validation rules in validate() method
+3. Update field rules in [EntityName]ValidationRules (validate() stays as is)
 4. Customize API endpoints in load/save methods
 5. Add business-specific methods
 6. Modify file upload logic if needed
+7. List editable fields in [EntityName]TrackedFields (undo/redo, dirty check, PATCH body)
+8. List user-configurable columns in [EntityName]GridLayout; pass storage: new ServerViewStorage() to SavedViews to keep views per user on the server
+9. List cells editable in the grid in [EntityName]InlineEditors - the server needs a BatchUpdate endpoint returning per-row results
+10. Bulk endpoints accept { entityIds } or { filter, excludedIds, expectedCount } and should return per-row results
 
 💡 PERFORMANCE TIPS:
 1. Use parallel loading with Promise.all for multiple API calls
-2. Implement debouncing for search (done in component)
-3. Use pagination for large datasets
+2. Implement debouncing for search (done in component) - requestLatest() aborts the rest
+3. Use pagination for large datasets - or the virtual grid (SECTION 11) when users scroll through thousands of rows
 4. Cache lookup data (categories, roles, etc.)
 
 🛡️ SECURITY CONSIDERATIONS:
@@ -0,0 +1,599 @@
+// ===== VIRTUAL SCROLL COMPLETE PATTERNS =====
+// This file contains EVERY windowed rendering pattern for XOS Framework
+// Only the rows in (and just around) the viewport exist in the DOM - 10k+ rows scroll like 50
+
+// ⚠️ CRITICAL: Row positions come from VirtualScroller, never from the DOM. Keyboard
+// navigation, scroll-to-row and infinite scroll all work on row INDEXES, so they keep
+// working for rows that are not rendered.
+
+// ===== SECTION 1: VIRTUAL SCROLLER (ROW MATH) =====
+
+/**
+ * ✅ CORRECT: Which rows are visible, and where they are
+ * - rowHeight: fixed height in px (fastest - every position is index * rowHeight)
+ * - estimatedRowHeight: variable heights - rows are measured after render and the
+ *   estimate is replaced by the real height
+ * - overscan: extra rows above/below the viewport (no blank flashes while scrolling)
+ *
+ * 🔥 PERFORMANCE: Offsets are prefix sums built lazily and only rebuilt from the first
+ * row whose height changed; getIndexAt() is a binary search
+ */
+class VirtualScroller {
+    constructor(options = {}) {
+        this.rowHeight = options.rowHeight || 0;
+        this.estimatedRowHeight = options.estimatedRowHeight || this.rowHeight || 40;
+        this.overscan = options.overscan !== undefined ? options.overscan : 5;
+
+        this.rowCount = 0;
+        this.heights = new Map();   // index → measured height (estimated mode only)
+        this.offsets = [0];         // offsets[i] = top of row i
+        this.setRowCount(options.rowCount || 0);
+    }
+
+    get isFixed() {
+        return this.rowHeight > 0;
+    }
+
+    setRowCount(rowCount) {
+        this.rowCount = Math.max(0, parseInt(rowCount, 10) || 0);
+        this.offsets.length = Math.min(this.offsets.length, this.rowCount + 1);
+    }
+
+    /**
+     * Forget measured heights (new data set - row 5 is a different record now)
+     */
+    resetMeasurements() {
+        this.heights.clear();
+        this.offsets = [0];
+    }
+
+    /**
+     * Report a rendered row's real height - true when it changed the layout
+     */
+    measure(index, height) {
+        if (this.isFixed || !(height > 0) || this.heights.get(index) === height) return false;
+
+        this.heights.set(index, height);
+        this.offsets.length = Math.min(this.offsets.length, index + 1);
+        return true;
+    }
+
+    getRowHeight(index) {
+        if (this.isFixed) return this.rowHeight;
+        return this.heights.has(index) ? this.heights.get(index) : this.estimatedRowHeight;
+    }
+
+    getOffset(index) {
+        const target = Math.min(Math.max(0, index), this.rowCount);
+        if (this.isFixed) return target * this.rowHeight;
+
+        for (let i = this.offsets.length; i <= target; i++) {
+            this.offsets[i] = this.offsets[i - 1] + this.getRowHeight(i - 1);
+        }
+        return this.offsets[target];
+    }
+
+    getTotalHeight() {
+        return this.getOffset(this.rowCount);
+    }
+
+    /**
+     * Row at a vertical position (px from the top of the first row)
+     */
+    getIndexAt(offset) {
+        if (this.rowCount === 0) return 0;
+        if (this.isFixed) {
+            return Math.min(Math.max(0, Math.floor(offset / this.rowHeight)), this.rowCount - 1);
+        }
+
+        this.getOffset(this.rowCount);
+        let low = 0;
+        let high = this.rowCount - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.offsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * ✅ CORRECT: Rows to render for a scroll position
+     * Returns { start, end (exclusive), padTop, padBottom, totalHeight, firstVisible, lastVisible }
+     * padTop/padBottom are the heights of the spacers that stand in for the missing rows
+     */
+    getRange(scrollTop, viewportHeight) {
+        if (this.rowCount === 0) {
+            return { start: 0, end: 0, padTop: 0, padBottom: 0, totalHeight: 0, firstVisible: -1, lastVisible: -1 };
+        }
+
+        const top = Math.max(0, scrollTop);
+        const firstVisible = this.getIndexAt(top);
+        const lastVisible = this.getIndexAt(top + Math.max(0, viewportHeight - 1));
+        const start = Math.max(0, firstVisible - this.overscan);
+        const end = Math.min(this.rowCount, lastVisible + 1 + this.overscan);
+        const totalHeight = this.getTotalHeight();
+
+        return {
+            start: start,
+            end: end,
+            padTop: this.getOffset(start),
+            padBottom: totalHeight - this.getOffset(end),
+            totalHeight: totalHeight,
+            firstVisible: firstVisible,
+            lastVisible: lastVisible
+        };
+    }
+
+    /**
+     * Scroll position that brings a row into view - null when it is already fully visible
+     * align: 'auto' (scroll as little as possible) | 'start' | 'center' | 'end'
+     */
+    getScrollTopFor(index, scrollTop, viewportHeight, align = 'auto') {
+        if (index < 0 || index >= this.rowCount) return null;
+
+        const top = this.getOffset(index);
+        const bottom = top + this.getRowHeight(index);
+        let target;
+
+        if (align === 'start') {
+            target = top;
+        } else if (align === 'end') {
+            target = bottom - viewportHeight;
+        } else if (align === 'center') {
+            target = top - (viewportHeight - (bottom - top)) / 2;
+        } else if (top < scrollTop) {
+            target = top;
+        } else if (bottom > scrollTop + viewportHeight) {
+            target = bottom - viewportHeight;
+        } else {
+            return null;
+        }
+
+        const maxScrollTop = Math.max(0, this.getTotalHeight() - viewportHeight);
+        return Math.round(Math.min(Math.max(0, target), maxScrollTop));
+    }
+}
+
+// ===== SECTION 2: KEYBOARD NAVIGATION =====
+
+/**
+ * ✅ CORRECT: Arrow keys, Page Up/Down, Home/End → next active row index
+ * Returns null for keys that do not move the active row (let the browser handle them)
+ */
+const VirtualKeys = {
+    getTargetIndex: function(event, activeIndex, rowCount, pageRows = 10) {
+        if (rowCount === 0 || event.altKey) return null;
+
+        const current = activeIndex < 0 ? -1 : activeIndex;
+        let index;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                index = current + 1;
+                break;
+            case 'ArrowUp':
+                index = current < 0 ? 0 : current - 1;
+                break;
+            case 'PageDown':
+                index = current + pageRows;
+                break;
+            case 'PageUp':
+                index = current - pageRows;
+                break;
+            case 'Home':
+                index = 0;
+                break;
+            case 'End':
+                index = rowCount - 1;
+                break;
+            default:
+                return null;
+        }
+
+        return Math.min(Math.max(0, index), rowCount - 1);
+    },
+
+    /**
+     * Rows per Page Up/Down - one row overlaps so the user keeps their place
+     */
+    getPageRows: function(viewportHeight, rowHeight) {
+        return Math.max(1, Math.floor(viewportHeight / rowHeight) - 1);
+    }
+};
+
+// ===== SECTION 3: VIRTUAL TABLE (DOM RENDERER) =====
+
+/**
+ * ✅ CORRECT: Windowed <table> inside a fixed-height scroll container
+ * - Renders spacer row + visible rows + spacer row into the tbody
+ * - Sticky header (position: sticky), so column titles stay visible
+ * - role="grid" with aria-rowcount / aria-rowindex / aria-activedescendant -
+ *   screen readers announce "row 5,231 of 12,000" for rows that are not in the DOM
+ * - renderRow(index) returns the cells HTML ('<td>…</td>') for one row
+ *
+ * 🛡️ SECURITY: renderRow output is inserted as HTML - escape user data with
+ * VirtualTable.escapeHtml() exactly as for any other template
+ *
+ * 💡 TIP: Avoid .table-striped - stripes are nth-child based and flip as rows are recycled.
+ * Rows get .xos-row-odd / .xos-row-even from their index instead.
+ */
+class VirtualTable {
+    constructor(options) {
+        this.container = options.container;
+        this.table = options.table;
+        this.tbody = this.table.tBodies[0] || this.table.createTBody();
+        this.scroller = options.scroller || new VirtualScroller(options);
+        this.renderRow = options.renderRow;
+        this.columnCount = options.columnCount || this.table.querySelectorAll('thead th').length || 1;
+        this.emptyHtml = options.emptyHtml || '';
+        this.idPrefix = options.idPrefix || `xos-vrow-${++VirtualTable.instances}`;
+
+        this.onRangeChange = options.onRangeChange || (() => {});      // (range) - infinite scroll hook
+        this.onActiveChange = options.onActiveChange || (() => {});    // (index)
+        this.onActivate = options.onActivate || (() => {});            // (index, event) - Enter / double-click
+        this.onRowClick = options.onRowClick || (() => {});            // (index, event)
+
+        this.activeIndex = -1;
+        this.range = null;
+        this.frame = null;
+
+        VirtualTable.initStyles();
+        this.container.classList.add('xos-virtual-scroll');
+        this.table.setAttribute('role', 'grid');
+        if (!this.table.hasAttribute('tabindex')) this.table.tabIndex = 0;
+
+        // Arrow functions so removeEventListener gets the same reference
+        this.handleScroll = () => this.scheduleRender();
+        this.handleKeyDown = (event) => this.onKeyDown(event);
+        this.handleClick = (event) => this.onClick(event);
+        this.handleDoubleClick = (event) => this.onClick(event, true);
+
+        this.container.addEventListener('scroll', this.handleScroll, { passive: true });
+        this.table.addEventListener('keydown', this.handleKeyDown);
+        this.tbody.addEventListener('click', this.handleClick);
+        this.tbody.addEventListener('dblclick', this.handleDoubleClick);
+
+        if (window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.scheduleRender(true));
+            this.resizeObserver.observe(this.container);
+        }
+
+        this.setRowCount(options.rowCount || 0);
+    }
+
+    /**
+     * More rows loaded (infinite scroll) - scroll position and active row are kept
+     */
+    setRowCount(rowCount) {
+        this.scroller.setRowCount(rowCount);
+        if (this.activeIndex >= this.scroller.rowCount) {
+            this.activeIndex = this.scroller.rowCount - 1;
+        }
+        this.render(true);
+    }
+
+    /**
+     * ✅ CORRECT: New data set (search, sort, filter) - back to the top, nothing active
+     */
+    reset(rowCount) {
+        this.scroller.resetMeasurements();
+        this.activeIndex = -1;
+        this.container.scrollTop = 0;
+        this.setRowCount(rowCount);
+    }
+
+    /**
+     * Same rows, new content (row edited in place)
+     */
+    refresh() {
+        this.render(true);
+    }
+
+    scrollToIndex(index, align = 'auto') {
+        const scrollTop = this.scroller.getScrollTopFor(index, this.container.scrollTop, this.getViewportHeight(), align);
+        if (scrollTop !== null) {
+            this.container.scrollTop = scrollTop;
+        }
+
+        // ⚠️ CRITICAL: Render now, not on the next scroll event - the row must exist
+        // before aria-activedescendant points at it
+        this.render(true);
+    }
+
+    setActiveIndex(index, scrollIntoView = true) {
+        if (index < -1 || index >= this.scroller.rowCount) return;
+
+        const previous = this.activeIndex;
+        this.activeIndex = index;
+        if (scrollIntoView && index >= 0) {
+            this.scrollToIndex(index);
+        } else {
+            this.updateActiveRow(previous);
+        }
+        this.onActiveChange(index);
+    }
+
+    getRowElement(index) {
+        return document.getElementById(this.getRowId(index));
+    }
+
+    getRowId(index) {
+        return `${this.idPrefix}-${index}`;
+    }
+
+    // ===== RENDERING =====
+
+    scheduleRender(force = false) {
+        this.forceRender = this.forceRender || force;
+        if (this.frame) return;
+
+        this.frame = window.requestAnimationFrame(() => {
+            this.frame = null;
+            const forceRender = this.forceRender;
+            this.forceRender = false;
+            this.render(forceRender);
+        });
+    }
+
+    render(force = false) {
+        const range = this.scroller.getRange(this.container.scrollTop, this.getViewportHeight());
+
+        // 🔥 PERFORMANCE: Scrolling inside the overscan area changes nothing
+        if (!force && this.range && range.start === this.range.start && range.end === this.range.end) {
+            return;
+        }
+
+        this.paint(range);
+
+        // Estimated heights: measure what was rendered and repaint once with real sizes
+        if (!this.scroller.isFixed && this.measureRows(range)) {
+            this.paint(this.scroller.getRange(this.container.scrollTop, this.getViewportHeight()));
+        }
+
+        this.onRangeChange(this.range);
+    }
+
+    paint(range) {
+        let html = this.spacer(range.padTop);
+
+        for (let i = range.start; i < range.end; i++) {
+            const classes = [i % 2 ? 'xos-row-even' : 'xos-row-odd'];
+            if (i === this.activeIndex) classes.push('table-active');
+
+            html += `<tr id="${this.getRowId(i)}" data-index="${i}" aria-rowindex="${i + 2}" ` +
+                `aria-selected="${i === this.activeIndex}" class="${classes.join(' ')}">${this.renderRow(i)}</tr>`;
+        }
+
+        html += this.spacer(range.padBottom);
+
+        if (this.scroller.rowCount === 0 && this.emptyHtml) {
+            html = `<tr class="xos-virtual-empty"><td colspan="${this.columnCount}" class="text-center text-muted">${this.emptyHtml}</td></tr>`;
+        }
+
+        this.tbody.innerHTML = html;
+        this.range = range;
+
+        // Header row is aria-rowindex 1, so data rows start at 2
+        this.table.setAttribute('aria-rowcount', String(this.scroller.rowCount + 1));
+        this.syncActiveDescendant();
+    }
+
+    /**
+     * Move the highlight without repainting (a click must not replace the row being clicked)
+     */
+    updateActiveRow(previous) {
+        const previousRow = previous >= 0 ? this.getRowElement(previous) : null;
+        if (previousRow) {
+            previousRow.classList.remove('table-active');
+            previousRow.setAttribute('aria-selected', 'false');
+        }
+
+        const activeRow = this.activeIndex >= 0 ? this.getRowElement(this.activeIndex) : null;
+        if (activeRow) {
+            activeRow.classList.add('table-active');
+            activeRow.setAttribute('aria-selected', 'true');
+        }
+        this.syncActiveDescendant();
+    }
+
+    // Only point at a row that is in the DOM
+    syncActiveDescendant() {
+        const activeRow = this.activeIndex >= 0 ? this.getRowElement(this.activeIndex) : null;
+        if (activeRow) {
+            this.table.setAttribute('aria-activedescendant', activeRow.id);
+        } else {
+            this.table.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Returns true when a measured height differs from what the layout assumed
+     */
+    measureRows(range) {
+        // Keep the first visible row where it is while rows above it change height
+        const anchor = range.firstVisible;
+        const anchorOffset = this.scroller.getOffset(anchor);
+        let changed = false;
+
+        Array.prototype.forEach.call(this.tbody.querySelectorAll('tr[data-index]'), row => {
+            if (this.scroller.measure(Number(row.getAttribute('data-index')), row.offsetHeight)) {
+                changed = true;
+            }
+        });
+
+        if (changed && anchor >= 0) {
+            const delta = this.scroller.getOffset(anchor) - anchorOffset;
+            if (delta !== 0) this.container.scrollTop += delta;
+        }
+        return changed;
+    }
+
+    spacer(height) {
+        if (height <= 0) return '';
+        return `<tr class="xos-virtual-spacer" aria-hidden="true"><td colspan="${this.columnCount}" style="height: ${height}px"></td></tr>`;
+    }
+
+    /**
+     * Visible row area - the sticky header covers the top of the container
+     */
+    getViewportHeight() {
+        const headerHeight = this.table.tHead ? this.table.tHead.offsetHeight : 0;
+        return Math.max(0, this.container.clientHeight - headerHeight);
+    }
+
+    // ===== EVENTS =====
+
+    onKeyDown(event) {
+        if (event.key === 'Enter' && this.activeIndex >= 0) {
+            event.preventDefault();
+            this.onActivate(this.activeIndex, event);
+            return;
+        }
+
+        const pageRows = VirtualKeys.getPageRows(this.getViewportHeight(), this.scroller.estimatedRowHeight);
+        const index = VirtualKeys.getTargetIndex(event, this.activeIndex, this.scroller.rowCount, pageRows);
+        if (index === null) return;
+
+        // Arrow keys would otherwise scroll the container as well
+        event.preventDefault();
+        this.setActiveIndex(index);
+    }
+
+    onClick(event, activate = false) {
+        const row = event.target.closest('tr[data-index]');
+        if (!row || !this.tbody.contains(row)) return;
+
+        const index = Number(row.getAttribute('data-index'));
+        this.setActiveIndex(index, false);
+
+        if (activate) {
+            this.onActivate(index, event);
+        } else {
+            this.onRowClick(index, event);
+        }
+    }
+
+    /**
+     * ⚠️ CRITICAL: Call when the table is removed - listeners and the resize observer stay alive otherwise
+     */
+    destroy() {
+        if (this.frame) window.cancelAnimationFrame(this.frame);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+
+        this.container.removeEventListener('scroll', this.handleScroll);
+        this.table.removeEventListener('keydown', this.handleKeyDown);
+        this.tbody.removeEventListener('click', this.handleClick);
+        this.tbody.removeEventListener('dblclick', this.handleDoubleClick);
+        this.tbody.innerHTML = '';
+    }
+
+    static initStyles() {
+        if (document.getElementById('xos-virtual-scroll-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'xos-virtual-scroll-styles';
+        style.textContent = `
+            .xos-virtual-scroll {
+                overflow-y: auto;
+                position: relative;
+            }
+
+            .xos-virtual-scroll thead th {
+                position: sticky;
+                top: 0;
+                z-index: 2;
+                background: var(--bs-body-bg, #fff);
+                box-shadow: inset 0 -1px 0 var(--bs-border-color, #dee2e6);
+            }
+
+            .xos-virtual-scroll .xos-virtual-spacer td {
+                padding: 0;
+                border: 0;
+            }
+
+            .xos-virtual-scroll .xos-row-even > td {
+                background-color: rgba(0, 0, 0, 0.03);
+            }
+
+            .xos-virtual-scroll table:focus {
+                outline: none;
+            }
+
+            .xos-virtual-scroll table:focus-visible tr.table-active > td {
+                box-shadow: inset 0 0 0 9999px rgba(13, 110, 253, 0.12);
+            }
+
+            .xos-virtual-scroll table.table-loading tbody {
+                opacity: 0.6;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    static escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+VirtualTable.instances = 0;
+
+// Usage examples:
+/*
+// Plain table, 50,000 rows already in memory
+const rows = await loadAllRows();
+const virtualTable = new VirtualTable({
+    container: document.getElementById('orders-scroll'),      // style="height: 600px"
+    table: document.getElementById('orders-table'),           // <thead> with the column titles
+    rowHeight: 41,                                             // or estimatedRowHeight: 60 for wrapping text
+    overscan: 10,
+    rowCount: rows.length,
+    renderRow: index => {
+        const row = rows[index];
+        return `<td>${row.id}</td><td>${VirtualTable.escapeHtml(row.customer)}</td><td>${row.total}</td>`;
+    },
+    onActivate: index => openOrder(rows[index])                // Enter / double-click
+});
+
+// Jump to a record (works even if row 31,337 is not rendered)
+virtualTable.setActiveIndex(31337);
+
+// Infinite scroll - InfiniteScrollLoader (api-patterns/utils-ajax-complete.js) appends pages
+const loader = new InfiniteScrollLoader({
+    url: '/api/orders',
+    pageSize: 200,
+    onItems: (items, page) => {
+        if (page === 1) rows.length = 0;
+        rows.push(...items);
+        page === 1 ? virtualTable.reset(rows.length) : virtualTable.setRowCount(rows.length);
+    }
+});
+virtualTable.onRangeChange = range => {
+    if (loader.shouldLoad(rows.length - range.end)) loader.loadMore();
+};
+loader.loadMore();
+
+// jQuery data table: $('#orders').xosDataTable({ virtual: { rowHeight: 41, height: 600 }, infinite: true, ... })
+// React grid: viewmodel-complete.jsx SECTION 11 (VirtualScroller + VirtualKeys without VirtualTable)
+*/
+
+// Export for global use
+window.VirtualScroller = VirtualScroller;
+window.VirtualKeys = VirtualKeys;
+window.VirtualTable = VirtualTable;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Scroll container without a fixed height - it grows to fit every row and nothing is virtualized
+// 2. Fixed rowHeight with rows that wrap - positions drift; use estimatedRowHeight instead
+// 3. Looking up the active row in the DOM for keyboard navigation - it may not be rendered; use the index
+// 4. Keeping measured heights after a new search/sort - call reset(), not setRowCount()
+// 5. Using .table-striped or nth-child CSS - stripes flip while scrolling
+// 6. Forgetting destroy() - the scroll/keydown listeners and ResizeObserver outlive the table
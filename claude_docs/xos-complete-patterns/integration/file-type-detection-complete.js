@@ -0,0 +1,267 @@
+// ===== FILE TYPE DETECTION COMPLETE PATTERNS =====
+// This file contains EVERY content-based file type check for XOS Framework
+// file.type and the extension both come from the FILENAME - "invoice.pdf" can be an executable renamed by anyone.
+// The first bytes of the file (magic numbers) say what it really is
+
+// ⚠️ CRITICAL: This is a usability and first-line check, not security - a client can be bypassed.
+// The server must sniff the content again (and never serve uploads with the client's Content-Type)
+
+// ===== SECTION 1: KNOWN FORMATS =====
+
+/**
+ * ✅ CORRECT: One table - extensions, MIME type and the wording used in error messages
+ * `container` marks formats that are also a valid instance of another (a .docx IS a ZIP archive)
+ */
+const FileTypeFormats = {
+    pdf: { mime: 'application/pdf', label: 'a PDF document', extensions: ['pdf'] },
+    png: { mime: 'image/png', label: 'a PNG image', extensions: ['png'] },
+    jpeg: { mime: 'image/jpeg', label: 'a JPEG image', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'] },
+    gif: { mime: 'image/gif', label: 'a GIF image', extensions: ['gif'] },
+    webp: { mime: 'image/webp', label: 'a WebP image', extensions: ['webp'] },
+    zip: { mime: 'application/zip', label: 'a ZIP archive', extensions: ['zip'] },
+    docx: {
+        mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        label: 'a Word document',
+        extensions: ['docx'],
+        container: 'zip'
+    },
+    xlsx: {
+        mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        label: 'an Excel workbook',
+        extensions: ['xlsx'],
+        container: 'zip'
+    },
+    pptx: {
+        mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        label: 'a PowerPoint presentation',
+        extensions: ['pptx'],
+        container: 'zip'
+    },
+    text: { mime: 'text/plain', label: 'a text file', extensions: ['txt', 'csv', 'tsv'] }
+};
+
+// ===== SECTION 2: DETECTION =====
+
+/**
+ * ✅ CORRECT: detect(file) → { name, mime, label, ... } or null (unrecognized content)
+ * verify(file)    → { valid, format, expected, message } - the content must match the extension
+ * verifyAll(files) → { valid: [files], errors: [messages] }
+ * 🔥 PERFORMANCE: Reads 8KB from the start (plus the ZIP directory at the end) - never the whole file
+ */
+const FileTypeDetector = {
+    sampleSize: 8192,
+
+    detect: async function(file) {
+        if (file.size === 0) return null;
+
+        const bytes = new Uint8Array(await file.slice(0, this.sampleSize).arrayBuffer());
+        const name = this.sniff(bytes);
+
+        // Office Open XML documents are ZIP archives - the entry names tell which one
+        if (name === 'zip') {
+            return this.describe(this.detectOfficeFormat(await this.readZipEntryNames(file)) || 'zip');
+        }
+
+        return name ? this.describe(name) : null;
+    },
+
+    /**
+     * Magic numbers - order matters: text is only the fallback when nothing binary matched
+     */
+    sniff: function(bytes) {
+        const startsWith = (signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+        const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+        if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+        if (startsWith([0xFF, 0xD8, 0xFF])) return 'jpeg';
+        if (startsWith(ascii('GIF87a')) || startsWith(ascii('GIF89a'))) return 'gif';
+        if (startsWith(ascii('RIFF')) && startsWith(ascii('WEBP'), 8)) return 'webp';
+
+        // Local file header, empty archive, spanned archive
+        if (startsWith([0x50, 0x4B]) && [[0x03, 0x04], [0x05, 0x06], [0x07, 0x08]].some(tail => startsWith(tail, 2))) {
+            return 'zip';
+        }
+
+        // Readers accept "%PDF-" anywhere in the first 1KB (some generators write a header before it)
+        if (this.indexOf(bytes, ascii('%PDF-'), 1024) !== -1) return 'pdf';
+
+        return this.looksLikeText(bytes) ? 'text' : null;
+    },
+
+    /**
+     * 💡 TIP: CSV exported from Excel is often Windows-1252, not UTF-8 - so no UTF-8 decoding here.
+     * Text = a BOM, or no NUL bytes and (almost) no control characters besides tab/CR/LF/FF/ESC
+     */
+    looksLikeText: function(bytes) {
+        if (bytes.length >= 2 && ((bytes[0] === 0xFF && bytes[1] === 0xFE) || (bytes[0] === 0xFE && bytes[1] === 0xFF))) {
+            return true;
+        }
+
+        let control = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+            if (byte === 0) return false;
+            if (byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte)) control++;
+        }
+
+        return control / bytes.length < 0.01;
+    },
+
+    /**
+     * Entry names from the ZIP central directory (end of the file) - reliable whatever order the entries were written in
+     * ⚠️ CRITICAL: ZIP64 archives (over 4GB) store 0xFFFFFFFF here - they come back as [] and stay a plain ZIP
+     */
+    readZipEntryNames: async function(file) {
+        try {
+            // End of central directory: 22 bytes + up to 64KB comment
+            const tailStart = Math.max(0, file.size - 65557);
+            const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+
+            for (let i = tail.byteLength - 22; i >= 0; i--) {
+                if (tail.getUint32(i, true) !== 0x06054B50) continue;
+
+                const size = tail.getUint32(i + 12, true);
+                const offset = tail.getUint32(i + 16, true);
+                if (offset + size > file.size) return [];
+
+                const directory = await file.slice(offset, offset + Math.min(size, 1048576)).arrayBuffer();
+                return this.parseCentralDirectory(new DataView(directory));
+            }
+        } catch (error) {
+            // Unreadable archive - treated as a plain ZIP
+        }
+
+        return [];
+    },
+
+    parseCentralDirectory: function(view) {
+        const decoder = new TextDecoder();
+        const names = [];
+        let offset = 0;
+
+        while (offset + 46 <= view.byteLength && view.getUint32(offset, true) === 0x02014B50) {
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            if (offset + 46 + nameLength > view.byteLength) break;
+
+            names.push(decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength)));
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return names;
+    },
+
+    detectOfficeFormat: function(names) {
+        if (!names.includes('[Content_Types].xml')) return null;
+
+        if (names.some(name => name.startsWith('word/'))) return 'docx';
+        if (names.some(name => name.startsWith('xl/'))) return 'xlsx';
+        if (names.some(name => name.startsWith('ppt/'))) return 'pptx';
+        return null;
+    },
+
+    describe: function(name) {
+        return { name: name, ...FileTypeFormats[name] };
+    },
+
+    indexOf: function(bytes, signature, limit) {
+        const end = Math.min(bytes.length, limit) - signature.length;
+        for (let i = 0; i <= end; i++) {
+            if (signature.every((byte, j) => bytes[i + j] === byte)) return i;
+        }
+        return -1;
+    },
+
+    getExtension: function(fileName) {
+        const dot = fileName.lastIndexOf('.');
+        return dot > 0 ? fileName.slice(dot + 1).toLowerCase() : '';
+    },
+
+    // The format a filename claims (null = an extension this module cannot check, e.g. .doc or .mp4)
+    getExpectedFormat: function(fileName) {
+        const extension = this.getExtension(fileName);
+        const name = Object.keys(FileTypeFormats).find(key => FileTypeFormats[key].extensions.includes(extension));
+        return name ? this.describe(name) : null;
+    },
+
+    /**
+     * ✅ CORRECT: Reject files whose content contradicts their extension - with a message that says what they are
+     * Extensions this module has no signature for pass (verify cannot contradict them)
+     */
+    verify: async function(file) {
+        const expected = this.getExpectedFormat(file.name);
+        let format;
+
+        try {
+            format = await this.detect(file);
+        } catch (error) {
+            return { valid: false, format: null, expected, message: `"${file.name}" could not be read` };
+        }
+
+        if (!expected) return { valid: true, format, expected, message: null };
+
+        // An empty .txt / .csv is still a text file
+        if (file.size === 0 && expected.name === 'text') return { valid: true, format, expected, message: null };
+
+        if (format && (format.name === expected.name || format.container === expected.name)) {
+            return { valid: true, format, expected, message: null };
+        }
+
+        return { valid: false, format, expected, message: this.getMismatchMessage(file, expected, format) };
+    },
+
+    getMismatchMessage: function(file, expected, format) {
+        const extension = this.getExtension(file.name);
+
+        if (file.size === 0) {
+            return `"${file.name}" is empty - it is not ${expected.label}`;
+        }
+
+        if (!format) {
+            return `"${file.name}" is not ${expected.label} - its content does not match the .${extension} extension`;
+        }
+
+        return `"${file.name}" is not ${expected.label} - its content is ${format.label}. Rename it to .${format.extensions[0]} or choose the right file`;
+    },
+
+    // Check a list and split it - for multi-file pickers
+    verifyAll: async function(files) {
+        const results = await Promise.all(Array.from(files).map(file => this.verify(file)));
+
+        return {
+            valid: Array.from(files).filter((file, index) => results[index].valid),
+            errors: results.filter(result => !result.valid).map(result => result.message)
+        };
+    }
+};
+
+// Usage examples:
+/*
+// Single file (FileUploadModal.validateFile, BasicFileUpload, jQuery handleFileUpload)
+const check = await FileTypeDetector.verify(file);
+if (!check.valid) {
+    showError(check.message);   // "report.pdf" is not a PDF document - its content is a PNG image. Rename it to .png ...
+    return;
+}
+
+// What is it really? (e.g. choose a preview for a file without extension)
+const format = await FileTypeDetector.detect(file);
+// { name: 'xlsx', mime: 'application/vnd.openxmlformats-...', label: 'an Excel workbook', extensions: ['xlsx'], container: 'zip' }
+
+// Many files (DragDropFileUpload)
+const { valid, errors } = await FileTypeDetector.verifyAll(event.dataTransfer.files);
+*/
+
+// Export for global use
+window.FileTypeFormats = FileTypeFormats;
+window.FileTypeDetector = FileTypeDetector;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Trusting file.type - the browser guesses it from the extension, it never reads the content
+// 2. Reading the whole file to sniff it - a 2GB video is loaded into memory for a 4-byte check
+// 3. Checking only "PK" for .docx - every ZIP (and .xlsx) starts with it; the entry names tell them apart
+// 4. Requiring valid UTF-8 for CSV - Excel exports Windows-1252 and the check rejects real spreadsheets
+// 5. Rejecting extensions without a known signature - "cannot verify" is not "contradicts"
+// 6. A generic "invalid file" message - say what the content actually is so the user can fix it
+// 7. Skipping the server-side check because the client already sniffed
@@ -2,7 +2,35 @@
 // Comprehensive React components for file upload with progress, validation, and error handling
 
 import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { Utils } from '../utils/utils-ajax-complete';
+
+// ⚠️ CRITICAL: ApiManager, ResumableUpload, UploadManager, ImagePipeline, ImageTransform, ImageCrop,
+// ImageCropPresets and FileTypeDetector are globals (window.*) set by api-patterns/api-manager-complete.js
+// and the integration/*-complete.js scripts - load those first, never import them
+
+// ⚠️ CRITICAL: Every component here hands its files to UploadManager (integration/upload-manager-complete.js).
+// The upload keeps going when the component unmounts - the global upload tray shows it, with pause/resume/retry
+
+// ✅ CORRECT: Live UploadManager items for the uploads this component started (null once removed from the tray)
+// 🔥 PERFORMANCE: Re-renders only when one of these items changes, not on every other file's progress
+const useUploadItems = (uploadIds) => {
+    const [, setVersion] = useState(0);
+    const key = uploadIds.join(',');
+
+    useEffect(() => {
+        const ids = key ? key.split(',') : [];
+        let snapshot = ids.map(id => UploadManager.get(id));
+
+        return UploadManager.subscribe(() => {
+            const next = ids.map(id => UploadManager.get(id));
+            if (next.some((item, index) => item !== snapshot[index])) {
+                snapshot = next;
+                setVersion(version => version + 1);
+            }
+        });
+    }, [key]);
+
+    return uploadIds.map(id => UploadManager.get(id));
+};
 
 // ============================================================================
 // BASIC FILE UPLOAD PATTERNS
@@ -22,7 +50,7 @@ const BasicFileUpload = ({ onUploadComplete, onError, acceptedTypes = '*', maxSi
         }
     };
 
-    const validateAndSetFile = (selectedFile) => {
+    const validateAndSetFile = async (selectedFile) => {
         // Validate file type
         if (acceptedTypes !== '*') {
             const typeArray = acceptedTypes.split(',').map(type => type.trim());
@@ -47,6 +75,13 @@ const BasicFileUpload = ({ onUploadComplete, onError, acceptedTypes = '*', maxSi
             return;
         }
 
+        // Validate content (the type check above only saw the filename)
+        const check = await FileTypeDetector.verify(selectedFile);
+        if (!check.valid) {
+            onError && onError(check.message);
+            return;
+        }
+
         setFile(selectedFile);
     };
 
@@ -57,37 +92,23 @@ const BasicFileUpload = ({ onUploadComplete, onError, acceptedTypes = '*', maxSi
         setProgress(0);
 
         try {
-            const formData = new FormData();
-            formData.append('file', file);
-
-            const response = await Utils.ajax({
+            const response = await UploadManager.upload(file, {
                 url: '/api/files/upload',
-                type: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                xhr: function() {
-                    const xhr = new XMLHttpRequest();
-                    xhr.upload.addEventListener('progress', (e) => {
-                        if (e.lengthComputable) {
-                            const percentComplete = (e.loaded / e.total) * 100;
-                            setProgress(Math.round(percentComplete));
-                        }
-                    });
-                    return xhr;
-                }
+                source: 'File upload',
+                onProgress: (item) => setProgress(item.percent)
             });
 
-            if (response.success) {
-                onUploadComplete && onUploadComplete(response.data);
-                setFile(null);
-                setProgress(0);
+            onUploadComplete && onUploadComplete(response.data);
+            setFile(null);
+            setProgress(0);
+            if (fileInputRef.current) {
                 fileInputRef.current.value = '';
-            } else {
-                throw new Error(response.message || 'Upload failed');
             }
         } catch (error) {
-            onError && onError(error.message || 'Upload failed');
+            // Cancelled from the upload tray
+            if (!ApiManager.isAbortError(error)) {
+                onError && onError(error.message || 'Upload failed');
+            }
         } finally {
             setUploading(false);
         }
@@ -191,13 +212,13 @@ const DragDropFileUpload = ({
     const [uploading, setUploading] = useState(false);
     const fileInputRef = useRef(null);
 
-    const validateFiles = (fileList) => {
-        const validatedFiles = [];
+    const validateFiles = async (fileList) => {
+        const candidates = [];
         const errors = [];
 
         Array.from(fileList).forEach((file, index) => {
             // Check file count
-            if (validatedFiles.length >= maxFiles) {
+            if (candidates.length >= maxFiles) {
                 errors.push(`Maximum ${maxFiles} files allowed`);
                 return;
             }
@@ -227,8 +248,8 @@ const DragDropFileUpload = ({
             }
 
             // Check for duplicates
-            const isDuplicate = validatedFiles.some(f => 
-                f.name === file.name && f.size === file.size
+            const isDuplicate = candidates.some(f => 
+                f.file.name === file.name && f.file.size === file.size
             );
 
             if (isDuplicate) {
@@ -236,20 +257,22 @@ const DragDropFileUpload = ({
                 return;
             }
 
-            validatedFiles.push({
+            candidates.push({
                 file,
                 id: Date.now() + index,
-                progress: 0,
-                status: 'pending', // pending, uploading, completed, error
-                error: null
+                uploadId: null  // Set once queued - status, progress and error come from UploadManager
             });
         });
 
-        return { validatedFiles, errors };
+        // Content must match the extension - the checks above only saw the filename
+        const { valid, errors: contentErrors } = await FileTypeDetector.verifyAll(candidates.map(c => c.file));
+        const validatedFiles = candidates.filter(c => valid.includes(c.file));
+
+        return { validatedFiles, errors: [...errors, ...contentErrors] };
     };
 
-    const handleFileSelect = (event) => {
-        const { validatedFiles, errors } = validateFiles(event.target.files);
+    const addValidatedFiles = async (fileList) => {
+        const { validatedFiles, errors } = await validateFiles(fileList);
         
         if (errors.length > 0) {
             onError && onError(errors.join('\n'));
@@ -258,9 +281,15 @@ const DragDropFileUpload = ({
         if (validatedFiles.length > 0) {
             setFiles(prev => [...prev, ...validatedFiles]);
         }
+    };
+
+    const handleFileSelect = (event) => {
+        // Copy before clearing - the input's FileList empties with it
+        const fileList = Array.from(event.target.files);
 
         // Clear the input
         event.target.value = '';
+        addValidatedFiles(fileList);
     };
 
     const handleDragOver = (event) => {
@@ -280,119 +309,78 @@ const DragDropFileUpload = ({
         event.stopPropagation();
         setDragOver(false);
 
-        const { validatedFiles, errors } = validateFiles(event.dataTransfer.files);
-        
-        if (errors.length > 0) {
-            onError && onError(errors.join('\n'));
-        }
-
-        if (validatedFiles.length > 0) {
-            setFiles(prev => [...prev, ...validatedFiles]);
-        }
+        // dataTransfer.files is only readable during the event
+        addValidatedFiles(Array.from(event.dataTransfer.files));
     };
 
-    const uploadFile = async (fileObj) => {
-        const formData = new FormData();
-        formData.append('file', fileObj.file);
+    const uploadItems = useUploadItems(files.filter(f => f.uploadId).map(f => f.uploadId));
 
-        return new Promise((resolve, reject) => {
-            Utils.ajax({
-                url: '/api/files/upload',
-                type: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                xhr: function() {
-                    const xhr = new XMLHttpRequest();
-                    xhr.upload.addEventListener('progress', (e) => {
-                        if (e.lengthComputable) {
-                            const percentComplete = (e.loaded / e.total) * 100;
-                            setFiles(prev => prev.map(f => 
-                                f.id === fileObj.id 
-                                    ? { ...f, progress: Math.round(percentComplete) }
-                                    : f
-                            ));
-                        }
-                    });
-                    return xhr;
-                },
-                success: (response) => {
-                    if (response.success) {
-                        setFiles(prev => prev.map(f => 
-                            f.id === fileObj.id 
-                                ? { ...f, status: 'completed', progress: 100 }
-                                : f
-                        ));
-                        resolve(response.data);
-                    } else {
-                        reject(new Error(response.message || 'Upload failed'));
-                    }
-                },
-                error: (xhr, status, error) => {
-                    reject(new Error(error || 'Upload failed'));
-                }
-            });
-        });
-    };
+    // Files removed from the upload tray leave this list too
+    const visibleFiles = files
+        .map(fileObj => ({
+            ...fileObj,
+            item: fileObj.uploadId ? uploadItems.find(item => item && item.id === fileObj.uploadId) : null
+        }))
+        .filter(fileObj => !fileObj.uploadId || fileObj.item);
 
     const handleUploadAll = async () => {
-        const pendingFiles = files.filter(f => f.status === 'pending');
+        const pendingFiles = files.filter(f => !f.uploadId);
         if (pendingFiles.length === 0) return;
 
         setUploading(true);
 
-        // Update status to uploading
-        setFiles(prev => prev.map(f => 
-            f.status === 'pending' ? { ...f, status: 'uploading' } : f
-        ));
-
-        const uploadPromises = pendingFiles.map(async (fileObj) => {
-            try {
-                const result = await uploadFile(fileObj);
-                return { success: true, file: fileObj, result };
-            } catch (error) {
-                setFiles(prev => prev.map(f => 
-                    f.id === fileObj.id 
-                        ? { ...f, status: 'error', error: error.message }
-                        : f
-                ));
-                return { success: false, file: fileObj, error: error.message };
-            }
-        });
-
-        try {
-            const results = await Promise.allSettled(uploadPromises);
-            const successfulUploads = results
-                .filter(r => r.status === 'fulfilled' && r.value.success)
-                .map(r => r.value.result);
-
-            if (successfulUploads.length > 0) {
-                onUploadComplete && onUploadComplete(successfulUploads);
-            }
+        // ✅ CORRECT: All files go into the shared queue - UploadManager decides how many run at once
+        const started = pendingFiles.map(fileObj => ({
+            id: fileObj.id,
+            promise: UploadManager.upload(fileObj.file, {
+                url: '/api/files/upload',
+                source: 'Drag & drop upload'
+            })
+        }));
+
+        setFiles(prev => prev.map(f => {
+            const upload = started.find(entry => entry.id === f.id);
+            return upload ? { ...f, uploadId: upload.promise.uploadId } : f;
+        }));
+
+        const results = await Promise.allSettled(started.map(entry => entry.promise));
+        const successfulUploads = results
+            .filter(r => r.status === 'fulfilled')
+            .map(r => r.value.data);
+
+        if (successfulUploads.length > 0) {
+            onUploadComplete && onUploadComplete(successfulUploads);
+        }
 
-            const failedUploads = results
-                .filter(r => r.status === 'rejected' || !r.value.success)
-                .length;
+        // Cancelled from the tray is not a failure
+        const failedUploads = results
+            .filter(r => r.status === 'rejected' && !ApiManager.isAbortError(r.reason))
+            .length;
 
-            if (failedUploads > 0) {
-                onError && onError(`${failedUploads} files failed to upload`);
-            }
-        } catch (error) {
-            onError && onError('Upload process failed');
-        } finally {
-            setUploading(false);
+        if (failedUploads > 0) {
+            onError && onError(`${failedUploads} files failed to upload`);
         }
+
+        setUploading(false);
     };
 
+    // Still uploading: cancels it (the tray entry shows "Cancelled")
     const removeFile = (fileId) => {
+        const fileObj = files.find(f => f.id === fileId);
+        if (fileObj && fileObj.uploadId) {
+            UploadManager.cancel(fileObj.uploadId);
+        }
         setFiles(prev => prev.filter(f => f.id !== fileId));
     };
 
+    // Back to pending - the failed tray entry is replaced by the next "Upload All"
     const retryFile = (fileId) => {
+        const fileObj = files.find(f => f.id === fileId);
+        if (fileObj && fileObj.uploadId) {
+            UploadManager.remove(fileObj.uploadId);
+        }
         setFiles(prev => prev.map(f => 
-            f.id === fileId 
-                ? { ...f, status: 'pending', error: null, progress: 0 }
-                : f
+            f.id === fileId ? { ...f, uploadId: null } : f
         ));
     };
 
@@ -406,10 +394,13 @@ const DragDropFileUpload = ({
 
     const getStatusIcon = (status) => {
         switch (status) {
-            case 'pending': return '⏳';
+            case 'pending': return '📄';
+            case 'queued': return '⏳';
             case 'uploading': return '⬆️';
+            case 'paused': return '⏸️';
             case 'completed': return '✅';
-            case 'error': return '❌';
+            case 'failed': return '❌';
+            case 'cancelled': return '🚫';
             default: return '';
         }
     };
@@ -447,15 +438,15 @@ const DragDropFileUpload = ({
                 style={{ display: 'none' }}
             />
 
-            {files.length > 0 && (
+            {visibleFiles.length > 0 && (
                 <div className="file-list mt-3">
                     <div className="d-flex justify-content-between align-items-center mb-3">
-                        <h6>Files ({files.length})</h6>
+                        <h6>Files ({visibleFiles.length})</h6>
                         <div>
                             <button
                                 className="btn btn-primary btn-sm me-2"
                                 onClick={handleUploadAll}
-                                disabled={uploading || files.every(f => f.status !== 'pending')}
+                                disabled={uploading || visibleFiles.every(f => f.uploadId)}
                             >
                                 Upload All
                             </button>
@@ -469,65 +460,69 @@ const DragDropFileUpload = ({
                         </div>
                     </div>
 
-                    {files.map((fileObj) => (
-                        <div key={fileObj.id} className="file-item">
-                            <div className="d-flex justify-content-between align-items-center">
-                                <div className="file-details">
-                                    <div className="d-flex align-items-center">
-                                        <span className="status-icon me-2">
-                                            {getStatusIcon(fileObj.status)}
-                                        </span>
-                                        <div>
-                                            <div className="file-name">{fileObj.file.name}</div>
-                                            <div className="file-size text-muted">
-                                                {formatFileSize(fileObj.file.size)}
+                    {visibleFiles.map((fileObj) => {
+                        const item = fileObj.item;
+                        const status = item ? item.status : 'pending';
+
+                        return (
+                            <div key={fileObj.id} className="file-item">
+                                <div className="d-flex justify-content-between align-items-center">
+                                    <div className="file-details">
+                                        <div className="d-flex align-items-center">
+                                            <span className="status-icon me-2">
+                                                {getStatusIcon(status)}
+                                            </span>
+                                            <div>
+                                                <div className="file-name">{fileObj.file.name}</div>
+                                                <div className="file-size text-muted">
+                                                    {formatFileSize(fileObj.file.size)}
+                                                </div>
                                             </div>
                                         </div>
                                     </div>
-                                </div>
 
-                                <div className="file-actions">
-                                    {fileObj.status === 'error' && (
+                                    <div className="file-actions">
+                                        {status === 'failed' && (
+                                            <button
+                                                className="btn btn-outline-warning btn-sm me-2"
+                                                onClick={() => retryFile(fileObj.id)}
+                                                disabled={uploading}
+                                            >
+                                                Retry
+                                            </button>
+                                        )}
                                         <button
-                                            className="btn btn-outline-warning btn-sm me-2"
-                                            onClick={() => retryFile(fileObj.id)}
-                                            disabled={uploading}
+                                            className="btn btn-outline-danger btn-sm"
+                                            onClick={() => removeFile(fileObj.id)}
                                         >
-                                            Retry
+                                            {status === 'queued' || status === 'uploading' || status === 'paused' ? 'Cancel' : 'Remove'}
                                         </button>
-                                    )}
-                                    <button
-                                        className="btn btn-outline-danger btn-sm"
-                                        onClick={() => removeFile(fileObj.id)}
-                                        disabled={uploading && fileObj.status === 'uploading'}
-                                    >
-                                        Remove
-                                    </button>
+                                    </div>
                                 </div>
-                            </div>
 
-                            {fileObj.status === 'uploading' && (
-                                <div className="progress mt-2">
-                                    <div
-                                        className="progress-bar"
-                                        role="progressbar"
-                                        style={{ width: `${fileObj.progress}%` }}
-                                        aria-valuenow={fileObj.progress}
-                                        aria-valuemin="0"
-                                        aria-valuemax="100"
-                                    >
-                                        {fileObj.progress}%
+                                {(status === 'uploading' || status === 'paused') && (
+                                    <div className="progress mt-2">
+                                        <div
+                                            className={`progress-bar ${status === 'paused' ? 'bg-secondary' : ''}`}
+                                            role="progressbar"
+                                            style={{ width: `${item.percent}%` }}
+                                            aria-valuenow={item.percent}
+                                            aria-valuemin="0"
+                                            aria-valuemax="100"
+                                        >
+                                            {item.percent}%
+                                        </div>
                                     </div>
-                                </div>
-                            )}
+                                )}
 
-                            {fileObj.error && (
-                                <div className="alert alert-danger alert-sm mt-2">
-                                    {fileObj.error}
-                                </div>
-                            )}
-                        </div>
-                    ))}
+                                {item && item.error && (
+                                    <div className="alert alert-danger alert-sm mt-2">
+                                        {item.error}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
                 </div>
             )}
         </div>
@@ -538,25 +533,135 @@ const DragDropFileUpload = ({
 // IMAGE UPLOAD WITH PREVIEW PATTERNS
 // ============================================================================
 
-// ✅ CORRECT: Image upload with preview and cropping
+// ✅ CORRECT: Crop box over the preview - drag to move, corner handles to resize, arrow keys to nudge
+// The crop is kept in fractions of the image (ImageCrop), so it applies unchanged to the full-resolution draw
+const ImageCropper = ({ crop, ratio, onChange, disabled = false }) => {
+    const overlayRef = useRef(null);
+    const dragRef = useRef(null);
+
+    const startDrag = (event, corner) => {
+        if (disabled || event.button !== 0) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        // Keep receiving moves when the pointer leaves the box
+        event.currentTarget.setPointerCapture(event.pointerId);
+        const rect = overlayRef.current.getBoundingClientRect();
+        dragRef.current = {
+            corner,
+            start: crop,
+            startX: event.clientX,
+            startY: event.clientY,
+            width: rect.width,
+            height: rect.height
+        };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+
+        const dx = (event.clientX - drag.startX) / drag.width;
+        const dy = (event.clientY - drag.startY) / drag.height;
+        onChange(drag.corner
+            ? ImageCrop.resize(drag.start, drag.corner, dx, dy, ratio)
+            : ImageCrop.move(drag.start, dx, dy));
+    };
+
+    const endDrag = () => {
+        dragRef.current = null;
+    };
+
+    const handleKeyDown = (event) => {
+        const step = event.shiftKey ? 0.1 : 0.01;
+        const moves = {
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0],
+            ArrowUp: [0, -step],
+            ArrowDown: [0, step]
+        };
+        const delta = moves[event.key];
+        if (!delta || disabled) return;
+
+        event.preventDefault();
+        onChange(ImageCrop.move(crop, delta[0], delta[1]));
+    };
+
+    return (
+        <div
+            ref={overlayRef}
+            className="xos-image-crop-overlay"
+            onPointerMove={handlePointerMove}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+        >
+            <div
+                className="xos-image-crop-box"
+                style={{
+                    left: `${crop.x * 100}%`,
+                    top: `${crop.y * 100}%`,
+                    width: `${crop.width * 100}%`,
+                    height: `${crop.height * 100}%`
+                }}
+                tabIndex={disabled ? -1 : 0}
+                role="group"
+                aria-label="Crop area - drag to move, arrow keys to nudge"
+                onPointerDown={(e) => startDrag(e, null)}
+                onKeyDown={handleKeyDown}
+            >
+                {['nw', 'ne', 'sw', 'se'].map(corner => (
+                    <span
+                        key={corner}
+                        className={`xos-image-crop-handle xos-image-crop-handle-${corner}`}
+                        onPointerDown={(e) => startDrag(e, corner)}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// ✅ CORRECT: Image upload with rotate/flip, crop presets and client-side processing
+// ⚠️ CRITICAL: The image is processed before upload (integration/image-pipeline-complete.js) - EXIF orientation
+// applied, resized to maxDimension, re-encoded to outputFormat with EXIF/GPS stripped.
+// allowedFormats and maxSize are checked on that OUTPUT; maxInputSize only guards the camera original
 const ImageUploadWithPreview = ({ 
     onUploadComplete, 
     onError,
-    maxSize = 5242880, // 5MB
+    maxSize = 5242880, // 5MB, after processing
     allowedFormats = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
     enableCropping = false,
-    previewWidth = 200,
-    previewHeight = 200
+    aspectPresets = ImageCropPresets,
+    maxDimension = 2048,
+    outputFormat = 'image/webp', // 'image/jpeg' | 'image/png' | 'original' (keep the input type)
+    quality = 0.85,
+    stripMetadata = true,
+    maxInputSize = 52428800, // 50MB, before processing
+    previewWidth = 400,
+    previewHeight = 300
 }) => {
     const [selectedFile, setSelectedFile] = useState(null);
+    const [source, setSource] = useState(null);
     const [preview, setPreview] = useState(null);
+    const [transform, setTransform] = useState(ImageTransform.identity);
+    const [aspect, setAspect] = useState(null);
+    const [crop, setCrop] = useState(ImageCrop.full);
+    const [processing, setProcessing] = useState(false);
     const [uploading, setUploading] = useState(false);
     const [progress, setProgress] = useState(0);
-    const [cropMode, setCropMode] = useState(false);
-    const [cropData, setCropData] = useState(null);
     const fileInputRef = useRef(null);
     const canvasRef = useRef(null);
 
+    // Free the decoded image / object URL when it is replaced or the component unmounts
+    useEffect(() => () => ImagePipeline.release(source), [source]);
+    useEffect(() => () => preview && URL.revokeObjectURL(preview), [preview]);
+
+    useEffect(() => {
+        if (source && canvasRef.current) {
+            ImagePipeline.renderPreview(source, transform, canvasRef.current, previewWidth, previewHeight);
+        }
+    }, [source, transform, previewWidth, previewHeight]);
+
     const handleFileSelect = (event) => {
         const file = event.target.files[0];
         if (file) {
@@ -564,136 +669,164 @@ const ImageUploadWithPreview = ({
         }
     };
 
-    const validateAndPreviewImage = (file) => {
-        // Validate file type
-        if (!allowedFormats.includes(file.type)) {
-            onError && onError(`Invalid file format. Allowed: ${allowedFormats.join(', ')}`);
+    const validateAndPreviewImage = async (file) => {
+        if (!file.type.startsWith('image/')) {
+            onError && onError(`${file.name} is not an image`);
+            clearInput();
             return;
         }
 
-        // Validate file size
-        if (file.size > maxSize) {
-            onError && onError(`File size exceeds ${formatFileSize(maxSize)} limit`);
+        if (file.size > maxInputSize) {
+            onError && onError(`${file.name} is larger than ${formatFileSize(maxInputSize)}`);
+            clearInput();
             return;
         }
 
-        setSelectedFile(file);
-
-        // Create preview
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            setPreview(e.target.result);
-        };
-        reader.readAsDataURL(file);
-    };
+        // "photo.jpg" that is really a PNG (or not an image at all) - say so instead of failing to decode
+        const check = await FileTypeDetector.verify(file);
+        if (!check.valid) {
+            onError && onError(check.message);
+            clearInput();
+            return;
+        }
 
-    const handleCrop = () => {
-        if (!preview || !canvasRef.current) return;
+        // GIFs would lose their animation in a canvas - they are uploaded as-is and checked as-is
+        if (!ImagePipeline.canProcess(file)) {
+            if (!allowedFormats.includes(file.type)) {
+                onError && onError(`Invalid file format. Allowed: ${allowedFormats.join(', ')}`);
+                clearInput();
+                return;
+            }
 
-        const canvas = canvasRef.current;
-        const ctx = canvas.getContext('2d');
-        const img = new Image();
+            if (file.size > maxSize) {
+                onError && onError(`File size exceeds ${formatFileSize(maxSize)} limit`);
+                clearInput();
+                return;
+            }
 
-        img.onload = () => {
-            canvas.width = previewWidth;
-            canvas.height = previewHeight;
+            setSelectedFile(file);
+            setPreview(URL.createObjectURL(file));
+            return;
+        }
 
-            // Simple center crop for demo - in real app, use a proper cropping library
-            const aspectRatio = img.width / img.height;
-            const targetAspectRatio = previewWidth / previewHeight;
+        setProcessing(true);
+        try {
+            const loaded = await ImagePipeline.load(file);
+            setTransform(ImageTransform.identity);
+            setCrop(fitCrop(loaded, aspect, ImageTransform.identity));
+            setSource(loaded);
+            setSelectedFile(file);
+        } catch (error) {
+            // e.g. HEIC from an iPhone in a browser without a HEIC decoder
+            onError && onError(`${file.name}: ${error.message}`);
+            clearInput();
+        } finally {
+            setProcessing(false);
+        }
+    };
 
-            let sourceX = 0, sourceY = 0, sourceWidth = img.width, sourceHeight = img.height;
+    const fitCrop = (image, nextAspect, nextTransform) => {
+        if (!enableCropping) return ImageCrop.full;
 
-            if (aspectRatio > targetAspectRatio) {
-                // Image is wider than target
-                sourceWidth = img.height * targetAspectRatio;
-                sourceX = (img.width - sourceWidth) / 2;
-            } else {
-                // Image is taller than target
-                sourceHeight = img.width / targetAspectRatio;
-                sourceY = (img.height - sourceHeight) / 2;
-            }
+        const size = ImagePipeline.getSize(image, nextTransform);
+        return ImageCrop.fit(nextAspect, size.width, size.height);
+    };
 
-            ctx.drawImage(
-                img,
-                sourceX, sourceY, sourceWidth, sourceHeight,
-                0, 0, previewWidth, previewHeight
-            );
+    // A rotation changes the image's proportions - the crop starts over
+    const applyTransform = (next) => {
+        setTransform(next);
+        setCrop(fitCrop(source, aspect, next));
+    };
 
-            // Convert canvas to blob
-            canvas.toBlob((blob) => {
-                const croppedFile = new File([blob], selectedFile.name, {
-                    type: selectedFile.type,
-                    lastModified: Date.now()
-                });
-                
-                setCropData({
-                    file: croppedFile,
-                    preview: canvas.toDataURL()
-                });
-                setCropMode(false);
-            }, selectedFile.type, 0.9);
-        };
+    const selectAspect = (nextAspect) => {
+        setAspect(nextAspect);
+        setCrop(fitCrop(source, nextAspect, transform));
+    };
 
-        img.src = preview;
+    const resetEdits = () => {
+        setTransform(ImageTransform.identity);
+        setCrop(fitCrop(source, aspect, ImageTransform.identity));
     };
 
     const handleUpload = async () => {
-        const fileToUpload = cropData ? cropData.file : selectedFile;
-        if (!fileToUpload) return;
+        if (!selectedFile) return;
+
+        let output;
+        setProcessing(true);
+        try {
+            output = source
+                ? await ImagePipeline.process(source, {
+                    transform,
+                    crop,
+                    maxDimension,
+                    quality,
+                    stripMetadata,
+                    format: outputFormat === 'original' ? selectedFile.type : outputFormat
+                })
+                : { file: selectedFile, type: selectedFile.type, size: selectedFile.size };
+        } catch (error) {
+            onError && onError(error.message || 'Image could not be processed');
+            return;
+        } finally {
+            setProcessing(false);
+        }
+
+        // Validate what the server will receive, not the original
+        if (!allowedFormats.includes(output.type)) {
+            onError && onError(`Processed image is ${output.type}, which is not allowed. Allowed: ${allowedFormats.join(', ')}`);
+            return;
+        }
+
+        if (output.size > maxSize) {
+            onError && onError(`Processed image is ${formatFileSize(output.size)} - the limit is ${formatFileSize(maxSize)}. Crop it further or choose a smaller image`);
+            return;
+        }
 
         setUploading(true);
         setProgress(0);
 
         try {
-            const formData = new FormData();
-            formData.append('image', fileToUpload);
-            
-            // Add metadata
-            formData.append('originalName', selectedFile.name);
-            formData.append('width', previewWidth.toString());
-            formData.append('height', previewHeight.toString());
-
-            const response = await Utils.ajax({
+            const response = await UploadManager.upload(output.file, {
                 url: '/api/files/upload-image',
-                type: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                xhr: function() {
-                    const xhr = new XMLHttpRequest();
-                    xhr.upload.addEventListener('progress', (e) => {
-                        if (e.lengthComputable) {
-                            const percentComplete = (e.loaded / e.total) * 100;
-                            setProgress(Math.round(percentComplete));
-                        }
-                    });
-                    return xhr;
-                }
+                fieldName: 'image',
+                // Add metadata (dimensions of the uploaded image, not the original)
+                fields: {
+                    originalName: selectedFile.name,
+                    ...(output.width && {
+                        width: output.width.toString(),
+                        height: output.height.toString()
+                    })
+                },
+                source: 'Image upload',
+                onProgress: (item) => setProgress(item.percent)
             });
 
-            if (response.success) {
-                onUploadComplete && onUploadComplete(response.data);
-                resetComponent();
-            } else {
-                throw new Error(response.message || 'Upload failed');
-            }
+            onUploadComplete && onUploadComplete(response.data);
+            resetComponent();
         } catch (error) {
-            onError && onError(error.message || 'Upload failed');
+            // Cancelled from the upload tray
+            if (!ApiManager.isAbortError(error)) {
+                onError && onError(error.message || 'Upload failed');
+            }
         } finally {
             setUploading(false);
         }
     };
 
+    const clearInput = () => {
+        if (fileInputRef.current) {
+            fileInputRef.current.value = '';
+        }
+    };
+
     const resetComponent = () => {
         setSelectedFile(null);
+        setSource(null);
         setPreview(null);
-        setCropData(null);
-        setCropMode(false);
+        setTransform(ImageTransform.identity);
+        setCrop(ImageCrop.full);
         setProgress(0);
-        if (fileInputRef.current) {
-            fileInputRef.current.value = '';
-        }
+        clearInput();
     };
 
     const formatFileSize = (bytes) => {
@@ -704,6 +837,12 @@ const ImageUploadWithPreview = ({
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     };
 
+    const busy = processing || uploading;
+    const size = source && ImagePipeline.getSize(source, transform);
+    const cropRatio = size && ImageCrop.ratio(aspect, size.width, size.height);
+    const selection = size && ImageCrop.toPixels(crop, size.width, size.height);
+    const outputLabel = outputFormat === 'original' ? 'original format' : outputFormat.split('/')[1].toUpperCase();
+
     return (
         <div className="image-upload-preview">
             {!selectedFile && (
@@ -711,84 +850,132 @@ const ImageUploadWithPreview = ({
                     <input
                         ref={fileInputRef}
                         type="file"
-                        accept={allowedFormats.join(',')}
+                        accept="image/*"
                         onChange={handleFileSelect}
                         className="form-control"
-                        disabled={uploading}
+                        disabled={busy}
                     />
                     <div className="upload-hints mt-2">
                         <small className="text-muted">
-                            Supported formats: {allowedFormats.map(f => f.split('/')[1]).join(', ')}
+                            {processing ? 'Opening image...' : `Any image up to ${formatFileSize(maxInputSize)}`}
                             <br />
-                            Max size: {formatFileSize(maxSize)}
+                            Uploaded as {outputLabel}, max {maxDimension}px, up to {formatFileSize(maxSize)}
                         </small>
                     </div>
                 </div>
             )}
 
-            {selectedFile && preview && (
+            {selectedFile && (
                 <div className="preview-area">
-                    <div className="row">
-                        <div className="col-md-6">
-                            <h6>Original Image</h6>
-                            <div className="image-preview">
-                                <img
-                                    src={preview}
-                                    alt="Preview"
-                                    style={{ maxWidth: '100%', maxHeight: '300px' }}
-                                />
-                            </div>
-                            <div className="image-info mt-2">
-                                <small className="text-muted">
-                                    {selectedFile.name} ({formatFileSize(selectedFile.size)})
-                                </small>
+                    {source && (
+                        <div className="image-edit-toolbar d-flex flex-wrap gap-2 mb-2">
+                            <div className="btn-group btn-group-sm" role="group" aria-label="Rotate and flip">
+                                <button
+                                    className="btn btn-outline-secondary"
+                                    onClick={() => applyTransform(ImageTransform.rotateCounterClockwise(transform))}
+                                    disabled={busy}
+                                    title="Rotate left"
+                                    aria-label="Rotate left"
+                                >
+                                    ↺
+                                </button>
+                                <button
+                                    className="btn btn-outline-secondary"
+                                    onClick={() => applyTransform(ImageTransform.rotateClockwise(transform))}
+                                    disabled={busy}
+                                    title="Rotate right"
+                                    aria-label="Rotate right"
+                                >
+                                    ↻
+                                </button>
+                                <button
+                                    className="btn btn-outline-secondary"
+                                    onClick={() => applyTransform(ImageTransform.flipHorizontal(transform))}
+                                    disabled={busy}
+                                    title="Flip horizontally"
+                                    aria-label="Flip horizontally"
+                                >
+                                    ⇆
+                                </button>
+                                <button
+                                    className="btn btn-outline-secondary"
+                                    onClick={() => applyTransform(ImageTransform.flipVertical(transform))}
+                                    disabled={busy}
+                                    title="Flip vertically"
+                                    aria-label="Flip vertically"
+                                >
+                                    ⇅
+                                </button>
                             </div>
+
+                            {enableCropping && (
+                                <div className="btn-group btn-group-sm" role="group" aria-label="Crop aspect ratio">
+                                    {aspectPresets.map(preset => (
+                                        <button
+                                            key={preset.label}
+                                            className={`btn btn-outline-secondary ${preset.aspect === aspect ? 'active' : ''}`}
+                                            onClick={() => selectAspect(preset.aspect)}
+                                            disabled={busy}
+                                            aria-pressed={preset.aspect === aspect}
+                                        >
+                                            {preset.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            <button
+                                className="btn btn-sm btn-link"
+                                onClick={resetEdits}
+                                disabled={busy}
+                            >
+                                Reset
+                            </button>
                         </div>
+                    )}
 
-                        {enableCropping && (
-                            <div className="col-md-6">
-                                <h6>Cropped Preview ({previewWidth}x{previewHeight})</h6>
-                                <canvas
-                                    ref={canvasRef}
-                                    style={{ 
-                                        border: '1px solid #ddd',
-                                        maxWidth: '100%'
-                                    }}
-                                />
-                                {cropData && (
-                                    <div className="crop-info mt-2">
-                                        <small className="text-success">
-                                            ✓ Cropped and ready for upload
-                                        </small>
-                                    </div>
+                    <div className="image-preview">
+                        {source ? (
+                            <div className="xos-image-crop-stage">
+                                <canvas ref={canvasRef} />
+                                {enableCropping && (
+                                    <ImageCropper
+                                        crop={crop}
+                                        ratio={cropRatio}
+                                        onChange={setCrop}
+                                        disabled={busy}
+                                    />
                                 )}
                             </div>
+                        ) : (
+                            <img
+                                src={preview}
+                                alt="Preview"
+                                style={{ maxWidth: '100%', maxHeight: `${previewHeight}px` }}
+                            />
                         )}
                     </div>
 
-                    <div className="upload-actions mt-3">
-                        {enableCropping && !cropData && (
-                            <button
-                                className="btn btn-outline-secondary me-2"
-                                onClick={handleCrop}
-                                disabled={uploading}
-                            >
-                                Crop Image
-                            </button>
-                        )}
+                    <div className="image-info mt-2">
+                        <small className="text-muted">
+                            {selectedFile.name} ({formatFileSize(selectedFile.size)})
+                            {selection && ` - ${selection.width}×${selection.height}px selected`}
+                        </small>
+                    </div>
 
+                    <div className="upload-actions mt-3">
                         <button
                             className="btn btn-primary me-2"
                             onClick={handleUpload}
-                            disabled={uploading}
+                            disabled={busy}
                         >
-                            {uploading ? 'Uploading...' : 'Upload Image'}
+                            {processing ? 'Processing...' : uploading ? 'Uploading...' : 'Upload Image'}
                         </button>
 
                         <button
                             className="btn btn-outline-secondary"
                             onClick={resetComponent}
-                            disabled={uploading}
+                            disabled={busy}
                         >
                             Cancel
                         </button>
@@ -819,222 +1006,111 @@ const ImageUploadWithPreview = ({
 // ============================================================================
 
 // ✅ CORRECT: Large file upload with chunking and resume capability
+// ⚠️ CRITICAL: The upload session lives in IndexedDB (integration/resumable-upload-complete.js),
+// not in React state - after a reload or crash the user selects the same file and it continues
+// where the server left off. protocol="tus" talks to any tus 1.0 server (endpoint = its creation URL)
+// 🔥 PERFORMANCE: `concurrency` chunks go in parallel, each with its SHA-256; the chunk size
+// follows the measured throughput (adaptiveChunkSize={false} for servers that need fixed-size chunks).
+// The chunks share UploadManager's connection slots with every other upload on the page
 const ChunkedFileUpload = ({ 
     onUploadComplete, 
     onError,
-    chunkSize = 1048576, // 1MB chunks
-    maxRetries = 3
+    chunkSize = 1048576, // 1MB first chunk - adapts to the connection
+    maxRetries = 3,
+    concurrency = 3,
+    adaptiveChunkSize = true,
+    protocol = 'xos',    // 'xos' (/api/files endpoints) | 'tus'
+    endpoint             // Defaults: '/api/files' (xos), '/files/' (tus)
 }) => {
     const [file, setFile] = useState(null);
-    const [uploading, setUploading] = useState(false);
-    const [progress, setProgress] = useState(0);
     const [uploadId, setUploadId] = useState(null);
-    const [uploadedChunks, setUploadedChunks] = useState(new Set());
-    const [currentChunk, setCurrentChunk] = useState(0);
-    const [paused, setPaused] = useState(false);
-    const abortControllerRef = useRef(null);
+    const [pendingSessions, setPendingSessions] = useState([]);
+    const [item] = useUploadItems(uploadId ? [uploadId] : []);
 
-    const handleFileSelect = (event) => {
-        const selectedFile = event.target.files[0];
-        if (selectedFile) {
-            setFile(selectedFile);
-            resetUploadState();
-        }
-    };
+    // ready: file picked, not started | queued | uploading | paused | failed (completed/cancelled reset the form)
+    const status = item ? item.status : 'ready';
+
+    const loadPendingSessions = useCallback(() => {
+        ResumableUpload.getPendingSessions().then(setPendingSessions);
+    }, []);
+
+    // No pause on unmount - the upload carries on and the upload tray shows it
+    useEffect(() => {
+        loadPendingSessions();
+    }, [loadPendingSessions]);
 
     const resetUploadState = () => {
-        setUploading(false);
-        setProgress(0);
+        setFile(null);
         setUploadId(null);
-        setUploadedChunks(new Set());
-        setCurrentChunk(0);
-        setPaused(false);
-        if (abortControllerRef.current) {
-            abortControllerRef.current.abort();
-        }
+        loadPendingSessions();
     };
 
-    const initializeUpload = async () => {
-        try {
-            const response = await Utils.ajax({
-                url: '/api/files/initialize-chunked-upload',
-                type: 'POST',
-                data: JSON.stringify({
-                    fileName: file.name,
-                    fileSize: file.size,
-                    chunkSize: chunkSize,
-                    totalChunks: Math.ceil(file.size / chunkSize)
-                }),
-                contentType: 'application/json',
-                dataType: 'json'
-            });
-
-            if (response.success) {
-                setUploadId(response.data.uploadId);
-                // If resuming, get already uploaded chunks
-                if (response.data.uploadedChunks) {
-                    setUploadedChunks(new Set(response.data.uploadedChunks));
-                }
-                return response.data.uploadId;
-            } else {
-                throw new Error(response.message || 'Failed to initialize upload');
-            }
-        } catch (error) {
-            throw new Error('Failed to initialize upload: ' + error.message);
+    // Done, or cancelled / removed from the tray - back to the file picker
+    useEffect(() => {
+        if (uploadId && (!item || item.status === 'completed' || item.status === 'cancelled')) {
+            resetUploadState();
         }
-    };
+    }, [uploadId, item]);
 
-    const uploadChunk = async (chunkIndex, retryCount = 0) => {
-        const start = chunkIndex * chunkSize;
-        const end = Math.min(start + chunkSize, file.size);
-        const chunk = file.slice(start, end);
-
-        const formData = new FormData();
-        formData.append('chunk', chunk);
-        formData.append('chunkIndex', chunkIndex.toString());
-        formData.append('uploadId', uploadId);
-
-        try {
-            abortControllerRef.current = new AbortController();
-
-            const response = await Utils.ajax({
-                url: '/api/files/upload-chunk',
-                type: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                signal: abortControllerRef.current.signal
-            });
-
-            if (response.success) {
-                setUploadedChunks(prev => new Set([...prev, chunkIndex]));
-                return true;
-            } else {
-                throw new Error(response.message || 'Chunk upload failed');
-            }
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                throw error; // Don't retry aborted requests
-            }
+    const handleFileSelect = async (event) => {
+        const selectedFile = event.target.files[0];
+        if (!selectedFile) return;
 
-            if (retryCount < maxRetries) {
-                console.log(`Retrying chunk ${chunkIndex}, attempt ${retryCount + 1}`);
-                await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1))); // Exponential backoff
-                return uploadChunk(chunkIndex, retryCount + 1);
-            } else {
-                throw new Error(`Failed to upload chunk ${chunkIndex} after ${maxRetries} retries: ${error.message}`);
-            }
+        // Catch a renamed file now, not after gigabytes of chunks
+        const check = await FileTypeDetector.verify(selectedFile);
+        if (!check.valid) {
+            onError && onError(check.message);
+            return;
         }
-    };
 
-    const finalizeUpload = async () => {
-        try {
-            const response = await Utils.ajax({
-                url: '/api/files/finalize-chunked-upload',
-                type: 'POST',
-                data: JSON.stringify({
-                    uploadId: uploadId,
-                    fileName: file.name,
-                    fileSize: file.size
-                }),
-                contentType: 'application/json',
-                dataType: 'json'
-            });
-
-            if (response.success) {
-                return response.data;
-            } else {
-                throw new Error(response.message || 'Failed to finalize upload');
-            }
-        } catch (error) {
-            throw new Error('Failed to finalize upload: ' + error.message);
-        }
+        setFile(selectedFile);
+        setUploadId(null);
     };
 
-    const startUpload = async () => {
-        if (!file) return;
-
-        setUploading(true);
-        setPaused(false);
-
-        try {
-            // Initialize upload if not already done
-            let currentUploadId = uploadId;
-            if (!currentUploadId) {
-                currentUploadId = await initializeUpload();
-            }
-
-            const totalChunks = Math.ceil(file.size / chunkSize);
-            
-            // Upload chunks sequentially (or implement parallel upload with concurrency limit)
-            for (let i = 0; i < totalChunks; i++) {
-                if (paused) {
-                    break;
-                }
-
-                // Skip already uploaded chunks
-                if (uploadedChunks.has(i)) {
-                    continue;
-                }
-
-                setCurrentChunk(i);
-                await uploadChunk(i);
-
-                // Update progress
-                const completedChunks = uploadedChunks.size + 1;
-                const progressPercent = Math.round((completedChunks / totalChunks) * 100);
-                setProgress(progressPercent);
-            }
-
-            if (!paused && uploadedChunks.size === totalChunks - 1) {
-                // All chunks uploaded, finalize
-                const result = await finalizeUpload();
+    const startUpload = () => {
+        // onComplete / onError instead of awaiting - they also fire when the upload is retried
+        const promise = UploadManager.upload(file, {
+            resumable: true,
+            resumableOptions: {
+                protocol,
+                endpoint,
+                chunkSize,
+                maxRetries,
+                concurrency,
+                adaptive: adaptiveChunkSize
+            },
+            source: 'Large file upload',
+            onComplete: (result) => {
                 onUploadComplete && onUploadComplete(result);
-                resetUploadState();
-            }
-        } catch (error) {
-            if (error.name !== 'AbortError') {
-                onError && onError(error.message || 'Upload failed');
+            },
+            onError: (message) => {
+                onError && onError(message);
             }
-            setUploading(false);
-        }
-    };
+        });
 
-    const pauseUpload = () => {
-        setPaused(true);
-        if (abortControllerRef.current) {
-            abortControllerRef.current.abort();
-        }
-        setUploading(false);
+        setUploadId(promise.uploadId);
     };
 
+    const pauseUpload = () => UploadManager.pause(uploadId);
+
     const resumeUpload = () => {
-        if (file && uploadId) {
-            startUpload();
+        if (status === 'failed') {
+            UploadManager.retry(uploadId);
+        } else {
+            UploadManager.resume(uploadId);
         }
     };
 
+    // Server cleanup + stored session removed
     const cancelUpload = async () => {
-        setPaused(true);
-        if (abortControllerRef.current) {
-            abortControllerRef.current.abort();
-        }
+        const id = uploadId;
+        setFile(null);
+        setUploadId(null);
 
-        if (uploadId) {
-            try {
-                await Utils.ajax({
-                    url: '/api/files/cancel-chunked-upload',
-                    type: 'POST',
-                    data: JSON.stringify({ uploadId }),
-                    contentType: 'application/json'
-                });
-            } catch (error) {
-                console.error('Failed to cancel upload:', error);
-            }
+        if (id) {
+            await UploadManager.cancel(id);
         }
-
-        resetUploadState();
-        setFile(null);
+        loadPendingSessions();
     };
 
     const formatFileSize = (bytes) => {
@@ -1045,7 +1121,9 @@ const ChunkedFileUpload = ({
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     };
 
-    const totalChunks = file ? Math.ceil(file.size / chunkSize) : 0;
+    const chunks = item && item.chunks;
+    const currentChunkSize = chunks ? chunks.size : chunkSize;
+    const percent = item ? item.percent : 0;
 
     return (
         <div className="chunked-file-upload">
@@ -1058,9 +1136,24 @@ const ChunkedFileUpload = ({
                     />
                     <div className="upload-info mt-2">
                         <small className="text-muted">
-                            Large files will be uploaded in {formatFileSize(chunkSize)} chunks with resume capability
+                            Large files will be uploaded in {adaptiveChunkSize ? 'chunks sized to your connection' : `${formatFileSize(chunkSize)} chunks`}
+                            {concurrency > 1 && `, ${concurrency} at a time,`} with checksums and resume capability
                         </small>
                     </div>
+
+                    {pendingSessions.length > 0 && (
+                        <div className="alert alert-info mt-3 mb-0">
+                            <strong>Unfinished uploads</strong> - select the same file again to continue:
+                            <ul className="mb-0 mt-1">
+                                {pendingSessions.map(session => (
+                                    <li key={session.key}>
+                                        {session.fileName} ({formatFileSize(session.fileSize)},{' '}
+                                        {Math.round((session.uploadedBytes || 0) / session.fileSize * 100)}% uploaded)
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
                 </div>
             )}
 
@@ -1070,12 +1163,18 @@ const ChunkedFileUpload = ({
                         <h6>{file.name}</h6>
                         <div className="text-muted">
                             Size: {formatFileSize(file.size)} | 
-                            Chunks: {totalChunks} × {formatFileSize(chunkSize)}
+                            Chunk size: {formatFileSize(currentChunkSize)}{adaptiveChunkSize && ' (adapts to your connection)'}
                         </div>
+                        {item && item.resumed && (
+                            <div className="text-success small mt-1">
+                                <i className="fa fa-history me-1"></i>
+                                Part of this file was already on the server - the upload continues from there
+                            </div>
+                        )}
                     </div>
 
                     <div className="upload-controls mb-3">
-                        {!uploading && !paused && (
+                        {status === 'ready' && (
                             <button
                                 className="btn btn-primary me-2"
                                 onClick={startUpload}
@@ -1084,7 +1183,14 @@ const ChunkedFileUpload = ({
                             </button>
                         )}
 
-                        {uploading && (
+                        {status === 'queued' && (
+                            <span className="me-2 text-muted">
+                                <span className="spinner-border spinner-border-sm me-1"></span>
+                                Waiting for other uploads...
+                            </span>
+                        )}
+
+                        {status === 'uploading' && (
                             <button
                                 className="btn btn-warning me-2"
                                 onClick={pauseUpload}
@@ -1093,12 +1199,12 @@ const ChunkedFileUpload = ({
                             </button>
                         )}
 
-                        {paused && uploadedChunks.size > 0 && (
+                        {(status === 'paused' || status === 'failed') && (
                             <button
                                 className="btn btn-success me-2"
                                 onClick={resumeUpload}
                             >
-                                Resume
+                                {status === 'failed' ? 'Retry' : 'Resume'}
                             </button>
                         )}
 
@@ -1110,26 +1216,28 @@ const ChunkedFileUpload = ({
                         </button>
                     </div>
 
-                    {(uploading || paused || uploadedChunks.size > 0) && (
+                    {item && status !== 'queued' && (
                         <div className="upload-progress">
                             <div className="progress mb-2">
                                 <div
                                     className="progress-bar"
                                     role="progressbar"
-                                    style={{ width: `${progress}%` }}
-                                    aria-valuenow={progress}
+                                    style={{ width: `${percent}%` }}
+                                    aria-valuenow={percent}
                                     aria-valuemin="0"
                                     aria-valuemax="100"
                                 >
-                                    {progress}%
+                                    {percent}%
                                 </div>
                             </div>
 
                             <div className="progress-details">
                                 <small className="text-muted">
-                                    Chunks: {uploadedChunks.size}/{totalChunks} completed
-                                    {uploading && ` | Current: ${currentChunk + 1}`}
-                                    {paused && ' | Paused'}
+                                    {chunks
+                                        ? `Chunks: ${chunks.completed}/${chunks.total} completed`
+                                        : 'Checking for an earlier upload...'}
+                                    {status === 'paused' && ' | Paused - you can close this page and resume later'}
+                                    {status === 'failed' && ` | ${item.error}`}
                                 </small>
                             </div>
                         </div>
@@ -1326,6 +1434,8 @@ export {
     BasicFileUpload,
     DragDropFileUpload,
     ImageUploadWithPreview,
+    ImageCropper,
     ChunkedFileUpload,
-    FileUploadSystem
+    FileUploadSystem,
+    useUploadItems
 };
\ No newline at end of file
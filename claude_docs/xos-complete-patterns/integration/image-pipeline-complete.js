@@ -0,0 +1,451 @@
+// ===== IMAGE PIPELINE COMPLETE PATTERNS =====
+// This file contains EVERY client-side image processing pattern for XOS Framework
+// Camera originals (8-12MB, sideways until EXIF is applied, GPS in the metadata) are fixed in a canvas
+// before upload: orientation → rotate/flip → crop → resize → re-encode
+
+// ⚠️ CRITICAL: A canvas re-encode writes pixels only - EXIF, GPS, XMP and camera serials never reach
+// the server. The orientation has to be read from the original bytes first; after the canvas it is gone.
+
+// ===== SECTION 1: EXIF ORIENTATION =====
+
+/**
+ * ✅ CORRECT: Read the EXIF orientation tag (0x0112) from a JPEG without a library
+ * 1 = upright, 2 = mirrored, 3 = 180°, 4 = upside-down mirror, 5-8 = the 90°/270° variants
+ * 🔥 PERFORMANCE: Only the first 128KB is read - APP1 (EXIF) sits right after the SOI marker
+ */
+const ImageExif = {
+    readOrientation: async function(file) {
+        if (file.type !== 'image/jpeg') return 1;
+
+        try {
+            const buffer = await file.slice(0, 131072).arrayBuffer();
+            return this.parseOrientation(new DataView(buffer));
+        } catch (error) {
+            return 1;
+        }
+    },
+
+    parseOrientation: function(view) {
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1;  // Not a marker / image data starts
+
+            // APP1 "Exif\0\0" → TIFF header 10 bytes in
+            if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+                return this.readTiffOrientation(view, offset + 10);
+            }
+
+            offset += 2 + view.getUint16(offset + 2);
+        }
+
+        return 1;
+    },
+
+    readTiffOrientation: function(view, tiff) {
+        if (tiff + 8 > view.byteLength) return 1;
+
+        const littleEndian = view.getUint16(tiff) === 0x4949;  // "II" (Intel) or "MM" (Motorola)
+        const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+        if (ifd + 2 > view.byteLength) return 1;
+
+        const count = view.getUint16(ifd, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (entry + 12 > view.byteLength) return 1;
+
+            if (view.getUint16(entry, littleEndian) === 0x0112) {
+                const value = view.getUint16(entry + 8, littleEndian);
+                return value >= 1 && value <= 8 ? value : 1;
+            }
+        }
+
+        return 1;
+    },
+
+    /**
+     * ⚠️ CRITICAL: Current browsers already draw <img> upright (CSS image-orientation: from-image is the default).
+     * Rotating those again turns every phone photo sideways - only correct by hand where the browser does not
+     */
+    browserAppliesOrientation: function() {
+        return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+    }
+};
+
+// ===== SECTION 2: TRANSFORMS =====
+
+/**
+ * ✅ CORRECT: Rotate + flip as one { rotate, flip } value - mirror horizontally first, then rotate clockwise
+ * Every EXIF orientation and every toolbar click is one of these eight, so they compose into a single draw
+ */
+const ImageTransform = {
+    identity: { rotate: 0, flip: false },
+
+    // EXIF orientation → the transform that makes the image upright
+    fromOrientation: function(orientation) {
+        switch (orientation) {
+            case 2: return { rotate: 0, flip: true };
+            case 3: return { rotate: 180, flip: false };
+            case 4: return { rotate: 180, flip: true };
+            case 5: return { rotate: 270, flip: true };
+            case 6: return { rotate: 90, flip: false };
+            case 7: return { rotate: 90, flip: true };
+            case 8: return { rotate: 270, flip: false };
+            default: return this.identity;
+        }
+    },
+
+    // `first` then `then` (a mirror turns the earlier rotation the other way)
+    compose: function(first, then) {
+        const rotate = then.flip ? then.rotate - first.rotate : then.rotate + first.rotate;
+        return { rotate: this.normalize(rotate), flip: first.flip !== then.flip };
+    },
+
+    // Toolbar actions on what the user currently sees
+    rotateClockwise: function(transform) {
+        return { rotate: this.normalize(transform.rotate + 90), flip: transform.flip };
+    },
+
+    rotateCounterClockwise: function(transform) {
+        return { rotate: this.normalize(transform.rotate - 90), flip: transform.flip };
+    },
+
+    flipHorizontal: function(transform) {
+        return this.compose(transform, { rotate: 0, flip: true });
+    },
+
+    flipVertical: function(transform) {
+        return this.compose(transform, { rotate: 180, flip: true });
+    },
+
+    isIdentity: function(transform) {
+        return transform.rotate === 0 && !transform.flip;
+    },
+
+    normalize: function(degrees) {
+        return ((degrees % 360) + 360) % 360;
+    },
+
+    // Size after the transform - 90° and 270° swap width and height
+    getSize: function(width, height, transform) {
+        return transform.rotate % 180 === 0
+            ? { width: width, height: height }
+            : { width: height, height: width };
+    },
+
+    /**
+     * Set up ctx so drawImage(image, 0, 0) lands transformed at (0, 0)
+     * Canvas applies the calls in reverse: mirror, then rotate, then move into place
+     */
+    apply: function(ctx, width, height, transform) {
+        const size = this.getSize(width, height, transform);
+
+        ctx.translate(size.width / 2, size.height / 2);
+        ctx.rotate(transform.rotate * Math.PI / 180);
+        if (transform.flip) ctx.scale(-1, 1);
+        ctx.translate(-width / 2, -height / 2);
+    }
+};
+
+// ===== SECTION 3: CROP =====
+
+/**
+ * ✅ CORRECT: Crop as fractions { x, y, width, height } of the transformed image
+ * Independent of the preview size - the same crop applies to the full-resolution draw
+ * 💡 TIP: `ratio` below is the aspect in fraction units: aspect × imageHeight / imageWidth
+ */
+const ImageCrop = {
+    full: { x: 0, y: 0, width: 1, height: 1 },
+    minSize: 0.05,
+
+    ratio: function(aspect, imageWidth, imageHeight) {
+        return aspect ? aspect * imageHeight / imageWidth : null;
+    },
+
+    // Largest centered crop with this aspect (the whole image when aspect is null)
+    fit: function(aspect, imageWidth, imageHeight) {
+        const ratio = this.ratio(aspect, imageWidth, imageHeight);
+        if (!ratio) return { ...this.full };
+
+        const width = ratio >= 1 ? 1 : ratio;
+        const height = ratio >= 1 ? 1 / ratio : 1;
+        return { x: (1 - width) / 2, y: (1 - height) / 2, width: width, height: height };
+    },
+
+    move: function(start, dx, dy) {
+        return {
+            ...start,
+            x: Math.min(1 - start.width, Math.max(0, start.x + dx)),
+            y: Math.min(1 - start.height, Math.max(0, start.y + dy))
+        };
+    },
+
+    /**
+     * Drag a corner ('nw' | 'ne' | 'sw' | 'se') - the opposite corner stays put
+     */
+    resize: function(start, corner, dx, dy, ratio) {
+        const west = corner.includes('w');
+        const north = corner.includes('n');
+        const anchorX = west ? start.x + start.width : start.x;
+        const anchorY = north ? start.y + start.height : start.y;
+
+        let width = Math.max(this.minSize, west ? start.width - dx : start.width + dx);
+        let height = Math.max(this.minSize, north ? start.height - dy : start.height + dy);
+
+        // Stay inside the image
+        width = Math.min(width, west ? anchorX : 1 - anchorX);
+        height = Math.min(height, north ? anchorY : 1 - anchorY);
+
+        // Keep the preset aspect by shrinking the longer side
+        if (ratio) {
+            if (width / height > ratio) {
+                width = height * ratio;
+            } else {
+                height = width / ratio;
+            }
+        }
+
+        return {
+            x: west ? anchorX - width : anchorX,
+            y: north ? anchorY - height : anchorY,
+            width: width,
+            height: height
+        };
+    },
+
+    isFull: function(crop) {
+        return !crop || (crop.x <= 0 && crop.y <= 0 && crop.width >= 1 && crop.height >= 1);
+    },
+
+    toPixels: function(crop, width, height) {
+        const area = crop || this.full;
+        const x = Math.round(area.x * width);
+        const y = Math.round(area.y * height);
+
+        return {
+            x: x,
+            y: y,
+            width: Math.max(1, Math.min(width - x, Math.round(area.width * width))),
+            height: Math.max(1, Math.min(height - y, Math.round(area.height * height)))
+        };
+    }
+};
+
+// Aspect-ratio presets for the crop toolbar (aspect = width / height, null = free)
+const ImageCropPresets = [
+    { label: 'Free', aspect: null },
+    { label: 'Square', aspect: 1 },
+    { label: '4:3', aspect: 4 / 3 },
+    { label: '3:2', aspect: 3 / 2 },
+    { label: '16:9', aspect: 16 / 9 },
+    { label: '3:4', aspect: 3 / 4 }
+];
+
+// ===== SECTION 4: PIPELINE =====
+
+/**
+ * ✅ CORRECT: load() once per file, then process() with the user's edits at upload time
+ * - load(file)             decode + orientation → source { image, width, height, baseTransform, file }
+ * - renderPreview(...)     the transformed image scaled into a preview canvas (crop shown as an overlay)
+ * - process(source, opts)  one full-resolution draw → { file, width, height, type, size, processed }
+ * - release(source)        free the decoded image
+ *
+ * process options: { transform, crop, maxDimension (2048), format ('image/webp' | 'image/jpeg' | 'image/png'),
+ *                    fallbackFormat ('image/jpeg'), quality (0.85), stripMetadata (true) }
+ * ⚠️ CRITICAL: Check allowedFormats / maxSize on the RESULT - that is what the server receives
+ */
+const ImagePipeline = {
+    // Formats a canvas can draw without losing anything (GIF would lose its animation)
+    processableTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'],
+
+    canProcess: function(file) {
+        return this.processableTypes.includes(file.type);
+    },
+
+    /**
+     * Decode through <img> - browsers that apply EXIF orientation do it here, the rest get baseTransform
+     */
+    load: async function(file) {
+        const orientation = await ImageExif.readOrientation(file);
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        try {
+            image.src = url;
+            await image.decode();
+        } catch (error) {
+            URL.revokeObjectURL(url);
+            throw new Error('This image cannot be opened in the browser');
+        }
+
+        const appliedByBrowser = ImageExif.browserAppliesOrientation();
+
+        return {
+            file: file,
+            image: image,
+            url: url,
+            width: image.naturalWidth,
+            height: image.naturalHeight,
+            orientation: orientation,
+            baseTransform: appliedByBrowser ? ImageTransform.identity : ImageTransform.fromOrientation(orientation)
+        };
+    },
+
+    release: function(source) {
+        if (source && source.url) URL.revokeObjectURL(source.url);
+    },
+
+    // Upright size after EXIF and the user's rotation
+    getSize: function(source, transform = ImageTransform.identity) {
+        return ImageTransform.getSize(source.width, source.height, ImageTransform.compose(source.baseTransform, transform));
+    },
+
+    /**
+     * Transformed image scaled to fit maxWidth × maxHeight - returns the drawn size
+     */
+    renderPreview: function(source, transform, canvas, maxWidth, maxHeight) {
+        const total = ImageTransform.compose(source.baseTransform, transform);
+        const size = ImageTransform.getSize(source.width, source.height, total);
+        const scale = Math.min(1, maxWidth / size.width, maxHeight / size.height);
+
+        canvas.width = Math.max(1, Math.round(size.width * scale));
+        canvas.height = Math.max(1, Math.round(size.height * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ImageTransform.apply(ctx, source.width, source.height, total);
+        ctx.drawImage(source.image, 0, 0);
+
+        return { width: canvas.width, height: canvas.height };
+    },
+
+    /**
+     * ✅ CORRECT: Orientation, rotate/flip, crop and resize in ONE drawImage, then encode
+     * 🔥 PERFORMANCE: One output-sized canvas - a 12MP photo never gets a second full-size copy
+     */
+    process: async function(source, options = {}) {
+        const transform = options.transform || ImageTransform.identity;
+        const total = ImageTransform.compose(source.baseTransform, transform);
+        const size = ImageTransform.getSize(source.width, source.height, total);
+        const area = ImageCrop.toPixels(options.crop, size.width, size.height);
+
+        const maxDimension = options.maxDimension || 2048;
+        const scale = Math.min(1, maxDimension / Math.max(area.width, area.height));
+        const format = options.format || 'image/webp';
+
+        // Nothing to change and the metadata may stay: upload the original bytes (no generation loss)
+        const unchanged = ImageTransform.isIdentity(total) && ImageCrop.isFull(options.crop)
+            && scale === 1 && format === source.file.type;
+        if (unchanged && options.stripMetadata === false) {
+            return this.describe(source.file, size.width, size.height, false);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(area.width * scale));
+        canvas.height = Math.max(1, Math.round(area.height * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+
+        // JPEG has no alpha - transparent PNG areas would turn black
+        if (format === 'image/jpeg') {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        ctx.scale(scale, scale);
+        ctx.translate(-area.x, -area.y);
+        ImageTransform.apply(ctx, source.width, source.height, total);
+        ctx.drawImage(source.image, 0, 0);
+
+        const blob = await this.encode(canvas, format, options.quality || 0.85, options.fallbackFormat || 'image/jpeg');
+
+        // Release the pixel buffer now rather than at the next GC
+        canvas.width = 0;
+        canvas.height = 0;
+
+        const file = new File([blob], this.renameFor(source.file.name, blob.type), {
+            type: blob.type,
+            lastModified: Date.now()
+        });
+        return this.describe(file, Math.round(area.width * scale), Math.round(area.height * scale), true);
+    },
+
+    /**
+     * ⚠️ CRITICAL: toBlob() silently returns PNG for a type it cannot encode (WebP in older Safari) -
+     * compare the result's type and encode again in the fallback format
+     */
+    encode: async function(canvas, format, quality, fallbackFormat) {
+        const toBlob = (type) => new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Image could not be encoded')), type, quality);
+        });
+
+        const blob = await toBlob(format);
+        if (blob.type === format || !fallbackFormat || fallbackFormat === format) return blob;
+
+        return toBlob(fallbackFormat);
+    },
+
+    renameFor: function(name, type) {
+        const extensions = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+        const base = name.replace(/\.[^.]+$/, '') || 'image';
+        return extensions[type] ? `${base}.${extensions[type]}` : name;
+    },
+
+    describe: function(file, width, height, processed) {
+        return {
+            file: file,
+            width: width,
+            height: height,
+            type: file.type,
+            size: file.size,
+            processed: processed
+        };
+    }
+};
+
+// Usage examples:
+/*
+// integration/file-upload-complete.jsx ImageUploadWithPreview
+const source = await ImagePipeline.load(file);                 // Throws for formats the browser cannot decode (HEIC in Chrome)
+
+let transform = ImageTransform.identity;
+transform = ImageTransform.rotateClockwise(transform);          // Toolbar buttons
+transform = ImageTransform.flipHorizontal(transform);
+
+const { width, height } = ImagePipeline.getSize(source, transform);
+let crop = ImageCrop.fit(16 / 9, width, height);                // Preset → centered crop
+crop = ImageCrop.resize(crop, 'se', dx, dy, ImageCrop.ratio(16 / 9, width, height));
+
+ImagePipeline.renderPreview(source, transform, canvas, 400, 300);
+
+const output = await ImagePipeline.process(source, {
+    transform, crop, maxDimension: 2048, format: 'image/webp', quality: 0.85
+});
+// { file, width, height, type: 'image/webp', size, processed: true }
+
+if (!allowedFormats.includes(output.type) || output.size > maxSize) { ... }   // Checks on the output
+UploadManager.upload(output.file, { url: '/api/files/upload-image', fieldName: 'image' });
+
+ImagePipeline.release(source);
+*/
+
+// Export for global use
+window.ImageExif = ImageExif;
+window.ImageTransform = ImageTransform;
+window.ImageCrop = ImageCrop;
+window.ImageCropPresets = ImageCropPresets;
+window.ImagePipeline = ImagePipeline;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Rotating by EXIF in a browser that already did - every portrait photo ends up sideways
+// 2. Checking maxSize on the camera original - a 12MB photo that becomes 900KB is rejected for nothing
+// 3. Uploading the original "to keep quality" - it carries the GPS position of the user's home
+// 4. Encoding transparent PNGs as JPEG without a background - transparency turns black
+// 5. Trusting toBlob('image/webp') - browsers without a WebP encoder hand back a PNG
+// 6. Storing the crop in preview pixels - it no longer matches after a rotation or at full resolution
+// 7. Sending GIFs through the canvas - only the first frame survives
+// 8. Drawing each step on its own full-size canvas - several 48MB buffers per photo crash mobile tabs
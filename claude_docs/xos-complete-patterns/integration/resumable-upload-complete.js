@@ -0,0 +1,997 @@
+// ===== RESUMABLE UPLOAD COMPLETE PATTERNS =====
+// This file contains EVERY resumable chunked upload pattern for XOS Framework
+// Upload sessions live in IndexedDB, so a reload or crash never throws away the chunks already sent
+
+// ⚠️ CRITICAL: The SERVER is the source of truth for what it has. IndexedDB only remembers
+// which upload a file belongs to - on resume always ask the server which chunks/bytes it kept.
+
+// ===== SECTION 1: UPLOAD SESSION STORAGE (INDEXEDDB) =====
+
+/**
+ * ✅ CORRECT: IndexedDB store for upload sessions - one record per file + protocol + endpoint
+ * { key, fingerprint, protocol, endpoint, fileName, fileSize, chunkSize,
+ *   uploadId, completedChunks (xos) | uploadUrl, offset (tus), uploadedBytes, createdAt, updatedAt }
+ */
+const UploadSessionStore = {
+    dbName: 'xos-uploads',
+    storeName: 'sessions',
+    version: 1,
+    dbPromise: null,
+
+    /**
+     * Open (and create/upgrade) the database once
+     */
+    open: function() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('updatedAt', 'updatedAt', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed (private mode, blocked upgrade, ...)
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run one operation in a transaction and resolve when it commits
+     */
+    run: function(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    },
+
+    get: function(key) {
+        return this.run('readonly', store => store.get(key));
+    },
+
+    put: function(session) {
+        return this.run('readwrite', store => store.put({ ...session, updatedAt: Date.now() }));
+    },
+
+    remove: function(key) {
+        return this.run('readwrite', store => store.delete(key));
+    },
+
+    getAll: function() {
+        return this.run('readonly', store => store.getAll());
+    },
+
+    /**
+     * 💡 TIP: Servers expire unfinished uploads - drop sessions older than that so the
+     * "unfinished uploads" list never offers something the server already deleted
+     */
+    prune: async function(maxAge) {
+        const sessions = await this.getAll();
+        const expired = sessions.filter(session => Date.now() - session.updatedAt > maxAge);
+        await Promise.all(expired.map(session => this.remove(session.key)));
+        return sessions.filter(session => !expired.includes(session));
+    }
+};
+
+// ===== SECTION 2: FILE FINGERPRINT =====
+
+/**
+ * ✅ CORRECT: Recognize the same file when the user selects it again
+ * name + size + lastModified + a hash of the first and last chunk (sampleSize bytes each)
+ * (a File object cannot be stored and re-opened - the user has to pick the file again)
+ * 💡 TIP: The sample size is fixed - a different chunkSize prop still finds the stored session
+ *
+ * ⚠️ CRITICAL: The hash catches a file that was edited but kept its name and size -
+ * resuming it would glue old and new bytes together on the server
+ */
+const UploadFingerprint = {
+    sampleSize: 1048576,  // 1MB
+
+    create: async function(file) {
+        const sampleSize = this.sampleSize;
+        const lastStart = Math.max(0, (Math.ceil(file.size / sampleSize) - 1) * sampleSize);
+        const head = await file.slice(0, sampleSize).arrayBuffer();
+        const tail = lastStart > 0 ? await file.slice(lastStart).arrayBuffer() : new ArrayBuffer(0);
+
+        const bytes = new Uint8Array(head.byteLength + tail.byteLength);
+        bytes.set(new Uint8Array(head), 0);
+        bytes.set(new Uint8Array(tail), head.byteLength);
+
+        const hash = await this.hash(bytes);
+        return [file.name, file.size, file.lastModified, hash].join(':');
+    },
+
+    /**
+     * SHA-256 where Web Crypto exists (HTTPS, localhost); FNV-1a on plain HTTP
+     */
+    hash: async function(bytes) {
+        if (window.crypto && window.crypto.subtle) {
+            const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+            return this.toHex(new Uint8Array(digest));
+        }
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `fnv${hash.toString(16).padStart(8, '0')}`;
+    },
+
+    toHex: function(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+};
+
+/**
+ * ✅ CORRECT: SHA-256 integrity checks with Web Crypto
+ * - chunk:  hex SHA-256 of the chunk bytes, sent with the chunk - the server compares before storing it
+ * - file:   SHA-256 over the chunk digests (32 raw bytes each) in offset order - sent to finalize,
+ *           the server recomputes it from the chunks it assembled and rejects a mismatch
+ *
+ * ⚠️ CRITICAL: Web Crypto cannot hash a stream - a whole-file SHA-256 of a 2GB file would need the
+ * whole file in memory. The digest list gives the same guarantee with one chunk in memory at a time
+ * 💡 TIP: No Web Crypto on plain HTTP - isSupported() is false and no checksums are sent
+ */
+const ChunkChecksum = {
+    algorithm: 'sha256',
+    fileAlgorithm: 'sha256-chunks',
+
+    isSupported: function() {
+        return Boolean(window.crypto && window.crypto.subtle);
+    },
+
+    chunk: async function(blob) {
+        const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return UploadFingerprint.toHex(new Uint8Array(digest));
+    },
+
+    file: async function(chunkDigests) {
+        const bytes = new Uint8Array(chunkDigests.length * 32);
+        chunkDigests.forEach((hex, index) => bytes.set(this.fromHex(hex), index * 32));
+
+        const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+        return UploadFingerprint.toHex(new Uint8Array(digest));
+    },
+
+    fromHex: function(hex) {
+        return new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+    },
+
+    // tus checksum extension wants base64
+    toBase64: function(hex) {
+        return btoa(String.fromCharCode(...this.fromHex(hex)));
+    }
+};
+
+// ===== SECTION 3: TRANSPORT =====
+
+/**
+ * ✅ CORRECT: Utils.ajax as a promise that keeps the XHR (tus reads response headers)
+ * and aborts through an AbortSignal - rejects with ApiManager error objects
+ */
+const UploadTransport = {
+    send: function(config, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(ApiManager.createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            let unbindSignal = () => {};
+
+            const xhr = Utils.ajax({
+                ...config,
+                success: (data) => {
+                    unbindSignal();
+                    resolve({ data: data, xhr: xhr });
+                },
+                error: (request, status, error) => {
+                    unbindSignal();
+                    reject(status === 'abort'
+                        ? ApiManager.createAbortError()
+                        : ApiManager.createErrorObject(request, status, error));
+                }
+            });
+
+            unbindSignal = ApiManager.bindAbortSignal(signal, () => xhr.abort());
+        });
+    },
+
+    json: function(config, signal) {
+        return this.send({
+            ...config,
+            data: config.data !== undefined && config.type !== 'GET' ? JSON.stringify(config.data) : config.data,
+            contentType: 'application/json',
+            dataType: 'json'
+        }, signal).then(result => result.data || {});
+    },
+
+    /**
+     * Wait that a pause cuts short
+     */
+    wait: function(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                unbindSignal();
+                resolve();
+            }, ms);
+            const unbindSignal = ApiManager.bindAbortSignal(signal, () => {
+                clearTimeout(timer);
+                reject(ApiManager.createAbortError());
+            });
+        });
+    },
+
+    // Statuses that mean "the server no longer knows this upload"
+    isGone: function(error) {
+        return [403, 404, 410].includes(error.status);
+    },
+
+    // 4xx is final - except timeouts, rate limits and tus "460 checksum mismatch" (corrupted on the way)
+    isRetryable: function(error) {
+        return !(error.status >= 400 && error.status < 500) || [408, 429, 460].includes(error.status);
+    }
+};
+
+// ===== SECTION 4: UPLOAD PROTOCOLS =====
+
+/**
+ * ✅ CORRECT: XOS chunk protocol - the /api/files endpoints
+ * POST {endpoint}/initialize-chunked-upload  { fileName, fileSize, chunkSize, totalChunks, fingerprint } → { uploadId }
+ * GET  {endpoint}/chunked-upload-status      ?uploadId → { uploadedChunks: [{ index, offset, size, checksum }] } (404 when expired)
+ * POST {endpoint}/upload-chunk               multipart chunk + chunkIndex + offset + size + checksum + uploadId
+ * POST {endpoint}/finalize-chunked-upload    { uploadId, fileName, fileSize, checksum, checksumAlgorithm } → file record
+ * POST {endpoint}/cancel-chunked-upload      { uploadId }
+ *
+ * ⚠️ CRITICAL: Chunks arrive out of order (parallel) and in different sizes (adaptive) -
+ * the server places each one at its offset; chunkIndex only names it
+ * 💡 TIP: uploadedChunks as plain indices ([0, 1, 4]) still works for fixed-size servers (adaptive: false)
+ */
+const XosUploadProtocol = {
+    name: 'xos',
+    parallel: true,
+
+    isCreated: function(upload) {
+        return Boolean(upload.session.uploadId);
+    },
+
+    create: async function(upload, signal) {
+        const session = upload.session;
+        const response = await UploadTransport.json({
+            url: `${upload.endpoint}/initialize-chunked-upload`,
+            type: 'POST',
+            data: {
+                fileName: session.fileName,
+                fileSize: session.fileSize,
+                chunkSize: session.chunkSize,
+                totalChunks: upload.getTotalChunks(),  // An estimate when the chunk size adapts
+                fingerprint: session.fingerprint
+            }
+        }, signal);
+
+        if (!response.success) {
+            throw new Error(response.message || 'Failed to initialize upload');
+        }
+
+        session.uploadId = response.data.uploadId;
+        session.completedChunks = this.toRanges(upload, response.data.uploadedChunks || []);
+    },
+
+    /**
+     * Server state of a stored session - false when the server no longer has the upload
+     */
+    resume: async function(upload, signal) {
+        try {
+            const response = await UploadTransport.json({
+                url: `${upload.endpoint}/chunked-upload-status`,
+                type: 'GET',
+                data: { uploadId: upload.session.uploadId }
+            }, signal);
+
+            if (!response.success) return false;
+
+            upload.session.completedChunks = this.toRanges(upload, response.data.uploadedChunks || []);
+            return true;
+        } catch (error) {
+            if (UploadTransport.isGone(error)) return false;
+            throw error;
+        }
+    },
+
+    /**
+     * First gap not covered by stored or in-flight chunks, at most chunkSize long
+     */
+    nextRange: function(upload) {
+        const session = upload.session;
+        const taken = [...session.completedChunks, ...upload.inFlight].sort((a, b) => a.start - b.start);
+
+        let position = 0;
+        for (const range of taken) {
+            if (range.start > position) break;
+            position = Math.max(position, range.end);
+        }
+        if (position >= session.fileSize) return null;
+
+        const following = taken.find(range => range.start >= position);
+        return {
+            index: session.nextIndex++,
+            start: position,
+            end: Math.min(position + upload.chunkSize, following ? following.start : session.fileSize)
+        };
+    },
+
+    send: async function(upload, range, signal) {
+        const formData = new FormData();
+        formData.append('chunk', upload.file.slice(range.start, range.end));
+        formData.append('chunkIndex', range.index.toString());
+        formData.append('offset', range.start.toString());
+        formData.append('size', (range.end - range.start).toString());
+        if (range.checksum) formData.append('checksum', range.checksum);
+        formData.append('uploadId', upload.session.uploadId);
+
+        const { data } = await UploadTransport.send({
+            url: `${upload.endpoint}/upload-chunk`,
+            type: 'POST',
+            data: formData,
+            processData: false,
+            contentType: false,
+            dataType: 'json'
+        }, signal);
+
+        // A checksum mismatch is success: false too - the retry sends the bytes again
+        if (!data || !data.success) {
+            throw new Error((data && data.message) || 'Chunk upload failed');
+        }
+
+        upload.session.completedChunks = [...upload.session.completedChunks, range];
+    },
+
+    finish: async function(upload, signal) {
+        const checksum = await upload.getFileChecksum(signal);
+        const response = await UploadTransport.json({
+            url: `${upload.endpoint}/finalize-chunked-upload`,
+            type: 'POST',
+            data: {
+                uploadId: upload.session.uploadId,
+                fileName: upload.session.fileName,
+                fileSize: upload.session.fileSize,
+                checksum: checksum,
+                checksumAlgorithm: checksum ? ChunkChecksum.fileAlgorithm : null
+            }
+        }, signal);
+
+        if (!response.success) {
+            throw new Error(response.message || 'Failed to finalize upload');
+        }
+        return response.data;
+    },
+
+    abort: function(upload) {
+        return UploadTransport.json({
+            url: `${upload.endpoint}/cancel-chunked-upload`,
+            type: 'POST',
+            data: { uploadId: upload.session.uploadId }
+        });
+    },
+
+    getUploadedBytes: function(upload) {
+        return upload.session.completedChunks.reduce((sum, range) => sum + (range.end - range.start), 0);
+    },
+
+    getCompletedChunks: function(upload) {
+        return upload.session.completedChunks.length;
+    },
+
+    /**
+     * Server chunk list → { index, start, end, checksum } - a checksum we computed earlier is kept
+     * when the server does not echo it (needed for the file checksum at finalize)
+     */
+    toRanges: function(upload, chunks) {
+        const session = upload.session;
+        const known = session.completedChunks || [];
+
+        const ranges = chunks.map(chunk => {
+            const range = typeof chunk === 'number'
+                ? { index: chunk, start: chunk * session.chunkSize, end: Math.min((chunk + 1) * session.chunkSize, session.fileSize) }
+                : { index: chunk.index, start: chunk.offset, end: chunk.offset + chunk.size, checksum: chunk.checksum };
+            const local = known.find(entry => entry.start === range.start && entry.end === range.end);
+
+            return { ...range, checksum: range.checksum || (local && local.checksum) || null };
+        });
+
+        session.nextIndex = ranges.reduce((next, range) => Math.max(next, range.index + 1), 0);
+        return ranges;
+    }
+};
+
+/**
+ * ✅ CORRECT: tus 1.0.0 (https://tus.io/protocols/resumable-upload) - tusd, tus-node-server, tusdotnet...
+ * POST   {endpoint}   Upload-Length, Upload-Metadata → 201 Location
+ * HEAD   {location}   → Upload-Offset (404/410 when expired)
+ * PATCH  {location}   Upload-Offset + application/offset+octet-stream body → 204 Upload-Offset
+ * DELETE {location}   termination extension (optional on the server)
+ *
+ * ⚠️ CRITICAL: tus is offset based - bytes go strictly in order (never parallel), and the offset the server
+ * answers with (not the chunk you sent) decides where the next PATCH starts
+ * 💡 TIP: CORS servers must expose Location, Upload-Offset and Upload-Length
+ * 💡 TIP: Chunk checksums use the checksum extension (Upload-Checksum: sha256 <base64>, 460 on mismatch) -
+ * tus has no finalize step, so there is no whole-file digest; pass checksums: false for servers without sha256
+ */
+const TusUploadProtocol = {
+    name: 'tus',
+    version: '1.0.0',
+    parallel: false,
+
+    headers: function(extra = {}) {
+        return { 'Tus-Resumable': this.version, ...extra };
+    },
+
+    isCreated: function(upload) {
+        return Boolean(upload.session.uploadUrl);
+    },
+
+    create: async function(upload, signal) {
+        const session = upload.session;
+        const metadata = { filename: session.fileName, filetype: upload.file.type, ...upload.metadata };
+
+        const { xhr } = await UploadTransport.send({
+            url: upload.endpoint,
+            type: 'POST',
+            headers: this.headers({
+                'Upload-Length': String(session.fileSize),
+                'Upload-Metadata': this.encodeMetadata(metadata)
+            }),
+            processData: false,
+            contentType: false
+        }, signal);
+
+        const location = xhr.getResponseHeader('Location');
+        if (!location) {
+            throw new Error('Upload server did not return a Location header');
+        }
+
+        const base = new URL(upload.endpoint, window.location.href);
+        session.uploadUrl = new URL(location, base).href;
+        session.offset = 0;
+    },
+
+    resume: async function(upload, signal) {
+        try {
+            const { xhr } = await UploadTransport.send({
+                url: upload.session.uploadUrl,
+                type: 'HEAD',
+                headers: this.headers({ 'Cache-Control': 'no-store' })
+            }, signal);
+
+            const offset = parseInt(xhr.getResponseHeader('Upload-Offset'), 10);
+            const length = xhr.getResponseHeader('Upload-Length');
+            if (isNaN(offset) || (length !== null && parseInt(length, 10) !== upload.session.fileSize)) {
+                return false;
+            }
+
+            upload.session.offset = offset;
+            return true;
+        } catch (error) {
+            if (UploadTransport.isGone(error)) return false;
+            throw error;
+        }
+    },
+
+    nextRange: function(upload) {
+        const offset = upload.session.offset;
+        if (offset >= upload.session.fileSize) return null;
+
+        return {
+            index: Math.floor(offset / upload.session.chunkSize),
+            start: offset,
+            end: Math.min(offset + upload.session.chunkSize, upload.session.fileSize)
+        };
+    },
+
+    send: async function(upload, range, signal) {
+        try {
+            const { xhr } = await UploadTransport.send({
+                url: upload.session.uploadUrl,
+                type: 'PATCH',
+                headers: this.headers({
+                    'Upload-Offset': String(range.start),
+                    ...(range.checksum ? { 'Upload-Checksum': `${ChunkChecksum.algorithm} ${ChunkChecksum.toBase64(range.checksum)}` } : {})
+                }),
+                data: upload.file.slice(range.start, range.end),
+                processData: false,
+                contentType: 'application/offset+octet-stream'
+            }, signal);
+
+            const offset = parseInt(xhr.getResponseHeader('Upload-Offset'), 10);
+            upload.session.offset = isNaN(offset) ? range.end : offset;
+            upload.session.sentChunks = (upload.session.sentChunks || 0) + 1;
+        } catch (error) {
+            // 409: our offset is not the server's (an earlier PATCH landed after all) - ask and continue
+            if (error.status === 409 && await this.resume(upload, signal)) return;
+            throw error;
+        }
+    },
+
+    finish: async function(upload) {
+        return {
+            uploadUrl: upload.session.uploadUrl,
+            fileName: upload.session.fileName,
+            fileSize: upload.session.fileSize
+        };
+    },
+
+    abort: function(upload) {
+        return UploadTransport.send({
+            url: upload.session.uploadUrl,
+            type: 'DELETE',
+            headers: this.headers()
+        });
+    },
+
+    getUploadedBytes: function(upload) {
+        return upload.session.offset || 0;
+    },
+
+    getCompletedChunks: function(upload) {
+        return upload.session.sentChunks || 0;
+    },
+
+    /**
+     * "key base64value,key base64value" - base64 of the UTF-8 bytes
+     */
+    encodeMetadata: function(metadata) {
+        return Object.keys(metadata)
+            .filter(key => metadata[key] !== undefined && metadata[key] !== null && metadata[key] !== '')
+            .map(key => `${key} ${btoa(unescape(encodeURIComponent(String(metadata[key]))))}`)
+            .join(',');
+    }
+};
+
+// ===== SECTION 5: RESUMABLE UPLOAD =====
+
+/**
+ * ✅ CORRECT: One file, resumable across reloads
+ * - prepare()  fingerprint the file, find its stored session, ask the server what it has
+ * - start()    upload what is missing (concurrency chunks at a time), save the session after every chunk,
+ *              finalize with the file checksum → result (null when paused - call start() again to continue)
+ * - pause()    abort the chunks in flight; the session stays for later
+ * - cancel()   abort, tell the server, forget the session
+ *
+ * options: { protocol: 'xos' | 'tus', endpoint, chunkSize (first chunk), maxRetries, metadata (tus),
+ *            concurrency (3), queue (an AjaxQueue shared by several uploads), checksums (true),
+ *            adaptive (true), minChunkSize, maxChunkSize, targetChunkSeconds,
+ *            onProgress({ uploadedBytes, totalBytes, percent, completedChunks, totalChunks, chunkSize }), onStateChange(state) }
+ * state: 'idle' | 'uploading' | 'paused' | 'completed' | 'cancelled' | 'failed'
+ */
+class ResumableUpload {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.protocol = ResumableUpload.protocols[options.protocol || 'xos'];
+        if (!this.protocol) {
+            throw new Error(`Unknown upload protocol: ${options.protocol}`);
+        }
+
+        this.endpoint = options.endpoint || (this.protocol.name === 'tus' ? '/files/' : '/api/files');
+        this.chunkSize = options.chunkSize || 1048576;  // 1MB - where the adaptive size starts
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.metadata = options.metadata || {};
+        this.onProgress = options.onProgress || null;
+        this.onStateChange = options.onStateChange || null;
+
+        // Parallel chunks share AjaxQueue slots - pass one queue to cap connections across files
+        this.concurrency = this.protocol.parallel ? options.concurrency || 3 : 1;
+        this.queue = options.queue || new AjaxQueue(this.concurrency);
+        this.checksums = options.checksums !== false && ChunkChecksum.isSupported();
+
+        // Adaptive chunk size: aim for targetChunkSeconds per request on the measured throughput
+        this.adaptive = options.adaptive !== false;
+        this.minChunkSize = options.minChunkSize || 262144;    // 256KB
+        this.maxChunkSize = options.maxChunkSize || 16777216;  // 16MB
+        this.targetChunkSeconds = options.targetChunkSeconds || 3;
+        this.throughput = 0;  // Bytes per second per connection (smoothed)
+
+        this.session = null;
+        this.resumed = false;  // A stored session was found and the server still has it
+        this.inFlight = [];    // Ranges being sent - nextRange() skips them
+        this.controller = null;
+        this.running = null;   // Settles when the current start() run has fully stopped
+        this.result = null;
+        this.state = 'idle';
+    }
+
+    /**
+     * ⚠️ CRITICAL: Call when the file is selected - returns { resumed, uploadedBytes }
+     * A stored session the server forgot (expired, cancelled elsewhere) is dropped and the upload starts over
+     */
+    async prepare(signal) {
+        const fingerprint = await UploadFingerprint.create(this.file);
+        const key = `${this.protocol.name}:${this.endpoint}:${fingerprint}`;
+        const stored = await ResumableUpload.readSession(key);
+
+        this.resumed = false;
+        if (stored && stored.fileSize === this.file.size) {
+            // Fixed-size servers count chunks of session.chunkSize - only an adaptive upload may change it
+            this.chunkSize = this.adaptive && stored.currentChunkSize ? stored.currentChunkSize : stored.chunkSize;
+            this.session = stored;
+            this.resumed = await this.protocol.resume(this, signal);
+
+            if (this.resumed) {
+                await this.saveSession();
+            } else {
+                await ResumableUpload.removeSession(key);
+            }
+        }
+
+        if (!this.resumed) {
+            this.session = {
+                key: key,
+                fingerprint: fingerprint,
+                protocol: this.protocol.name,
+                endpoint: this.endpoint,
+                fileName: this.file.name,
+                fileSize: this.file.size,
+                chunkSize: this.chunkSize,
+                completedChunks: [],
+                nextIndex: 0,
+                offset: 0,
+                sentChunks: 0,
+                createdAt: Date.now()
+            };
+        }
+
+        this.emitProgress();
+        return { resumed: this.resumed, uploadedBytes: this.getUploadedBytes() };
+    }
+
+    /**
+     * ⚠️ CRITICAL: Pause then a quick resume must not run two loops on one instance - the paused run
+     * may still be draining chunks (its ranges stay in inFlight, so nextRange() skips them and the new
+     * loop could finish with chunks missing). start() waits for it; only the current run changes state
+     */
+    async start() {
+        if (this.state === 'uploading') return null;
+
+        while (this.running) await this.running;
+
+        if (this.state === 'completed') return this.result;
+        if (this.state === 'uploading' || this.state === 'cancelled') return null;
+
+        const controller = new AbortController();
+        this.controller = controller;
+        this.setState('uploading');
+
+        const run = this.runUpload(controller);
+        const settled = run.then(() => {}, () => {});
+        this.running = settled;
+        settled.then(() => {
+            if (this.running === settled) this.running = null;
+        });
+        return run;
+    }
+
+    async runUpload(controller) {
+        const isCurrent = () => this.controller === controller;
+
+        try {
+            if (!this.session) await this.prepare(controller.signal);
+
+            if (!this.protocol.isCreated(this)) {
+                await this.protocol.create(this, controller.signal);
+                await this.saveSession();
+                this.emitProgress();
+            }
+
+            await this.uploadRanges(controller);
+
+            const result = await this.protocol.finish(this, controller.signal);
+            await ResumableUpload.removeSession(this.session.key);
+            this.result = result;
+            this.setState('completed');
+            return result;
+        } catch (error) {
+            if (ApiManager.isAbortError(error)) {
+                if (isCurrent() && this.state === 'uploading') this.setState('paused');
+                return null;
+            }
+
+            if (isCurrent()) this.setState('failed');
+            throw error;
+        } finally {
+            if (isCurrent()) this.controller = null;
+        }
+    }
+
+    /**
+     * ✅ CORRECT: Keep up to `concurrency` chunks going until every byte is on the server
+     * Each range is cut when a slot frees up, so it gets the latest adaptive chunk size
+     * ⚠️ CRITICAL: One failed chunk (after its retries) stops the others - their ranges are sent again on resume
+     */
+    async uploadRanges(controller) {
+        const signal = controller.signal;
+        const pending = new Set();
+
+        try {
+            for (;;) {
+                if (signal.aborted) throw ApiManager.createAbortError();
+
+                const range = pending.size < this.concurrency ? this.protocol.nextRange(this) : null;
+                if (range) {
+                    this.inFlight.push(range);
+                    const task = this.queue.run(() => this.sendChunk(range, signal))
+                        .finally(() => {
+                            this.inFlight = this.inFlight.filter(entry => entry !== range);
+                            pending.delete(task);
+                        });
+                    pending.add(task);
+                    continue;
+                }
+
+                if (pending.size === 0) return;
+                await Promise.race(pending);
+            }
+        } catch (error) {
+            controller.abort();
+            await Promise.allSettled(pending);
+            throw error;
+        }
+    }
+
+    /**
+     * Hash → send (with retries) → measure → save
+     */
+    async sendChunk(range, signal) {
+        if (signal.aborted) throw ApiManager.createAbortError();
+
+        if (this.checksums) {
+            range.checksum = await ChunkChecksum.chunk(this.file.slice(range.start, range.end));
+        }
+
+        const started = Date.now();
+        await this.sendWithRetry(range, signal);
+        this.adaptChunkSize(range.end - range.start, Date.now() - started);
+
+        await this.saveSession();
+        this.emitProgress();
+    }
+
+    pause() {
+        if (this.state !== 'uploading') return;
+
+        this.setState('paused');
+        if (this.controller) this.controller.abort();
+    }
+
+    /**
+     * Server cleanup is best effort - an unfinished upload the server never hears about expires there
+     */
+    async cancel() {
+        this.setState('cancelled');
+        if (this.controller) this.controller.abort();
+        if (!this.session) return;
+
+        if (this.protocol.isCreated(this)) {
+            try {
+                await this.protocol.abort(this);
+            } catch (error) {
+                console.error('Failed to cancel upload:', error);
+            }
+        }
+        await ResumableUpload.removeSession(this.session.key);
+    }
+
+    /**
+     * ✅ CORRECT: Retry a chunk with a growing delay - never a cancelled one, never a final 4xx
+     */
+    async sendWithRetry(range, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.protocol.send(this, range, signal);
+                return;
+            } catch (error) {
+                if (ApiManager.isAbortError(error)) throw error;
+
+                if (!UploadTransport.isRetryable(error) || attempt >= this.maxRetries) {
+                    throw attempt > 0
+                        ? new Error(`Failed to upload chunk ${range.index} after ${attempt} retries: ${error.message}`)
+                        : error;
+                }
+
+                console.log(`Retrying chunk ${range.index}, attempt ${attempt + 1}`);
+                await UploadTransport.wait(1000 * (attempt + 1), signal);
+            }
+        }
+    }
+
+    /**
+     * ✅ CORRECT: Next chunk size from the measured throughput
+     * Fast connections get fewer, bigger requests; slow or flaky ones get small chunks
+     * that finish (and checkpoint) before something goes wrong
+     * 💡 TIP: Sizes are multiples of minChunkSize, between minChunkSize and maxChunkSize
+     */
+    adaptChunkSize(bytes, ms) {
+        if (!this.adaptive || ms <= 0) return;
+
+        const rate = bytes / (ms / 1000);
+        this.throughput = this.throughput ? this.throughput * 0.7 + rate * 0.3 : rate;
+
+        const target = Math.round(this.throughput * this.targetChunkSeconds / this.minChunkSize) * this.minChunkSize;
+        this.chunkSize = Math.min(this.maxChunkSize, Math.max(this.minChunkSize, target));
+    }
+
+    /**
+     * File checksum for finalize - null when checksums are off or Web Crypto is missing
+     * Chunks the server had from an earlier session without a digest are hashed from the file now
+     */
+    async getFileChecksum(signal) {
+        if (!this.checksums) return null;
+
+        const ranges = [...this.session.completedChunks].sort((a, b) => a.start - b.start);
+        for (const range of ranges) {
+            if (signal && signal.aborted) throw ApiManager.createAbortError();
+            if (!range.checksum) {
+                range.checksum = await ChunkChecksum.chunk(this.file.slice(range.start, range.end));
+            }
+        }
+
+        return ChunkChecksum.file(ranges.map(range => range.checksum));
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Chunks done + the rest at the current chunk size (an estimate while the size adapts)
+     */
+    getTotalChunks() {
+        if (!this.session) return Math.max(1, Math.ceil(this.file.size / this.chunkSize));
+
+        const remaining = this.file.size - this.getUploadedBytes();
+        return Math.max(1, this.protocol.getCompletedChunks(this) + Math.ceil(remaining / this.chunkSize));
+    }
+
+    getUploadedBytes() {
+        return this.session ? this.protocol.getUploadedBytes(this) : 0;
+    }
+
+    getProgress() {
+        const uploadedBytes = this.getUploadedBytes();
+        const totalBytes = this.file.size;
+
+        return {
+            uploadedBytes: uploadedBytes,
+            totalBytes: totalBytes,
+            percent: totalBytes ? Math.round(uploadedBytes / totalBytes * 100) : 0,
+            completedChunks: this.session ? this.protocol.getCompletedChunks(this) : 0,
+            totalChunks: this.getTotalChunks(),
+            chunkSize: this.chunkSize
+        };
+    }
+
+    emitProgress() {
+        if (this.onProgress) this.onProgress(this.getProgress());
+    }
+
+    setState(state) {
+        this.state = state;
+        if (this.onStateChange) this.onStateChange(state);
+    }
+
+    /**
+     * 💡 TIP: Without IndexedDB (private mode) the upload still works - it just cannot resume after a reload
+     */
+    async saveSession() {
+        try {
+            await UploadSessionStore.put({
+                ...this.session,
+                currentChunkSize: this.chunkSize,
+                uploadedBytes: this.getUploadedBytes()
+            });
+        } catch (error) {
+            console.warn('Upload session not saved - this upload cannot resume after a reload', error);
+        }
+    }
+
+    static async readSession(key) {
+        try {
+            return await UploadSessionStore.get(key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async removeSession(key) {
+        try {
+            await UploadSessionStore.remove(key);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+
+    /**
+     * Unfinished uploads for an "unfinished uploads - select the file again" list (newest first)
+     */
+    static async getPendingSessions(maxAge = ResumableUpload.sessionMaxAge) {
+        try {
+            const sessions = await UploadSessionStore.prune(maxAge);
+            return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+ResumableUpload.protocols = {
+    xos: XosUploadProtocol,
+    tus: TusUploadProtocol
+};
+
+// Match the server's expiry of unfinished uploads
+ResumableUpload.sessionMaxAge = 7 * 24 * 60 * 60 * 1000;
+
+// Usage examples:
+/*
+// Pick → prepare → start (integration/file-upload-complete.jsx ChunkedFileUpload)
+const upload = new ResumableUpload(file, {
+    protocol: 'xos',                 // or 'tus' with endpoint: 'https://uploads.example.com/files/'
+    chunkSize: 1048576,              // First chunk - adapts to the connection (adaptive: false keeps it)
+    concurrency: 3,                  // Parallel chunks (tus is always 1)
+    onProgress: progress => setProgress(progress),
+    onStateChange: state => setStatus(state)
+});
+
+const { resumed, uploadedBytes } = await upload.prepare();  // resumed: the server still has part of this file
+const result = await upload.start();                        // null when paused
+upload.pause();                                             // Reload-safe - select the file again to continue
+await upload.cancel();                                      // Server cleanup + session removed
+
+// "You have unfinished uploads" list
+const pending = await ResumableUpload.getPendingSessions();
+// [{ fileName, fileSize, uploadedBytes, updatedAt, ... }]
+
+// Several files, 4 connections in total
+const queue = new AjaxQueue(4);
+files.forEach(file => new ResumableUpload(file, { queue, concurrency: 4 }).start());
+
+// Another protocol: { name, parallel, isCreated, create, resume, nextRange, send, finish, abort,
+//                     getUploadedBytes, getCompletedChunks }
+ResumableUpload.protocols.s3multipart = S3MultipartProtocol;
+*/
+
+// Export for global use
+window.UploadSessionStore = UploadSessionStore;
+window.UploadFingerprint = UploadFingerprint;
+window.ChunkChecksum = ChunkChecksum;
+window.UploadTransport = UploadTransport;
+window.XosUploadProtocol = XosUploadProtocol;
+window.TusUploadProtocol = TusUploadProtocol;
+window.ResumableUpload = ResumableUpload;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Trusting the stored chunk list - the server may have expired the upload or kept more than you saved
+// 2. Fingerprinting by name + size only - an edited file of the same size resumes with the wrong bytes
+// 3. Numbering chunks by chunkSize on the server - parallel, adaptive chunks are placed by their offset
+// 4. Storing the File in IndexedDB to "resume automatically" - the user re-selects the file
+// 5. Retrying 4xx responses - only network errors, 5xx, 408, 429 and 460 are worth another attempt
+// 6. tus: sending the next PATCH from your own counter - continue from the server's Upload-Offset
+// 7. Reading the whole file into memory for one SHA-256 - hash each chunk and digest the list
+// 8. Unbounded parallel chunks - browsers allow ~6 connections per host; the rest of the app needs some too
@@ -0,0 +1,792 @@
+// ===== UPLOAD MANAGER COMPLETE PATTERNS =====
+// This file contains EVERY upload queue and upload tray pattern for XOS Framework
+// One UploadManager owns every file upload on the page - React components, jQuery widgets,
+// XOS.Modal.FileUploadModal, FileApi and FileUploadLoader all hand their files to it
+
+// ⚠️ CRITICAL: Uploads belong to the page, not to the screen that started them. Leaving a route
+// keeps them going - the tray lives on document.body, outside any React root or modal.
+
+// ===== SECTION 1: UPLOAD MANAGER =====
+
+/**
+ * ✅ CORRECT: Single queue for every file upload
+ * - upload(file, options)          queue a file → promise of the server response (promise.uploadId names it)
+ * - pause / resume / cancel / retry / remove (uploadId)
+ * - getItems(), getAggregateProgress(), subscribe(listener(items, aggregate))
+ *
+ * options: { url ('/api/files/upload'), fieldName ('file'), fields ({ name: value } extra form fields),
+ *            resumable (false | true | 'auto' - 'auto' = files over resumableThreshold),
+ *            resumableOptions (ResumableUpload options: protocol, endpoint, chunkSize, concurrency, metadata, ...),
+ *            timeout, source (label in the tray), onProgress(item), onComplete(result, item), onError(error, item) }
+ * item: { id, name, size, type, source, status, loaded, total, percent, speed, resumable, resumed,
+ *         chunks ({ completed, total, size } - resumable only), result, error, createdAt, finishedAt }
+ * status: 'queued' | 'uploading' | 'paused' | 'completed' | 'failed' | 'cancelled'
+ *
+ * ⚠️ CRITICAL: The promise settles once - completed resolves, failed or cancelled rejects.
+ * A file retried from the tray later reports through options.onComplete / onError
+ * 💡 TIP: `fields` go with single-request uploads only - resumable chunks carry resumableOptions.metadata (tus)
+ */
+const UploadManager = {
+    maxActiveFiles: 3,             // Files uploading at once - the rest wait as 'queued'
+    maxConnections: 4,             // Requests in flight across all files, chunks included
+    resumableThreshold: 10485760,  // 10MB - resumable: 'auto' sends bigger files in chunks
+    finishedLimit: 20,             // Finished items kept in the tray
+    defaultUrl: '/api/files/upload',
+    showTray: true,
+
+    items: new Map(),      // id → item snapshot, replaced on every change (safe to keep in React state)
+    uploads: new Map(),    // id → { file, options, resolve, reject, controller, upload } - never leaves this object
+    listeners: new Set(),
+    queue: null,
+    nextId: 1,
+    unregisterGuard: null,
+
+    configure: function(options = {}) {
+        ['maxActiveFiles', 'maxConnections', 'resumableThreshold', 'finishedLimit', 'defaultUrl', 'showTray']
+            .forEach(key => {
+                if (options[key] !== undefined) this[key] = options[key];
+            });
+
+        if (this.queue) this.queue.maxConcurrent = this.maxConnections;
+        this.pump();
+    },
+
+    /**
+     * Connection slots shared by every upload - single requests and resumable chunks alike
+     */
+    getQueue: function() {
+        if (!this.queue) this.queue = new AjaxQueue(this.maxConnections);
+        return this.queue;
+    },
+
+    upload: function(file, options = {}) {
+        const id = `upload_${Date.now()}_${this.nextId++}`;
+        const entry = { file: file, options: options, controller: null, upload: null };
+
+        const promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+
+        // The tray reports failures - a caller that does not await must not get an unhandled rejection
+        promise.catch(() => {});
+        promise.uploadId = id;
+
+        this.uploads.set(id, entry);
+        this.items.set(id, {
+            id: id,
+            name: file.name,
+            size: file.size,
+            type: file.type,
+            source: options.source || null,
+            status: 'queued',
+            loaded: 0,
+            total: file.size,
+            percent: 0,
+            speed: 0,
+            resumable: this.isResumable(file, options),
+            resumed: false,
+            chunks: null,
+            result: null,
+            error: null,
+            createdAt: Date.now(),
+            finishedAt: null
+        });
+
+        this.installGuard();
+        if (this.showTray && window.UploadTray) {
+            UploadTray.init();
+        }
+
+        this.emit();
+        this.pump();
+        return promise;
+    },
+
+    isResumable: function(file, options) {
+        if (typeof ResumableUpload === 'undefined') return false;
+        if (options.resumable === 'auto') return file.size > this.resumableThreshold;
+        return options.resumable === true;
+    },
+
+    /**
+     * Start queued files (oldest first) while there are free file slots
+     */
+    pump: function() {
+        const items = this.getItems();
+        let active = items.filter(item => item.status === 'uploading').length;
+
+        for (const item of items) {
+            if (active >= this.maxActiveFiles) return;
+            if (item.status !== 'queued') continue;
+
+            active++;
+            this.run(item.id);
+        }
+    },
+
+    /**
+     * ⚠️ CRITICAL: Each run owns its controller. Paused and resumed while still waiting in the
+     * AjaxQueue, the old run settles after the new one started - it must not touch the live upload
+     */
+    run: async function(id) {
+        const entry = this.uploads.get(id);
+        const controller = new AbortController();
+        const isCurrent = () => entry.controller === controller;
+        entry.controller = controller;
+        entry.sampleAt = 0;
+        this.update(id, { status: 'uploading', error: null, speed: 0 });
+
+        try {
+            const result = this.items.get(id).resumable
+                ? await this.sendResumable(id, entry, controller.signal)
+                : await this.getQueue().run(() => this.sendSingle(id, entry, controller.signal));
+
+            if (!isCurrent()) return;
+
+            // null: a resumable upload was paused or cancelled
+            if (result === null) {
+                this.stopped(id);
+                return;
+            }
+
+            this.complete(id, entry, result);
+        } catch (error) {
+            if (!isCurrent()) return;
+
+            if (ApiManager.isAbortError(error)) {
+                this.stopped(id);
+                return;
+            }
+
+            this.fail(id, entry, error);
+        } finally {
+            if (isCurrent()) entry.controller = null;
+            this.pump();
+        }
+    },
+
+    /**
+     * ✅ CORRECT: One multipart POST through ApiManager (auth refresh, interceptors, abort by signal)
+     * ⚠️ CRITICAL: Extra fields go BEFORE the file - streaming parsers read them before the file body
+     */
+    sendSingle: function(id, entry, signal) {
+        if (signal.aborted) return ApiManager.rejectedAbort();
+
+        const options = entry.options;
+        const formData = new FormData();
+        Object.entries(options.fields || {}).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) formData.append(name, value);
+        });
+        formData.append(options.fieldName || 'file', entry.file);
+
+        return ApiManager.upload(options.url || this.defaultUrl, formData, {
+            timeout: options.timeout || 120000,
+            signal: signal,
+            // The multipart body is a little bigger than the file - report file bytes
+            onProgress: (percent, loaded, total) => this.progress(id, Math.round(loaded / total * entry.file.size))
+        }).then(response => {
+            if (response && response.success === false) {
+                throw new Error(response.message || 'Upload failed');
+            }
+            return response;
+        });
+    },
+
+    /**
+     * ✅ CORRECT: Chunked upload whose chunks share the manager's connection slots
+     * The ResumableUpload is kept across pause/retry - it continues from what the server has
+     */
+    sendResumable: async function(id, entry, signal) {
+        if (!entry.upload) {
+            entry.upload = new ResumableUpload(entry.file, {
+                ...entry.options.resumableOptions,
+                queue: this.getQueue(),
+                onProgress: progress => this.progress(id, progress.uploadedBytes, {
+                    chunks: {
+                        completed: progress.completedChunks,
+                        total: progress.totalChunks,
+                        size: progress.chunkSize
+                    }
+                })
+            });
+        }
+
+        const upload = entry.upload;
+        if (!upload.session) {
+            const prepared = await upload.prepare(signal);
+            this.update(id, { resumed: prepared.resumed });
+        }
+
+        if (signal.aborted) throw ApiManager.createAbortError();
+        return upload.start();
+    },
+
+    // ===== PER-FILE CONTROLS =====
+
+    /**
+     * 💡 TIP: A queued file can be held back too - it keeps its place and waits as 'paused'
+     */
+    pause: function(id) {
+        const item = this.items.get(id);
+        const entry = this.uploads.get(id);
+        if (!item || !entry || (item.status !== 'uploading' && item.status !== 'queued')) return;
+
+        this.update(id, this.getPausedChanges(item));
+        if (entry.upload) entry.upload.pause();
+        if (entry.controller) entry.controller.abort();
+    },
+
+    resume: function(id) {
+        const item = this.items.get(id);
+        if (!item || item.status !== 'paused') return;
+
+        this.update(id, { status: 'queued' });
+        this.pump();
+    },
+
+    /**
+     * Abort, clean up on the server (resumable) and reject the caller's promise
+     * Returns a promise of the server cleanup
+     */
+    cancel: function(id) {
+        const item = this.items.get(id);
+        const entry = this.uploads.get(id);
+        if (!item || !entry || this.isFinished(item)) return Promise.resolve();
+
+        this.finish(id, 'cancelled', {});
+        if (entry.controller) entry.controller.abort();
+        const cleanup = entry.upload ? entry.upload.cancel() : Promise.resolve();
+
+        entry.reject(ApiManager.createAbortError());
+        this.release(id);
+        return cleanup;
+    },
+
+    retry: function(id) {
+        const item = this.items.get(id);
+        if (!item || item.status !== 'failed' || !this.uploads.has(id)) return;
+
+        this.update(id, { status: 'queued', error: null, finishedAt: null });
+        this.pump();
+    },
+
+    /**
+     * Remove from the tray - cancels first when the file is still going
+     */
+    remove: function(id) {
+        const item = this.items.get(id);
+        if (!item) return;
+
+        if (!this.isFinished(item)) this.cancel(id);
+        this.items.delete(id);
+        this.uploads.delete(id);
+        this.emit();
+    },
+
+    clearFinished: function() {
+        this.getItems().filter(item => this.isFinished(item)).forEach(item => {
+            this.items.delete(item.id);
+            this.uploads.delete(item.id);
+        });
+        this.emit();
+    },
+
+    // ===== STATE =====
+
+    complete: function(id, entry, result) {
+        const item = this.finish(id, 'completed', { result: result, loaded: entry.file.size, percent: 100 });
+
+        entry.resolve(result);
+        if (entry.options.onComplete) entry.options.onComplete(result, item);
+        this.release(id);
+    },
+
+    fail: function(id, entry, error) {
+        const message = error.message || 'Upload failed';
+        const item = this.finish(id, 'failed', { error: message });
+
+        // The first failure rejects; a retry that fails again only reaches onError
+        entry.reject(error);
+        if (entry.options.onError) entry.options.onError(message, item);
+    },
+
+    finish: function(id, status, changes) {
+        this.update(id, { ...changes, status: status, speed: 0, finishedAt: Date.now() });
+        this.trimFinished();
+        return this.items.get(id);
+    },
+
+    /**
+     * Completed and cancelled files cannot be retried - drop the File so it can be garbage collected
+     */
+    release: function(id) {
+        const entry = this.uploads.get(id);
+        if (!entry) return;
+
+        entry.file = null;
+        entry.upload = null;
+        this.uploads.delete(id);
+    },
+
+    trimFinished: function() {
+        const finished = this.getItems().filter(item => this.isFinished(item));
+        finished.slice(0, Math.max(0, finished.length - this.finishedLimit)).forEach(item => {
+            this.items.delete(item.id);
+            this.uploads.delete(item.id);
+        });
+    },
+
+    progress: function(id, loaded, details = {}) {
+        const item = this.items.get(id);
+        const entry = this.uploads.get(id);
+        if (!item || !entry || item.status !== 'uploading') return;
+
+        // Bytes per second, smoothed - progress events are bursty
+        const now = Date.now();
+        let speed = item.speed;
+        if (entry.sampleAt && now > entry.sampleAt) {
+            const rate = Math.max(0, loaded - entry.sampleBytes) / ((now - entry.sampleAt) / 1000);
+            speed = speed ? speed * 0.7 + rate * 0.3 : rate;
+        }
+        entry.sampleAt = now;
+        entry.sampleBytes = loaded;
+
+        this.update(id, {
+            ...details,
+            loaded: loaded,
+            percent: item.total ? Math.round(loaded / item.total * 100) : 0,
+            speed: speed
+        });
+
+        if (entry.options.onProgress) entry.options.onProgress(this.items.get(id));
+    },
+
+    /**
+     * Pause and cancel set the status themselves - any other abort (ApiManager.cancelAllRequests()
+     * on logout) leaves the file paused so the user can resume it
+     */
+    stopped: function(id) {
+        const item = this.items.get(id);
+        if (item && item.status === 'uploading') {
+            this.update(id, this.getPausedChanges(item));
+        }
+    },
+
+    // A single request starts over on resume - only resumable files keep their bytes
+    getPausedChanges: function(item) {
+        return item.resumable
+            ? { status: 'paused', speed: 0 }
+            : { status: 'paused', speed: 0, loaded: 0, percent: 0 };
+    },
+
+    update: function(id, changes) {
+        const item = this.items.get(id);
+        if (!item) return;
+
+        this.items.set(id, { ...item, ...changes });
+        this.emit();
+    },
+
+    isFinished: function(item) {
+        return item.status === 'completed' || item.status === 'failed' || item.status === 'cancelled';
+    },
+
+    get: function(id) {
+        return this.items.get(id) || null;
+    },
+
+    getItems: function() {
+        return Array.from(this.items.values());
+    },
+
+    /**
+     * ✅ CORRECT: One number for "how far along is everything"
+     * Bytes of queued, running, paused and completed files - failed and cancelled ones are counted, not summed
+     */
+    getAggregateProgress: function() {
+        const aggregate = {
+            count: 0, queued: 0, uploading: 0, paused: 0, completed: 0, failed: 0, cancelled: 0,
+            pending: 0, loadedBytes: 0, totalBytes: 0, percent: 0, speed: 0
+        };
+
+        this.items.forEach(item => {
+            aggregate.count++;
+            aggregate[item.status]++;
+
+            if (item.status === 'failed' || item.status === 'cancelled') return;
+            aggregate.loadedBytes += item.loaded;
+            aggregate.totalBytes += item.total;
+            aggregate.speed += item.speed;
+        });
+
+        aggregate.pending = aggregate.queued + aggregate.uploading + aggregate.paused;
+        aggregate.percent = aggregate.totalBytes
+            ? Math.round(aggregate.loadedBytes / aggregate.totalBytes * 100)
+            : 0;
+        return aggregate;
+    },
+
+    hasActiveUploads: function() {
+        return this.getItems().some(item => item.status === 'queued' || item.status === 'uploading');
+    },
+
+    subscribe: function(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    emit: function() {
+        const items = this.getItems();
+        const aggregate = this.getAggregateProgress();
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(items, aggregate);
+            } catch (error) {
+                console.error('Upload listener failed:', error);
+            }
+        });
+    },
+
+    /**
+     * Closing or reloading the page stops every single-request upload - ask first
+     * (route changes inside the app are fine; resumable files continue after a reload)
+     */
+    installGuard: function() {
+        if (this.unregisterGuard || !window.UnsavedChangesGuard) return;
+        this.unregisterGuard = UnsavedChangesGuard.register(() => this.hasActiveUploads());
+    }
+};
+
+// ===== SECTION 2: UPLOAD TRAY =====
+
+/**
+ * ✅ CORRECT: Bottom-right tray of active and finished uploads
+ * Mounted on document.body the first time a file is queued; hidden again once the list is empty
+ * 🔥 PERFORMANCE: Progress events arrive many times a second - render once per animation frame,
+ * and only rebuild a row when its status changes (buttons keep focus while the bar moves)
+ * 🛡️ SECURITY: File names come from the user's disk - always escape them
+ */
+const UploadTray = {
+    element: null,
+    collapsed: false,
+    frame: null,
+    unsubscribe: null,
+
+    init: function() {
+        if (this.unsubscribe) return;
+
+        this.unsubscribe = UploadManager.subscribe(() => this.scheduleRender());
+        this.scheduleRender();
+    },
+
+    destroy: function() {
+        if (this.unsubscribe) this.unsubscribe();
+        if (this.frame) window.cancelAnimationFrame(this.frame);
+        if (this.element) this.element.remove();
+
+        this.unsubscribe = null;
+        this.frame = null;
+        this.element = null;
+    },
+
+    scheduleRender: function() {
+        if (this.frame) return;
+
+        this.frame = window.requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    },
+
+    /**
+     * ⚠️ CRITICAL: Apps that swap the whole <body> on navigation remove the tray - it is mounted again here
+     */
+    mount: function() {
+        if (this.element && document.body.contains(this.element)) return this.element;
+
+        const element = document.createElement('div');
+        element.id = 'xos-upload-tray';
+        element.className = 'xos-upload-tray';
+        element.setAttribute('role', 'region');
+        element.setAttribute('aria-label', 'Uploads');
+        element.innerHTML = `
+            <div class="xos-upload-tray-header">
+                <span class="xos-upload-tray-title" aria-live="polite"></span>
+                <button type="button" class="btn btn-sm btn-link" data-action="clear">Clear finished</button>
+                <button type="button" class="btn btn-sm btn-link" data-action="toggle" aria-label="Collapse uploads">
+                    <i class="bi bi-chevron-down"></i>
+                </button>
+            </div>
+            <div class="progress xos-upload-tray-total">
+                <div class="progress-bar" role="progressbar" style="width: 0%"></div>
+            </div>
+            <ul class="xos-upload-tray-list"></ul>
+        `;
+        element.addEventListener('click', (event) => this.handleClick(event));
+
+        document.body.appendChild(element);
+        this.element = element;
+        return element;
+    },
+
+    render: function() {
+        const items = UploadManager.getItems();
+        if (items.length === 0) {
+            if (this.element) this.element.remove();
+            this.element = null;
+            return;
+        }
+
+        const element = this.mount();
+        const aggregate = UploadManager.getAggregateProgress();
+
+        element.classList.toggle('collapsed', this.collapsed);
+        element.querySelector('.xos-upload-tray-title').textContent = this.getTitle(aggregate);
+        element.querySelector('[data-action="clear"]').hidden = aggregate.pending === aggregate.count;
+
+        const toggle = element.querySelector('[data-action="toggle"]');
+        toggle.setAttribute('aria-label', this.collapsed ? 'Expand uploads' : 'Collapse uploads');
+        toggle.querySelector('i').className = this.collapsed ? 'bi bi-chevron-up' : 'bi bi-chevron-down';
+
+        const totalBar = element.querySelector('.xos-upload-tray-total .progress-bar');
+        totalBar.style.width = `${aggregate.percent}%`;
+        totalBar.setAttribute('aria-valuenow', aggregate.percent);
+        element.querySelector('.xos-upload-tray-total').hidden = aggregate.pending === 0;
+
+        this.renderList(element.querySelector('.xos-upload-tray-list'), items);
+    },
+
+    renderList: function(list, items) {
+        const rows = new Map();
+        list.querySelectorAll('[data-upload-id]').forEach(row => rows.set(row.getAttribute('data-upload-id'), row));
+
+        // Newest first
+        items.slice().reverse().forEach((item, index) => {
+            let row = rows.get(item.id);
+            rows.delete(item.id);
+
+            if (!row || row.getAttribute('data-status') !== item.status) {
+                const template = document.createElement('template');
+                template.innerHTML = this.renderItem(item).trim();
+                const fresh = template.content.firstChild;
+
+                if (row) {
+                    row.replaceWith(fresh);
+                }
+                row = fresh;
+            }
+
+            if (list.children[index] !== row) {
+                list.insertBefore(row, list.children[index] || null);
+            }
+
+            this.updateItem(row, item);
+        });
+
+        // Removed from the manager
+        rows.forEach(row => row.remove());
+    },
+
+    renderItem: function(item) {
+        const name = this.escape(item.name);
+        const title = item.source ? `${name} (${this.escape(item.source)})` : name;
+        const showBar = item.status === 'uploading' || item.status === 'paused';
+
+        return `
+            <li class="xos-upload-tray-item" data-upload-id="${item.id}" data-status="${item.status}">
+                <div class="d-flex align-items-center">
+                    <i class="bi ${this.getIcon(item.status)} me-2"></i>
+                    <div class="flex-grow-1 overflow-hidden">
+                        <div class="xos-upload-tray-name text-truncate" title="${title}">${name}</div>
+                        <small class="xos-upload-tray-meta text-muted"></small>
+                    </div>
+                    <div class="xos-upload-tray-actions">
+                        ${this.getActions(item.status).map(action => `
+                            <button type="button" class="btn btn-sm btn-link" data-action="${action.name}"
+                                    title="${action.label}" aria-label="${action.label} ${name}">
+                                <i class="bi ${action.icon}"></i>
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+                ${showBar ? `
+                    <div class="progress">
+                        <div class="progress-bar ${item.status === 'paused' ? 'bg-secondary' : ''}" role="progressbar"></div>
+                    </div>
+                ` : ''}
+            </li>
+        `;
+    },
+
+    /**
+     * Every frame: only the bar and the text line change
+     */
+    updateItem: function(row, item) {
+        const bar = row.querySelector('.progress-bar');
+        if (bar) {
+            bar.style.width = `${item.percent}%`;
+            bar.setAttribute('aria-valuenow', item.percent);
+        }
+
+        const meta = row.querySelector('.xos-upload-tray-meta');
+        const text = this.getMeta(item);
+        if (meta.textContent !== text) meta.textContent = text;
+        meta.classList.toggle('text-danger', item.status === 'failed');
+    },
+
+    getTitle: function(aggregate) {
+        if (aggregate.uploading + aggregate.queued > 0) {
+            const files = aggregate.pending === 1 ? '1 file' : `${aggregate.pending} files`;
+            return `Uploading ${files} - ${aggregate.percent}%`;
+        }
+        if (aggregate.paused > 0) {
+            return `${aggregate.paused} paused`;
+        }
+
+        const parts = [`${aggregate.completed} uploaded`];
+        if (aggregate.failed > 0) parts.push(`${aggregate.failed} failed`);
+        return parts.join(', ');
+    },
+
+    getMeta: function(item) {
+        switch (item.status) {
+            case 'queued':
+                return `${this.formatFileSize(item.size)} - Waiting...`;
+            case 'uploading': {
+                const parts = [`${this.formatFileSize(item.loaded)} of ${this.formatFileSize(item.total)}`];
+                if (item.speed > 0) {
+                    parts.push(`${this.formatFileSize(item.speed)}/s`);
+                    parts.push(`${this.formatTime((item.total - item.loaded) / item.speed)} left`);
+                }
+                return parts.join(' - ');
+            }
+            case 'paused':
+                return item.resumable ? `Paused at ${item.percent}%` : 'Paused - starts over when resumed';
+            case 'completed':
+                return `${this.formatFileSize(item.size)} - Uploaded`;
+            case 'failed':
+                return item.error || 'Upload failed';
+            case 'cancelled':
+                return 'Cancelled';
+            default:
+                return '';
+        }
+    },
+
+    getIcon: function(status) {
+        switch (status) {
+            case 'queued': return 'bi-hourglass-split text-muted';
+            case 'uploading': return 'bi-cloud-arrow-up text-primary';
+            case 'paused': return 'bi-pause-circle text-secondary';
+            case 'completed': return 'bi-check-circle text-success';
+            case 'failed': return 'bi-exclamation-circle text-danger';
+            default: return 'bi-x-circle text-muted';
+        }
+    },
+
+    getActions: function(status) {
+        const actions = {
+            pause: { name: 'pause', label: 'Pause', icon: 'bi-pause-fill' },
+            resume: { name: 'resume', label: 'Resume', icon: 'bi-play-fill' },
+            retry: { name: 'retry', label: 'Retry', icon: 'bi-arrow-clockwise' },
+            cancel: { name: 'cancel', label: 'Cancel', icon: 'bi-x-lg' },
+            remove: { name: 'remove', label: 'Remove', icon: 'bi-x-lg' }
+        };
+
+        switch (status) {
+            case 'queued':
+            case 'uploading': return [actions.pause, actions.cancel];
+            case 'paused': return [actions.resume, actions.cancel];
+            case 'failed': return [actions.retry, actions.remove];
+            default: return [actions.remove];
+        }
+    },
+
+    // One delegated listener - rows are replaced as their status changes
+    handleClick: function(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const row = button.closest('[data-upload-id]');
+        const id = row ? row.getAttribute('data-upload-id') : null;
+
+        switch (button.getAttribute('data-action')) {
+            case 'toggle':
+                this.collapsed = !this.collapsed;
+                this.render();
+                break;
+            case 'clear': UploadManager.clearFinished(); break;
+            case 'pause': UploadManager.pause(id); break;
+            case 'resume': UploadManager.resume(id); break;
+            case 'retry': UploadManager.retry(id); break;
+            case 'cancel': UploadManager.cancel(id); break;
+            case 'remove': UploadManager.remove(id); break;
+        }
+    },
+
+    escape: function(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    formatFileSize: function(bytes) {
+        if (!bytes) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    },
+
+    formatTime: function(seconds) {
+        if (seconds < 60) return `${Math.max(1, Math.round(seconds))}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${Math.round(seconds % 60)}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+};
+
+// Usage examples:
+/*
+// Any file, anywhere - the tray appears by itself
+const promise = UploadManager.upload(file, {
+    url: '/api/files/upload',
+    fields: { folder: 'invoices' },
+    source: 'Invoice import'          // Shown with the file name in the tray
+});
+const uploadId = promise.uploadId;     // pause / resume / cancel / retry / remove
+const response = await promise;        // Server response; rejects on failure or cancel
+
+// Big files in resumable chunks (integration/resumable-upload-complete.js)
+UploadManager.upload(file, { resumable: 'auto', resumableOptions: { protocol: 'xos', concurrency: 3 } });
+
+// React: follow your own uploads (integration/file-upload-complete.jsx useUploadItems)
+useEffect(() => UploadManager.subscribe((items, aggregate) => setTotal(aggregate.percent)), []);
+
+// jQuery / XOS.Modal code and FileApi.upload / FileUploadLoader.startUpload all go through the same queue
+
+// Tuning - once at startup
+UploadManager.configure({ maxActiveFiles: 2, maxConnections: 4, resumableThreshold: 52428800 });
+
+// No tray (an app that renders its own from subscribe())
+UploadManager.configure({ showTray: false });
+*/
+
+// Export for global use
+window.UploadManager = UploadManager;
+window.UploadTray = UploadTray;
+
+// ❌ COMMON MISTAKES TO AVOID:
+// 1. Uploading from a component and aborting on unmount - the user navigates away and the file is lost
+// 2. One queue per component - five widgets with three uploads each open fifteen connections
+// 3. Rendering the tray inside the routed view or a modal - it disappears with them
+// 4. Writing file names into innerHTML unescaped - a file called <img onerror=...> runs script
+// 5. Appending extra form fields after the file - streaming parsers see them too late
+// 6. Rejecting the caller's promise again on every retry - it settles once; use onComplete / onError
+// 7. Re-rendering the whole tray on every progress event - buttons lose focus and the page stutters
+// 8. Summing failed files into the total - the aggregate bar would never reach 100%
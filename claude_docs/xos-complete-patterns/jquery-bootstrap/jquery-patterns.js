@@ -150,10 +150,15 @@
                     }
                 } else {
                     XOS.jQuery.showNotification('Error', response.message || 'Operation failed', 'error');
-                    XOS.jQuery.showValidationErrors($form, response.errors);
+                    XOS.jQuery.showValidationErrors($form, response);
                 }
             },
             error: function(xhr, status, error) {
+                // 400/422: put ModelState / ProblemDetails / Errors[] on the fields
+                if (ServerValidationErrors.isValidationError(xhr)) {
+                    XOS.jQuery.showValidationErrors($form, xhr);
+                }
+
                 const errorMessage = xhr.responseJSON?.message || 'An error occurred while processing your request';
                 XOS.jQuery.showNotification('Error', errorMessage, 'error');
             },
@@ -170,12 +175,32 @@
     // ============================================================================
 
     // ✅ CORRECT: Custom jQuery plugin pattern
+    // 🔥 PERFORMANCE: For 1,000+ rows use virtual: { rowHeight, height } - only the visible rows
+    // are in the DOM (window.VirtualTable, frontend/virtual-scroll-complete.js). infinite: true
+    // loads the next page while scrolling instead of showing pagination
+    // (window.InfiniteScrollLoader, api-patterns/utils-ajax-complete.js).
+    // 💡 TIP: columnChooser / reorderable / resizable / views keep the column layout in a
+    // window.ColumnLayout and named views in window.SavedViews (frontend/column-views-complete.js).
+    // Columns take width, pinned: 'left' | 'right', hideable, reorderable and resizable.
+    // export: ['csv', 'xlsx', 'json'] writes the visible columns and loaded rows in the browser
+    // (window.GridExporter, frontend/grid-export-complete.js); columns may add exportValue / exportable: false.
+    // editable: { url, idField, rules } edits cells of columns with an editor ('text' | 'number' | 'combobox' |
+    // 'checkbox' | 'date', combobox options: array or function returning a Promise) in place; "Save changes"
+    // posts only the changed rows (window.RowEditSession, frontend/inline-edit-complete.js).
     $.fn.xosDataTable = function(options) {
         const defaults = {
             pageSize: 10,
             sortable: true,
             searchable: true,
             pagination: true,
+            virtual: false,     // true or { rowHeight, estimatedRowHeight, height, overscan }
+            infinite: false,    // Requires virtual
+            columnChooser: false,   // "Columns" menu - show/hide, pin, move
+            reorderable: false,     // Drag headers to reorder
+            resizable: false,       // Drag header edges (or arrow keys on them) to resize
+            views: null,            // { key, storage } - named saved views, last layout restored on load
+            export: false,          // true (all formats) or ['csv', 'xlsx', 'json'] - "Export" menu
+            editable: null,         // { url, idField, rules } - inline cell editing with a batch save
             ajax: {
                 url: null,
                 method: 'GET'
@@ -188,6 +213,15 @@
         return this.each(function() {
             const $table = $(this);
             const settings = $.extend(true, {}, defaults, options);
+
+            if (settings.virtual) {
+                settings.virtual = $.extend({ rowHeight: 0, estimatedRowHeight: 41, height: 500, overscan: 10 },
+                    settings.virtual === true ? {} : settings.virtual);
+            }
+            settings.infinite = Boolean(settings.infinite && settings.virtual);
+            if (settings.export) {
+                settings.export = settings.export === true ? Object.keys(GridExporter.writers) : settings.export;
+            }
             
             // Store settings for later use
             $table.data('xos-datatable-settings', settings);
@@ -197,43 +231,286 @@
         });
 
         function initializeTable($table, settings) {
+            // Virtual rows are recycled while scrolling - striping comes from the row index, not .table-striped
+            const tableContainer = settings.virtual
+                ? `<div class="xos-virtual-scroll" style="height: ${settings.virtual.height}px">
+                        <table class="table table-hover mb-0">`
+                : `<div class="table-responsive">
+                        <table class="table table-striped">`;
+
+            const toolbar = [
+                settings.searchable ? '<div class="datatable-search flex-grow-1"><input type="text" class="form-control" placeholder="Search..."></div>' : '',
+                settings.views ? `
+                    <div class="datatable-views input-group w-auto">
+                        <select class="form-select" aria-label="Saved views"></select>
+                        <button type="button" class="btn btn-outline-secondary" data-view-action="save" title="Save view" aria-label="Save view"><i class="fa fa-save"></i></button>
+                        <button type="button" class="btn btn-outline-danger" data-view-action="delete" title="Delete view" aria-label="Delete view"><i class="fa fa-trash"></i></button>
+                    </div>` : '',
+                settings.columnChooser ? `
+                    <div class="dropdown datatable-columns">
+                        <button type="button" class="btn btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" data-bs-auto-close="outside" aria-expanded="false">
+                            <i class="fa fa-columns me-1"></i>Columns
+                        </button>
+                        <div class="dropdown-menu dropdown-menu-end p-2" style="min-width: 300px"></div>
+                    </div>` : '',
+                settings.export ? `
+                    <div class="dropdown datatable-export">
+                        <button type="button" class="btn btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+                            <i class="fa fa-download me-1"></i>Export
+                        </button>
+                        <ul class="dropdown-menu dropdown-menu-end">
+                            ${settings.export.map(format => `<li><button type="button" class="dropdown-item" data-export-format="${format}">${format.toUpperCase()}</button></li>`).join('')}
+                        </ul>
+                    </div>` : '',
+                settings.editable ? `
+                    <div class="datatable-edit-actions d-flex align-items-center gap-2">
+                        <span class="datatable-edit-status small text-danger" role="alert"></span>
+                        <button type="button" class="btn btn-primary" data-edit-action="save" disabled><i class="fa fa-save me-1"></i><span>Save changes</span></button>
+                        <button type="button" class="btn btn-outline-secondary" data-edit-action="discard" disabled>Discard</button>
+                    </div>` : ''
+            ].join('');
+
             // Create table structure
             const tableHtml = `
                 <div class="xos-datatable-wrapper">
-                    ${settings.searchable ? '<div class="datatable-search mb-3"><input type="text" class="form-control" placeholder="Search..."></div>' : ''}
-                    <div class="table-responsive">
-                        <table class="table table-striped">
+                    ${toolbar ? `<div class="datatable-toolbar d-flex align-items-center gap-2 mb-3">${toolbar}</div>` : ''}
+                    ${tableContainer}
                             <thead></thead>
                             <tbody></tbody>
                         </table>
                     </div>
-                    ${settings.pagination ? '<div class="datatable-pagination"></div>' : ''}
+                    ${settings.virtual ? '<div class="datatable-status small text-muted mt-2" aria-live="polite"></div>' : ''}
+                    ${settings.pagination && !settings.infinite ? '<div class="datatable-pagination"></div>' : ''}
                 </div>
             `;
 
             $table.html(tableHtml);
 
+            // One layout object owns column order, visibility, widths and pinning
+            const layout = new ColumnLayout(settings.columns);
+            $table.data('xos-datatable-layout', layout);
+            $table.data('xos-datatable-columns', layout.getColumns());
+
             // Build header
             buildTableHeader($table, settings);
+            if (settings.columnChooser) {
+                renderColumnChooser($table);
+            }
+
+            if (settings.virtual) {
+                initializeVirtualRows($table, settings);
+            }
 
             // Setup event handlers
             setupEventHandlers($table, settings);
 
+            layout.subscribe(() => applyColumnLayout($table, settings));
+
+            // ⚠️ CRITICAL: Restore the last layout/sort/search BEFORE the first load - one request, not two
+            // (combobox options too - cells render their option names)
+            const ready = Promise.all([
+                settings.views ? initializeViews($table, settings) : null,
+                settings.editable ? initializeEditing($table, settings) : null
+            ]);
+
             // Load initial data
-            loadTableData($table, settings);
+            ready.then(() => loadTableData($table, settings));
+        }
+
+        function getColumns($table) {
+            return $table.data('xos-datatable-columns');
+        }
+
+        // Sticky offset for pinned cells - the same on <th> and <td>
+        function pinnedAttributes(column, classes = []) {
+            const classList = column.pinned ? [...classes, 'xos-pinned', `xos-pinned-${column.pinned}`] : classes;
+            const classAttr = classList.length ? ` class="${classList.join(' ')}"` : '';
+            return column.pinned ? `${classAttr} style="${column.pinned}: ${column.offset}px"` : classAttr;
         }
 
         function buildTableHeader($table, settings) {
+            const columns = getColumns($table);
             const $thead = $table.find('thead');
             let headerHtml = '<tr>';
 
-            settings.columns.forEach(column => {
-                const sortClass = settings.sortable && column.sortable !== false ? 'sortable' : '';
-                headerHtml += `<th class="${sortClass}" data-column="${column.field}">${column.title}</th>`;
+            columns.forEach(column => {
+                const classes = settings.sortable && column.sortable !== false ? ['sortable'] : [];
+                const draggable = settings.reorderable && column.reorderable !== false ? ' draggable="true"' : '';
+                const resizer = settings.resizable && column.resizable !== false
+                    ? `<span class="xos-column-resizer" tabindex="0" role="separator" aria-orientation="vertical" aria-label="Resize column"></span>`
+                    : '';
+                headerHtml += `<th${pinnedAttributes(column, classes)} data-column="${column.field}"${draggable}>${column.title}${resizer}</th>`;
             });
 
             headerHtml += '</tr>';
             $thead.html(headerHtml);
+
+            // Widths live on <col> so a resize drag moves header and body together
+            $table.find('colgroup').remove();
+            $('<colgroup>')
+                .append(columns.map(column => $('<col>').attr('data-column', column.field).css('width', column.width ? `${column.width}px` : '')))
+                .insertBefore($thead);
+            $table.find('table').toggleClass('xos-fixed-layout', Boolean(settings.resizable));
+
+            // The sort indicator survives a header rebuild
+            const currentSort = $table.data('current-sort');
+            if (currentSort) {
+                $thead.find('th').filter((index, th) => $(th).attr('data-column') === currentSort.column).addClass(`sort-${currentSort.direction}`);
+            }
+        }
+
+        // ✅ CORRECT: Every layout change - header, body and the saved "current" view follow
+        function applyColumnLayout($table, settings) {
+            $table.data('xos-datatable-columns', $table.data('xos-datatable-layout').getColumns());
+            buildTableHeader($table, settings);
+
+            if (settings.columnChooser) {
+                renderColumnChooser($table);
+            }
+
+            if (settings.virtual) {
+                const virtualTable = $table.data('xos-datatable-virtual');
+                virtualTable.columnCount = getColumns($table).length;
+                virtualTable.refresh();
+            } else if ($table.data('xos-datatable-data')) {
+                renderTableData($table, settings, $table.data('xos-datatable-data'));
+            }
+
+            saveCurrentView($table, settings);
+        }
+
+        function renderColumnChooser($table) {
+            const layout = $table.data('xos-datatable-layout');
+            const $menu = $table.find('.datatable-columns .dropdown-menu');
+
+            // Keep keyboard focus on the same control after the menu is rebuilt
+            const $focused = $menu.find(document.activeElement);
+            const focus = $focused.length
+                ? { field: $focused.closest('[data-column]').attr('data-column'), action: $focused.attr('data-action'), direction: $focused.attr('data-direction') }
+                : null;
+
+            $menu.empty();
+
+            layout.getAllColumns().forEach((column, index) => {
+                const id = `${$table.attr('id') || 'xos-datatable'}-column-${index}`;
+                const title = $('<div>').html(column.title).text() || column.field;
+                const movable = column.visible && column.reorderable !== false;
+
+                $('<div class="d-flex align-items-center gap-2 py-1">')
+                    .attr('data-column', column.field)
+                    .append(
+                        $('<input type="checkbox" class="form-check-input m-0" data-action="toggle">')
+                            .attr('id', id)
+                            .prop('checked', column.visible)
+                            .prop('disabled', column.hideable === false),
+                        $('<label class="form-check-label flex-grow-1">').attr('for', id).text(title),
+                        $('<select class="form-select form-select-sm w-auto" data-action="pin">')
+                            .attr('aria-label', `Pin ${title}`)
+                            .append('<option value="">Not pinned</option><option value="left">Pin left</option><option value="right">Pin right</option>')
+                            .val(column.pinned || ''),
+                        $('<button type="button" class="btn btn-sm btn-light" data-action="shift" data-direction="-1">&uarr;</button>')
+                            .attr('aria-label', `Move ${title} left`).prop('disabled', !movable),
+                        $('<button type="button" class="btn btn-sm btn-light" data-action="shift" data-direction="1">&darr;</button>')
+                            .attr('aria-label', `Move ${title} right`).prop('disabled', !movable)
+                    )
+                    .appendTo($menu);
+            });
+
+            $menu.append(
+                '<div class="dropdown-divider"></div>',
+                '<button type="button" class="btn btn-link btn-sm p-0" data-action="reset">Reset columns</button>'
+            );
+
+            if (focus) {
+                $menu.find(`[data-action="${focus.action}"]`)
+                    .filter((index, element) => $(element).closest('[data-column]').attr('data-column') === focus.field
+                        && (!focus.direction || $(element).attr('data-direction') === focus.direction))
+                    .first()
+                    .trigger('focus');
+            }
+        }
+
+        // ===== SAVED VIEWS =====
+
+        function initializeViews($table, settings) {
+            const views = new SavedViews({ gridKey: settings.views.key, storage: settings.views.storage });
+            $table.data('xos-datatable-views', views);
+
+            return views.load()
+                .then(() => {
+                    const current = views.getCurrent();
+                    if (current) {
+                        applyView($table, settings, current, false);
+                    }
+                })
+                .catch(error => console.warn('Saved views could not be loaded:', error))
+                .then(() => renderViewList($table));
+        }
+
+        // xosDataTable has no column filters - the search box is its filter
+        function getViewState($table) {
+            const currentSort = $table.data('current-sort');
+            return {
+                name: $table.data('current-view') || '',
+                columns: $table.data('xos-datatable-layout').getState(),
+                sort: currentSort ? [{ field: currentSort.column, direction: currentSort.direction }] : [],
+                filters: {},
+                search: $table.find('.datatable-search input').val() || ''
+            };
+        }
+
+        function saveCurrentView($table, settings) {
+            const views = $table.data('xos-datatable-views');
+            if (settings.views && views) {
+                views.saveCurrent(getViewState($table));
+            }
+        }
+
+        // ⚠️ CRITICAL: Views come from storage - only sort by a column that exists and is sortable
+        function applyView($table, settings, view, reload = true) {
+            const layout = $table.data('xos-datatable-layout');
+            const sort = Array.isArray(view.sort) ? view.sort[0] : null;
+            const sortColumn = sort && layout.findDefinition(sort.field);
+
+            if (settings.sortable && sortColumn && sortColumn.sortable !== false) {
+                $table.data('current-sort', { column: sort.field, direction: sort.direction === 'desc' ? 'desc' : 'asc' });
+            } else {
+                $table.removeData('current-sort');
+            }
+
+            $table.find('.datatable-search input').val(typeof view.search === 'string' ? view.search : '');
+            $table.data('current-view', view.name || '');
+            $table.data('current-page', 1);
+
+            // Rebuilds header and body through the layout subscription
+            layout.applyState(view.columns);
+
+            if (reload) {
+                loadTableData($table, settings);
+            }
+        }
+
+        function renderViewList($table) {
+            const views = $table.data('xos-datatable-views');
+            const current = $table.data('current-view') || '';
+            const $select = $table.find('.datatable-views select').empty();
+
+            $select.append($('<option value="">').text('Current layout'));
+            views.list().forEach(name => {
+                $select.append($('<option>').val(name).text(name));
+            });
+
+            $select.val(views.list().includes(current) ? current : '');
+            $table.find('[data-view-action="delete"]').prop('disabled', !$select.val());
+        }
+
+        function askViewName(defaultName, callback) {
+            const escaped = $('<div>').text(defaultName).html().replace(/"/g, '&quot;');
+            if (XOS.Modal && XOS.Modal.prompt) {
+                XOS.Modal.prompt('View name', escaped, value => callback($.trim(value || '')));
+            } else {
+                callback($.trim(window.prompt('View name', defaultName) || ''));
+            }
         }
 
         function setupEventHandlers($table, settings) {
@@ -241,13 +518,17 @@
             if (settings.searchable) {
                 $table.find('.datatable-search input').on('input', debounce(function() {
                     loadTableData($table, settings, { search: $(this).val() });
+                    saveCurrentView($table, settings);
                 }, 300));
             }
 
             // Sort handler
             if (settings.sortable) {
                 $table.on('click', 'th.sortable', function() {
-                    const column = $(this).data('column');
+                    // The click that ends a resize drag is not a sort
+                    if ($table.data('xos-resizing')) return;
+
+                    const column = $(this).attr('data-column');
                     const currentSort = $table.data('current-sort') || {};
                     const direction = currentSort.column === column && currentSort.direction === 'asc' ? 'desc' : 'asc';
                     
@@ -260,39 +541,600 @@
                     
                     // Reload data
                     loadTableData($table, settings, { sortBy: column, sortDirection: direction });
+                    saveCurrentView($table, settings);
+                });
+            }
+
+            if (settings.columnChooser) {
+                setupColumnChooserHandlers($table);
+            }
+
+            if (settings.reorderable) {
+                setupReorderHandlers($table);
+            }
+
+            if (settings.resizable) {
+                setupResizeHandlers($table);
+            }
+
+            if (settings.views) {
+                setupViewHandlers($table, settings);
+            }
+
+            if (settings.editable) {
+                setupEditHandlers($table, settings);
+            }
+
+            if (settings.export) {
+                $table.on('click', '[data-export-format]', function() {
+                    exportTableData($table, $(this).attr('data-export-format'), $(this).closest('.datatable-export').find('.dropdown-toggle'));
                 });
             }
 
             // Row click handler
             if (settings.onRowClick) {
                 $table.on('click', 'tbody tr', function() {
-                    const rowData = $(this).data('row-data');
-                    settings.onRowClick(rowData, $(this));
+                    const rowData = getRowData($table, $(this));
+                    if (rowData) {
+                        settings.onRowClick(rowData, $(this));
+                    }
                 });
             }
         }
 
+        function setupColumnChooserHandlers($table) {
+            const layout = $table.data('xos-datatable-layout');
+            const fieldOf = element => $(element).closest('[data-column]').attr('data-column');
+
+            $table.on('change', '.datatable-columns [data-action="toggle"]', function() {
+                // Refused (not hideable, last visible column) - put the checkbox back
+                if (!layout.setVisible(fieldOf(this), this.checked)) {
+                    this.checked = !this.checked;
+                }
+            });
+
+            $table.on('change', '.datatable-columns [data-action="pin"]', function() {
+                layout.pin(fieldOf(this), $(this).val() || null);
+            });
+
+            $table.on('click', '.datatable-columns [data-action="shift"]', function() {
+                layout.shift(fieldOf(this), Number($(this).attr('data-direction')));
+            });
+
+            $table.on('click', '.datatable-columns [data-action="reset"]', function() {
+                layout.reset();
+            });
+        }
+
+        // ✅ CORRECT: Drag a header onto another one - dropped on its left half goes before it, right half after it
+        function setupReorderHandlers($table) {
+            const layout = $table.data('xos-datatable-layout');
+            const dropAfter = (event, th) => {
+                const rect = th.getBoundingClientRect();
+                return event.originalEvent.clientX > rect.left + rect.width / 2;
+            };
+            const clearDropMarkers = () => $table.find('thead th').removeClass('xos-drop-before xos-drop-after xos-dragging');
+
+            $table.on('dragstart', 'thead th[draggable="true"]', function(e) {
+                // A resize drag starts on the same header
+                if ($table.data('xos-resizing')) {
+                    e.preventDefault();
+                    return;
+                }
+
+                const field = $(this).attr('data-column');
+                $table.data('xos-dragged-column', field);
+                e.originalEvent.dataTransfer.effectAllowed = 'move';
+                e.originalEvent.dataTransfer.setData('text/plain', field);   // Firefox only starts a drag with data
+                $(this).addClass('xos-dragging');
+            });
+
+            $table.on('dragover', 'thead th', function(e) {
+                if (!$table.data('xos-dragged-column')) return;
+
+                e.preventDefault();
+                $table.find('thead th').removeClass('xos-drop-before xos-drop-after');
+                $(this).addClass(dropAfter(e, this) ? 'xos-drop-after' : 'xos-drop-before');
+            });
+
+            $table.on('drop', 'thead th', function(e) {
+                const field = $table.data('xos-dragged-column');
+                if (!field) return;
+
+                e.preventDefault();
+                const beforeField = dropAfter(e, this)
+                    ? $(this).next('th').attr('data-column') || null
+                    : $(this).attr('data-column');
+
+                clearDropMarkers();
+                $table.removeData('xos-dragged-column');
+                layout.move(field, beforeField);
+            });
+
+            $table.on('dragend', 'thead th', function() {
+                clearDropMarkers();
+                $table.removeData('xos-dragged-column');
+            });
+        }
+
+        // ✅ CORRECT: Resize handle on each header edge
+        // 🔥 PERFORMANCE: While dragging only the <col> width changes - the layout (and a re-render) is updated on release
+        function setupResizeHandlers($table) {
+            const layout = $table.data('xos-datatable-layout');
+
+            $table.on('pointerdown', '.xos-column-resizer', function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+
+                const field = $(this).closest('th').attr('data-column');
+                const definition = layout.findDefinition(field);
+                const $col = $table.find('col').filter((index, col) => $(col).attr('data-column') === field);
+                const startX = e.originalEvent.clientX;
+                const startWidth = $(this).closest('th').outerWidth();
+                const minWidth = definition.minWidth || layout.minWidth;
+                let width = startWidth;
+
+                $table.data('xos-resizing', true);
+
+                const onMove = moveEvent => {
+                    width = Math.max(minWidth, startWidth + moveEvent.originalEvent.clientX - startX);
+                    $col.css('width', `${width}px`);
+                };
+                const onUp = () => {
+                    $(document).off('pointermove', onMove).off('pointerup pointercancel', onUp);
+                    layout.resize(field, width);
+
+                    // The click that follows this pointerup must not sort - cleared after it has fired
+                    setTimeout(() => $table.removeData('xos-resizing'), 0);
+                };
+
+                $(document).on('pointermove', onMove).on('pointerup pointercancel', onUp);
+            });
+
+            // Keyboard: ArrowLeft/ArrowRight on a focused handle, 10px per step
+            $table.on('keydown', '.xos-column-resizer', function(e) {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+
+                e.preventDefault();
+                e.stopPropagation();
+
+                const field = $(this).closest('th').attr('data-column');
+                const width = $(this).closest('th').outerWidth() + (e.key === 'ArrowRight' ? 10 : -10);
+                layout.resize(field, width);
+
+                // The header was rebuilt - focus the new handle
+                $table.find('thead th')
+                    .filter((index, th) => $(th).attr('data-column') === field)
+                    .find('.xos-column-resizer')
+                    .trigger('focus');
+            });
+        }
+
+        function setupViewHandlers($table, settings) {
+            const views = () => $table.data('xos-datatable-views');
+
+            $table.on('change', '.datatable-views select', function() {
+                const name = $(this).val();
+                const view = name ? views().get(name) : null;
+
+                $table.find('[data-view-action="delete"]').prop('disabled', !view);
+                if (view) {
+                    applyView($table, settings, view);
+                }
+            });
+
+            $table.on('click', '[data-view-action="save"]', function() {
+                askViewName($table.data('current-view') || '', name => {
+                    if (!name) return;
+
+                    views().save(name, getViewState($table))
+                        .then(saved => {
+                            $table.data('current-view', saved.name);
+                            renderViewList($table);
+                            saveCurrentView($table, settings);
+                            XOS.jQuery.showNotification('Saved', `View "${$('<div>').text(saved.name).html()}" saved`, 'success');
+                        })
+                        .catch(error => XOS.jQuery.showNotification('Error', $('<div>').text(error.message).html(), 'error'));
+                });
+            });
+
+            $table.on('click', '[data-view-action="delete"]', function() {
+                const name = $table.find('.datatable-views select').val();
+                if (!name) return;
+
+                XOS.jQuery.confirmDialog({
+                    title: 'Delete View',
+                    message: `Delete the view "${$('<div>').text(name).html()}"?`,
+                    confirmText: 'Delete',
+                    confirmClass: 'btn-danger',
+                    onConfirm: function() {
+                        views().remove(name)
+                            .then(() => {
+                                $table.removeData('current-view');
+                                renderViewList($table);
+                                saveCurrentView($table, settings);
+                            })
+                            .catch(error => XOS.jQuery.showNotification('Error', $('<div>').text(error.message).html(), 'error'));
+                    }
+                });
+            });
+        }
+
+        // ✅ CORRECT: Client-side export - the visible columns in their current order and the rows the table holds
+        // (the current page, or every row loaded so far in virtual/infinite mode)
+        function exportTableData($table, format, $button) {
+            const rows = $table.data('xos-datatable-virtual')
+                ? getRows($table)
+                : (($table.data('xos-datatable-data') || {}).items || []);
+
+            const exporter = new GridExporter({
+                columns: getColumns($table),
+                html: true,     // render() returns markup here
+                fileName: `${$table.attr('id') || 'export'}_${new Date().toISOString().slice(0, 10)}`
+            });
+
+            $button.prop('disabled', true);
+            exporter.download(format, rows)
+                .then(result => XOS.jQuery.showNotification('Exported', `${result.rowCount.toLocaleString()} rows exported`, 'success'))
+                .catch(error => XOS.jQuery.showNotification('Error', $('<div>').text(error.message || 'Export failed').html(), 'error'))
+                .then(() => $button.prop('disabled', false));
+        }
+
+        // ✅ CORRECT: Inline editing - pending edits live in a RowEditSession keyed by row id, the row objects
+        // stay as loaded until the batch is saved (paging, sorting and searching keep the edits)
+        function initializeEditing($table, settings) {
+            const editors = {};
+            const lookups = [];
+
+            settings.columns.filter(column => column.editor).forEach(column => {
+                const spec = typeof column.editor === 'string' ? { type: column.editor } : { ...column.editor };
+                spec.label = spec.label || column.title;
+                editors[column.field] = spec;
+
+                if (typeof column.options === 'function') {
+                    lookups.push(Promise.resolve(column.options())
+                        .then(options => { spec.options = options || []; })
+                        .catch(error => {
+                            spec.options = [];
+                            console.warn(`Options for "${column.field}" could not be loaded:`, error);
+                        }));
+                } else {
+                    spec.options = spec.options || column.options || [];
+                }
+            });
+
+            const edits = new RowEditSession({
+                idField: settings.editable.idField || 'id',
+                editors: editors,
+                rules: settings.editable.rules || {}
+            });
+            edits.subscribe(() => updateEditToolbar($table));
+            $table.data('xos-datatable-edits', edits);
+
+            return Promise.all(lookups);
+        }
+
+        // Rows in display order - the current page, or every loaded row in virtual mode
+        function getEditableRows($table) {
+            return $table.data('xos-datatable-virtual')
+                ? getRows($table)
+                : (($table.data('xos-datatable-data') || {}).items || []);
+        }
+
+        function setupEditHandlers($table, settings) {
+            const $tbody = $table.find('tbody');
+
+            // ⚠️ CRITICAL: Bound on tbody so handled keys never reach the row/virtual table handlers
+            // (Enter would open the row, arrows would move the active row instead of the caret)
+            $tbody.on('click', 'td[data-edit-field]', function(e) {
+                e.stopPropagation();
+                openCellEditor($table, $(this));
+            });
+
+            $tbody.on('keydown', 'td[data-edit-field]', function(e) {
+                if (e.target !== this || (e.key !== 'Enter' && e.key !== 'F2')) return;
+                e.preventDefault();
+                e.stopPropagation();
+                openCellEditor($table, $(this));
+            });
+
+            $tbody.on('click', '.xos-cell-editor', function(e) {
+                e.stopPropagation();
+            });
+
+            $tbody.on('input change', '.xos-cell-editor', function() {
+                const editing = $table.data('xos-datatable-editing');
+                if (!editing) return;
+
+                const $input = $(this);
+                const error = $table.data('xos-datatable-edits').setValue(editing.row, editing.field,
+                    $input.is(':checkbox') ? $input.prop('checked') : $input.val());
+                $input.toggleClass('is-invalid', Boolean(error)).attr('title', error || null).attr('aria-invalid', error ? 'true' : null);
+            });
+
+            $tbody.on('keydown', '.xos-cell-editor', function(e) {
+                e.stopPropagation();
+
+                const action = InlineEditKeys.action(e);
+                if (!action) return;
+                e.preventDefault();
+
+                if (action === 'cancel') {
+                    const editing = $table.data('xos-datatable-editing');
+                    const editor = $table.data('xos-datatable-edits').getEditor(editing.field);
+                    $table.data('xos-datatable-edits').setValue(editing.row, editing.field, editor.format(editing.startValue, editor));
+                }
+                closeCellEditor($table, action === 'next' ? 1 : action === 'previous' ? -1 : 0);
+            });
+
+            // Clicking elsewhere commits, like Enter
+            $tbody.on('focusout', '.xos-cell-editor', function() {
+                const editing = $table.data('xos-datatable-editing');
+                if (editing && editing.$input[0] === this) {
+                    closeCellEditor($table, 0, false);
+                }
+            });
+
+            $table.on('click', '[data-edit-action="save"]', function() {
+                saveTableEdits($table, settings);
+            });
+
+            $table.on('click', '[data-edit-action="discard"]', function() {
+                XOS.jQuery.confirmDialog({
+                    title: 'Discard changes',
+                    message: 'Discard all unsaved changes in this table?',
+                    confirmText: 'Discard',
+                    confirmClass: 'btn-danger',
+                    onConfirm: function() {
+                        $table.removeData('xos-datatable-editing');
+                        $table.data('xos-datatable-edits').revertAll();
+                        refreshEditedCells($table);
+                    }
+                });
+            });
+        }
+
+        // ✅ CORRECT: The editor replaces the cell content; its value goes to the session on every input
+        function openCellEditor($table, $cell) {
+            const edits = $table.data('xos-datatable-edits');
+            const row = getRowData($table, $cell.closest('tr'));
+            const field = $cell.attr('data-edit-field');
+            if (!row || $table.data('xos-datatable-saving')) return;
+
+            closeCellEditor($table, 0, false);
+
+            const editor = edits.getEditor(field);
+            const value = edits.getValue(row, field);
+            let $input;
+
+            if (editor.type === 'checkbox') {
+                $input = $('<input type="checkbox" class="form-check-input">').prop('checked', editor.format(value, editor));
+            } else if (editor.type === 'combobox') {
+                $input = $('<select class="form-select form-select-sm"></select>')
+                    .append($('<option value="">').text('-- Select --'))
+                    .append(editor.options.map(option => $('<option>').val(option.id).text(option.name)));
+                $input.val(editor.format(value, editor));
+            } else {
+                $input = $('<input class="form-control form-control-sm">')
+                    .attr('type', editor.type === 'number' || editor.type === 'date' ? editor.type : 'text')
+                    .attr({ min: editor.min, max: editor.max, step: editor.step })
+                    .val(editor.format(value, editor));
+            }
+
+            $input.addClass('xos-cell-editor').attr('aria-label', editor.label || field);
+            $table.data('xos-datatable-editing', { $cell: $cell, $input: $input, row: row, field: field, startValue: value });
+            $cell.empty().append($input);
+            $input.trigger('focus');
+        }
+
+        // Close the open editor - step 1/-1 opens the next/previous editable cell (Tab / Shift+Tab)
+        // Async rules (unique checks) run once the cell is left, not on every keystroke
+        function closeCellEditor($table, step = 0, focusCell = true) {
+            const editing = $table.data('xos-datatable-editing');
+            if (!editing) return;
+            $table.removeData('xos-datatable-editing');
+
+            const edits = $table.data('xos-datatable-edits');
+            const rows = getEditableRows($table);
+            const idField = edits.idField;
+            const fields = getColumns($table).filter(column => edits.isEditable(column.field)).map(column => column.field);
+            const next = step ? InlineEditKeys.nextCell(rows, fields, { id: editing.row[idField], field: editing.field }, step, idField) : null;
+
+            // Scrolled out of a virtual table - the row was repainted already
+            if (document.body.contains(editing.$cell[0])) {
+                const column = getColumns($table).find(entry => entry.field === editing.field);
+                const $fresh = $(renderEditableCell(column, editing.row, edits));
+                editing.$cell.replaceWith($fresh);
+                if (focusCell && !next) $fresh.trigger('focus');
+            }
+
+            if (edits.isCellDirty(editing.row, editing.field)) {
+                edits.validate({ rows: [editing.row] }).then(() => refreshEditedCells($table));
+            }
+
+            if (next) {
+                const index = rows.findIndex(row => String(row[idField]) === String(next.id));
+                const virtualTable = $table.data('xos-datatable-virtual');
+                let $row;
+                if (virtualTable) {
+                    virtualTable.scrollToIndex(index);
+                    virtualTable.refresh();
+                    $row = $(virtualTable.getRowElement(index));
+                } else {
+                    $row = $table.find('tbody tr').eq(index);
+                }
+                const $next = $row.find('td[data-edit-field]').filter((i, td) => $(td).attr('data-edit-field') === next.field);
+                if ($next.length) openCellEditor($table, $next);
+            }
+        }
+
+        // Markers after validation, save or discard - the open editor is left alone
+        function refreshEditedCells($table) {
+            const edits = $table.data('xos-datatable-edits');
+            const editing = $table.data('xos-datatable-editing');
+
+            $table.find('tbody td[data-edit-field]').each(function() {
+                if (editing && editing.$cell[0] === this) return;
+
+                const $cell = $(this);
+                const row = getRowData($table, $cell.closest('tr'));
+                const column = getColumns($table).find(entry => entry.field === $cell.attr('data-edit-field'));
+                if (row && column) {
+                    $cell.replaceWith(renderEditableCell(column, row, edits));
+                }
+            });
+        }
+
+        function updateEditToolbar($table) {
+            const edits = $table.data('xos-datatable-edits');
+            const dirtyCount = edits.getDirtyIds().length;
+            const invalidCount = Object.keys(edits.getErrors()).length;
+            const saving = Boolean($table.data('xos-datatable-saving'));
+            const $actions = $table.find('.datatable-edit-actions');
+
+            $actions.find('[data-edit-action]').prop('disabled', dirtyCount === 0 || saving);
+            $actions.find('[data-edit-action="save"] span').text(dirtyCount > 0 ? `Save changes (${dirtyCount})` : 'Save changes');
+            $actions.find('.datatable-edit-status').text(invalidCount > 0
+                ? `${invalidCount} ${invalidCount === 1 ? 'row needs' : 'rows need'} attention`
+                : '');
+        }
+
+        // ✅ CORRECT: Validate (async rules too) → one POST with the changed rows → per-row results
+        // Saved rows replace the loaded ones; failed rows keep their edits and show their errors
+        function saveTableEdits($table, settings) {
+            const edits = $table.data('xos-datatable-edits');
+            closeCellEditor($table, 0, false);
+
+            $table.data('xos-datatable-saving', true);
+            updateEditToolbar($table);
+
+            edits.validate()
+                .then(valid => {
+                    refreshEditedCells($table);
+                    if (!valid) {
+                        XOS.jQuery.showNotification('Error', 'Please fix the highlighted cells before saving', 'error');
+                        return null;
+                    }
+
+                    const batch = edits.getBatch();
+                    return $.ajax({
+                        url: settings.editable.url,
+                        type: 'POST',
+                        contentType: 'application/json',
+                        data: JSON.stringify({ rows: batch }),
+                        dataType: 'json'
+                    }).then(response => {
+                        const saved = edits.applyResults(RowEditSession.parseResults(response));
+                        mergeSavedRows($table, settings, saved);
+                        refreshEditedCells($table);
+
+                        if (saved.length === batch.length) {
+                            XOS.jQuery.showNotification('Saved', `${saved.length} ${saved.length === 1 ? 'row' : 'rows'} saved`, 'success');
+                        } else {
+                            XOS.jQuery.showNotification('Error', `${batch.length - saved.length} of ${batch.length} rows were not saved - see the highlighted rows`, 'error');
+                        }
+                    }, xhr => {
+                        const message = (xhr.responseJSON && xhr.responseJSON.message) || 'Saving changes failed';
+                        XOS.jQuery.showNotification('Error', $('<div>').text(message).html(), 'error');
+                    });
+                })
+                .catch(error => XOS.jQuery.showNotification('Error', $('<div>').text(error.message || 'Saving changes failed').html(), 'error'))
+                .then(() => {
+                    $table.removeData('xos-datatable-saving');
+                    updateEditToolbar($table);
+                });
+        }
+
+        function mergeSavedRows($table, settings, savedRows) {
+            if (savedRows.length === 0) return;
+
+            const idField = $table.data('xos-datatable-edits').idField;
+            const byId = new Map(savedRows.map(row => [String(row[idField]), row]));
+            const merge = rows => rows.map(row => byId.has(String(row[idField])) ? { ...row, ...byId.get(String(row[idField])) } : row);
+
+            if (settings.virtual) {
+                $table.data('xos-datatable-rows', merge(getRows($table)));
+                $table.data('xos-datatable-virtual').refresh();
+            } else if ($table.data('xos-datatable-data')) {
+                const data = $table.data('xos-datatable-data');
+                renderTableData($table, settings, { ...data, items: merge(data.items || []) });
+            }
+        }
+
+        // ✅ CORRECT: Virtual rows - the rows array is the source of truth, the DOM only shows a window of it
+        function initializeVirtualRows($table, settings) {
+            const virtualTable = new VirtualTable({
+                container: $table.find('.xos-virtual-scroll')[0],
+                table: $table.find('table')[0],
+                rowHeight: settings.virtual.rowHeight,
+                estimatedRowHeight: settings.virtual.estimatedRowHeight,
+                overscan: settings.virtual.overscan,
+                columnCount: getColumns($table).length,
+                emptyHtml: 'No data available',
+                renderRow: index => renderRowCells(getColumns($table), getRows($table)[index], $table.data('xos-datatable-edits')),
+                // Enter on the active row behaves like a click
+                onActivate: (index, event) => {
+                    if (settings.onRowClick && event.type === 'keydown') {
+                        settings.onRowClick(getRows($table)[index], $(virtualTable.getRowElement(index)));
+                    }
+                },
+                onRangeChange: range => {
+                    const loader = $table.data('xos-datatable-loader');
+                    if (loader && loader.shouldLoad(getRows($table).length - range.end)) {
+                        loader.loadMore();
+                    }
+                }
+            });
+
+            $table.data('xos-datatable-rows', []);
+            $table.data('xos-datatable-virtual', virtualTable);
+
+            if (settings.infinite) {
+                $table.data('xos-datatable-loader', new InfiniteScrollLoader({
+                    pageSize: settings.pageSize,
+                    load: (page, pageSize) => requestTablePage($table, settings, { page: page, pageSize: pageSize }),
+                    onItems: (items, page, result) => {
+                        renderVirtualRows($table, settings, items, page === 1, result.data);
+                        if (settings.onDataLoad) {
+                            settings.onDataLoad(result.data);
+                        }
+                    },
+                    onError: error => showTableError($table, settings, error.message),
+                    onLoadingChange: isLoading => {
+                        if (isLoading) showTableLoading($table, settings);
+                    }
+                }));
+            }
+        }
+
+        function getRows($table) {
+            return $table.data('xos-datatable-rows') || [];
+        }
+
+        // Virtual rows carry their index, classic rows their data
+        function getRowData($table, $row) {
+            const index = $row.data('index');
+            return index !== undefined ? getRows($table)[index] : $row.data('row-data');
+        }
+
         function loadTableData($table, settings, additionalParams = {}) {
             if (!settings.ajax.url) {
                 console.error('No AJAX URL provided for data table');
                 return;
             }
 
-            const currentSearch = $table.find('.datatable-search input').val();
-            const currentSort = $table.data('current-sort') || {};
-            const currentPage = $table.data('current-page') || 1;
+            // Infinite scroll: a new search/sort starts over at page 1, older pages in flight are ignored
+            if (settings.infinite) {
+                const loader = $table.data('xos-datatable-loader');
+                loader.reset();
+                loader.loadMore();
+                return;
+            }
 
-            const params = {
-                page: currentPage,
-                pageSize: settings.pageSize,
-                search: currentSearch,
-                sortBy: currentSort.column,
-                sortDirection: currentSort.direction,
-                ...additionalParams
-            };
+            const params = buildRequestParams($table, settings, additionalParams);
 
             // Show loading state
-            $table.find('tbody').html('<tr><td colspan="100%" class="text-center">Loading...</td></tr>');
+            showTableLoading($table, settings);
 
             $.ajax({
                 url: settings.ajax.url,
@@ -309,33 +1151,161 @@
                             settings.onDataLoad(response.data);
                         }
                     } else {
-                        $table.find('tbody').html(`<tr><td colspan="100%" class="text-center text-danger">${response.message || 'Failed to load data'}</td></tr>`);
+                        showTableError($table, settings, response.message || 'Failed to load data');
                     }
                 },
                 error: function(xhr, status, error) {
-                    $table.find('tbody').html('<tr><td colspan="100%" class="text-center text-danger">Error loading data</td></tr>');
+                    showTableError($table, settings, 'Error loading data');
+                }
+            });
+        }
+
+        function buildRequestParams($table, settings, additionalParams = {}) {
+            const currentSearch = $table.find('.datatable-search input').val();
+            const currentSort = $table.data('current-sort') || {};
+            const currentPage = $table.data('current-page') || 1;
+
+            return {
+                page: currentPage,
+                pageSize: settings.pageSize,
+                search: currentSearch,
+                sortBy: currentSort.column,
+                sortDirection: currentSort.direction,
+                ...additionalParams
+            };
+        }
+
+        // One page as a Promise of { items, hasMore, data } - the InfiniteScrollLoader's load()
+        function requestTablePage($table, settings, params) {
+            return new Promise((resolve, reject) => {
+                $.ajax({
+                    url: settings.ajax.url,
+                    type: settings.ajax.method,
+                    data: buildRequestParams($table, settings, params),
+                    dataType: 'json',
+                    success: function(response) {
+                        if (response.success) {
+                            const pagination = response.data.pagination || {};
+                            resolve({ items: response.data.items || [], hasMore: Boolean(pagination.hasNext), data: response.data });
+                        } else {
+                            reject(new Error(response.message || 'Failed to load data'));
+                        }
+                    },
+                    error: function() {
+                        reject(new Error('Error loading data'));
+                    }
+                });
+            });
+        }
+
+        function showTableLoading($table, settings) {
+            if (settings.virtual) {
+                // The virtual renderer owns the tbody - keep the rows, dim them and say so in the status line
+                $table.find('table').addClass('table-loading').attr('aria-busy', 'true');
+                $table.find('.datatable-status').removeClass('text-danger').text('Loading...');
+                return;
+            }
+
+            $table.find('tbody').html('<tr><td colspan="100%" class="text-center">Loading...</td></tr>');
+        }
+
+        function showTableError($table, settings, message) {
+            if (settings.virtual) {
+                $table.find('table').removeClass('table-loading').removeAttr('aria-busy');
+                $table.find('.datatable-status').addClass('text-danger').text(message);
+                return;
+            }
+
+            $table.find('tbody').html(`<tr><td colspan="100%" class="text-center text-danger">${message}</td></tr>`);
+        }
+
+        function renderRowCells(columns, row, edits = null) {
+            let cellsHtml = '';
+
+            columns.forEach(column => {
+                if (edits && edits.isEditable(column.field)) {
+                    cellsHtml += renderEditableCell(column, row, edits);
+                    return;
                 }
+
+                let cellValue = row[column.field];
+                
+                // Apply column renderer if provided
+                if (column.render && typeof column.render === 'function') {
+                    cellValue = column.render(cellValue, row);
+                }
+                
+                cellsHtml += `<td${pinnedAttributes(column)}>${cellValue || ''}</td>`;
             });
+
+            return cellsHtml;
+        }
+
+        // Pending value, dirty/invalid markers - render() gets the row with the edits applied
+        // 🛡️ SECURITY: Without render() the value is typed by the user - always escaped
+        function renderEditableCell(column, row, edits) {
+            const editor = edits.getEditor(column.field);
+            const editedRow = edits.getRow(row);
+            const error = edits.getCellError(row, column.field);
+            const classes = ['xos-cell-editable'];
+            if (edits.isCellDirty(row, column.field)) classes.push('xos-cell-dirty');
+            if (error) classes.push('xos-cell-invalid');
+
+            const content = column.render && typeof column.render === 'function'
+                ? column.render(editedRow[column.field], editedRow)
+                : escapeText(editor.display(editedRow[column.field], editor));
+
+            return `<td${pinnedAttributes(column, classes)} data-edit-field="${column.field}" tabindex="0" ` +
+                `title="${escapeText(error || 'Click to edit')}"${error ? ' aria-invalid="true"' : ''}>${content === null || content === undefined ? '' : content}</td>`;
+        }
+
+        function escapeText(value) {
+            return $('<div>').text(value === null || value === undefined ? '' : String(value)).html().replace(/"/g, '&quot;');
+        }
+
+        // ⚠️ CRITICAL: replace (page 1, new search/sort) resets scroll position and measured heights;
+        // appending (next infinite page) keeps the user where they are
+        function renderVirtualRows($table, settings, items, replace, data) {
+            const rows = replace ? items.slice() : getRows($table);
+            if (!replace) {
+                items.forEach(item => rows.push(item));
+            }
+            $table.data('xos-datatable-rows', rows);
+
+            const virtualTable = $table.data('xos-datatable-virtual');
+            if (replace) {
+                virtualTable.reset(rows.length);
+            } else {
+                virtualTable.setRowCount(rows.length);
+            }
+
+            $table.find('table').removeClass('table-loading').removeAttr('aria-busy');
+
+            const loader = $table.data('xos-datatable-loader');
+            const total = data && data.pagination && data.pagination.totalRecords;
+            let status = `${rows.length.toLocaleString()}${total ? ' of ' + total.toLocaleString() : ''} rows`;
+            if (loader && loader.hasMoreData) {
+                status += ' - scroll for more';
+            }
+            $table.find('.datatable-status').removeClass('text-danger').text(status);
         }
 
         function renderTableData($table, settings, data) {
+            if (settings.virtual) {
+                renderVirtualRows($table, settings, data.items || [], true, data);
+                return;
+            }
+
+            // Kept for re-rendering after a column layout change
+            $table.data('xos-datatable-data', data);
+
             const $tbody = $table.find('tbody');
+            const columns = getColumns($table);
             let bodyHtml = '';
 
             if (data.items && data.items.length > 0) {
                 data.items.forEach(row => {
-                    bodyHtml += '<tr>';
-                    settings.columns.forEach(column => {
-                        let cellValue = row[column.field];
-                        
-                        // Apply column renderer if provided
-                        if (column.render && typeof column.render === 'function') {
-                            cellValue = column.render(cellValue, row);
-                        }
-                        
-                        bodyHtml += `<td>${cellValue || ''}</td>`;
-                    });
-                    bodyHtml += '</tr>';
+                    bodyHtml += `<tr>${renderRowCells(columns, row, $table.data('xos-datatable-edits'))}</tr>`;
                 });
             } else {
                 bodyHtml = '<tr><td colspan="100%" class="text-center text-muted">No data available</td></tr>';
@@ -411,6 +1381,18 @@
     };
 
     // ✅ CORRECT: Form validation plugin
+    // ⚠️ CRITICAL: rules use the shared schema format (frontend/validation-engine-complete.js),
+    // so the same object validates ViewModels, FormModals and plain jQuery forms.
+    // HTML attributes (required, type="email", minlength, pattern...) are picked up automatically.
+    // Requires window.ValidationEngine / window.FormRules (load validation-engine-complete.js first)
+    // and window.ServerValidationErrors (error-handling-complete.js) for server errors.
+    //
+    // Migration notes (from the field-by-field version):
+    // - onSubmit($form) → onSubmit($form, values): values are the form's values (FormRules.getValues).
+    //   Existing onSubmit($form) callbacks keep working - they just ignore the new argument
+    // - onInvalid($form) → onInvalid($form, errors, failure): errors is the { fieldName: message } map;
+    //   failure is set when validation itself failed (e.g. a remote uniqueness check could not be reached)
+    // - Validation is async: onValid/onInvalid/onSubmit run after async rules settle, not during the submit event
     $.fn.xosValidate = function(options) {
         const defaults = {
             rules: {},
@@ -424,94 +1406,84 @@
             const $form = $(this);
             const settings = $.extend(true, {}, defaults, options);
 
+            // Per-field messages ({ email: { required: '...' } }) map onto rule messages
+            Object.keys(settings.messages).forEach(fieldName => {
+                settings.rules[fieldName] = settings.rules[fieldName] || {};
+                settings.rules[fieldName].messages = $.extend({}, settings.rules[fieldName].messages, settings.messages[fieldName]);
+            });
+
+            // Latest blur check per field wins (async rules may still be running)
+            const pendingChecks = {};
+
             // Prevent default form submission
             $form.on('submit', function(e) {
                 e.preventDefault();
-                
-                if (validateForm($form, settings)) {
-                    if (settings.onSubmit) {
-                        settings.onSubmit($form);
+
+                validateForm($form, settings).then(function(result) {
+                    if (result.isValid && settings.onSubmit) {
+                        settings.onSubmit($form, FormRules.getValues($form[0]));
                     }
-                }
+                }).catch(function(error) {
+                    // An async rule rejected (e.g. the uniqueness endpoint is down) - never a silent no-op
+                    XOS.jQuery.showValidationSummary($form, ['The form could not be validated. Please try again.']);
+                    if (settings.onInvalid) {
+                        settings.onInvalid($form, {}, error);
+                    }
+                });
             });
 
             // Real-time validation
             $form.on('blur', 'input, select, textarea', function() {
-                validateField($(this), settings);
-            });
-        });
+                const fieldName = $(this).attr('name');
+                if (!fieldName) return;
 
-        function validateForm($form, settings) {
-            let isValid = true;
-            
-            $form.find('input, select, textarea').each(function() {
-                if (!validateField($(this), settings)) {
-                    isValid = false;
+                if (pendingChecks[fieldName]) {
+                    pendingChecks[fieldName].abort();
                 }
+                const controller = new AbortController();
+                pendingChecks[fieldName] = controller;
+
+                const schema = FormRules.buildSchema($form[0], settings.rules);
+                const fields = [fieldName].concat(ValidationEngine.dependentsOf(schema, fieldName));
+
+                ValidationEngine.validate(schema, FormRules.getValues($form[0]), { fields: fields, signal: controller.signal })
+                    .then(function(result) {
+                        if (controller.signal.aborted) return;
+                        delete pendingChecks[fieldName];
+
+                        fields.forEach(function(name) {
+                            const $field = $form.find(`[name="${name}"]`);
+                            clearFieldError($field);
+                            if (result.errors[name]) {
+                                showFieldError($field, result.errors[name]);
+                            }
+                        });
+                    })
+                    .catch(function() {
+                        // The submit check reports it - a failed blur check just leaves the field as it was
+                        if (!controller.signal.aborted) delete pendingChecks[fieldName];
+                    });
             });
+        });
 
-            if (isValid && settings.onValid) {
-                settings.onValid($form);
-            } else if (!isValid && settings.onInvalid) {
-                settings.onInvalid($form);
-            }
-
-            return isValid;
-        }
-
-        function validateField($field, settings) {
-            const fieldName = $field.attr('name');
-            const fieldValue = $field.val();
-            const rules = settings.rules[fieldName] || {};
-
-            // Clear previous errors
-            clearFieldError($field);
-
-            // Required validation
-            if (rules.required && (!fieldValue || fieldValue.trim() === '')) {
-                showFieldError($field, settings.messages[fieldName]?.required || 'This field is required');
-                return false;
-            }
-
-            // Skip other validations if field is empty and not required
-            if (!fieldValue) {
-                return true;
-            }
-
-            // Email validation
-            if (rules.email && !isValidEmail(fieldValue)) {
-                showFieldError($field, settings.messages[fieldName]?.email || 'Please enter a valid email address');
-                return false;
-            }
-
-            // Min length validation
-            if (rules.minLength && fieldValue.length < rules.minLength) {
-                showFieldError($field, settings.messages[fieldName]?.minLength || `Minimum ${rules.minLength} characters required`);
-                return false;
-            }
-
-            // Max length validation
-            if (rules.maxLength && fieldValue.length > rules.maxLength) {
-                showFieldError($field, settings.messages[fieldName]?.maxLength || `Maximum ${rules.maxLength} characters allowed`);
-                return false;
-            }
-
-            // Pattern validation
-            if (rules.pattern && !new RegExp(rules.pattern).test(fieldValue)) {
-                showFieldError($field, settings.messages[fieldName]?.pattern || 'Invalid format');
-                return false;
-            }
+        function validateForm($form, settings) {
+            return FormRules.validate($form[0], settings.rules).then(function(result) {
+                $form.find('.validation-summary').remove();
+                $form.find('.is-invalid').each(function() {
+                    clearFieldError($(this));
+                });
+                Object.keys(result.errors).forEach(function(fieldName) {
+                    showFieldError($form.find(`[name="${fieldName}"]`).first(), result.errors[fieldName]);
+                });
 
-            // Custom validation
-            if (rules.custom && typeof rules.custom === 'function') {
-                const customResult = rules.custom(fieldValue, $field);
-                if (customResult !== true) {
-                    showFieldError($field, customResult || 'Invalid value');
-                    return false;
+                if (result.isValid && settings.onValid) {
+                    settings.onValid($form);
+                } else if (!result.isValid && settings.onInvalid) {
+                    settings.onInvalid($form, result.errors);
                 }
-            }
 
-            return true;
+                return result;
+            });
         }
 
         function showFieldError($field, message) {
@@ -528,11 +1500,6 @@
             $field.removeClass('is-invalid');
             $field.siblings('.invalid-feedback').remove();
         }
-
-        function isValidEmail(email) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            return emailRegex.test(email);
-        }
     };
 
     // ============================================================================
@@ -670,33 +1637,18 @@
     };
 
     // ✅ CORRECT: Form validation helper
-    XOS.jQuery.validateForm = function($form) {
-        let isValid = true;
-
+    // Synchronous (HTML attribute rules + optional schema without async rules);
+    // use $.fn.xosValidate when the schema has async checks
+    XOS.jQuery.validateForm = function($form, rules = {}) {
         // Clear previous errors
         $form.find('.is-invalid').removeClass('is-invalid');
         $form.find('.invalid-feedback').remove();
+        $form.find('.validation-summary').remove();
 
-        // Validate required fields
-        $form.find('[required]').each(function() {
-            const $field = $(this);
-            if (!$field.val() || $field.val().trim() === '') {
-                XOS.jQuery.showFieldError($field, 'This field is required');
-                isValid = false;
-            }
-        });
-
-        // Validate email fields
-        $form.find('input[type="email"]').each(function() {
-            const $field = $(this);
-            const email = $field.val();
-            if (email && !XOS.jQuery.isValidEmail(email)) {
-                XOS.jQuery.showFieldError($field, 'Please enter a valid email address');
-                isValid = false;
-            }
-        });
+        const result = FormRules.validateSync($form[0], rules);
+        XOS.jQuery.showValidationErrors($form, result.errors);
 
-        return isValid;
+        return result.isValid;
     };
 
     XOS.jQuery.showFieldError = function($field, message) {
@@ -704,20 +1656,41 @@
         $field.after(`<div class="invalid-feedback">${message}</div>`);
     };
 
-    XOS.jQuery.showValidationErrors = function($form, errors) {
-        if (!errors) return;
+    // ✅ CORRECT: Show errors on a form - accepts the ValidationEngine map ({ email: 'message' }),
+    // field arrays ({ email: ['message'] }) and server 400/422 errors (jqXHR, ApiManager error,
+    // XOS Errors[], ProblemDetails, ModelState). Unmatched errors go to a summary above the form.
+    XOS.jQuery.showValidationErrors = function($form, errors, options = {}) {
+        if (!errors) return null;
 
-        Object.keys(errors).forEach(fieldName => {
-            const $field = $form.find(`[name="${fieldName}"]`);
-            if ($field.length && errors[fieldName].length > 0) {
-                XOS.jQuery.showFieldError($field, errors[fieldName][0]);
-            }
+        const fieldNames = $form.find('[name]').map(function() {
+            return this.name;
+        }).get();
+        const result = ServerValidationErrors.map(errors, fieldNames, options);
+
+        Object.keys(result.errors).forEach(fieldName => {
+            XOS.jQuery.showFieldError($form.find(`[name="${fieldName}"]`).first(), result.errors[fieldName]);
         });
+        XOS.jQuery.showValidationSummary($form, result.summary);
+
+        return result;
+    };
+
+    XOS.jQuery.showValidationSummary = function($form, messages) {
+        $form.find('.validation-summary').remove();
+        if (!messages || messages.length === 0) return;
+
+        // 🛡️ SECURITY: Server messages are inserted as text, never as HTML
+        const $list = $('<ul class="mb-0"></ul>');
+        messages.forEach(message => $list.append($('<li></li>').text(message)));
+
+        $('<div class="alert alert-danger validation-summary" role="alert"></div>')
+            .append($list)
+            .prependTo($form);
     };
 
+    // ⚠️ CRITICAL: Delegates to the shared pattern - never add another email regex
     XOS.jQuery.isValidEmail = function(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+        return ValidationEngine.patterns.email.test(email);
     };
 
     // ✅ CORRECT: AJAX helpers
@@ -813,44 +1786,38 @@
             return;
         }
 
-        // Create form data
-        const formData = new FormData();
-        formData.append('file', file);
-
         // Show loading
         XOS.jQuery.showLoading($element.closest('.form-group'));
 
-        // Upload file
-        $.ajax({
-            url: options.uploadUrl || '/api/files/upload',
-            type: 'POST',
-            data: formData,
-            processData: false,
-            contentType: false,
-            xhr: function() {
-                const xhr = new XMLHttpRequest();
-                xhr.upload.addEventListener('progress', function(e) {
-                    if (e.lengthComputable) {
-                        const percentComplete = (e.loaded / e.total) * 100;
-                        console.log('Upload progress:', percentComplete);
-                    }
-                });
-                return xhr;
-            },
-            success: function(response) {
-                if (response.success) {
-                    XOS.jQuery.showNotification('Success', 'File uploaded successfully', 'success');
-                    $element.trigger('file-uploaded', [response.data]);
-                } else {
-                    XOS.jQuery.showNotification('Error', response.message || 'Upload failed', 'error');
-                }
-            },
-            error: function() {
-                XOS.jQuery.showNotification('Error', 'Upload failed', 'error');
-            },
-            complete: function() {
+        // ✅ CORRECT: Content check first - file.type above is only derived from the filename
+        FileTypeDetector.verify(file).then(function(check) {
+            if (!check.valid) {
                 XOS.jQuery.hideLoading($element.closest('.form-group'));
+                XOS.jQuery.showNotification('Error', check.message, 'error');
+                $element.val('');
+                return;
+            }
+
+            XOS.jQuery.startFileUpload($element, file, options);
+        });
+    };
+
+    XOS.jQuery.startFileUpload = function($element, file, options) {
+        // ✅ CORRECT: Queued in UploadManager - progress, pause and retry live in the upload tray
+        // onComplete (not .then) also fires when a failed file is retried from the tray
+        UploadManager.upload(file, {
+            url: options.uploadUrl || '/api/files/upload',
+            source: options.source || $element.attr('name') || null,
+            onComplete: function(response) {
+                XOS.jQuery.showNotification('Success', 'File uploaded successfully', 'success');
+                $element.trigger('file-uploaded', [response.data]);
             }
+        }).catch(function(error) {
+            // Cancelled from the tray - nothing to report
+            if (ApiManager.isAbortError(error)) return;
+            XOS.jQuery.showNotification('Error', error.message || 'Upload failed', 'error');
+        }).finally(function() {
+            XOS.jQuery.hideLoading($element.closest('.form-group'));
         });
     };
 
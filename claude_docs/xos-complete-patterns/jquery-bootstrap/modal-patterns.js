@@ -445,6 +445,8 @@
     };
 
     // ✅ CORRECT: Form modal for CRUD operations
+    // Validation uses window.FormRules / window.ValidationEngine (load validation-engine-complete.js first)
+    // and window.ServerValidationErrors (error-handling-complete.js) for server errors
     XOS.Modal.FormModal = class extends XOS.Modal.BaseModal {
         constructor(options = {}) {
             const defaults = {
@@ -453,6 +455,7 @@
                 cancelText: 'Cancel',
                 submitClass: 'btn-primary',
                 validateOnSubmit: true,
+                rules: {},      // Shared ValidationEngine schema (merged over HTML attribute rules)
                 resetOnSuccess: false,
                 closeOnSuccess: true,
                 onSubmit: null,
@@ -508,14 +511,27 @@
                 return;
             }
 
-            // Validate form if enabled
-            if (this.settings.validateOnSubmit && !this.validateForm($form)) {
-                if (this.settings.onValidationError) {
-                    this.settings.onValidationError.call(this, $form);
-                }
+            // Validate form if enabled (async rules such as unique checks included)
+            if (!this.settings.validateOnSubmit) {
+                this.performSubmit($form);
                 return;
             }
 
+            this.validateForm($form).then((result) => {
+                if (!result) return; // Superseded by a newer submit
+
+                if (!result.isValid) {
+                    if (this.settings.onValidationError) {
+                        this.settings.onValidationError.call(this, $form, result.errors);
+                    }
+                    return;
+                }
+
+                this.performSubmit($form);
+            });
+        }
+
+        performSubmit($form) {
             // Disable submit button
             this.disableButton(1);
             const submitBtn = this.$element.find('.modal-footer .btn-primary');
@@ -552,35 +568,31 @@
             }
         }
 
+        /**
+         * ⚠️ CRITICAL: Same engine and error map as ViewModels and $.fn.xosValidate
+         * Resolves to { isValid, errors }, or null when a newer submit replaced this run
+         */
         validateForm($form) {
-            let isValid = true;
-            
-            // Clear previous errors
-            $form.find('.is-invalid').removeClass('is-invalid');
-            $form.find('.invalid-feedback').remove();
-
-            // Validate required fields
-            $form.find('[required]').each(function() {
-                const $field = $(this);
-                if (!$field.val() || $field.val().trim() === '') {
-                    $field.addClass('is-invalid');
-                    $field.after('<div class="invalid-feedback">This field is required</div>');
-                    isValid = false;
-                }
-            });
+            // A newer submit supersedes a running validation (slow unique checks)
+            if (this.validationController) {
+                this.validationController.abort();
+            }
+            const controller = new AbortController();
+            this.validationController = controller;
 
-            // Validate email fields
-            $form.find('input[type="email"]').each(function() {
-                const $field = $(this);
-                const email = $field.val();
-                if (email && !XOS.Modal.isValidEmail(email)) {
-                    $field.addClass('is-invalid');
-                    $field.after('<div class="invalid-feedback">Please enter a valid email address</div>');
-                    isValid = false;
+            return FormRules.validate($form[0], this.settings.rules, { signal: controller.signal }).then((result) => {
+                if (controller.signal.aborted) {
+                    return null;
                 }
-            });
 
-            return isValid;
+                // Clear previous errors
+                $form.find('.is-invalid').removeClass('is-invalid');
+                $form.find('.invalid-feedback').remove();
+                $form.find('.validation-summary').remove();
+
+                this.showValidationErrors($form, result.errors);
+                return result;
+            });
         }
 
         getFormData($form) {
@@ -621,20 +633,34 @@
                 this.settings.onError.call(this, error, $form);
             }
 
-            // Show validation errors if provided
-            if (error.responseJSON && error.responseJSON.errors) {
-                this.showValidationErrors($form, error.responseJSON.errors);
+            // Show validation errors if provided (400/422: ModelState, ProblemDetails, Errors[])
+            if (ServerValidationErrors.isValidationError(error)) {
+                this.showValidationErrors($form, error);
             }
         }
 
+        /**
+         * Same mapping as XOS.jQuery.showValidationErrors: engine maps, field arrays
+         * and server errors; messages without a matching field go to a summary
+         */
         showValidationErrors($form, errors) {
-            Object.keys(errors).forEach(fieldName => {
-                const $field = $form.find(`[name="${fieldName}"]`);
-                if ($field.length && errors[fieldName].length > 0) {
-                    $field.addClass('is-invalid');
-                    $field.after(`<div class="invalid-feedback">${errors[fieldName][0]}</div>`);
-                }
+            const fieldNames = $form.find('[name]').map(function() {
+                return this.name;
+            }).get();
+            const result = ServerValidationErrors.map(errors, fieldNames);
+
+            Object.keys(result.errors).forEach(fieldName => {
+                const $field = $form.find(`[name="${fieldName}"]`).first();
+                $field.addClass('is-invalid');
+                $field.after($('<div class="invalid-feedback"></div>').text(result.errors[fieldName]));
             });
+
+            $form.find('.validation-summary').remove();
+            if (result.summary.length) {
+                const $list = $('<ul class="mb-0"></ul>');
+                result.summary.forEach(message => $list.append($('<li></li>').text(message)));
+                $('<div class="alert alert-danger validation-summary" role="alert"></div>').append($list).prependTo($form);
+            }
         }
 
         static create(formHtml, options = {}) {
@@ -642,6 +668,201 @@
         }
     };
 
+    // ✅ CORRECT: Concurrency conflict modal (409/412 on save or delete)
+    // Field-by-field diff of the user's values and the current server record,
+    // resolved with "keep mine", "take theirs" or a per-field merge
+    XOS.Modal.ConflictModal = class extends XOS.Modal.BaseModal {
+        constructor(options = {}) {
+            const defaults = {
+                title: 'This record was changed by someone else',
+                base: null,         // Record as it was loaded
+                mine: null,         // The user's values (null for a delete)
+                theirs: null,       // Current server record (null when it was deleted)
+                version: null,      // Current server version - send it with the next save
+                fields: null,       // Field names to compare (default: every field)
+                labels: {},         // { categoryId: 'Category' }
+                format: null,       // (value, field) => display text
+                allowMerge: true,
+                keepMineText: 'Keep mine',
+                takeTheirsText: 'Take theirs',
+                mergeText: 'Merge',
+                cancelText: 'Cancel',
+                onResolve: null,    // ({ strategy: 'mine' | 'theirs' | 'merge', data, version })
+                onCancel: null
+            };
+
+            const settings = Object.assign({}, defaults, options);
+            // Delete conflicts compare the record as loaded with the current one
+            const mine = settings.mine === null ? settings.base : settings.mine;
+            const rows = ConflictResolver.compare(settings.base, mine, settings.theirs, settings.fields);
+            const deleted = settings.theirs === null;
+            const canMerge = settings.allowMerge && settings.mine !== null && !deleted && rows.length > 0;
+
+            settings.size = settings.size || 'modal-lg';
+            settings.body = '<div class="conflict-diff"></div>';
+            settings.buttons = [
+                {
+                    text: settings.cancelText,
+                    class: 'btn-secondary',
+                    dismiss: true
+                },
+                {
+                    text: deleted ? 'OK' : settings.takeTheirsText,
+                    class: deleted ? 'btn-primary' : 'btn-outline-secondary',
+                    onclick: function() {
+                        this.resolveWith('theirs');
+                    }
+                }
+            ];
+
+            // A deleted record can only be accepted - there is nothing left to save over
+            if (!deleted) {
+                settings.buttons.push({
+                    text: settings.keepMineText,
+                    class: canMerge ? 'btn-outline-primary' : 'btn-primary',
+                    onclick: function() {
+                        this.resolveWith('mine');
+                    }
+                });
+            }
+
+            if (canMerge) {
+                settings.buttons.push({
+                    text: settings.mergeText,
+                    class: 'btn-primary',
+                    onclick: function() {
+                        this.resolveWith('merge');
+                    }
+                });
+            }
+
+            super(settings);
+
+            this.rows = rows;
+            this.resolved = false;
+            this.renderDiff(deleted, canMerge);
+        }
+
+        /**
+         * ⚠️ CRITICAL: Server values are user data - always inserted with .text()
+         */
+        renderDiff(deleted, canMerge) {
+            const settings = this.settings;
+            const $container = this.$element.find('.conflict-diff');
+
+            if (deleted) {
+                $container.append($('<div class="alert alert-warning mb-0"></div>')
+                    .text('Another user deleted this record. Your changes cannot be saved.'));
+                return;
+            }
+
+            const intro = this.rows.length === 0
+                ? 'Another user saved this record, but none of the values differ from yours.'
+                : 'Another user saved this record while you were editing. Highlighted fields were changed by both of you.';
+            $container.append($('<p></p>').text(intro));
+
+            if (this.rows.length === 0) return;
+
+            const $table = $('<table class="table table-sm align-middle mb-0"></table>');
+            const $headRow = $('<tr></tr>')
+                .append($('<th></th>').text('Field'))
+                .append($('<th></th>').text(settings.mine === null ? 'When you loaded it' : 'Your value'))
+                .append($('<th></th>').text('Current value'));
+            $table.append($('<thead></thead>').append($headRow));
+
+            const $body = $('<tbody></tbody>');
+            this.rows.forEach(row => {
+                const name = `${settings.id}_${row.field}`;
+                const $row = $('<tr></tr>').toggleClass('table-warning', row.conflicting);
+
+                $row.append($('<th scope="row"></th>').text(settings.labels[row.field] || row.field));
+                $row.append(this.buildValueCell(name, 'mine', row.mine, row, canMerge));
+                $row.append(this.buildValueCell(name, 'theirs', row.theirs, row, canMerge));
+                $body.append($row);
+            });
+
+            $container.append($('<div class="table-responsive"></div>').append($table.append($body)));
+        }
+
+        buildValueCell(name, side, value, row, canMerge) {
+            const $cell = $('<td></td>');
+            const $text = $('<span></span>').text(this.formatValue(value, row.field));
+
+            if (!canMerge) {
+                return $cell.append($text);
+            }
+
+            // 💡 TIP: Pre-selected per field - my edits win, their edits win where I changed nothing
+            const $label = $('<label class="form-check-label"></label>').append($text);
+            const $radio = $('<input type="radio" class="form-check-input me-2">')
+                .attr('name', name)
+                .val(side)
+                .prop('checked', row.suggested === side);
+
+            return $cell.append($('<div class="form-check"></div>').append($radio, $label));
+        }
+
+        formatValue(value, field) {
+            if (this.settings.format) {
+                return this.settings.format(value, field);
+            }
+            if (value === null || value === undefined || value === '') {
+                return '(empty)';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+
+        /**
+         * Per-field choices from the radios → { field: 'mine' | 'theirs' }
+         */
+        getChoices() {
+            const choices = {};
+            this.rows.forEach(row => {
+                const checked = this.$element.find(`input[name="${this.settings.id}_${row.field}"]:checked`).val();
+                choices[row.field] = checked || row.suggested;
+            });
+            return choices;
+        }
+
+        resolveWith(strategy) {
+            const settings = this.settings;
+            let data = settings.theirs;
+
+            if (strategy === 'mine') {
+                data = { ...(settings.theirs || {}), ...(settings.mine || {}) };
+            } else if (strategy === 'merge') {
+                data = ConflictResolver.merge(settings.theirs, this.rows, this.getChoices());
+            }
+
+            this.resolved = true;
+            if (settings.onResolve) {
+                settings.onResolve.call(this, { strategy: strategy, data: data, version: settings.version });
+            }
+            this.hide();
+        }
+
+        onHidden(e) {
+            // Closed with Cancel, Esc or the X button
+            if (!this.resolved && this.settings.onCancel) {
+                this.settings.onCancel.call(this);
+            }
+            super.onHidden(e);
+        }
+
+        /**
+         * ✅ CORRECT: Promise API - resolves with { strategy, data, version } or null when cancelled
+         * const resolution = await XOS.Modal.ConflictModal.resolve(result.conflict, { labels });
+         */
+        static resolve(conflict, options = {}) {
+            return new Promise(resolve => {
+                new XOS.Modal.ConflictModal(Object.assign({}, conflict, options, {
+                    onResolve: resolution => resolve(resolution),
+                    onCancel: () => resolve(null)
+                })).show();
+            });
+        }
+    };
+
     // ============================================================================
     // MODAL MANAGER
     // ============================================================================
@@ -693,9 +914,9 @@
     // UTILITY FUNCTIONS
     // ============================================================================
 
+    // ⚠️ CRITICAL: Delegates to the shared pattern - never add another email regex
     XOS.Modal.isValidEmail = function(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+        return ValidationEngine.patterns.email.test(email);
     };
 
     // ✅ CORRECT: Quick modal functions
@@ -807,6 +1028,14 @@
                 size: 'modal-lg',
                 formHtml: formHtml,
                 submitText: isEdit ? 'Update User' : 'Create User',
+                // required/type="email" come from the markup; only cross-field rules here
+                rules: {
+                    passwordConfirm: {
+                        label: 'Confirm Password',
+                        compare: 'password',
+                        messages: { compare: 'Passwords do not match' }
+                    }
+                },
                 onSubmit: function(formData, $form) {
                     return this.saveUser(formData, isEdit, user?.id);
                 },
@@ -822,18 +1051,18 @@
         }
 
         setupCustomValidation() {
-            // Password confirmation validation
+            // Live password confirmation check with the same rules used on submit
             this.$element.on('input', '#userPasswordConfirm', () => {
-                const password = this.$element.find('#userPassword').val();
-                const confirmPassword = this.$element.find('#userPasswordConfirm').val();
+                const $form = this.$element.find('form');
                 const $confirmField = this.$element.find('#userPasswordConfirm');
+                const result = FormRules.validateSync($form[0], this.settings.rules, { fields: ['passwordConfirm'] });
                 
                 $confirmField.removeClass('is-invalid');
                 $confirmField.siblings('.invalid-feedback').remove();
                 
-                if (confirmPassword && password !== confirmPassword) {
+                if ($confirmField.val() && result.errors.passwordConfirm) {
                     $confirmField.addClass('is-invalid');
-                    $confirmField.after('<div class="invalid-feedback">Passwords do not match</div>');
+                    $confirmField.after(`<div class="invalid-feedback">${result.errors.passwordConfirm}</div>`);
                 }
             });
         }
@@ -869,7 +1098,8 @@
                 maxFileSize: 10485760, // 10MB
                 acceptedTypes: '*',
                 uploadUrl: '/api/files/upload',
-                onUploadComplete: null,
+                fieldName: 'file',
+                onUploadComplete: null,  // Receives one response.data per uploaded file
                 onUploadError: null
             };
 
@@ -960,18 +1190,18 @@
             });
         }
 
-        addFiles(files) {
-            files.forEach(file => {
-                if (this.validateFile(file)) {
+        async addFiles(files) {
+            for (const file of files) {
+                if (await this.validateFile(file)) {
                     this.files.push(file);
                 }
-            });
+            }
             
             this.renderFileList();
             this.updateUploadButton();
         }
 
-        validateFile(file) {
+        async validateFile(file) {
             // Size validation
             if (file.size > this.settings.maxFileSize) {
                 XOS.Modal.AlertModal.error(`File "${file.name}" is too large. Maximum size is ${this.formatFileSize(this.settings.maxFileSize)}.`);
@@ -996,6 +1226,13 @@
                 }
             }
 
+            // ✅ CORRECT: Content check - the extension and file.type above only come from the filename
+            const check = await FileTypeDetector.verify(file);
+            if (!check.valid) {
+                XOS.Modal.AlertModal.error(check.message);
+                return false;
+            }
+
             return true;
         }
 
@@ -1054,45 +1291,56 @@
             $progress.removeClass('d-none');
             this.disableButton(1);
 
-            const formData = new FormData();
-            this.files.forEach(file => {
-                formData.append('files[]', file);
-            });
+            // ✅ CORRECT: One UploadManager item per file - each shows in the upload tray with its own
+            // pause/retry/cancel, and keeps going if the modal is closed
+            // A second attempt replaces the failed entries in the tray
+            (this.failedUploadIds || []).forEach(id => UploadManager.remove(id));
 
-            $.ajax({
+            const files = this.files.slice();
+            const promises = files.map(file => UploadManager.upload(file, {
                 url: this.settings.uploadUrl,
-                type: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                xhr: () => {
-                    const xhr = new XMLHttpRequest();
-                    xhr.upload.addEventListener('progress', (e) => {
-                        if (e.lengthComputable) {
-                            const percentComplete = (e.loaded / e.total) * 100;
-                            $progressBar.css('width', percentComplete + '%');
-                        }
-                    });
-                    return xhr;
-                },
-                success: (response) => {
-                    if (response.success) {
-                        if (this.settings.onUploadComplete) {
-                            this.settings.onUploadComplete.call(this, response.data);
-                        }
+                fieldName: this.settings.fieldName,
+                source: this.settings.title
+            }));
+            const uploadIds = promises.map(promise => promise.uploadId);
+
+            const unsubscribe = UploadManager.subscribe(() => {
+                const items = uploadIds.map(id => UploadManager.get(id)).filter(Boolean);
+                const total = items.reduce((sum, item) => sum + item.total, 0);
+                const loaded = items.reduce((sum, item) => sum + item.loaded, 0);
+                $progressBar.css('width', (total ? loaded / total * 100 : 0) + '%');
+            });
+
+            Promise.allSettled(promises).then(results => {
+                unsubscribe();
+                $progress.addClass('d-none');
+                this.enableButton(1);
+
+                const uploaded = results.filter(result => result.status === 'fulfilled').map(result => result.value.data);
+                const isFailed = (result) => result.status === 'rejected' && !ApiManager.isAbortError(result.reason);
+                const failed = results.filter(isFailed);
+
+                if (uploaded.length > 0 && this.settings.onUploadComplete) {
+                    this.settings.onUploadComplete.call(this, uploaded);
+                }
+
+                if (failed.length === 0) {
+                    if (uploaded.length > 0) {
                         XOS.Modal.AlertModal.success('Files uploaded successfully!');
-                        this.hide();
-                    } else {
-                        this.handleUploadError(response.message || 'Upload failed');
                     }
-                },
-                error: (xhr, status, error) => {
-                    this.handleUploadError(xhr.responseJSON?.message || 'Upload failed');
-                },
-                complete: () => {
-                    $progress.addClass('d-none');
-                    this.enableButton(1);
+                    this.hide();
+                    return;
                 }
+
+                // Keep the files that did not make it - Upload sends them again
+                this.files = files.filter((file, index) => isFailed(results[index]));
+                this.failedUploadIds = uploadIds.filter((id, index) => isFailed(results[index]));
+                this.renderFileList();
+                this.updateUploadButton();
+
+                this.handleUploadError(failed.length === 1
+                    ? failed[0].reason.message || 'Upload failed'
+                    : `${failed.length} of ${files.length} files failed to upload`);
             });
         }
 